@@ -0,0 +1,259 @@
+/**
+ * AuditLog - records who changed which record, when and how
+ *
+ * Listens to the entity hooks of managers built with `audit: true` and
+ * writes one entry per change into the `audit` entity (AuditManager):
+ * user, timestamp, action, a field-level diff and a snapshot of the
+ * record after the change. Snapshots let any two versions be compared
+ * and an older one be restored.
+ *
+ * AuditModule creates it and exposes it as `orchestrator.auditLog`, where
+ * `EntityManager.getHistory()` / `restoreVersion()` find it.
+ */
+
+import { HOOK_PRIORITY, type HookRegistry } from '../hooks/HookRegistry'
+import type { SignalBus } from '../kernel/SignalBus'
+import type { EntityRecord } from '../types'
+import type { AuthUser } from '../entity/auth/EntityAuthAdapter'
+import type { AuditManager } from './AuditManager'
+
+/**
+ * Audited change
+ */
+export type AuditAction = 'create' | 'update' | 'delete' | 'restore'
+
+/**
+ * Field-level change: value before and after
+ */
+export interface AuditChange {
+  from: unknown
+  to: unknown
+}
+
+/**
+ * One version of a record, as stored in the `audit` entity
+ */
+export interface AuditEntry extends EntityRecord {
+  entity: string
+  entityId: string
+  /** 1 for the first audited change of the record, then +1 per change */
+  version: number
+  action: AuditAction
+  timestamp: string
+  userId: string | number | null
+  userName: string | null
+  changes: Record<string, AuditChange>
+  /** Record after the change (null after a delete) */
+  snapshot: Record<string, unknown> | null
+  /** Version brought back by a restore */
+  restoredFrom?: number
+}
+
+/**
+ * Manager as seen by the audit log (the hook contexts carry it)
+ */
+export interface AuditedManager {
+  name: string
+  idField: string
+  versionField?: string | null
+  audit?: boolean
+  get(id: string | number): Promise<EntityRecord>
+  patch(id: string | number, data: Record<string, unknown>): Promise<EntityRecord>
+}
+
+/**
+ * AuditLog options
+ */
+export interface AuditLogOptions {
+  /** Entity holding the entries */
+  manager: AuditManager
+  /** Current user (default: none, entries are anonymous) */
+  getUser?: () => AuthUser | null | undefined
+  /** Resolve a manager by name, for deletes (signals carry the name only) */
+  getManager?: (name: string) => AuditedManager | null | undefined
+}
+
+/**
+ * Field-level diff of two record states (keys starting with `_` are internal)
+ */
+export function diffRecords(
+  before: Record<string, unknown> | null | undefined,
+  after: Record<string, unknown> | null | undefined
+): Record<string, AuditChange> {
+  const changes: Record<string, AuditChange> = {}
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])
+  for (const key of keys) {
+    if (key.startsWith('_')) continue
+    const from = before?.[key]
+    const to = after?.[key]
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to }
+  }
+  return changes
+}
+
+type HookEvent<T> = { data: T }
+
+interface SaveContext {
+  record: Record<string, unknown>
+  result?: EntityRecord
+  isNew: boolean
+  id?: string | number
+  manager: AuditedManager
+}
+
+interface DeleteContext {
+  id: string | number
+  manager: AuditedManager
+}
+
+export class AuditLog {
+  readonly manager: AuditManager
+  private _getUser: () => AuthUser | null | undefined
+  private _getManager: (name: string) => AuditedManager | null | undefined
+  /** Record states before a pending update/delete, by `entity:id` */
+  private _before: Map<string, Record<string, unknown> | null> = new Map()
+  /** Versions being restored, by `entity:id` */
+  private _restoring: Map<string, number> = new Map()
+
+  constructor(options: AuditLogOptions) {
+    this.manager = options.manager
+    this._getUser = options.getUser ?? (() => null)
+    this._getManager = options.getManager ?? (() => null)
+  }
+
+  /**
+   * Listen to the entity hooks and signals; returns the cleanup
+   */
+  bind(hooks: HookRegistry, signals?: SignalBus | null): () => void {
+    const options = { priority: HOOK_PRIORITY.LAST }
+    const cleanups = [
+      hooks.register('entity:presave', (event: unknown) => this._onPresave((event as HookEvent<SaveContext>).data), options),
+      hooks.register('entity:postsave', (event: unknown) => this._onPostsave((event as HookEvent<SaveContext>).data), options),
+      hooks.register('entity:predelete', (event: unknown) => this._onPredelete((event as HookEvent<DeleteContext>).data), options),
+    ]
+    if (signals) {
+      cleanups.push(
+        signals.on('entity:deleted', (event: { data: unknown }) => {
+          const { entity, data } = event.data as { entity: string; data: { id?: string | number } }
+          return this._onDeleted(entity, data?.id)
+        })
+      )
+    }
+    return () => cleanups.forEach((cleanup) => cleanup())
+  }
+
+  /**
+   * Versions of a record, oldest first
+   */
+  getHistory(entity: string, id: string | number): Promise<AuditEntry[]> {
+    return this.manager.findVersions(entity, id)
+  }
+
+  /**
+   * Write a version back through the record's manager (audited as `restore`)
+   */
+  async restore(manager: AuditedManager, id: string | number, entry: AuditEntry): Promise<EntityRecord> {
+    if (!entry.snapshot) {
+      throw new Error(`[AuditLog] Version ${entry.version} of ${manager.name}#${id} has no snapshot to restore`)
+    }
+    const data = { ...entry.snapshot }
+    delete data[manager.idField]
+    // The current version token is sent by the manager, not the old one
+    if (manager.versionField) delete data[manager.versionField]
+
+    const key = keyOf(manager.name, id)
+    this._restoring.set(key, entry.version)
+    try {
+      return await manager.patch(id, data)
+    } finally {
+      this._restoring.delete(key)
+    }
+  }
+
+  /**
+   * Append an entry to the history of a record
+   */
+  async record(
+    entity: string,
+    id: string | number,
+    action: AuditAction,
+    snapshot: Record<string, unknown> | null,
+    before: Record<string, unknown> | null = null,
+    extra: Partial<AuditEntry> = {}
+  ): Promise<AuditEntry> {
+    const history = await this.getHistory(entity, id)
+    const last = history[history.length - 1]
+    const user = this._getUser() ?? null
+    const userName = user?.username ?? user?.name ?? user?.email ?? null
+    return this.manager.create({
+      entity,
+      entityId: String(id),
+      version: (last?.version ?? 0) + 1,
+      action,
+      timestamp: new Date().toISOString(),
+      userId: user?.id ?? null,
+      userName: userName === null ? null : String(userName),
+      changes: diffRecords(before ?? last?.snapshot, snapshot),
+      snapshot,
+      ...extra,
+    })
+  }
+
+  private _audited(manager: AuditedManager | undefined): manager is AuditedManager {
+    return !!manager?.audit
+  }
+
+  /**
+   * State before a change: the last snapshot, else the record itself
+   */
+  private async _capture(manager: AuditedManager, id: string | number): Promise<void> {
+    const history = await this.getHistory(manager.name, id)
+    let before = history[history.length - 1]?.snapshot ?? null
+    if (!before) {
+      before = await manager.get(id).catch(() => null)
+    }
+    this._before.set(keyOf(manager.name, id), before)
+  }
+
+  private async _onPresave({ manager, isNew, id }: SaveContext): Promise<void> {
+    if (!this._audited(manager) || isNew || id === undefined) return
+    await this._capture(manager, id)
+  }
+
+  private async _onPostsave({ manager, isNew, id, result }: SaveContext): Promise<void> {
+    if (!this._audited(manager)) return
+    const recordId = id ?? (result?.[manager.idField] as string | number | undefined)
+    if (recordId === undefined) return
+    const key = keyOf(manager.name, recordId)
+    const before = this._before.get(key) ?? null
+    this._before.delete(key)
+    const restored = this._restoring.get(key)
+    const action: AuditAction = isNew ? 'create' : restored !== undefined ? 'restore' : 'update'
+    await this.record(manager.name, recordId, action, { ...(result ?? {}) }, before,
+      restored !== undefined ? { restoredFrom: restored } : {})
+  }
+
+  private async _onPredelete({ manager, id }: DeleteContext): Promise<void> {
+    if (!this._audited(manager)) return
+    await this._capture(manager, id)
+  }
+
+  private async _onDeleted(entity: string, id: string | number | undefined): Promise<void> {
+    if (id === undefined || !this._audited(this._getManager(entity) ?? undefined)) return
+    const key = keyOf(entity, id)
+    const before = this._before.get(key) ?? null
+    this._before.delete(key)
+    await this.record(entity, id, 'delete', null, before)
+  }
+}
+
+function keyOf(entity: string, id: string | number): string {
+  return `${entity}:${id}`
+}
+
+/**
+ * Factory function
+ */
+export function createAuditLog(options: AuditLogOptions): AuditLog {
+  return new AuditLog(options)
+}
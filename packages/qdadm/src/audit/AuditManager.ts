@@ -0,0 +1,72 @@
+/**
+ * AuditManager - System entity manager for audit entries
+ *
+ * Read-only for users (entries are only written by AuditLog). Storage is
+ * pluggable: MemoryStorage by default, any IStorage (API, MockApiStorage)
+ * to keep the trail.
+ */
+
+import { EntityManager } from '../entity/EntityManager'
+import { MemoryStorage } from '../entity/storage/MemoryStorage'
+import type { IStorage } from '../types'
+import type { AuditEntry } from './AuditLog'
+
+/**
+ * Most versions getHistory() fetches for one record
+ */
+const HISTORY_PAGE_SIZE = 1000
+
+/**
+ * Options for AuditManager
+ */
+export interface AuditManagerOptions {
+  /** Storage of the entries (default: MemoryStorage) */
+  storage?: IStorage<AuditEntry> | null
+  [key: string]: unknown
+}
+
+export class AuditManager extends EntityManager<AuditEntry> {
+  constructor(options: AuditManagerOptions = {}) {
+    const { storage = null, ...rest } = options
+
+    super({
+      name: 'audit',
+      label: 'Audit entry',
+      labelPlural: 'Audit trail',
+      labelField: (entry: AuditEntry) => `${entry.entity}#${entry.entityId} v${entry.version}`,
+      system: true,
+      readOnly: true,
+      // Entries are written as a side effect of audited writes
+      undoable: false,
+      fields: {
+        timestamp: { type: 'datetime', label: 'Date' },
+        userName: { type: 'text', label: 'User' },
+        action: { type: 'text', label: 'Action' },
+        entity: { type: 'text', label: 'Entity' },
+        entityId: { type: 'text', label: 'Record' },
+        version: { type: 'number', label: 'Version' },
+        changes: { type: 'json', label: 'Changes' },
+        snapshot: { type: 'json', label: 'Snapshot' },
+      },
+      storage: storage ?? new MemoryStorage<AuditEntry>(),
+      ...rest,
+    })
+  }
+
+  /**
+   * Versions of a record, oldest first
+   */
+  async findVersions(entity: string, id: string | number): Promise<AuditEntry[]> {
+    const entityId = String(id)
+    const { items } = await this.list({
+      filters: { entity, entityId },
+      sort_by: 'version',
+      sort_order: 'asc',
+      page_size: HISTORY_PAGE_SIZE,
+    })
+    // Storages may match filters loosely (substring): keep exact matches only
+    return items
+      .filter((entry) => entry.entity === entity && entry.entityId === entityId)
+      .sort((a, b) => a.version - b.version)
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * AuditModule - Audit trail of entity changes
+ *
+ * Registers the `audit` entity (AuditManager), an AuditLog recording the
+ * changes of every manager built with `audit: true`, the audit permissions
+ * and a read-only list page of the trail.
+ *
+ * Records of audited entities get a "History" tab on their show/edit pages
+ * (users with `audit:history:read`), with restore for `audit:history:restore`.
+ *
+ * @example
+ * import { AuditModule } from '@quazardous/qdadm/audit'
+ *
+ * const kernel = new Kernel({
+ *   moduleDefs: [new AuditModule({ storage: new ApiStorage({ endpoint: '/audit' }) }), ...],
+ * })
+ *
+ * // In a module
+ * ctx.entity('books', new EntityManager({ name: 'books', audit: true, ... }))
+ */
+
+import { Module, type ModuleOptions } from '../kernel/Module'
+import { AuditManager } from './AuditManager'
+import { AuditLog, type AuditedManager, type AuditEntry } from './AuditLog'
+import type { AuthUser } from '../entity/auth/EntityAuthAdapter'
+import type { HookRegistry } from '../hooks/HookRegistry'
+import type { SignalBus } from '../kernel/SignalBus'
+import type { Orchestrator } from '../orchestrator/Orchestrator'
+import type { IStorage } from '../types'
+
+/**
+ * AuditModule options
+ */
+export interface AuditModuleOptions extends ModuleOptions {
+  /** Storage of the audit entries (default: MemoryStorage) */
+  storage?: IStorage<AuditEntry> | null
+}
+
+/**
+ * Kernel context interface for modules
+ */
+interface ModuleContext {
+  hooks: HookRegistry | null
+  signals: SignalBus | null
+  orchestrator: Orchestrator | null
+  authAdapter?: { getUser?: () => AuthUser | null } | null
+  entity(name: string, manager: unknown): void
+  permissions(namespace: string, permissions: Record<string, string>): void
+  crud(
+    name: string,
+    pages: { list?: () => Promise<unknown> },
+    options?: { basePath?: string; nav?: { section?: string; icon?: string; permission?: string } }
+  ): void
+}
+
+export class AuditModule extends Module {
+  static override moduleName = 'audit'
+  static override requires: string[] = []
+  static override priority = 100
+
+  declare options: AuditModuleOptions
+  auditLog: AuditLog | null = null
+  private _orchestrator: Orchestrator | null = null
+  private _unbind: (() => void) | null = null
+
+  async connect(ctx: ModuleContext): Promise<void> {
+    // ════════════════════════════════════════════════════════════════════════
+    // ENTITY + LOG
+    // ════════════════════════════════════════════════════════════════════════
+    const auditManager = new AuditManager({ storage: this.options.storage ?? null })
+    ctx.entity('audit', auditManager)
+
+    const orchestrator = ctx.orchestrator
+    this._orchestrator = orchestrator
+    this.auditLog = new AuditLog({
+      manager: auditManager,
+      getUser: () => ctx.authAdapter?.getUser?.() ?? null,
+      getManager: (name) =>
+        orchestrator?.isRegistered(name) ? (orchestrator.get(name) as unknown as AuditedManager) : null,
+    })
+    if (ctx.hooks) {
+      this._unbind = this.auditLog.bind(ctx.hooks, ctx.signals)
+    }
+    if (orchestrator) {
+      orchestrator.auditLog = this.auditLog
+    }
+
+    // ════════════════════════════════════════════════════════════════════════
+    // PERMISSIONS
+    // ════════════════════════════════════════════════════════════════════════
+    ctx.permissions('audit', {
+      'history:read': 'View the change history of records',
+      'history:restore': 'Restore a previous version of a record',
+    })
+
+    // ════════════════════════════════════════════════════════════════════════
+    // ROUTES
+    // ════════════════════════════════════════════════════════════════════════
+    ctx.crud(
+      'audit',
+      {
+        list: () => import('./pages/AuditList.vue'),
+      },
+      {
+        basePath: 'security/audit',
+        nav: {
+          section: 'Security',
+          icon: 'pi pi-history',
+        },
+      }
+    )
+  }
+
+  override async disconnect(): Promise<void> {
+    this._unbind?.()
+    this._unbind = null
+    if (this._orchestrator?.auditLog === this.auditLog) {
+      this._orchestrator.auditLog = null
+    }
+    this._orchestrator = null
+    this.auditLog = null
+    await super.disconnect()
+  }
+}
+
+export default AuditModule
@@ -0,0 +1,27 @@
+/**
+ * Audit module - Audit trail of entity changes
+ *
+ * Provides:
+ * - AuditLog: Records create/update/delete/restore of `audit: true` managers
+ * - AuditManager: System entity manager for the audit entries
+ * - AuditModule: System module (entity, permissions, audit trail page)
+ * - diffRecords: Field-level diff of two record states
+ *
+ * @example
+ * import { AuditModule } from '@quazardous/qdadm/audit'
+ *
+ * const kernel = new Kernel({ moduleDefs: [AuditModule, ...] })
+ */
+
+export {
+  AuditLog,
+  createAuditLog,
+  diffRecords,
+  type AuditAction,
+  type AuditChange,
+  type AuditEntry,
+  type AuditedManager,
+  type AuditLogOptions,
+} from './AuditLog'
+export { AuditManager, type AuditManagerOptions } from './AuditManager'
+export { AuditModule, type AuditModuleOptions } from './AuditModule'
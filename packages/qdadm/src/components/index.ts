@@ -33,6 +33,7 @@ export { default as FormField } from './edit/FormField.vue'
 export { default as FormInput } from './edit/FormInput.vue'
 export { default as FormActions } from './edit/FormActions.vue'
 export { default as LookupField } from './edit/LookupField.vue'
+export { default as RelationField } from './edit/RelationField.vue'
 export { default as LookupPickerDialog } from './edit/LookupPickerDialog.vue'
 
 // Show (read-only detail pages)
@@ -40,11 +41,17 @@ export { default as ShowPage } from './show/ShowPage.vue'
 export { default as ShowField } from './show/ShowField.vue'
 export { default as ShowDisplay } from './show/ShowDisplay.vue'
 export { default as ParentCard } from './show/ParentCard.vue'
+export { default as RelationPanel } from './show/RelationPanel.vue'
+export { default as HistoryPanel } from './show/HistoryPanel.vue'
 
 // Lists
 export { default as ListPage } from './lists/ListPage.vue'
 export { default as ActionButtons } from './lists/ActionButtons.vue'
 export { default as FilterBar } from './lists/FilterBar.vue'
+export { default as FilterBuilder } from './lists/FilterBuilder.vue'
+export { default as ViewSwitcher } from './lists/ViewSwitcher.vue'
+export { default as ColumnChooser } from './lists/ColumnChooser.vue'
+export { default as FilterGroupEditor } from './lists/FilterGroupEditor.vue'
 
 // Editors (vanilla-jsoneditor free)
 export { default as KeyValueEditor } from './editors/KeyValueEditor.vue'
@@ -63,6 +70,9 @@ export { default as SimpleDialog } from './dialogs/SimpleDialog.vue'
 export { default as MultiStepDialog } from './dialogs/MultiStepDialog.vue'
 export { default as BulkStatusDialog } from './dialogs/BulkStatusDialog.vue'
 export { default as UnsavedChangesDialog } from './dialogs/UnsavedChangesDialog.vue'
+export { default as ConflictDialog } from './dialogs/ConflictDialog.vue'
+export { default as ExportDialog } from './dialogs/ExportDialog.vue'
+export { default as ImportDialog } from './dialogs/ImportDialog.vue'
 
 // Display
 export { default as CardsGrid } from './display/CardsGrid.vue'
@@ -25,6 +25,8 @@ export {
   type ActionConfig as FormActionConfig,
   type FormPageProps,
   type FormPageEvents,
+  type ConflictField,
+  type ConflictDialogState,
 } from './useEntityItemFormPage'
 export * from './useJsonSyntax'
 export {
@@ -43,6 +45,19 @@ export {
   type ListPageProps,
   type ListPageEvents,
   type BulkStatusActionReturn,
+  type ExportActionOptions,
+  type ExportDialogState,
+  type ImportActionOptions,
+  type ImportDialogState,
+  type ImportReport,
+  type FilterBuilderOptions,
+  type FilterBuilderState,
+  type ViewSwitcherOptions,
+  type ViewSwitcherState,
+  type ColumnLayout,
+  type ColumnChooserItem,
+  type ColumnChooserOptions,
+  type ColumnChooserState,
 } from './useListPage'
 export { usePageTitle, type UsePageTitleReturn, type TitleParts, type TitleInput } from './usePageTitle'
 export { useApp, type UseAppReturn } from './useApp'
@@ -64,6 +79,7 @@ export {
   type LazyActionConfig as ShowLazyActionConfig,
   type ShowPageProps,
   type ShowPageEvents,
+  type HistoryTab,
 } from './useEntityItemShowPage'
 export {
   useNavContext,
@@ -8,6 +8,7 @@
  * - Dirty state tracking for unsaved changes
  * - Validation with schema-derived and custom validators
  * - Permission-aware actions (save, delete)
+ * - Conflict dialog (reload / merge / overwrite) when a save hits a ConflictError
  * - FormPage component binding via props/events
  *
  * ## Basic Usage
@@ -24,7 +25,7 @@
  * </FormPage>
  * ```
  */
-import { ref, computed, watch, onMounted, onUnmounted, provide, type Ref } from 'vue'
+import { ref, computed, watch, onMounted, onUnmounted, provide, nextTick, type Ref } from 'vue'
 import { useRouter, useRoute } from 'vue-router'
 import { useConfirm } from 'primevue/useconfirm'
 import { useDirtyState } from './useDirtyState'
@@ -69,6 +70,8 @@ export type {
   AddSaveActionOptions,
   AddDeleteActionOptions,
   AddCancelActionOptions,
+  ConflictField,
+  ConflictDialogState,
 } from './useEntityItemFormPage.types'
 
 // Import concrete types needed in the function body
@@ -85,7 +88,11 @@ import type {
   AddSaveActionOptions,
   AddDeleteActionOptions,
   AddCancelActionOptions,
+  ConflictField,
+  ConflictDialogState,
 } from './useEntityItemFormPage.types'
+import { ConflictError } from '../entity/storage/errors'
+import type { HistoryTab } from './useEntityItemShowPage'
 
 
 /**
@@ -193,6 +200,12 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
   provide('isFieldDirty', isFieldDirty)
   provide('dirtyFields', dirtyFields)
 
+  // Keep computed fields in step with the edited values (assigning an
+  // unchanged value does not retrigger the watcher)
+  if (manager.getComputedFields?.().length) {
+    watch(data, (value) => manager.applyComputed?.(value), { deep: true, flush: 'sync' })
+  }
+
   // Watch for changes to update dirty state
   watch(data, checkDirty, { deep: true })
 
@@ -339,6 +352,10 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
 
       return responseData
     } catch (error) {
+      if (error instanceof ConflictError) {
+        openConflict(error, andClose)
+        throw error
+      }
       const axiosError = error as AxiosError
       toast.add({
         severity: 'error',
@@ -352,6 +369,94 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
     }
   }
 
+  // ============ CONFLICTS ============
+
+  const conflictVisible = ref(false)
+  const conflictFields = ref<ConflictField[]>([])
+  const conflictServer = ref<Record<string, unknown> | null>(null)
+  let conflictAndClose = false
+
+  const sameValue = (a: unknown, b: unknown): boolean =>
+    JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+  /**
+   * Show "your changes vs. server" for a save rejected as stale
+   */
+  function openConflict(error: ConflictError, andClose: boolean): void {
+    const mine = data.value as Record<string, unknown>
+    const base = (originalData.value ?? {}) as Record<string, unknown>
+    const server = error.serverRecord
+      ? (transformLoad(error.serverRecord) as Record<string, unknown>)
+      : null
+
+    const fields: ConflictField[] = []
+    if (server) {
+      const skip = new Set([manager.idField, manager.versionField])
+      for (const field of new Set([...Object.keys(mine), ...Object.keys(server)])) {
+        if (skip.has(field) || sameValue(mine[field], server[field])) continue
+        fields.push({
+          field,
+          label: fieldsMap.value.get(field)?.label || snakeCaseToTitle(field),
+          mine: mine[field],
+          theirs: server[field],
+          changedByMe: !sameValue(mine[field], base[field]),
+          changedByThem: !sameValue(server[field], base[field]),
+        })
+      }
+    }
+
+    conflictServer.value = server
+    conflictFields.value = fields
+    conflictAndClose = andClose
+    conflictVisible.value = true
+    toast.add({
+      severity: 'warn',
+      summary: 'Conflict',
+      detail: `${entityName} was modified by someone else`,
+      life: 5000,
+    })
+  }
+
+  function mergeConflict(): void {
+    const server = conflictServer.value
+    if (!server) return
+    const merged = deepClone(server) as Record<string, unknown>
+    for (const { field, mine, changedByMe } of conflictFields.value) {
+      if (changedByMe) merged[field] = deepClone(mine)
+    }
+    // Server state becomes the baseline (snapshot is taken on next tick),
+    // then the merged edits go on top so they show as dirty
+    data.value = deepClone(server) as T
+    originalData.value = deepClone(server)
+    takeSnapshot()
+    conflictVisible.value = false
+    nextTick(() => {
+      data.value = merged as T
+      checkDirty()
+    })
+  }
+
+  async function overwriteConflict(): Promise<void> {
+    conflictVisible.value = false
+    // The manager now carries the server's version: this save wins
+    await submit(conflictAndClose).catch(() => null)
+  }
+
+  async function reloadConflict(): Promise<void> {
+    conflictVisible.value = false
+    await load()
+  }
+
+  const conflictDialog: ConflictDialogState = {
+    visible: conflictVisible,
+    fields: conflictFields,
+    canMerge: computed(() => conflictServer.value !== null),
+    onMerge: mergeConflict,
+    onOverwrite: overwriteConflict,
+    onReload: reloadConflict,
+    onCancel: () => { conflictVisible.value = false },
+  }
+
   // ============ DELETE ============
 
   async function remove(): Promise<void> {
@@ -364,6 +469,7 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
         summary: 'Deleted',
         detail: `${entityName} deleted successfully`,
         life: 3000,
+        undo: true,
       })
 
       if (onDeleteSuccess) {
@@ -500,11 +606,17 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
     resolveFieldConfig,
     getSchemaFieldConfig: (name) => manager.getFieldConfig(name) || null,
     entity,
+    canReadField: (name) => manager.canReadField?.(name) ?? true,
+    // Owner grants (entity-own:…:field:…:write) apply to the loaded record
+    canWriteField: (name) => manager.canWriteField?.(name, (originalData.value ?? undefined) as T | undefined) ?? true,
   })
 
   // Expose refs for validation (which needs direct access)
   const { fieldsMap, fieldOrder, fields, groups } = fieldManager
 
+  // Owner grants depend on the record: re-check once it is (re)loaded
+  watch(originalData, () => fieldManager.refreshWriteAccess())
+
   /**
    * Generate fields from manager schema
    */
@@ -773,6 +885,16 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
 
   // ============ FORMPAGE PROPS/EVENTS ============
 
+  // History tab: audited entities in edit mode, for users allowed to view the trail
+  const history = computed<HistoryTab | null>(() => {
+    if (!isEdit.value || !entityId.value || !manager.canViewHistory?.()) return null
+    return {
+      entity,
+      recordId: entityId.value,
+      canRestore: manager.canRestoreVersion?.(data.value) ?? false,
+    }
+  })
+
   const formProps = computed<FormPageProps>(() => ({
     isEdit: isEdit.value,
     mode: mode.value,
@@ -791,6 +913,8 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
     errorSummary: showErrorSummary ? errorSummary.value : null,
     submitted: submitted.value,
     guardDialog,
+    conflictDialog,
+    history: history.value,
   }))
 
   const formEvents: FormPageEvents = {
@@ -798,6 +922,7 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
     saveAndClose: () => submit(true),
     cancel,
     delete: confirmDelete,
+    restored: load,
   }
 
   // ============ BUILDER API ============
@@ -894,6 +1019,9 @@ export function useEntityItemFormPage<T extends Record<string, unknown> = Record
     // Guard dialog
     guardDialog,
 
+    // Conflict dialog
+    conflictDialog,
+
     // Title helpers
     entityLabel,
     pageTitle,
@@ -11,6 +11,7 @@ import type { ParentConfig, EntityManager } from './useEntityItemPage'
 import type { FieldGroup, GroupDefinition, GroupOptions, MoveFieldPosition } from './useFieldManager'
 import type { StackHydratorReturn } from '../chain/useStackHydrator'
 import type { OrchestratorLike } from '../entity/EntityManager.interface'
+import type { HistoryTab } from './useEntityItemShowPage'
 
 /**
  * Orchestrator interface
@@ -61,6 +62,7 @@ export interface ToastHelper {
     detail?: string
     emitter?: unknown
     life?: number
+    undo?: boolean
   }) => void
 }
 
@@ -126,6 +128,41 @@ export interface FormPageProps {
   errorSummary: ErrorSummaryItem[] | null
   submitted: boolean
   guardDialog: GuardDialogState | null
+  conflictDialog: ConflictDialogState
+  history: HistoryTab | null
+}
+
+/**
+ * One field differing between the user's edit and the server record
+ */
+export interface ConflictField {
+  field: string
+  label: string
+  /** Value being saved */
+  mine: unknown
+  /** Current server value */
+  theirs: unknown
+  /** Edited by the user since load */
+  changedByMe: boolean
+  /** Changed on the server since load */
+  changedByThem: boolean
+}
+
+/**
+ * Conflict dialog state (save rejected with a ConflictError)
+ */
+export interface ConflictDialogState {
+  visible: Ref<boolean>
+  fields: Ref<ConflictField[]>
+  /** False when the server record could not be fetched (merge unavailable) */
+  canMerge: Ref<boolean>
+  /** Server values, then the user's edits on top; the form stays dirty for review */
+  onMerge: () => void
+  /** Save the user's values over the server record */
+  onOverwrite: () => Promise<void>
+  /** Discard the user's edits and load the server record */
+  onReload: () => Promise<void>
+  onCancel: () => void
 }
 
 /**
@@ -136,6 +173,7 @@ export interface FormPageEvents {
   saveAndClose: () => Promise<unknown>
   cancel: () => void
   delete: () => void
+  restored: () => Promise<void>
 }
 
 /**
@@ -354,6 +392,9 @@ export interface UseEntityItemFormPageReturn<T extends Record<string, unknown> =
   // Guard dialog (for UnsavedChangesDialog - pass to PageLayout)
   guardDialog: GuardDialogState | null
 
+  // Conflict dialog (for ConflictDialog - rendered by FormPage)
+  conflictDialog: ConflictDialogState
+
   // Title helpers
   entityLabel: ComputedRef<string>
   pageTitle: ComputedRef<string>
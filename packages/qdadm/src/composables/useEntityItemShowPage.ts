@@ -33,7 +33,7 @@
  * <ShowPage v-bind="show.props.value" v-on="show.events" />
  * ```
  */
-import { ref, computed, type Ref, type ComputedRef } from 'vue'
+import { ref, computed, onUnmounted, type Ref, type ComputedRef } from 'vue'
 import { useRouter, type Router } from 'vue-router'
 import { useConfirm } from 'primevue/useconfirm'
 import {
@@ -61,6 +61,9 @@ import { useActionRegistry } from './useActionRegistry'
 // #1191 — shared structural view (manager tier from useEntityItemPage)
 type Orchestrator = OrchestratorLike<EntityManager>
 
+// How long a record changed by a real-time push stays highlighted
+const SYNC_HIGHLIGHT_MS = 3000
+
 /**
  * Field definition from EntityManager schema.
  * Re-exported from the shared resolver under the historical name.
@@ -138,6 +141,18 @@ export interface ShowPageProps {
   data: Record<string, unknown> | null
   actions: ResolvedAction[]
   fetchError: string | null
+  history: HistoryTab | null
+  /** The record was just changed by a real-time push */
+  synced: boolean
+}
+
+/**
+ * History tab of ShowPage/FormPage (entities with `audit: true`)
+ */
+export interface HistoryTab {
+  entity: string
+  recordId: string | number
+  canRestore: boolean
 }
 
 /**
@@ -147,6 +162,7 @@ export interface ShowPageEvents {
   edit: () => void
   delete: () => void
   back: () => void
+  restored: () => void
 }
 
 /**
@@ -231,6 +247,9 @@ export interface UseEntityItemShowPageReturn<T = unknown> {
   props: ComputedRef<ShowPageProps>
   events: ShowPageEvents
 
+  /** The record was just changed by a real-time push (cleared after a few seconds) */
+  synced: Ref<boolean>
+
   // Actions
   load: (id?: string | number | null) => Promise<T | null>
   reload: () => Promise<T | null>
@@ -319,6 +338,7 @@ export function useEntityItemShowPage<T = Record<string, unknown>>(
     resolveFieldConfig,
     getSchemaFieldConfig: (name) => manager.getFieldConfig?.(name) || null,
     entity,
+    canReadField: (name) => manager.canReadField?.(name) ?? true,
   })
 
   // Direct access to computed values
@@ -514,7 +534,7 @@ export function useEntityItemShowPage<T = Record<string, unknown>>(
 
     try {
       await manager.delete(entityId.value)
-      orchestrator.toast?.success(`${manager.label || entity} deleted`)
+      orchestrator.toast?.success(`${manager.label || entity} deleted`, undefined, { undo: true })
       goBack()
     } catch (err) {
       console.error(`[useEntityItemShowPage] Failed to delete ${entity}:`, err)
@@ -525,8 +545,44 @@ export function useEntityItemShowPage<T = Record<string, unknown>>(
     }
   }
 
+  // ============ REAL-TIME SYNC ============
+
+  // The manager cache is already patched: reload from it and flag the change
+  const synced = ref(false)
+  let syncedTimer: ReturnType<typeof setTimeout> | null = null
+  const unbindSynced = orchestrator.signals?.on('entity:synced', (event: { name: string; data: unknown }) => {
+    const { entity: changed, op, id } = (event.data || {}) as { entity?: string; op?: string; id?: string | number }
+    if (changed !== entity || entityId.value == null || String(id) !== String(entityId.value)) return
+    if (op === 'delete') {
+      error.value = `This ${manager.label || entity} was deleted`
+      return
+    }
+    void base.reload().then(() => {
+      synced.value = true
+      if (syncedTimer) clearTimeout(syncedTimer)
+      syncedTimer = setTimeout(() => {
+        synced.value = false
+      }, SYNC_HIGHLIGHT_MS)
+    })
+  })
+
+  onUnmounted(() => {
+    unbindSynced?.()
+    if (syncedTimer) clearTimeout(syncedTimer)
+  })
+
   // ============ COMPONENT BINDING ============
 
+  // History tab: audited entities, for users allowed to view the trail
+  const history = computed<HistoryTab | null>(() => {
+    if (!entityId.value || !manager.canViewHistory?.()) return null
+    return {
+      entity,
+      recordId: entityId.value,
+      canRestore: manager.canRestoreVersion?.(data.value) ?? false,
+    }
+  })
+
   const props = computed<ShowPageProps>(() => ({
     loading: loading.value,
     title: title.value,
@@ -537,12 +593,15 @@ export function useEntityItemShowPage<T = Record<string, unknown>>(
     data: data.value as Record<string, unknown> | null,
     actions: actions.value,
     fetchError: error.value,
+    history: history.value,
+    synced: synced.value,
   }))
 
   const events: ShowPageEvents = {
     edit: goToEdit,
     delete: deleteEntity,
     back: goBack,
+    restored: base.reload,
   }
 
   // ============ RETURN ============
@@ -598,6 +657,8 @@ export function useEntityItemShowPage<T = Record<string, unknown>>(
     props,
     events,
 
+    synced,
+
     // Actions
     load: base.load,
     reload: base.reload,
@@ -5,6 +5,7 @@
  * - Field management (add, update, remove, reorder)
  * - Group management (hierarchical, with dot notation support)
  * - Type mapping (customizable per consumer)
+ * - Field permissions (unreadable fields left out, unwritable ones readonly)
  *
  * ## Usage
  *
@@ -165,6 +166,13 @@ export interface UseFieldManagerOptions<T extends ResolvedFieldConfig = Resolved
    * behaviour.
    */
   entity?: string
+  /**
+   * Field permissions (e.g. manager.canReadField): fields the user may not
+   * read are never added, as if excluded.
+   */
+  canReadField?: (name: string) => boolean
+  /** Field permissions (e.g. manager.canWriteField): unwritable fields are forced readonly */
+  canWriteField?: (name: string) => boolean
 }
 
 /**
@@ -206,6 +214,12 @@ export interface UseFieldManagerReturn<T extends ResolvedFieldConfig = ResolvedF
    * triggering after asynchronous bundle loads.
    */
   relabel: () => void
+
+  /**
+   * Re-check write access of every field, e.g. once the record its owner
+   * grants depend on is loaded
+   */
+  refreshWriteAccess: () => void
 }
 
 /**
@@ -244,6 +258,8 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
     resolveFieldConfig: userResolveFieldConfig = defaultResolveFieldConfig as FieldResolver<T>,
     getSchemaFieldConfig,
     entity: entityName,
+    canReadField,
+    canWriteField,
   } = options
 
   // i18n integration — looked up from the kernel injection. Returns a no-op
@@ -259,7 +275,7 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
     name: string,
     fieldConfig: Partial<BaseFieldDefinition>
   ): T {
-    const resolved = userResolveFieldConfig(name, fieldConfig) as T & {
+    const resolved = applyWriteAccess(userResolveFieldConfig(name, fieldConfig)) as T & {
       _labelKey?: string
       _inlineLabel?: string
     }
@@ -276,6 +292,28 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
     return resolved
   }
 
+  // Fields forced readonly for lack of write access (not by their config)
+  const writeLocked = new Set<string>()
+
+  /**
+   * Force readonly on fields the user may not write, and lift it from the
+   * ones it was forced on once they are writable again
+   */
+  function applyWriteAccess(field: T): T {
+    if (!canWriteField) return field
+    if (canWriteField(field.name)) {
+      if (!writeLocked.delete(field.name)) return field
+      return { ...field, readonly: false }
+    }
+    if (field.readonly) return field
+    writeLocked.add(field.name)
+    return { ...field, readonly: true }
+  }
+
+  function isReadable(name: string): boolean {
+    return canReadField?.(name) ?? true
+  }
+
   // ============ FIELD STORAGE ============
 
   const fieldsMap = ref<Map<string, T>>(new Map()) as Ref<Map<string, T>>
@@ -299,6 +337,7 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
       if (only && !only.includes(name)) continue
       if (allExcluded.has(name)) continue
       if (fieldsMap.value.has(name)) continue
+      if (!isReadable(name)) continue
 
       const resolvedConfig = resolveFieldConfig(name, fieldConfig)
       fieldsMap.value.set(name, resolvedConfig)
@@ -315,6 +354,8 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
   ): UseFieldManagerReturn<T> {
     const { after = null, before = null } = addOptions
 
+    if (!isReadable(name)) return returnValue
+
     // Merge with schema config if available
     const schemaConfig = getSchemaFieldConfig?.(name) || {}
     const resolvedConfig = resolveFieldConfig(name, { ...schemaConfig, ...fieldConfig })
@@ -356,13 +397,16 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
   ): UseFieldManagerReturn<T> {
     const existing = fieldsMap.value.get(name)
     if (existing) {
-      fieldsMap.value.set(name, { ...existing, ...updates } as T)
+      // An explicit readonly is the field's own from now on
+      if (updates.readonly !== undefined) writeLocked.delete(name)
+      fieldsMap.value.set(name, applyWriteAccess({ ...existing, ...updates } as T))
     }
     return returnValue
   }
 
   function removeField(name: string): UseFieldManagerReturn<T> {
     fieldsMap.value.delete(name)
+    writeLocked.delete(name)
     const idx = fieldOrder.value.indexOf(name)
     if (idx !== -1) {
       fieldOrder.value.splice(idx, 1)
@@ -646,6 +690,13 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
     }
   }
 
+  function refreshWriteAccess(): void {
+    for (const [name, field] of fieldsMap.value.entries()) {
+      const checked = applyWriteAccess(field)
+      if (checked !== field) fieldsMap.value.set(name, checked)
+    }
+  }
+
   if (entityName && i18n) {
     // Auto-relabel on locale change. Vue's watcher tracks the ref returned
     // from useI18n(), so this fires for both immediate and async switches.
@@ -686,6 +737,7 @@ export function useFieldManager<T extends ResolvedFieldConfig = ResolvedFieldCon
 
     // i18n
     relabel,
+    refreshWriteAccess,
   }
 
   return returnValue
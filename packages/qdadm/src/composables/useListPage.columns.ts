@@ -0,0 +1,213 @@
+/**
+ * useColumnLayout — the column layout of useListPage (addColumnChooser).
+ *
+ * Owns the user's layout of the registered columns: order, hidden columns,
+ * pinned (frozen) columns and widths, kept per entity and user. The layout
+ * is applied when the columns are computed, over the live columns map: a
+ * column a `list:alter` hook removes stays out, one it adds shows up after
+ * the ordered ones, and its updates (header, body...) apply as they are.
+ */
+import { ref, computed, type Ref, type ComputedRef } from 'vue'
+import type { ColumnConfig, ColumnLayout } from './useListPage.types'
+import { clearSavedColumnLayout, getSavedColumnLayout, saveColumnLayout } from './useListPage.utils'
+
+/**
+ * Column of the chooser
+ */
+export interface ColumnChooserItem {
+  field: string
+  header: string
+  visible: boolean
+  frozen: boolean
+  /** false: always shown */
+  hideable: boolean
+}
+
+/**
+ * Column chooser options
+ */
+export interface ColumnChooserOptions {
+  label?: string
+}
+
+/**
+ * Column chooser state (addColumnChooser - rendered by ListPage in the filter bar)
+ *
+ * With it, ListPage also lets the user drag columns to reorder them and
+ * resize them, reported through `onReorder` / `onResize`.
+ */
+export interface ColumnChooserState {
+  label: string
+  /** Every column the user may read, in the table order, hidden ones included */
+  items: ComputedRef<ColumnChooserItem[]>
+  /** The user changed the layout */
+  customized: ComputedRef<boolean>
+  onToggle: (field: string) => void
+  onFreeze: (field: string) => void
+  /** Move a column to an index of `items` */
+  onMove: (field: string, to: number) => void
+  /** Column dragged in the table (indexes of the shown columns) */
+  onReorder: (dragIndex: number, dropIndex: number) => void
+  /** Column resized in the table, in pixels */
+  onResize: (field: string, width: number) => void
+  onReset: () => void
+}
+
+/** Dependencies injected by useListPage. */
+export interface UseColumnLayoutDeps {
+  columnsMap: Ref<Map<string, ColumnConfig>>
+  canReadField: (field: string) => boolean
+  /** Storage key: entity, and user when known */
+  storageKey: string
+  persist: boolean
+}
+
+export interface UseColumnLayoutReturn {
+  columnLayout: Ref<ColumnLayout>
+  /** Shown columns, pinned ones first */
+  columns: ComputedRef<ColumnConfig[]>
+  /** Shown fields in order (null: the registered layout) */
+  visibleColumns: ComputedRef<string[] | null>
+  setVisibleColumns: (fields: string[] | null) => void
+  resetColumnLayout: () => void
+  createChooser: (options: ColumnChooserOptions) => ColumnChooserState
+}
+
+function emptyLayout(): ColumnLayout {
+  return { order: [], widths: {} }
+}
+
+function move<T>(list: T[], from: number, to: number): T[] {
+  const moved = [...list]
+  const [item] = moved.splice(from, 1)
+  moved.splice(Math.max(0, Math.min(to, moved.length)), 0, item as T)
+  return moved
+}
+
+export function useColumnLayout(deps: UseColumnLayoutDeps): UseColumnLayoutReturn {
+  const { columnsMap, canReadField, storageKey, persist } = deps
+
+  const columnLayout = ref<ColumnLayout>((persist ? getSavedColumnLayout(storageKey) : null) ?? emptyLayout())
+
+  function updateLayout(changes: Partial<ColumnLayout>): void {
+    columnLayout.value = { ...columnLayout.value, ...changes }
+    if (persist) saveColumnLayout(storageKey, columnLayout.value)
+  }
+
+  function resetColumnLayout(): void {
+    columnLayout.value = emptyLayout()
+    if (persist) clearSavedColumnLayout(storageKey)
+  }
+
+  // Readable columns with the layout applied, pinned ones first (they stick
+  // to the left edge of the table)
+  const laidOut = computed(() => {
+    const { order, hidden, frozen, widths } = columnLayout.value
+    const readable = Array.from(columnsMap.value.values()).filter((col) => canReadField(col.field))
+    const rank = (field: string, index: number): number => {
+      const at = order.indexOf(field)
+      return at < 0 ? order.length + index : at
+    }
+    const entries = readable
+      .map((col, index) => ({ col, rank: rank(col.field, index) }))
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ col }) => {
+        const { hidden: hiddenByDefault, ...config } = col
+        const width = widths[col.field]
+        return {
+          col: {
+            ...config,
+            frozen: frozen ? frozen.includes(col.field) : Boolean(col.frozen),
+            ...(width ? { width: `${width}px` } : {}),
+          } as ColumnConfig,
+          hidden: col.hideable !== false && (hidden ? hidden.includes(col.field) : Boolean(hiddenByDefault)),
+        }
+      })
+    return [...entries.filter((entry) => entry.col.frozen), ...entries.filter((entry) => !entry.col.frozen)]
+  })
+
+  // None left shown shows every column
+  const columns = computed(() => {
+    const shown = laidOut.value.filter((entry) => !entry.hidden)
+    return (shown.length ? shown : laidOut.value).map((entry) => entry.col)
+  })
+
+  const visibleColumns = computed(() => {
+    const { order, hidden } = columnLayout.value
+    return order.length || hidden ? columns.value.map((col) => col.field) : null
+  })
+
+  function setVisibleColumns(fields: string[] | null): void {
+    if (!fields?.length) {
+      updateLayout({ order: [], hidden: undefined })
+      return
+    }
+    const rest = Array.from(columnsMap.value.keys()).filter((field) => !fields.includes(field))
+    updateLayout({ order: [...fields, ...rest], hidden: rest })
+  }
+
+  function createChooser(options: ColumnChooserOptions): ColumnChooserState {
+    const items = computed(() =>
+      laidOut.value.map(({ col, hidden }) => ({
+        field: col.field,
+        header: col.header ?? col.field,
+        visible: !hidden,
+        frozen: Boolean(col.frozen),
+        hideable: col.hideable !== false,
+      }))
+    )
+
+    const customized = computed(() => {
+      const { order, hidden, frozen, widths } = columnLayout.value
+      return order.length > 0 || hidden !== undefined || frozen !== undefined || Object.keys(widths).length > 0
+    })
+
+    const fields = (pick: (item: ColumnChooserItem) => boolean): string[] =>
+      items.value.filter(pick).map((item) => item.field)
+
+    return {
+      label: options.label ?? 'Columns',
+      items,
+      customized,
+      onToggle: (field) => {
+        const item = items.value.find((candidate) => candidate.field === field)
+        if (!item?.hideable) return
+        // The last shown column stays
+        if (item.visible && items.value.filter((candidate) => candidate.visible).length === 1) return
+        const hidden = fields((candidate) => !candidate.visible)
+        updateLayout({ hidden: item.visible ? [...hidden, field] : hidden.filter((name) => name !== field) })
+      },
+      onFreeze: (field) => {
+        const frozen = fields((item) => item.frozen)
+        updateLayout({ frozen: frozen.includes(field) ? frozen.filter((name) => name !== field) : [...frozen, field] })
+      },
+      onMove: (field, to) => {
+        const order = fields(() => true)
+        const from = order.indexOf(field)
+        if (from < 0 || from === to) return
+        updateLayout({ order: move(order, from, to) })
+      },
+      onReorder: (dragIndex, dropIndex) => {
+        const shown = columns.value.map((col) => col.field)
+        if (dragIndex < 0 || dragIndex >= shown.length || dragIndex === dropIndex) return
+        // Dropped past the last column (actions, selection): last
+        const reordered = move(shown, dragIndex, Math.min(dropIndex, shown.length - 1))
+        updateLayout({ order: [...reordered, ...fields((item) => !shown.includes(item.field))] })
+      },
+      onResize: (field, width) => {
+        if (!(width > 0)) return
+        updateLayout({ widths: { ...columnLayout.value.widths, [field]: Math.round(width) } })
+      },
+      onReset: resetColumnLayout,
+    }
+  }
+
+  return {
+    columnLayout,
+    columns,
+    visibleColumns,
+    setVisibleColumns,
+    resetColumnLayout,
+    createChooser,
+  }
+}
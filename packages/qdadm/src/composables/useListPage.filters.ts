@@ -5,10 +5,19 @@
  * the three option-source modes (optionsEntity / optionsEndpoint /
  * optionsFromCache), session persistence, URL sync and registry auto-load.
  * useListPage composes it back in; behavior is unchanged.
+ *
+ * The advanced filter (a FilterGroup of AND/OR rules) lives here too: it is
+ * persisted with the filters (`_where`) and synced to the `where` URL param.
  */
 import { ref, computed, type Ref, type ComputedRef } from 'vue'
 import type { RouteLocationNormalizedLoaded, Router } from 'vue-router'
 import { FilterQuery, type QueryOrchestratorLike } from '../query/FilterQuery'
+import {
+  countFilterRules,
+  decodeFilterGroup,
+  encodeFilterGroup,
+  type FilterGroup,
+} from '../query/filterGroup'
 import type { FilterConfig, SearchConfig } from './useListPage.types'
 import {
   SMART_FILTER_THRESHOLD,
@@ -33,8 +42,10 @@ export interface UseListFiltersDeps {
   searchQuery: Ref<string>
   route: RouteLocationNormalizedLoaded
   router: Router
-  /** Session-restored filter values (already stripped of _search). */
+  /** Session-restored filter values (already stripped of _search and _where). */
   savedFilters: Record<string, unknown> | null
+  /** Session-restored advanced filter. */
+  savedAdvancedFilter: FilterGroup | null
   persistFilters: boolean
   syncUrlParams: boolean
   autoLoadFilters: boolean
@@ -50,11 +61,14 @@ export interface UseListFiltersDeps {
 export interface UseListFiltersReturn {
   filtersMap: Ref<Map<string, FilterConfig>>
   filterValues: Ref<Record<string, unknown>>
+  /** Applied advanced filter (null: none) */
+  advancedFilter: Ref<FilterGroup | null>
   filters: ComputedRef<FilterConfig[]>
   hasActiveFilters: ComputedRef<boolean>
   addFilter: (name: string, filterConfig: Omit<FilterConfig, 'name'>) => void
   removeFilter: (name: string) => void
   setFilterValue: (name: string, value: unknown) => void
+  setAdvancedFilter: (group: FilterGroup | null) => void
   updateFilters: (newValues: Record<string, unknown>) => void
   onFiltersChanged: () => void
   clearFilters: () => void
@@ -76,6 +90,7 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
     route,
     router,
     savedFilters,
+    savedAdvancedFilter,
     persistFilters,
     syncUrlParams,
     autoLoadFilters,
@@ -88,6 +103,7 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
 
   const filtersMap = ref<Map<string, FilterConfig>>(new Map())
   const filterValues = ref<Record<string, unknown>>(savedFilters || {})
+  const advancedFilter = ref<FilterGroup | null>(savedAdvancedFilter) as Ref<FilterGroup | null>
 
   function addFilter(name: string, filterConfig: Omit<FilterConfig, 'name'>): void {
     filtersMap.value.set(name, {
@@ -110,6 +126,14 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
     filterValues.value = { ...filterValues.value, [name]: value }
   }
 
+  /**
+   * Apply an advanced filter (null or an empty group removes it)
+   */
+  function setAdvancedFilter(group: FilterGroup | null): void {
+    advancedFilter.value = countFilterRules(group) > 0 ? group : null
+    onFiltersChanged()
+  }
+
   function updateFilters(newValues: Record<string, unknown>): void {
     filterValues.value = { ...filterValues.value, ...newValues }
     onFiltersChanged()
@@ -134,6 +158,9 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
       if (searchQuery.value) {
         toPersist._search = searchQuery.value
       }
+      if (advancedFilter.value) {
+        toPersist._where = advancedFilter.value
+      }
       setSessionFilters(filterSessionKey, toPersist)
     }
     if (syncUrlParams) {
@@ -150,6 +177,13 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
       } else {
         delete query.search
       }
+      if (advancedFilter.value) {
+        query.where = encodeFilterGroup(advancedFilter.value)
+      } else {
+        delete query.where
+      }
+      // A shared view link (`view`) is applied once, the filters take over
+      delete query.view
       router.replace({ query })
     }
   }
@@ -161,6 +195,7 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
     }
     filterValues.value = cleared
     searchQuery.value = ''
+    advancedFilter.value = null
     if (persistFilters) {
       clearSessionFilters(filterSessionKey)
     }
@@ -170,6 +205,8 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
         delete query[key]
       }
       delete query.search
+      delete query.where
+      delete query.view
       router.replace({ query })
     }
     page.value = 1
@@ -195,7 +232,7 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
    * Useful to show a "clear filters" button only when needed
    */
   const hasActiveFilters = computed(() => {
-    if (searchQuery.value) return true
+    if (searchQuery.value || advancedFilter.value) return true
     for (const [name, filterDef] of filtersMap.value.entries()) {
       const currentValue = filterValues.value[name]
       const defaultValue = filterDef.default ?? null
@@ -399,16 +436,22 @@ export function useListFilters(deps: UseListFiltersDeps): UseListFiltersReturn {
     if (route.query.search) {
       searchQuery.value = route.query.search as string
     }
+    if (typeof route.query.where === 'string') {
+      const group = decodeFilterGroup(route.query.where)
+      advancedFilter.value = countFilterRules(group) > 0 ? group : null
+    }
   }
 
   return {
     filtersMap,
     filterValues,
+    advancedFilter,
     filters,
     hasActiveFilters,
     addFilter,
     removeFilter,
     setFilterValue,
+    setAdvancedFilter,
     updateFilters,
     onFiltersChanged,
     clearFilters,
@@ -0,0 +1,422 @@
+/**
+ * useListImport — the import wizard of useListPage (addImportAction).
+ *
+ * Owns the ImportDialog state: the parsed file, the column mapping, the
+ * validation preview and the run. Values are checked like the form page
+ * does (required, type validators) plus each field's `validator`. Rows are
+ * written with createMany()/patchMany(), so the entity hooks and signals
+ * fire per row, and a failing row never stops the others.
+ */
+import { ref, computed, type Ref, type ComputedRef } from 'vue'
+import { TYPE_VALIDATORS, isEmpty, snakeCaseToTitle } from './useEntityItemFormPage.types'
+import { parseImportFile, autoMapColumns, coerceImportValue } from '../utils/import'
+
+/**
+ * - `create`: every row is created
+ * - `upsert`: rows matching an existing record by key update it, the others are created
+ * - `update`: rows matching an existing record by key update it, the others fail
+ */
+export type ImportMode = 'create' | 'upsert' | 'update'
+
+export const IMPORT_MODES: readonly ImportMode[] = ['create', 'upsert', 'update']
+
+// Key values looked up per list() call in upsert/update modes
+const LOOKUP_CHUNK = 100
+
+/**
+ * Field a column can be mapped to
+ */
+export interface ImportTarget {
+  name: string
+  label: string
+}
+
+/**
+ * Row of the preview: the mapped record and its validation errors by field
+ */
+export interface ImportPreviewRow {
+  /** 1-based row of the file */
+  row: number
+  record: Record<string, unknown>
+  errors: Record<string, string>
+}
+
+/**
+ * Outcome of one row
+ */
+export interface ImportRowResult {
+  row: number
+  action: 'create' | 'update' | null
+  ok: boolean
+  id: string | number | null
+  error: string | null
+}
+
+export interface ImportReport {
+  created: number
+  updated: number
+  failed: number
+  results: ImportRowResult[]
+}
+
+/**
+ * Import action options
+ */
+export interface ImportActionOptions {
+  /** Modes offered (default: create, upsert, update) */
+  modes?: ImportMode[]
+  /** Field matching existing records in upsert/update modes (default: the id field) */
+  key?: string
+  /** Importable fields (default: the form fields, read-only and computed ones excluded) */
+  fields?: string[]
+  label?: string
+  icon?: string
+}
+
+/**
+ * Import dialog state (addImportAction - rendered by ListPage)
+ */
+export interface ImportDialogState {
+  visible: Ref<boolean>
+  /** Wizard step: 1 file, 2 mapping, 3 preview, 4 report */
+  step: Ref<number>
+  fileName: Ref<string | null>
+  /** File that does not parse, or import that could not run */
+  error: Ref<string | null>
+  /** Source columns of the file */
+  columns: Ref<string[]>
+  rows: Ref<Array<Record<string, unknown>>>
+  targets: ComputedRef<ImportTarget[]>
+  /** Source column → field (null: ignored) */
+  mapping: Ref<Record<string, string | null>>
+  modes: ImportMode[]
+  mode: Ref<ImportMode>
+  key: Ref<string>
+  preview: ComputedRef<ImportPreviewRow[]>
+  validCount: ComputedRef<number>
+  importing: Ref<boolean>
+  report: Ref<ImportReport | null>
+  /** Parse a file's text; the mapping starts from the matching field names */
+  onLoad: (name: string, text: string) => void
+  onStep: (step: number) => void
+  onMap: (column: string, field: string | null) => void
+  onMode: (mode: ImportMode) => void
+  onKey: (key: string) => void
+  /** Write the valid rows, then show the report */
+  onRun: () => Promise<void>
+  onCancel: () => void
+}
+
+/** Shape of a createMany()/patchMany() result the report is built from. */
+interface BatchResultLike {
+  results: Array<{ index: number; id: string | number | null; ok: boolean; record?: unknown; error?: unknown }>
+}
+
+/** Manager members the import relies on. */
+export interface ImportManager {
+  idField: string
+  getFieldConfig: (name: string) => unknown | null
+  getFormFields?: () => Array<{ name: string; [key: string]: unknown }>
+  canWriteField?: (field: string) => boolean
+  list: (params?: unknown, context?: unknown) => Promise<{ items: unknown[] }>
+  createMany: (records: Array<Record<string, unknown>>) => Promise<unknown>
+  patchMany: (items: Array<{ id: string | number; data: Record<string, unknown> }>) => Promise<unknown>
+}
+
+/** Dependencies injected by useListPage. */
+export interface UseListImportDeps {
+  manager: ImportManager
+  options: ImportActionOptions
+  /** Routing context of the list (parent chain) */
+  context: () => unknown
+  /** Reload the list once rows were written */
+  reload: () => void
+}
+
+interface FieldSchema {
+  type?: string
+  label?: string
+  required?: boolean
+  validator?: (value: unknown) => boolean | string
+}
+
+function errorMessage(error: unknown): string {
+  const err = error as { response?: { data?: { detail?: string; message?: string } }; message?: string }
+  return err?.response?.data?.detail || err?.response?.data?.message || err?.message || String(error)
+}
+
+export function useListImport(deps: UseListImportDeps): ImportDialogState {
+  const { manager, options, context, reload } = deps
+  const { modes = [...IMPORT_MODES], fields } = options
+
+  const visible = ref(false)
+  const step = ref(1)
+  const fileName = ref<string | null>(null)
+  const error = ref<string | null>(null)
+  const columns = ref<string[]>([])
+  const rows = ref<Array<Record<string, unknown>>>([])
+  const mapping = ref<Record<string, string | null>>({})
+  const mode = ref<ImportMode>(modes[0] ?? 'create')
+  const key = ref(options.key ?? manager.idField)
+  const importing = ref(false)
+  const report = ref<ImportReport | null>(null)
+
+  const schema = (name: string): FieldSchema => (manager.getFieldConfig(name) as FieldSchema | null) ?? {}
+  const labelOf = (name: string): string => schema(name).label || snakeCaseToTitle(name)
+
+  // Writable fields, plus the id field to match existing records on
+  const targets = computed<ImportTarget[]>(() => {
+    const names =
+      fields ??
+      (manager.getFormFields?.() ?? [])
+        .filter((field) => !field.readonly)
+        .map((field) => field.name)
+    const writable = names.filter((name) => manager.canWriteField?.(name) ?? true)
+    if (!writable.includes(manager.idField)) writable.unshift(manager.idField)
+    return writable.map((name) => ({ name, label: labelOf(name) }))
+  })
+
+  /**
+   * Required (rows that may be created) → type validator → field validator
+   */
+  function validateValue(name: string, value: unknown, creating: boolean): string | null {
+    const config = schema(name)
+    const label = labelOf(name)
+    if (isEmpty(value)) {
+      return creating && config.required ? `${label} is required` : null
+    }
+
+    const type = config.type ?? 'text'
+    const typeValidator = TYPE_VALIDATORS[type]
+    if (typeValidator) {
+      const result = typeValidator(value)
+      if (result !== true) return result as string
+    }
+    if ((type === 'boolean' || type === 'checkbox') && typeof value !== 'boolean') {
+      return `${label} must be true or false`
+    }
+
+    if (typeof config.validator === 'function') {
+      const result = config.validator(value)
+      if (result !== true && result !== undefined && result !== null) {
+        return typeof result === 'string' ? result : `${label} is invalid`
+      }
+    }
+    return null
+  }
+
+  const preview = computed<ImportPreviewRow[]>(() => {
+    const mapped = Object.entries(mapping.value).filter((entry): entry is [string, string] => !!entry[1])
+    const keyed = mode.value !== 'create'
+    return rows.value.map((source, i) => {
+      const record: Record<string, unknown> = {}
+      for (const [column, field] of mapped) {
+        record[field] = coerceImportValue(source[column], schema(field).type)
+      }
+
+      const errors: Record<string, string> = {}
+      // Rows without a key are created in upsert mode, fail in update mode
+      const hasKey = !isEmpty(record[key.value])
+      if (mode.value === 'update' && !hasKey) errors[key.value] = `${labelOf(key.value)} is required`
+      const creating = mode.value === 'create' || (mode.value === 'upsert' && !hasKey)
+      for (const target of targets.value) {
+        if (target.name === manager.idField && keyed) continue
+        if (errors[target.name]) continue
+        const error = validateValue(target.name, record[target.name], creating)
+        if (error) errors[target.name] = error
+      }
+      return { row: i + 1, record, errors }
+    })
+  })
+
+  const validCount = computed(() => preview.value.filter((row) => Object.keys(row.errors).length === 0).length)
+
+  function reset(): void {
+    step.value = 1
+    fileName.value = null
+    error.value = null
+    columns.value = []
+    rows.value = []
+    mapping.value = {}
+    report.value = null
+  }
+
+  function onLoad(name: string, text: string): void {
+    reset()
+    fileName.value = name
+    try {
+      const file = parseImportFile(name, text)
+      columns.value = file.columns
+      rows.value = file.rows
+      mapping.value = autoMapColumns(file.columns, targets.value)
+      if (file.rows.length === 0) error.value = 'The file has no rows'
+    } catch (err) {
+      error.value = errorMessage(err)
+    }
+  }
+
+  function onStep(value: number): void {
+    step.value = value
+  }
+
+  function onMap(column: string, field: string | null): void {
+    mapping.value = { ...mapping.value, [column]: field }
+  }
+
+  function onMode(value: ImportMode): void {
+    mode.value = value
+  }
+
+  function onKey(value: string): void {
+    key.value = value
+  }
+
+  /**
+   * Existing records by key value (as string) → their id
+   *
+   * Key values are looked up as typed, with an explicit `$in`. A key
+   * without type (e.g. an id field without schema) stays CSV text: it is
+   * also looked up as a number when it reads as one.
+   */
+  async function lookupExisting(values: unknown[]): Promise<Map<string, string | number>> {
+    const found = new Map<string, string | number>()
+    const untyped = !schema(key.value).type
+    const candidates = values.flatMap((value) =>
+      untyped && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? [value, Number(value)] : [value]
+    )
+    const unique = [...new Set(candidates)]
+    for (let i = 0; i < unique.length; i += LOOKUP_CHUNK) {
+      const chunk = unique.slice(i, i + LOOKUP_CHUNK)
+      const { items } = await manager.list(
+        { filters: { [key.value]: { $in: chunk } }, page: 1, page_size: chunk.length },
+        context()
+      )
+      for (const item of items as Array<Record<string, unknown>>) {
+        found.set(String(item[key.value]), item[manager.idField] as string | number)
+      }
+    }
+    return found
+  }
+
+  async function onRun(): Promise<void> {
+    if (importing.value) return
+    importing.value = true
+    const results: ImportRowResult[] = []
+    const fail = (row: number, action: ImportRowResult['action'], error: string): void => {
+      results.push({ row, action, ok: false, id: null, error })
+    }
+
+    try {
+      const toCreate: ImportPreviewRow[] = []
+      const toUpdate: Array<{ row: ImportPreviewRow; id: string | number }> = []
+      const valid: ImportPreviewRow[] = []
+      for (const row of preview.value) {
+        if (Object.keys(row.errors).length > 0) {
+          fail(row.row, null, Object.values(row.errors).join(', '))
+        } else {
+          valid.push(row)
+        }
+      }
+
+      if (mode.value === 'create') {
+        toCreate.push(...valid)
+      } else {
+        const keyed = valid.filter((row) => !isEmpty(row.record[key.value]))
+        const existing = await lookupExisting(keyed.map((row) => row.record[key.value]))
+        for (const row of valid) {
+          const id = isEmpty(row.record[key.value]) ? undefined : existing.get(String(row.record[key.value]))
+          if (id !== undefined) toUpdate.push({ row, id })
+          else if (mode.value === 'upsert') toCreate.push(row)
+          else fail(row.row, 'update', `No ${labelOf(key.value)} ${String(row.record[key.value])}`)
+        }
+      }
+
+      if (toCreate.length > 0) {
+        const created = (await manager.createMany(
+          toCreate.map(({ record }) => {
+            // The storage assigns ids, unless the file gives one
+            if (!isEmpty(record[manager.idField])) return record
+            const { [manager.idField]: _id, ...data } = record
+            void _id
+            return data
+          })
+        )) as BatchResultLike
+        for (const result of created.results) {
+          const row = toCreate[result.index]!.row
+          results.push({
+            row,
+            action: 'create',
+            ok: result.ok,
+            id: result.id ?? ((result.record as Record<string, unknown> | null)?.[manager.idField] as string | number | undefined) ?? null,
+            error: result.ok ? null : errorMessage(result.error),
+          })
+        }
+      }
+
+      if (toUpdate.length > 0) {
+        const updated = (await manager.patchMany(
+          toUpdate.map(({ row, id }) => {
+            const { [manager.idField]: _id, ...data } = row.record
+            void _id
+            return { id, data }
+          })
+        )) as BatchResultLike
+        for (const result of updated.results) {
+          const { row, id } = toUpdate[result.index]!
+          results.push({
+            row: row.row,
+            action: 'update',
+            ok: result.ok,
+            id,
+            error: result.ok ? null : errorMessage(result.error),
+          })
+        }
+      }
+
+      results.sort((a, b) => a.row - b.row)
+      report.value = {
+        created: results.filter((r) => r.ok && r.action === 'create').length,
+        updated: results.filter((r) => r.ok && r.action === 'update').length,
+        failed: results.filter((r) => !r.ok).length,
+        results,
+      }
+      step.value = 4
+      if (toCreate.length > 0 || toUpdate.length > 0) reload()
+    } catch (err) {
+      error.value = errorMessage(err)
+      console.error('Import error:', err)
+    } finally {
+      importing.value = false
+    }
+  }
+
+  function onCancel(): void {
+    visible.value = false
+    reset()
+  }
+
+  return {
+    visible,
+    step,
+    fileName,
+    error,
+    columns,
+    rows,
+    targets,
+    mapping,
+    modes,
+    mode,
+    key,
+    preview,
+    validCount,
+    importing,
+    report,
+    onLoad,
+    onStep,
+    onMap,
+    onMode,
+    onKey,
+    onRun,
+    onCancel,
+  }
+}
@@ -26,6 +26,7 @@ import {
   onUnmounted,
   inject,
   provide,
+  shallowRef,
   type Ref,
 } from 'vue'
 import { useRouter, useRoute } from 'vue-router'
@@ -36,6 +37,24 @@ import { useActiveStack } from '../chain/useActiveStack.js'
 import { useI18n } from '../i18n/useI18n'
 import { formatDateOnly } from '../utils/formatters'
 import { humanizeFieldName } from '../utils/humanize'
+import {
+  EXPORT_FORMATS,
+  exportBlob,
+  downloadExport,
+  type ExportColumn,
+  type ExportFormat,
+} from '../utils/export'
+import { QueryValidationError, type QueryObject } from '../query/QueryExecutor'
+import type { QuerySerializer } from '../query/serializers'
+import {
+  compileFilterGroup,
+  countFilterRules,
+  decodeFilterGroup,
+  filterFieldKind,
+  filterOperatorsFor,
+  mergeQueries,
+  type FilterGroup,
+} from '../query/filterGroup'
 
 // Import types from dedicated types file
 import type {
@@ -60,12 +79,19 @@ import type {
   ListPageEvents,
   CreateActionOptions,
   BulkStatusActionOptions,
+  ExportActionOptions,
+  ExportDialogState,
+  ExportProgress,
+  FilterBuilderField,
+  FilterBuilderOptions,
+  FilterBuilderState,
   UseListPageReturn,
 } from './useListPage.types'
 
 // Re-export public types
 export type {
   ColumnConfig,
+  ColumnLayout,
   FilterConfig,
   ActionConfig,
   ResolvedAction,
@@ -79,8 +105,23 @@ export type {
   ListPageEvents,
   CreateActionOptions,
   BulkStatusActionOptions,
+  ExportActionOptions,
+  ExportDialogState,
+  FilterBuilderField,
+  FilterBuilderOptions,
+  FilterBuilderState,
   UseListPageReturn,
 } from './useListPage.types'
+export type {
+  ImportMode,
+  ImportActionOptions,
+  ImportDialogState,
+  ImportPreviewRow,
+  ImportReport,
+  ImportRowResult,
+} from './useListPage.import'
+export type { ViewSwitcherOptions, ViewSwitcherState } from './useListPage.views'
+export type { ColumnChooserItem, ColumnChooserOptions, ColumnChooserState } from './useListPage.columns'
 
 // Stateless utilities (cookies, session storage, formatters, constants).
 import {
@@ -93,6 +134,10 @@ import {
 } from './useListPage.utils'
 import { useActionRegistry } from './useActionRegistry'
 import { useListFilters } from './useListPage.filters'
+import { useListImport, type ImportActionOptions, type ImportDialogState } from './useListPage.import'
+import { useListViews, type ViewSwitcherOptions, type ViewSwitcherState } from './useListPage.views'
+import { useColumnLayout, type ColumnChooserOptions, type ColumnChooserState } from './useListPage.columns'
+import { LocalStorageViewsProvider, type ListViewState } from '../views/ViewsProvider'
 import { useListAlterHooks } from './useListPage.alterHooks'
 import { useOrchestrator } from '../orchestrator/useOrchestrator.js'
 import { createOrchestratorToast } from './useOrchestratorToast'
@@ -101,6 +146,8 @@ import { createOrchestratorToast } from './useOrchestratorToast'
 // composables/index.ts) keep their import path.
 export { PAGE_SIZE_OPTIONS } from './useListPage.utils'
 
+// How long a row changed by a real-time push stays highlighted
+const SYNC_HIGHLIGHT_MS = 3000
 
 /**
  * Unified procedural builder for CRUD list pages
@@ -118,8 +165,13 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     loadOnMount = true,
     persistFilters = true,
     persistSort = true,
+    persistColumns = true,
     syncUrlParams = true,
     autoLoadFilters = true,
+    include = [],
+    refreshIntervalMs,
+    refreshOnFocus,
+    refreshOnReconnect,
     onBeforeLoad = null,
     onAfterLoad = null,
     transformResponse = null,
@@ -227,7 +279,11 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
   const savedSession = persistFilters ? getSessionFilters(filterSessionKey) : null
   const savedSearch = (savedSession?._search as string) || ''
   const savedFilters: Record<string, unknown> | null = savedSession ? { ...savedSession } : null
-  if (savedFilters) delete savedFilters._search
+  const savedAdvancedFilter = savedSession?._where ? decodeFilterGroup(savedSession._where) : null
+  if (savedFilters) {
+    delete savedFilters._search
+    delete savedFilters._where
+  }
 
   // ============ STATE ============
   const items = ref<T[]>([]) as Ref<T[]>
@@ -241,6 +297,17 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
   const totalRecords = ref(0)
   const rowsPerPageOptions = PAGE_SIZE_OPTIONS
 
+  // Unknown total (cursor APIs): prev/next paging instead of page numbers.
+  // `cursor` is the one sent for the current page, `cursorTrail` those of
+  // the pages before it (for storages that return no prevCursor).
+  const totalKnown = ref(true)
+  const hasMore = ref(false)
+  const cursorMode = computed(() => !totalKnown.value)
+  let cursor: string | null = null
+  let nextCursor: string | null = null
+  let prevCursor: string | null = null
+  const cursorTrail: Array<string | null> = []
+
   // Sorting — restored from the per-entity session (#1218), defaultSort as
   // fallback; same persistence discipline as filters/pageSize.
   const savedSort = persistSort ? getSessionSort(filterSessionKey) : null
@@ -378,7 +445,31 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     }
   }
 
-  const columns = computed(() => Array.from(columnsMap.value.values()))
+  // ============ COLUMN LAYOUT ============
+  // The user's order, hidden, pinned columns and widths, per entity and user.
+  // Columns of fields the user may not read (field permissions) are left out.
+  const layoutUser = orchestrator.entityAuthAdapter?.getCurrentUser?.() ?? null
+  const layoutOwner = layoutUser?.id ?? layoutUser?.username ?? null
+  const columnLayoutState = useColumnLayout({
+    columnsMap,
+    canReadField: (field) => canReadField(field),
+    storageKey: layoutOwner == null ? filterSessionKey : `${filterSessionKey}:${String(layoutOwner)}`,
+    persist: persistColumns,
+  })
+  const { columnLayout, columns, visibleColumns, setVisibleColumns, resetColumnLayout } = columnLayoutState
+
+  const columnChooser = shallowRef<ColumnChooserState | null>(null)
+
+  /**
+   * Column chooser: show, hide, pin and order the registered columns; the
+   * table also lets the user drag and resize them. Only for pages letting
+   * ListPage render the columns (no `#columns` slot).
+   */
+  function addColumnChooser(chooserConfig: ColumnChooserOptions = {}): ColumnChooserState {
+    const state = columnLayoutState.createChooser(chooserConfig)
+    columnChooser.value = state
+    return state
+  }
 
   // ============ HEADER ACTIONS ============
   const headerActionsMap = ref<Map<string, HeaderActionConfig>>(new Map())
@@ -423,6 +514,14 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     return manager.canDelete(row)
   }
 
+  /**
+   * Whether a field may be shown (field permissions) — template-bound
+   * columns use it in v-if: `<Column v-if="list.canReadField('salary')" ...>`
+   */
+  function canReadField(field: string): boolean {
+    return manager.canReadField?.(field) ?? true
+  }
+
   function getRowActions(row: unknown): ResolvedAction[] {
     return getActions(row)
   }
@@ -467,7 +566,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     const {
       statusField = 'status',
       idsField = 'ids',
-      bulkEndpoint = null,
+      bulkEndpoint = 'bulk/status',
       options = [],
       label = 'Change Status',
       icon = 'pi pi-sync',
@@ -494,17 +593,23 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
 
       updating.value = true
       try {
-        const ids = selected.value.map((item) => (item as Record<string, unknown>)[resolvedDataKey])
-        const bulkPath = bulkEndpoint || 'bulk/status'
-
-        const payload = {
-          [idsField]: ids,
-          [statusField]: selectedStatus.value,
-        }
-
-        const response = (await manager.request('PATCH', bulkPath, { data: payload })) as {
-          updated?: number
-          failed?: number
+        const ids = selected.value.map(
+          (item) => (item as Record<string, unknown>)[resolvedDataKey] as string | number
+        )
+
+        let response: { updated?: number; failed?: number }
+        if (bulkEndpoint) {
+          // Dedicated server endpoint: one PATCH with the ids and the new status
+          const payload = {
+            [idsField]: ids,
+            [statusField]: selectedStatus.value,
+          }
+          response = (await manager.request('PATCH', bulkEndpoint, { data: payload })) as typeof response
+        } else {
+          const result = await manager.patchMany(
+            ids.map((id) => ({ id, data: { [statusField]: selectedStatus.value } }))
+          )
+          response = { updated: result.succeeded.length, failed: result.failed.length }
         }
 
         if (response.updated && response.updated > 0) {
@@ -513,6 +618,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
             summary: 'Updated',
             detail: `${response.updated} ${response.updated > 1 ? entityNamePlural : entityName} updated`,
             life: 3000,
+            undo: !bulkEndpoint,
           })
         }
         if (response.failed && response.failed > 0) {
@@ -564,11 +670,370 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     }
   }
 
+  // ============ EXPORT ACTION ============
+
+  const exportDialog = shallowRef<ExportDialogState | null>(null)
+
+  /**
+   * Exported columns: the given fields, else the registered columns, else
+   * the manager's listable fields. Fields the user may not read are left out; headers
+   * and `body` formatters come from the registered columns.
+   */
+  function resolveExportColumns(fields?: string[]): ExportColumn[] {
+    let names = fields
+    if (!names) {
+      names =
+        columns.value.length > 0
+          ? columns.value.map((col) => col.field)
+          : (manager.getListFields?.() ?? []).map((f) => f.name)
+    }
+    return names
+      .filter((name) => canReadField(name))
+      .map((name) => {
+        const col = column(name)
+        return { field: name, header: col.header ?? name, body: col.body }
+      })
+  }
+
+  function addExportAction(exportConfig: ExportActionOptions = {}): ExportDialogState {
+    const {
+      formats = [...EXPORT_FORMATS],
+      columns: exportFields,
+      filename,
+      pageSize: exportPageSize = 500,
+      maxPages = 1000,
+      label = 'Export',
+      icon = 'pi pi-download',
+      onFile = downloadExport,
+    } = exportConfig
+
+    const visible = ref(false)
+    const format = ref<ExportFormat>(formats[0] ?? 'csv')
+    const exporting = ref(false)
+    const progress = ref<ExportProgress>({ loaded: 0, total: null })
+    let cancelled = false
+
+    addHeaderAction('export', {
+      label,
+      icon,
+      severity: 'secondary',
+      onClick: () => {
+        visible.value = true
+      },
+      loading: () => exporting.value,
+    })
+
+    /**
+     * Page through the current query (sort, search, filters) with manager.list().
+     * Stops on an empty page or one bringing no new row (storage ignoring
+     * paging), and fails past maxPages.
+     * @returns the rows, null when cancelled
+     */
+    async function fetchAll(): Promise<T[] | null> {
+      const query = buildQueryParams()
+      const rows: T[] = []
+      const seen = new Set<string>()
+      let pageNumber = 1
+      let pageCursor: string | null = null
+
+      while (!cancelled) {
+        if (pageNumber > maxPages) {
+          throw new Error(`Export stopped after ${maxPages} pages`)
+        }
+        let params: Record<string, unknown> = { ...query, page: pageNumber, page_size: exportPageSize }
+        if (pageCursor) params.cursor = pageCursor
+        if (onBeforeLoad) params = onBeforeLoad(params) || params
+
+        const response = (await manager.list(params, entityContext.value)) as ListResponse<T>
+        const data = transformResponse
+          ? transformResponse(response)
+          : { items: (response.items || []) as T[], total: response.total ?? null }
+        const fresh = data.items.filter((item) => {
+          const key = String((item as Record<string, unknown>)[resolvedDataKey])
+          if (seen.has(key)) return false
+          seen.add(key)
+          return true
+        })
+        rows.push(...applyLocalFilters(fresh))
+        progress.value = { loaded: progress.value.loaded + fresh.length, total: data.total ?? null }
+
+        pageCursor = response.nextCursor ?? null
+        const more = response.hasMore ?? (pageCursor !== null || data.items.length >= exportPageSize)
+        if (!more || fresh.length === 0) break
+        if (data.total !== null && data.total !== undefined && progress.value.loaded >= data.total) break
+        pageNumber++
+      }
+      return cancelled ? null : rows
+    }
+
+    async function onExport(): Promise<void> {
+      if (exporting.value) return
+      cancelled = false
+      exporting.value = true
+      progress.value = { loaded: 0, total: null }
+      try {
+        const rows = await fetchAll()
+        if (!rows) return
+
+        const blob = exportBlob(rows, resolveExportColumns(exportFields), format.value, {
+          sheetName: entityNamePlural,
+        })
+        const basename = filename ?? `${entity}-${new Date().toISOString().slice(0, 10)}`
+        onFile(blob, `${basename}.${format.value}`)
+        visible.value = false
+        toast.add({
+          severity: 'success',
+          summary: 'Exported',
+          detail: `${rows.length} ${rows.length === 1 ? entityName : entityNamePlural} exported`,
+          life: 3000,
+        })
+      } catch (error) {
+        toast.add({
+          severity: 'error',
+          summary: 'Error',
+          detail: `Failed to export ${entityNamePlural}`,
+          life: 5000,
+        })
+        console.error('Export error:', error)
+      } finally {
+        exporting.value = false
+      }
+    }
+
+    function onFormat(value: ExportFormat): void {
+      format.value = value
+    }
+
+    function onCancel(): void {
+      cancelled = true
+      visible.value = false
+    }
+
+    const state: ExportDialogState = {
+      visible,
+      formats,
+      format,
+      exporting,
+      progress,
+      onFormat,
+      onExport,
+      onCancel,
+    }
+    exportDialog.value = state
+    return state
+  }
+
+  // ============ IMPORT ACTION ============
+
+  const importDialog = shallowRef<ImportDialogState | null>(null)
+
+  function addImportAction(importConfig: ImportActionOptions = {}): ImportDialogState {
+    const { label = 'Import', icon = 'pi pi-upload' } = importConfig
+    const state = useListImport({
+      manager,
+      options: importConfig,
+      context: () => entityContext.value,
+      reload: () => loadItems({}, { force: true }),
+    })
+
+    addHeaderAction('import', {
+      label,
+      icon,
+      severity: 'secondary',
+      onClick: () => {
+        state.visible.value = true
+      },
+      visible: () => manager.canCreate() || manager.canUpdate(),
+      loading: () => state.importing.value,
+    })
+
+    importDialog.value = state
+    return state
+  }
+
+  // ============ FILTER BUILDER ============
+
+  const filterBuilder = shallowRef<FilterBuilderState | null>(null)
+
+  /**
+   * Filter builder panel: nested AND/OR rules over the entity fields, applied
+   * as `advancedFilter`. Fields default to the listable fields not marked
+   * `filterable: false`; the kind (operators, input) follows the field type.
+   */
+  function addFilterBuilder(builderConfig: FilterBuilderOptions = {}): FilterBuilderState {
+    const visible = ref(false)
+    const error = ref<string | null>(null)
+
+    const fields = computed((): FilterBuilderField[] => {
+      const names =
+        builderConfig.fields ??
+        (manager.getListFields?.() ?? [])
+          .filter((field) => (field as { filterable?: boolean }).filterable !== false)
+          .map((field) => field.name)
+      return names
+        .filter((name) => canReadField(name))
+        .map((name) => {
+          const config = (manager.getFieldConfig(name) ?? {}) as {
+            type?: string
+            label?: string
+            options?: Array<{ label: string; value: unknown }>
+          }
+          const kind = filterFieldKind(config.type, Boolean(config.options?.length))
+          return {
+            name,
+            label: config.label ?? column(name).header ?? name,
+            kind,
+            operators: filterOperatorsFor(kind),
+            ...(config.options ? { options: config.options } : {}),
+          }
+        })
+    })
+
+    // The storage's dialect (ApiStorage querySerializer) may not express every
+    // group: checked on apply rather than failing the list load
+    function unsupportedReason(group: FilterGroup): string | null {
+      const storage = (manager as { storage?: { querySerializer?: QuerySerializer } | null }).storage
+      const query = compileFilterGroup(group)
+      if (!query || typeof storage?.querySerializer !== 'function') return null
+      try {
+        storage.querySerializer(query)
+        return null
+      } catch (err) {
+        if (err instanceof QueryValidationError) return err.message
+        throw err
+      }
+    }
+
+    const state: FilterBuilderState = {
+      visible,
+      fields,
+      group: advancedFilter,
+      count: computed(() => countFilterRules(advancedFilter.value)),
+      error,
+      onOpen: () => {
+        error.value = null
+        visible.value = true
+      },
+      onApply: (group) => {
+        error.value = unsupportedReason(group)
+        if (error.value) return false
+        setAdvancedFilter(group)
+        visible.value = false
+        return true
+      },
+      onClear: () => {
+        error.value = null
+        visible.value = false
+        if (advancedFilter.value) setAdvancedFilter(null)
+      },
+      onCancel: () => {
+        error.value = null
+        visible.value = false
+      },
+    }
+
+    filterBuilder.value = state
+    return state
+  }
+
+  // ============ SAVED VIEWS ============
+
+  const viewSwitcher = shallowRef<ViewSwitcherState | null>(null)
+
+  function captureViewState(): ListViewState {
+    const values: Record<string, unknown> = {}
+    for (const [name, value] of Object.entries(filterValues.value)) {
+      if (value !== null && value !== undefined && value !== '') values[name] = value
+    }
+    return {
+      search: searchQuery.value,
+      filters: values,
+      where: advancedFilter.value,
+      sort: { field: sortField.value, order: sortOrder.value as 1 | -1 },
+      columns: visibleColumns.value,
+      pageSize: pageSize.value,
+    }
+  }
+
+  // Filters a view leaves out go back to their default; the page size stays
+  function applyViewState(state: ListViewState): void {
+    const values: Record<string, unknown> = {}
+    for (const [name, filterDef] of filtersMap.value.entries()) {
+      values[name] = filterDef.default ?? null
+    }
+    filterValues.value = { ...values, ...state.filters }
+    searchQuery.value = state.search ?? ''
+    advancedFilter.value = countFilterRules(state.where ?? null) > 0 ? (state.where ?? null) : null
+    sortField.value = state.sort ? state.sort.field : defaultSort
+    sortOrder.value = state.sort ? state.sort.order : defaultSortOrder
+    if (persistSort) {
+      setSessionSort(filterSessionKey, { field: sortField.value, order: sortOrder.value as 1 | -1 })
+    }
+    setVisibleColumns(state.columns ?? null)
+    if (state.pageSize && state.pageSize !== pageSize.value) {
+      pageSize.value = state.pageSize
+      persistPageSize(state.pageSize)
+    }
+    onFiltersChanged()
+  }
+
+  /**
+   * View switcher: named presets of the filters, search, advanced filter,
+   * sort, visible columns and page size, shareable by URL. Views come from
+   * the `views` option of the Kernel (orchestrator.viewsProvider), else this
+   * browser's localStorage.
+   */
+  function addViewSwitcher(switcherConfig: ViewSwitcherOptions = {}): ViewSwitcherState {
+    const state = useListViews({
+      entity: filterSessionKey,
+      provider: switcherConfig.provider ?? orchestrator.viewsProvider ?? new LocalStorageViewsProvider(),
+      auth: orchestrator.entityAuthAdapter,
+      options: switcherConfig,
+      route,
+      router,
+      toast,
+      capture: captureViewState,
+      apply: applyViewState,
+    })
+
+    viewSwitcher.value = state
+    return state
+  }
+
   // ============ CARDS ============
   const cardsMap = ref<Map<string, CardConfig>>(new Map())
 
+  // Aggregate-bound cards load with the first list load, then on data changes
+  let cardsLoaded = false
+
   function addCard(name: string, cardConfig: Omit<CardConfig, 'name'>): void {
     cardsMap.value.set(name, { name, ...cardConfig })
+    if (cardConfig.aggregate && cardsLoaded) {
+      void refreshCard(name)
+    }
+  }
+
+  async function refreshCard(name: string): Promise<void> {
+    const card = cardsMap.value.get(name)
+    if (!card?.aggregate || !manager?.aggregate) return
+    const { metric, ...params } = card.aggregate
+    try {
+      const { rows } = await manager.aggregate(params)
+      if (params.groupBy) {
+        updateCard(name, { rows })
+      } else {
+        const key = metric ?? Object.keys(params.metrics ?? { count: 'count' })[0]!
+        updateCard(name, { value: rows[0]?.[key] })
+      }
+    } catch (error) {
+      console.warn(`[qdadm] Failed to aggregate card "${name}":`, error)
+    }
+  }
+
+  async function refreshCards(): Promise<void> {
+    cardsLoaded = true
+    const bound = Array.from(cardsMap.value.values()).filter((card) => card.aggregate)
+    await Promise.all(bound.map((card) => refreshCard(card.name)))
   }
 
   function updateCard(name: string, cardConfig: Partial<CardConfig>): void {
@@ -597,6 +1062,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     route,
     router,
     savedFilters,
+    savedAdvancedFilter,
     persistFilters,
     syncUrlParams,
     autoLoadFilters,
@@ -609,11 +1075,13 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
   const {
     filtersMap,
     filterValues,
+    advancedFilter,
     filters,
     hasActiveFilters,
     addFilter,
     removeFilter,
     setFilterValue,
+    setAdvancedFilter,
     updateFilters,
     onFiltersChanged,
     clearFilters,
@@ -664,9 +1132,13 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
 
   // ============ CACHE MODE ============
   const fromCache = ref(false)
+  const stale = ref(false)
 
-  const filteredItems = computed(() => {
-    let result = [...items.value]
+  /**
+   * Apply the local_filter / local_search hooks to loaded rows
+   */
+  function applyLocalFilters(rows: T[]): T[] {
+    let result = [...rows]
 
     // local_filter: post-filter hack for edge cases
     for (const [name, value] of Object.entries(filterValues.value)) {
@@ -683,13 +1155,69 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     }
 
     return result
-  })
+  }
+
+  const filteredItems = computed(() => applyLocalFilters(items.value))
 
   const displayItems = computed(() => filteredItems.value)
 
   // ============ LOADING ============
   let filterOptionsLoaded = false
 
+  /**
+   * Query params of the current sort, search and filters (no paging)
+   */
+  function buildQueryParams(): Record<string, unknown> {
+    const params: Record<string, unknown> = {}
+    if (sortField.value) {
+      params.sort_by = sortField.value
+      params.sort_order = sortOrder.value === 1 ? 'asc' : 'desc'
+    }
+
+    if (searchQuery.value && typeof searchConfig.value.local_search !== 'function') {
+      params.search = searchQuery.value
+      if (searchConfig.value.fields && searchConfig.value.fields.length > 0) {
+        params.searchFields = searchConfig.value.fields
+      }
+    }
+
+    const filtersObj: Record<string, unknown> = {}
+    for (const [name, value] of Object.entries(filterValues.value)) {
+      if (value === null || value === undefined || value === '') continue
+      const filterDef = filtersMap.value.get(name)
+      if (typeof filterDef?.local_filter === 'function') continue
+
+      if (typeof filterDef?.toQuery === 'function') {
+        const query = filterDef.toQuery(value)
+        if (query && typeof query === 'object') {
+          Object.assign(filtersObj, query)
+        }
+      } else {
+        filtersObj[name] = value
+      }
+    }
+
+    if (parentConfigComputed.value?.foreignKey && parentConfigComputed.value?.param) {
+      const parentIdFromRoute = route.params[parentConfigComputed.value.param]
+      if (parentIdFromRoute) {
+        filtersObj[parentConfigComputed.value.foreignKey] = parentIdFromRoute
+      }
+    }
+
+    // Advanced filter: ANDed with the filter values
+    const advancedQuery = advancedFilter.value ? compileFilterGroup(advancedFilter.value) : null
+    const query = advancedQuery ? mergeQueries(filtersObj as QueryObject, advancedQuery) : filtersObj
+
+    if (Object.keys(query).length > 0) {
+      params.filters = query
+    }
+
+    if (include.length > 0) {
+      params.include = include
+    }
+    return params
+  }
+
   async function loadItems(
     extraParams: Record<string, unknown> = {},
     { force = false } = {}
@@ -712,46 +1240,17 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     try {
       let params: Record<string, unknown> = { ...extraParams }
 
+      // Back on page 1 (filters, search, sort, page size): cursors restart
+      if (page.value <= 1) {
+        cursor = null
+        cursorTrail.length = 0
+      }
       params.page = page.value
       params.page_size = pageSize.value
-      if (sortField.value) {
-        params.sort_by = sortField.value
-        params.sort_order = sortOrder.value === 1 ? 'asc' : 'desc'
-      }
-
-      if (searchQuery.value && typeof searchConfig.value.local_search !== 'function') {
-        params.search = searchQuery.value
-        if (searchConfig.value.fields && searchConfig.value.fields.length > 0) {
-          params.searchFields = searchConfig.value.fields
-        }
-      }
-
-      const filtersObj: Record<string, unknown> = {}
-      for (const [name, value] of Object.entries(filterValues.value)) {
-        if (value === null || value === undefined || value === '') continue
-        const filterDef = filtersMap.value.get(name)
-        if (typeof filterDef?.local_filter === 'function') continue
-
-        if (typeof filterDef?.toQuery === 'function') {
-          const query = filterDef.toQuery(value)
-          if (query && typeof query === 'object') {
-            Object.assign(filtersObj, query)
-          }
-        } else {
-          filtersObj[name] = value
-        }
-      }
-
-      if (parentConfigComputed.value?.foreignKey && parentConfigComputed.value?.param) {
-        const parentIdFromRoute = route.params[parentConfigComputed.value.param]
-        if (parentIdFromRoute) {
-          filtersObj[parentConfigComputed.value.foreignKey] = parentIdFromRoute
-        }
-      }
-
-      if (Object.keys(filtersObj).length > 0) {
-        params.filters = filtersObj
+      if (cursor) {
+        params.cursor = cursor
       }
+      Object.assign(params, buildQueryParams())
 
       if (onBeforeLoad) {
         params = onBeforeLoad(params) || params
@@ -762,23 +1261,37 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
         : await manager.list(params, entityContext.value)
 
       fromCache.value = response.fromCache || false
+      stale.value = response.stale === true
 
-      let processedData: { items: T[]; total: number }
+      let processedData: { items: T[]; total: number | null }
       if (transformResponse) {
         processedData = transformResponse(response as ListResponse<T>)
       } else {
         processedData = {
           items: (response.items || []) as T[],
-          total: response.total || response.items?.length || 0,
+          total: response.total ?? null,
         }
       }
 
       items.value = processedData.items
-      totalRecords.value = processedData.total
+      const cursors = response as ListResponse<T>
+      nextCursor = cursors.nextCursor ?? null
+      prevCursor = cursors.prevCursor ?? null
+      hasMore.value =
+        cursors.hasMore ?? (nextCursor !== null || processedData.items.length >= pageSize.value)
+      totalKnown.value = processedData.total !== null && processedData.total !== undefined
+      // Unknown total: count what has been paged through so far
+      totalRecords.value = totalKnown.value
+        ? (processedData.total as number)
+        : (page.value - 1) * pageSize.value + processedData.items.length
 
       if (onAfterLoad) {
         onAfterLoad(response as ListResponse<T>, processedData)
       }
+
+      if (force || !cardsLoaded) {
+        void refreshCards()
+      }
     } catch (error) {
       toast.add({
         severity: 'error',
@@ -793,9 +1306,100 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     }
   }
 
+  // ============ BACKGROUND REFRESH ============
+  // Polling, focus and reconnect revalidate the list cache, then reload the
+  // page. A refresh the manager finished on its own (stale-while-revalidate)
+  // arrives as `entity:cache-refreshed`.
+  const refreshPolicy = {
+    intervalMs: refreshIntervalMs ?? manager?.refreshIntervalMs ?? 0,
+    onFocus: refreshOnFocus ?? manager?.refreshOnFocus ?? false,
+    onReconnect: refreshOnReconnect ?? manager?.refreshOnReconnect ?? false,
+  }
+  let revalidating = false
+  let refreshTimer: ReturnType<typeof setInterval> | null = null
+  let unbindCacheRefreshed: (() => void) | null = null
+  let unbindSynced: (() => void) | null = null
+
+  // Rows changed by a real-time push, highlighted for a moment
+  const highlighted = ref<string[]>([])
+  const highlightTimers = new Map<string, ReturnType<typeof setTimeout>>()
+
+  function highlightRow(id: string | number): void {
+    const key = String(id)
+    clearTimeout(highlightTimers.get(key))
+    if (!highlighted.value.includes(key)) highlighted.value = [...highlighted.value, key]
+    highlightTimers.set(
+      key,
+      setTimeout(() => {
+        highlightTimers.delete(key)
+        highlighted.value = highlighted.value.filter((k) => k !== key)
+      }, SYNC_HIGHLIGHT_MS)
+    )
+  }
+
+  async function revalidate(): Promise<void> {
+    if (!manager || revalidating) return
+    revalidating = true
+    try {
+      await manager.revalidate?.()
+    } finally {
+      revalidating = false
+    }
+    await loadItems()
+  }
+
+  function onRefreshEvent(): void {
+    void revalidate()
+  }
+
+  function startBackgroundRefresh(): void {
+    unbindCacheRefreshed =
+      orchestrator.signals?.on('entity:cache-refreshed', (event: { name: string; data: unknown }) => {
+        const { entity: refreshed } = (event.data || {}) as { entity?: string }
+        if (refreshed === entity && !revalidating) void loadItems()
+      }) ?? null
+    // Real-time sync: the manager cache is already patched, re-read the page
+    unbindSynced =
+      orchestrator.signals?.on('entity:synced', (event: { name: string; data: unknown }) => {
+        const { entity: synced, op, id } = (event.data || {}) as { entity?: string; op?: string; id?: string | number }
+        if (synced !== entity) return
+        if (op !== 'delete' && id != null) highlightRow(id)
+        void loadItems()
+      }) ?? null
+    if (refreshPolicy.intervalMs > 0) {
+      refreshTimer = setInterval(onRefreshEvent, refreshPolicy.intervalMs)
+    }
+    if (refreshPolicy.onFocus) window.addEventListener('focus', onRefreshEvent)
+    if (refreshPolicy.onReconnect) window.addEventListener('online', onRefreshEvent)
+  }
+
+  function stopBackgroundRefresh(): void {
+    unbindCacheRefreshed?.()
+    unbindSynced?.()
+    for (const timer of highlightTimers.values()) clearTimeout(timer)
+    highlightTimers.clear()
+    if (refreshTimer) clearInterval(refreshTimer)
+    window.removeEventListener('focus', onRefreshEvent)
+    window.removeEventListener('online', onRefreshEvent)
+  }
+
   // ============ PAGINATION & SORTING ============
   function onPage(event: { page: number; rows: number }): void {
-    page.value = event.page + 1
+    let target = event.page + 1
+    if (cursorMode.value) {
+      // Cursor pages are walked one step at a time; any jump restarts at page 1
+      if (event.rows !== pageSize.value || Math.abs(target - page.value) !== 1) {
+        target = 1
+      } else if (target > page.value) {
+        if (!hasMore.value) return
+        cursorTrail.push(cursor)
+        cursor = nextCursor
+      } else {
+        const previous = cursorTrail.pop() ?? null
+        cursor = prevCursor ?? previous
+      }
+    }
+    page.value = target
     pageSize.value = event.rows
     persistPageSize(event.rows)
     loadItems()
@@ -819,9 +1423,28 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
         order: sortOrder.value as 1 | -1,
       })
     }
+    // Cursors are bound to the sort they were issued for
+    if (cursorMode.value) {
+      page.value = 1
+    }
     loadItems()
   }
 
+  /**
+   * Next page (cursor mode: follows nextCursor)
+   */
+  function nextPage(): void {
+    onPage({ page: page.value, rows: pageSize.value })
+  }
+
+  /**
+   * Previous page (cursor mode: prevCursor, else the cursor the page was reached with)
+   */
+  function prevPage(): void {
+    if (page.value <= 1) return
+    onPage({ page: page.value - 2, rows: pageSize.value })
+  }
+
   // ============ NAVIGATION ============
 
   function findCreateRoute(): { name: string; params?: Record<string, unknown> } {
@@ -912,6 +1535,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
         summary: 'Deleted',
         detail: `${entityName} "${itemRecord[labelField] || itemRecord[resolvedDataKey]}" deleted`,
         life: 3000,
+        undo: true,
       })
       loadItems({}, { force: true })
     } catch (error) {
@@ -942,17 +1566,17 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
 
   async function bulkDelete(): Promise<void> {
     deleting.value = true
+    const ids = selected.value.map(
+      (item) => (item as Record<string, unknown>)[resolvedDataKey] as string | number
+    )
     let successCount = 0
     let errorCount = 0
-
-    for (const item of [...selected.value]) {
-      try {
-        const itemRecord = item as Record<string, unknown>
-        await manager.delete(itemRecord[resolvedDataKey] as string | number)
-        successCount++
-      } catch {
-        errorCount++
-      }
+    try {
+      const result = await manager.deleteMany(ids)
+      successCount = result.succeeded.length
+      errorCount = result.failed.length
+    } catch {
+      errorCount = ids.length
     }
 
     deleting.value = false
@@ -964,6 +1588,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
         summary: 'Deleted',
         detail: `${successCount} ${successCount > 1 ? entityNamePlural : entityName} deleted`,
         life: 3000,
+        undo: true,
       })
     }
     if (errorCount > 0) {
@@ -1028,6 +1653,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
 
   onMounted(async () => {
     window.addEventListener('resize', handleResize)
+    startBackgroundRefresh()
 
     restoreFilters()
 
@@ -1045,6 +1671,7 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
 
   onUnmounted(() => {
     window.removeEventListener('resize', handleResize)
+    stopBackgroundRefresh()
   })
 
   // ============ UTILITIES ============
@@ -1125,6 +1752,9 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     totalRecords: totalRecords.value,
     rows: pageSize.value,
     rowsPerPageOptions,
+    cursorPagination: cursorMode.value,
+    page: page.value,
+    hasMore: hasMore.value,
     sortField: sortField.value,
     sortOrder: sortOrder.value,
     searchQuery: searchQuery.value,
@@ -1134,6 +1764,12 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     isFilterAtDefault,
     getActions,
     hasRowTapAction: hasRowTapAction.value,
+    highlighted: highlighted.value,
+    exportDialog: exportDialog.value,
+    importDialog: importDialog.value,
+    filterBuilder: filterBuilder.value,
+    viewSwitcher: viewSwitcher.value,
+    columnChooser: columnChooser.value,
   }))
 
   const listEvents: ListPageEvents = {
@@ -1173,10 +1809,14 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     pageSize,
     totalRecords,
     rowsPerPageOptions,
+    cursorMode,
+    hasMore,
     sortField,
     sortOrder,
     onPage,
     onSort,
+    nextPage,
+    prevPage,
 
     // Search
     searchQuery,
@@ -1189,6 +1829,11 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     addColumn,
     removeColumn,
     updateColumn,
+    columnLayout,
+    visibleColumns,
+    setVisibleColumns,
+    resetColumnLayout,
+    addColumnChooser,
 
     // Header Actions
     headerActions,
@@ -1198,6 +1843,9 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     addCreateAction,
     addBulkDeleteAction,
     addBulkStatusAction,
+    addExportAction,
+    addImportAction,
+    addViewSwitcher,
     hasBulkActions,
 
     // Cards
@@ -1205,16 +1853,21 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     addCard,
     updateCard,
     removeCard,
+    refreshCards,
 
     // Filters
     filters,
     filterValues,
+    advancedFilter,
     filteredItems,
     fromCache,
+    stale,
     addFilter,
     removeFilter,
     setFilterValue,
     updateFilters,
+    setAdvancedFilter,
+    addFilterBuilder,
     clearFilters,
     isFilterAtDefault,
     hasActiveFilters,
@@ -1236,9 +1889,12 @@ export function useListPage<T = unknown>(config: UseListPageOptions<T>): UseList
     canDelete,
     canEditRow,
     canDeleteRow,
+    canReadField,
 
     // Data
     loadItems,
+    revalidate,
+    highlighted,
 
     // Navigation
     goToCreate,
@@ -6,8 +6,14 @@
 import type { Ref, ComputedRef } from 'vue'
 import type { Router } from 'vue-router'
 import type { FilterQuery } from '../query/FilterQuery'
+import type { AggregateParams } from '../types'
 import type { ParentConfig, UseEntityItemPageReturn } from './useEntityItemPage.js'
 import type { EntityManagerRead, OrchestratorLike } from '../entity/EntityManager.interface'
+import type { ExportFormat } from '../utils/export'
+import type { FilterFieldKind, FilterGroup, FilterOperator } from '../query/filterGroup'
+import type { ImportActionOptions, ImportDialogState } from './useListPage.import'
+import type { ViewSwitcherOptions, ViewSwitcherState } from './useListPage.views'
+import type { ColumnChooserOptions, ColumnChooserState } from './useListPage.columns'
 
 /**
  * Entity manager interface for list pages (re-export for convenience)
@@ -19,8 +25,13 @@ export type EntityManager = EntityManagerRead
  */
 export interface ListResponse<T = unknown> {
   items: T[]
-  total?: number
+  total?: number | null
+  nextCursor?: string | null
+  prevCursor?: string | null
+  hasMore?: boolean
   fromCache?: boolean
+  /** Served from an expired cache being refreshed */
+  stale?: boolean
   [key: string]: unknown
 }
 
@@ -40,6 +51,7 @@ export interface ToastHelper {
     detail?: string
     emitter?: unknown
     life?: number
+    undo?: boolean
   }) => void
 }
 
@@ -69,10 +81,35 @@ export interface ColumnConfig {
   header?: string
   sortable?: boolean
   style?: string
+  /** CSS width (a width the user resized the column to wins) */
+  width?: string
+  /** Pinned to the left while scrolling (the user can pin and unpin) */
+  frozen?: boolean
+  /** Hidden until the user shows it in the column chooser */
+  hidden?: boolean
+  /** false: the column chooser cannot hide it */
+  hideable?: boolean
   body?: (row: unknown) => unknown
   [key: string]: unknown
 }
 
+/**
+ * User layout of the list columns, kept per entity and user
+ *
+ * Only what the user changed: columns it does not name keep the registered
+ * order (after the named ones) and their own `hidden` / `frozen`.
+ */
+export interface ColumnLayout {
+  /** Fields in order */
+  order: string[]
+  /** Hidden fields (undefined: the `hidden` of each column) */
+  hidden?: string[]
+  /** Frozen fields (undefined: the `frozen` of each column) */
+  frozen?: string[]
+  /** Widths in pixels by field */
+  widths: Record<string, number>
+}
+
 /**
  * Filter configuration
  */
@@ -156,11 +193,24 @@ export interface ResolvedHeaderAction extends HeaderActionConfig {
   isLoading: boolean
 }
 
+/**
+ * Aggregate a card is bound to (manager.aggregate() params)
+ */
+export interface CardAggregate extends AggregateParams {
+  /** Metric shown as the card value (default: the first one) */
+  metric?: string
+}
+
 /**
  * Card configuration
  */
 export interface CardConfig {
   name: string
+  /**
+   * Bind the card to an aggregate, refreshed on the first load and after
+   * data changes: `value` gets the metric (no groupBy), `rows` the groups
+   */
+  aggregate?: CardAggregate
   [key: string]: unknown
 }
 
@@ -195,6 +245,62 @@ export interface BulkStatusActionReturn {
   setOptions: (options: Array<{ label: string; value: unknown }>) => void
 }
 
+/**
+ * Export progress: rows fetched so far, of `total` (null when unknown)
+ */
+export interface ExportProgress {
+  loaded: number
+  total: number | null
+}
+
+/**
+ * Export dialog state (addExportAction - rendered by ListPage)
+ */
+export interface ExportDialogState {
+  visible: Ref<boolean>
+  formats: ExportFormat[]
+  format: Ref<ExportFormat>
+  exporting: Ref<boolean>
+  progress: Ref<ExportProgress>
+  onFormat: (format: ExportFormat) => void
+  /** Fetch every page of the current query, then download the file */
+  onExport: () => Promise<void>
+  /** Close the dialog, stopping a running export after the current page */
+  onCancel: () => void
+}
+
+/**
+ * Field offered by the filter builder
+ */
+export interface FilterBuilderField {
+  name: string
+  label: string
+  kind: FilterFieldKind
+  /** Operators for the kind, the first being the default */
+  operators: FilterOperator[]
+  /** Values of a select field */
+  options?: Array<{ label: string; value: unknown }>
+}
+
+/**
+ * Filter builder state (addFilterBuilder - rendered by ListPage in the filter bar)
+ */
+export interface FilterBuilderState {
+  visible: Ref<boolean>
+  fields: ComputedRef<FilterBuilderField[]>
+  /** Applied group (null: no advanced filter) */
+  group: Ref<FilterGroup | null>
+  /** Rules of the applied group */
+  count: ComputedRef<number>
+  /** Why the last group could not be applied (storage dialect) */
+  error: Ref<string | null>
+  onOpen: () => void
+  /** Apply a group: false (and `error`) when the storage cannot express it */
+  onApply: (group: FilterGroup) => boolean
+  onClear: () => void
+  onCancel: () => void
+}
+
 /**
  * Axios-like error interface
  */
@@ -229,6 +335,8 @@ export interface UseListPageOptions<T = unknown> {
   persistFilters?: boolean
   /** Persist the active sort per entity (session storage), restored on init (#1218). Default true. */
   persistSort?: boolean
+  /** Keep the column layout (order, hidden, pinned, widths) per entity and user in localStorage. Default true. */
+  persistColumns?: boolean
   /** Sync filters to URL query params (default: true) */
   syncUrlParams?: boolean
   /** Filter mode: 'auto' | 'manager' | 'local' */
@@ -237,12 +345,20 @@ export interface UseListPageOptions<T = unknown> {
   autoFilterThreshold?: number
   /** Auto-load filters from registry (default: true) */
   autoLoadFilters?: boolean
+  /** Related records embedded in each row (ListParams.include), so columns can show 'author.name' */
+  include?: string[]
+  /** Background refresh every N ms while mounted (default: manager.refreshIntervalMs, 0=off) */
+  refreshIntervalMs?: number
+  /** Background refresh when the window regains focus (default: manager.refreshOnFocus) */
+  refreshOnFocus?: boolean
+  /** Background refresh when the browser comes back online (default: manager.refreshOnReconnect) */
+  refreshOnReconnect?: boolean
   /** Callback before load */
   onBeforeLoad?: ((params: Record<string, unknown>) => Record<string, unknown> | void) | null
   /** Callback after load */
-  onAfterLoad?: ((response: ListResponse<T>, processedData: { items: T[]; total: number }) => void) | null
-  /** Transform response */
-  transformResponse?: ((response: ListResponse<T>) => { items: T[]; total: number }) | null
+  onAfterLoad?: ((response: ListResponse<T>, processedData: { items: T[]; total: number | null }) => void) | null
+  /** Transform response (total null: unknown, the list pages with prev/next) */
+  transformResponse?: ((response: ListResponse<T>) => { items: T[]; total: number | null }) | null
   /** Override manager.entityName */
   entityName?: string
   /** Override manager.labelPlural */
@@ -271,6 +387,10 @@ export interface ListPageProps {
   totalRecords: number
   rows: number
   rowsPerPageOptions: number[]
+  /** Total unknown: prev/next paginator instead of page numbers */
+  cursorPagination: boolean
+  page: number
+  hasMore: boolean
   sortField: string | null
   sortOrder: number
   searchQuery: string
@@ -280,6 +400,18 @@ export interface ListPageProps {
   isFilterAtDefault: (name: string) => boolean
   getActions: (row: unknown) => ResolvedAction[]
   hasRowTapAction: boolean
+  /** Keys of the rows changed by a real-time push, highlighted for a moment */
+  highlighted: string[]
+  /** Export dialog state (addExportAction), null without export */
+  exportDialog: ExportDialogState | null
+  /** Import wizard state (addImportAction), null without import */
+  importDialog: ImportDialogState | null
+  /** Filter builder state (addFilterBuilder), null without builder */
+  filterBuilder: FilterBuilderState | null
+  /** Saved views switcher state (addViewSwitcher), null without switcher */
+  viewSwitcher: ViewSwitcherState | null
+  /** Column chooser state (addColumnChooser), null without chooser */
+  columnChooser: ColumnChooserState | null
 }
 
 /**
@@ -308,7 +440,9 @@ export interface CreateActionOptions {
  */
 export interface BulkStatusActionOptions {
   statusField?: string
+  /** Ids key of the bulkEndpoint payload */
   idsField?: string
+  /** Server endpoint taking { ids, status } in one PATCH; null patches each item through manager.patchMany() */
   bulkEndpoint?: string | null
   options?: Array<{ label: string; value: unknown }>
   label?: string
@@ -316,6 +450,35 @@ export interface BulkStatusActionOptions {
   dialogTitle?: string
 }
 
+/**
+ * Export action options
+ */
+export interface ExportActionOptions {
+  /** Formats offered (default: csv, json, xlsx) */
+  formats?: ExportFormat[]
+  /** Exported fields, in order (default: the registered columns) */
+  columns?: string[]
+  /** File name without extension (default: `{entity}-{YYYY-MM-DD}`) */
+  filename?: string
+  /** Rows fetched per request (default: 500) */
+  pageSize?: number
+  /** Requests before the export fails, against endless paging (default: 1000) */
+  maxPages?: number
+  label?: string
+  icon?: string
+  /** Receives the file instead of downloading it */
+  onFile?: (blob: Blob, filename: string) => void
+}
+
+/**
+ * Filter builder options
+ */
+export interface FilterBuilderOptions {
+  /** Fields offered, in order (default: the listable fields of the manager) */
+  fields?: string[]
+  label?: string
+}
+
 /**
  * Return type for useListPage
  */
@@ -343,10 +506,15 @@ export interface UseListPageReturn<T = unknown> {
   pageSize: Ref<number>
   totalRecords: Ref<number>
   rowsPerPageOptions: number[]
+  /** True when the storage gave no total: paging goes prev/next (cursors) */
+  cursorMode: ComputedRef<boolean>
+  hasMore: Ref<boolean>
   sortField: Ref<string | null>
   sortOrder: Ref<number>
   onPage: (event: { page: number; rows: number }) => void
   onSort: (event: { sortField: string; sortOrder: number }) => void
+  nextPage: () => void
+  prevPage: () => void
 
   // Search
   searchQuery: Ref<string>
@@ -360,6 +528,13 @@ export interface UseListPageReturn<T = unknown> {
   addColumn: (field: string, config?: Partial<ColumnConfig>) => void
   removeColumn: (field: string) => void
   updateColumn: (field: string, updates: Partial<ColumnConfig>) => void
+  /** The user's column layout (order, hidden, pinned, widths) */
+  columnLayout: Ref<ColumnLayout>
+  /** Shown columns in order (null: the registered layout) */
+  visibleColumns: ComputedRef<string[] | null>
+  setVisibleColumns: (fields: string[] | null) => void
+  resetColumnLayout: () => void
+  addColumnChooser: (options?: ColumnChooserOptions) => ColumnChooserState
 
   // Header Actions
   headerActions: ComputedRef<ResolvedHeaderAction[]>
@@ -369,6 +544,9 @@ export interface UseListPageReturn<T = unknown> {
   addCreateAction: (labelOrOptions?: string | CreateActionOptions | null) => void
   addBulkDeleteAction: () => void
   addBulkStatusAction: (options?: BulkStatusActionOptions) => BulkStatusActionReturn
+  addExportAction: (options?: ExportActionOptions) => ExportDialogState
+  addImportAction: (options?: ImportActionOptions) => ImportDialogState
+  addViewSwitcher: (options?: ViewSwitcherOptions) => ViewSwitcherState
   hasBulkActions: ComputedRef<boolean>
 
   // Cards
@@ -376,16 +554,24 @@ export interface UseListPageReturn<T = unknown> {
   addCard: (name: string, config: Omit<CardConfig, 'name'>) => void
   updateCard: (name: string, config: Partial<CardConfig>) => void
   removeCard: (name: string) => void
+  /** Recompute the cards bound to an aggregate */
+  refreshCards: () => Promise<void>
 
   // Filters
   filters: ComputedRef<FilterConfig[]>
   filterValues: Ref<Record<string, unknown>>
+  /** Applied advanced filter (AND/OR groups), ANDed with the filter values */
+  advancedFilter: Ref<FilterGroup | null>
   filteredItems: ComputedRef<T[]>
   fromCache: Ref<boolean>
+  /** Rows come from an expired cache being refreshed (staleWhileRevalidate) */
+  stale: Ref<boolean>
   addFilter: (name: string, config: Omit<FilterConfig, 'name'>) => void
   removeFilter: (name: string) => void
   setFilterValue: (name: string, value: unknown) => void
   updateFilters: (values: Record<string, unknown>) => void
+  setAdvancedFilter: (group: FilterGroup | null) => void
+  addFilterBuilder: (options?: FilterBuilderOptions) => FilterBuilderState
   clearFilters: () => void
   isFilterAtDefault: (name: string) => boolean
   hasActiveFilters: ComputedRef<boolean>
@@ -407,9 +593,15 @@ export interface UseListPageReturn<T = unknown> {
   canDelete: ComputedRef<boolean>
   canEditRow: (row: unknown) => boolean
   canDeleteRow: (row: unknown) => boolean
+  /** Field permissions: false for fields the user may not read */
+  canReadField: (field: string) => boolean
 
   // Data
   loadItems: (extraParams?: Record<string, unknown>, options?: { force?: boolean }) => Promise<void>
+  /** Revalidate the list cache, then reload the page (what polling/focus/reconnect run) */
+  revalidate: () => Promise<void>
+  /** Keys of the rows changed by a real-time push (cleared after a few seconds) */
+  highlighted: Ref<string[]>
 
   // Navigation
   goToCreate: () => void
@@ -5,6 +5,7 @@
  * file (`useListPage.ts`) and from any future split modules without dragging
  * the full `useListPage` runtime context along.
  */
+import type { ColumnLayout } from './useListPage.types'
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Pagination cookie persistence
@@ -129,6 +130,40 @@ export function clearSessionSort(key: string): void {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Column layout local storage — kept across sessions, keyed by entity and user
+// ─────────────────────────────────────────────────────────────────────────────
+
+const COLUMNS_STORAGE_PREFIX = 'qdadm_columns_'
+
+export function getSavedColumnLayout(key: string): ColumnLayout | null {
+  try {
+    const stored = localStorage.getItem(COLUMNS_STORAGE_PREFIX + key)
+    if (!stored) return null
+    const parsed = JSON.parse(stored) as ColumnLayout
+    if (!parsed || !Array.isArray(parsed.order) || typeof parsed.widths !== 'object' || !parsed.widths) return null
+    return parsed
+  } catch {
+    return null
+  }
+}
+
+export function saveColumnLayout(key: string, layout: ColumnLayout): void {
+  try {
+    localStorage.setItem(COLUMNS_STORAGE_PREFIX + key, JSON.stringify(layout))
+  } catch {
+    // Ignore storage errors (quota exceeded, disabled by user, …).
+  }
+}
+
+export function clearSavedColumnLayout(key: string): void {
+  try {
+    localStorage.removeItem(COLUMNS_STORAGE_PREFIX + key)
+  } catch {
+    // Ignore storage errors.
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Smart filter discovery
 // ─────────────────────────────────────────────────────────────────────────────
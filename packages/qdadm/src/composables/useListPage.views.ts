@@ -0,0 +1,314 @@
+/**
+ * useListViews — the saved views of useListPage (addViewSwitcher).
+ *
+ * Owns the ViewSwitcher state: the views of the list the user may see, the
+ * active one and whether the page drifted from it. Capturing and applying
+ * the page state (filters, search, advanced filter, sort, columns, page
+ * size) stays in useListPage; this module only stores and picks views.
+ *
+ * A view is visible to its owner, and to users granted one of the roles it
+ * is published to: the provider is asked for those views only, and the list
+ * is filtered again here. Without auth every view is the user's. Publishing
+ * needs the `views:publish` permission.
+ */
+import { ref, computed, onMounted, type Ref, type ComputedRef } from 'vue'
+import type { RouteLocationNormalizedLoaded, Router } from 'vue-router'
+import type { AuthUser } from '../entity/auth/EntityAuthAdapter'
+import type { ListView, ListViewState, ViewsProvider, ViewsViewer } from '../views/ViewsProvider'
+import type { ToastHelper } from './useListPage.types'
+
+/**
+ * Permission to publish views to roles (and edit the views of others)
+ */
+export const VIEWS_PUBLISH_PERMISSION = 'views:publish'
+
+/**
+ * View switcher options
+ */
+export interface ViewSwitcherOptions {
+  /** Provider of the views (default: orchestrator.viewsProvider, else localStorage) */
+  provider?: ViewsProvider
+  /** Roles a view can be published to (default: the roles the user can assign) */
+  roles?: string[]
+  /** Placeholder of the switcher without active view */
+  label?: string
+}
+
+/**
+ * View switcher state (addViewSwitcher - rendered by ListPage in the header)
+ */
+export interface ViewSwitcherState {
+  label: string
+  /** Views the user may see, by name */
+  views: ComputedRef<ListView[]>
+  active: ComputedRef<ListView | null>
+  /** The page state differs from the active view */
+  modified: ComputedRef<boolean>
+  loading: Ref<boolean>
+  canPublish: ComputedRef<boolean>
+  /** Roles offered when publishing */
+  roles: ComputedRef<string[]>
+  canEdit: (view: ListView) => boolean
+  /** Shareable URL of a view (the list with `?view=<id>`) */
+  viewUrl: (view: ListView) => string
+  load: () => Promise<void>
+  /** Apply a view (null: back to the list defaults) */
+  onSelect: (id: string | null) => void
+  /** Save the page state as a new view, made active */
+  onSave: (name: string, roles?: string[]) => Promise<ListView | null>
+  /** Save the page state into the active view */
+  onUpdate: () => Promise<void>
+  onPublish: (id: string, roles: string[]) => Promise<void>
+  onDelete: (id: string) => Promise<void>
+}
+
+/** Auth members the views rely on (EntityAuthAdapter). */
+export interface ViewsAuth {
+  isGranted?: (attribute: string) => boolean
+  getCurrentUser?: () => AuthUser | null
+  getAssignableRoles?: () => string[]
+}
+
+/** Dependencies injected by useListPage. */
+export interface UseListViewsDeps {
+  /** List the views belong to */
+  entity: string
+  provider: ViewsProvider
+  auth: ViewsAuth | null | undefined
+  options: ViewSwitcherOptions
+  route: RouteLocationNormalizedLoaded
+  router: Router
+  toast: ToastHelper
+  /** Current page state */
+  capture: () => ListViewState
+  /** Set the page state and reload (missing keys: list defaults) */
+  apply: (state: ListViewState) => void
+}
+
+function errorMessage(error: unknown): string {
+  const err = error as { response?: { data?: { detail?: string; message?: string } }; message?: string }
+  return err?.response?.data?.detail || err?.response?.data?.message || err?.message || String(error)
+}
+
+// Comparable form of a state: missing keys as their default, filters sorted
+function stateKey(state: ListViewState): string {
+  const filters = Object.keys(state.filters ?? {})
+    .sort()
+    .map((name) => [name, state.filters?.[name]])
+  return JSON.stringify([
+    state.search ?? '',
+    filters,
+    state.where ?? null,
+    state.sort ?? null,
+    state.columns ?? null,
+    state.pageSize ?? null,
+  ])
+}
+
+export function useListViews(deps: UseListViewsDeps): ViewSwitcherState {
+  const { entity, provider, auth, options, route, router, toast, capture, apply } = deps
+
+  const all = ref<ListView[]>([])
+  const activeId = ref<string | null>(null)
+  const loading = ref(false)
+
+  // Permissive without auth, like EntityAuthAdapter without checker
+  function isGranted(attribute: string): boolean {
+    return auth?.isGranted ? auth.isGranted(attribute) : true
+  }
+
+  function currentOwner(): string | number | null {
+    const user = auth?.getCurrentUser?.() ?? null
+    const owner = user?.id ?? user?.username ?? null
+    return owner === null ? null : (owner as string | number)
+  }
+
+  // With auth, a view without owner belongs to nobody: only its roles show it
+  function isOwn(view: ListView): boolean {
+    if (!auth) return true
+    const owner = currentOwner()
+    return owner !== null && view.owner != null && String(view.owner) === String(owner)
+  }
+
+  const canPublish = computed(() => isGranted(VIEWS_PUBLISH_PERMISSION))
+
+  const roles = computed(() => options.roles ?? auth?.getAssignableRoles?.() ?? [])
+
+  // Held roles, and the publishable ones granted through the hierarchy
+  function viewer(): ViewsViewer | null {
+    if (!auth) return null
+    const user = auth.getCurrentUser?.() ?? null
+    const held = user?.roles ?? (user?.role ? [user.role] : [])
+    const granted = roles.value.filter((role) => isGranted(role))
+    return { owner: currentOwner(), roles: [...new Set([...held, ...granted])] }
+  }
+
+  const views = computed(() =>
+    all.value
+      .filter((view) => isOwn(view) || (view.roles ?? []).some((role) => isGranted(role)))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  )
+
+  const active = computed(() => views.value.find((view) => view.id === activeId.value) ?? null)
+
+  const modified = computed(() => (active.value ? stateKey(capture()) !== stateKey(active.value.state) : false))
+
+  function canEdit(view: ListView): boolean {
+    return isOwn(view) || canPublish.value
+  }
+
+  function viewUrl(view: ListView): string {
+    const { href } = router.resolve({ path: route.path, query: { view: view.id } })
+    return new URL(href, window.location.origin).toString()
+  }
+
+  async function load(): Promise<void> {
+    loading.value = true
+    try {
+      all.value = await provider.list(entity, viewer())
+    } catch (error) {
+      toast.add({
+        severity: 'error',
+        summary: 'Views not loaded',
+        detail: errorMessage(error),
+        life: 5000,
+      })
+    } finally {
+      loading.value = false
+    }
+  }
+
+  function store(view: ListView): void {
+    const index = all.value.findIndex((existing) => existing.id === view.id)
+    all.value = index >= 0 ? all.value.map((existing, i) => (i === index ? view : existing)) : [...all.value, view]
+  }
+
+  function onSelect(id: string | null): void {
+    const view = id ? views.value.find((candidate) => candidate.id === id) : null
+    if (id && !view) return
+    activeId.value = view?.id ?? null
+    apply(view?.state ?? {})
+  }
+
+  async function onSave(name: string, publishTo: string[] = []): Promise<ListView | null> {
+    try {
+      const view = await provider.save({
+        entity,
+        name: name.trim(),
+        state: capture(),
+        owner: currentOwner(),
+        roles: canPublish.value ? publishTo : [],
+      })
+      store(view)
+      activeId.value = view.id
+      toast.add({
+        severity: 'success',
+        summary: 'View saved',
+        detail: view.name,
+        life: 3000,
+      })
+      return view
+    } catch (error) {
+      toast.add({
+        severity: 'error',
+        summary: 'View not saved',
+        detail: errorMessage(error),
+        life: 5000,
+      })
+      return null
+    }
+  }
+
+  async function write(view: ListView, changes: Partial<ListView>, summary: string): Promise<void> {
+    try {
+      store(await provider.save({ ...view, ...changes }))
+      toast.add({
+        severity: 'success',
+        summary,
+        detail: view.name,
+        life: 3000,
+      })
+    } catch (error) {
+      toast.add({
+        severity: 'error',
+        summary: 'View not saved',
+        detail: errorMessage(error),
+        life: 5000,
+      })
+    }
+  }
+
+  async function onUpdate(): Promise<void> {
+    const view = active.value
+    if (!view || !canEdit(view)) return
+    await write(view, { state: capture() }, 'View updated')
+  }
+
+  async function onPublish(id: string, publishTo: string[]): Promise<void> {
+    const view = views.value.find((candidate) => candidate.id === id)
+    if (!view || !canPublish.value) return
+    await write(view, { roles: publishTo }, publishTo.length ? 'View published' : 'View unpublished')
+  }
+
+  async function onDelete(id: string): Promise<void> {
+    const view = views.value.find((candidate) => candidate.id === id)
+    if (!view || !canEdit(view)) return
+    try {
+      await provider.remove(id)
+      all.value = all.value.filter((existing) => existing.id !== id)
+      if (activeId.value === id) activeId.value = null
+      toast.add({
+        severity: 'success',
+        summary: 'View deleted',
+        detail: view.name,
+        life: 3000,
+      })
+    } catch (error) {
+      toast.add({
+        severity: 'error',
+        summary: 'View not deleted',
+        detail: errorMessage(error),
+        life: 5000,
+      })
+    }
+  }
+
+  // A shared link (`?view=<id>`) applies the view once; the URL then follows
+  // the filters like any list (the filters drop the param)
+  onMounted(async () => {
+    await load()
+    const id = route.query.view
+    if (typeof id !== 'string' || !id) return
+    if (views.value.some((view) => view.id === id)) {
+      onSelect(id)
+      return
+    }
+    toast.add({
+      severity: 'warn',
+      summary: 'View not found',
+      detail: 'The shared view does not exist or is not published to you',
+      life: 5000,
+    })
+    const query = { ...route.query }
+    delete query.view
+    router.replace({ query })
+  })
+
+  return {
+    label: options.label ?? 'Views',
+    views,
+    active,
+    modified,
+    loading,
+    canPublish,
+    roles,
+    canEdit,
+    viewUrl,
+    load,
+    onSelect,
+    onSave,
+    onUpdate,
+    onPublish,
+    onDelete,
+  }
+}
@@ -11,6 +11,8 @@ export interface ToastHelper {
     summary: string
     detail?: string
     emitter?: unknown
+    /** Add an "Undo" button reverting the operation just recorded (needs the Kernel undo stack) */
+    undo?: boolean
   }): void
 }
 
@@ -19,8 +21,8 @@ export function createOrchestratorToast(
   orchestrator: Pick<OrchestratorLike, 'toast'> | null | undefined
 ): ToastHelper {
   return {
-    add({ severity, summary, detail, emitter }) {
-      orchestrator?.toast?.[severity]?.(summary, detail, emitter)
+    add({ severity, summary, detail, emitter, undo }) {
+      orchestrator?.toast?.[severity]?.(summary, detail, undo ? { emitter, undo } : emitter)
     },
   }
 }
@@ -27,6 +27,7 @@
  */
 
 import { HOOK_PRIORITY, type HookRegistry, type HookRegistrationOptions } from '../hooks/index'
+import { ConflictError } from '../entity/storage/errors'
 
 /**
  * Bundle register function type
@@ -373,12 +374,30 @@ export interface VersioningOptions {
 
 /**
  * Version conflict error
+ * @deprecated withVersioning throws a ConflictError (status 409)
  */
-export interface VersionConflictError extends Error {
-  name: 'VersionConflictError'
-  entityName: string
-  expectedVersion: number
-  actualVersion: number
+export type VersionConflictError = ConflictError
+
+/**
+ * Manager view withVersioning needs to check the stored version
+ */
+interface VersionedManager extends BundleEntityManager {
+  getVersionToken?: (id: string | number) => string | number | null
+  storage?: {
+    get: (id: string | number) => Promise<unknown>
+    getVersionToken?: (id: string | number) => string | number | null
+  } | null
+}
+
+/**
+ * Presave context as EntityManager builds it (entity is the entity name)
+ */
+interface ManagerPresaveData {
+  entity: string
+  record: Record<string, unknown>
+  id?: string | number
+  isNew?: boolean
+  manager: VersionedManager
 }
 
 /**
@@ -387,6 +406,15 @@ export interface VersionConflictError extends Error {
  * Implements optimistic locking via version field.
  * Increments version on each save and validates version matches for updates.
  *
+ * On an EntityManager save, the version the record was read with
+ * (`manager.getVersionToken(id)`, else the record's own field) is compared
+ * with the stored one — this is the conflict check for storages that do not
+ * enforce versions themselves (memory, local, IndexedDB). A mismatch throws
+ * a `ConflictError` carrying the stored record, which aborts the save.
+ * Contexts carrying `originalEntity` compare against it instead. A storage
+ * issuing ETags for the record checks them itself (If-Match): no stored
+ * record is read then.
+ *
  * Hooks registered:
  * - `entity:presave` - Increments version and validates for conflicts
  *
@@ -405,36 +433,69 @@ export const withVersioning = createHookBundle<VersioningOptions>(
     register(
       'entity:presave',
       async (event) => {
-        const { entity, isNew, manager, originalEntity } = (event as { data: EntityEventData }).data
+        const data = (event as { data: EntityEventData | ManagerPresaveData }).data
+        const fromManager = typeof data.entity === 'string'
+        const entity = fromManager
+          ? (data as ManagerPresaveData).record
+          : (data as EntityEventData).entity
+        const { isNew, manager } = data
 
         if (isNew) {
           // New record: initialize version to 1
           entity[field] = 1
-        } else {
-          // Existing record: validate and increment version
-          if (validateOnUpdate && originalEntity) {
-            const currentVersion = entity[field] as number | undefined
-            const originalVersion = originalEntity[field] as number | undefined
-
-            // Check for version conflict
-            if (currentVersion !== undefined && originalVersion !== undefined) {
-              if (currentVersion !== originalVersion) {
-                const error = new Error(
-                  `Version conflict: expected ${originalVersion}, got ${currentVersion}`
-                ) as VersionConflictError
-                error.name = 'VersionConflictError'
-                error.entityName = manager.name
-                error.expectedVersion = originalVersion
-                error.actualVersion = currentVersion
-                throw error
-              }
+          return
+        }
+
+        let expectedVersion: unknown
+        let actualVersion: unknown
+        let serverRecord: Record<string, unknown> | null = null
+        let ifMatch = false
+
+        if (validateOnUpdate) {
+          const { originalEntity } = data as EntityEventData
+          const { id } = data as ManagerPresaveData
+          const versioned = manager as VersionedManager
+          if (originalEntity) {
+            expectedVersion = originalEntity[field]
+            actualVersion = entity[field]
+          } else if (fromManager && id !== undefined && versioned.storage) {
+            if (versioned.storage.getVersionToken?.(id)) {
+              // The write goes with If-Match: the storage rejects a stale one
+              ifMatch = true
+            } else {
+              // Version field values on both sides, the stored one read
+              // bypassing the manager caches
+              expectedVersion = versioned.getVersionToken?.(id) ?? entity[field]
+              serverRecord = ((await versioned.storage.get(id)) as Record<string, unknown>) ?? null
+              actualVersion = serverRecord?.[field]
             }
           }
 
-          // Increment version
-          const currentVersion = (entity[field] as number) || 0
-          entity[field] = currentVersion + 1
+          // Check for version conflict
+          if (
+            expectedVersion !== undefined &&
+            actualVersion !== undefined &&
+            expectedVersion !== actualVersion
+          ) {
+            throw new ConflictError(
+              `Version conflict: expected ${expectedVersion}, got ${actualVersion}`,
+              {
+                status: 409,
+                entity: manager.name,
+                id: (data as ManagerPresaveData).id,
+                expectedVersion: expectedVersion as string | number,
+                actualVersion: actualVersion as string | number,
+                serverRecord,
+              }
+            )
+          }
         }
+
+        // Increment version (from the stored one when it was read); a record
+        // saved under an ETag without the field leaves it to the server
+        if (ifMatch && entity[field] === undefined) return
+        const currentVersion = ((serverRecord ? actualVersion : entity[field]) as number) || 0
+        entity[field] = currentVersion + 1
       },
       { priority: HOOK_PRIORITY.HIGH, id: 'manage-version' }
     )
@@ -0,0 +1,78 @@
+import { QueryExecutor, normalizeAggregateMetrics, type QueryObject } from '../query/QueryExecutor'
+import type { AggregateParams, AggregateResult } from '../types'
+import type { EntityManagerInternal, IStorage, RoutingContext, StorageCapabilities } from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+
+function supportsAggregate(storage: IStorage | null | undefined): boolean {
+  const caps =
+    (storage as unknown as { capabilities?: Partial<StorageCapabilities> })?.capabilities ||
+    (storage?.constructor as { capabilities?: Partial<StorageCapabilities> })?.capabilities
+  return !!caps?.supportsAggregate && typeof storage?.aggregate === 'function'
+}
+
+/**
+ * Patch EntityManager prototype with aggregate methods.
+ *
+ * aggregate() answers from the list cache when it holds the whole dataset,
+ * then from storages declaring `supportsAggregate`, and last by filling
+ * the cache. Dashboards get counts and sums without fetching pages.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyAggregateMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  /**
+   * Group records and compute count/sum/avg/min/max per group
+   *
+   * @example
+   * await loans.aggregate({ groupBy: 'status' })
+   * // → { rows: [{ status: 'active', count: 12 }, { status: 'late', count: 3 }], fromCache: true }
+   *
+   * @throws QueryValidationError for invalid filters or metrics
+   */
+  proto.aggregate = async function (
+    this: Self,
+    params: AggregateParams = {},
+    context?: RoutingContext
+  ): Promise<AggregateResult> {
+    const { storage, endpoint } = this._normalizeResolveResult(
+      this.resolveStorage('aggregate', context),
+      context
+    )
+
+    // Fail before any request: the storage must not get a half-understood query
+    normalizeAggregateMetrics(params.metrics)
+    if (params.filters) QueryExecutor.validate(params.filters as QueryObject)
+
+    this._expireCache()
+
+    // Scoped to the user's record rules, on the cache as on the storage
+    const { scoped, rule } = this._scopeFilters(params.filters, 'aggregate', storage)
+    if (scoped !== params.filters) params = { ...params, filters: scoped }
+
+    // A routing endpoint scopes the data: the list cache does not cover it
+    const canUseCache = !endpoint && this.isCacheEnabled
+
+    // 1. Whole dataset cached -> compute locally
+    if (canUseCache && this._cache.valid) {
+      return { ...QueryExecutor.aggregate(this._cache.items, params), fromCache: true }
+    }
+
+    // 2. Storage aggregates server-side
+    // (not when the scope is beyond the storage's filters)
+    if (supportsAggregate(storage) && !rule) {
+      const result = await storage!.aggregate!(params, context)
+      return { rows: result.rows, fromCache: false }
+    }
+
+    // 3. Fill the cache when the dataset fits in it
+    if (canUseCache && (await this.ensureCache())) {
+      return { ...QueryExecutor.aggregate(this._cache.items, params), fromCache: true }
+    }
+
+    throw new Error(
+      `[EntityManager:${this.name}] aggregate() needs a storage supporting it or a dataset within the cache threshold`
+    )
+  }
+}
@@ -0,0 +1,74 @@
+import type { AuditEntry, AuditLog } from '../audit/AuditLog'
+import type { EntityManagerInternal } from './EntityManager.types'
+import type { EntityRecord } from '../types'
+
+type Self = EntityManagerInternal<any>
+
+/**
+ * Patch EntityManager prototype with audit trail methods.
+ *
+ * Managers built with `audit: true` have their changes recorded by the
+ * AuditModule's AuditLog (`orchestrator.auditLog`). History is viewed with
+ * `audit:history:read` and restored with `audit:history:restore` plus the
+ * right to update the record.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyAuditMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  proto._getAuditLog = function (this: Self): AuditLog | null {
+    return this.audit ? (this._orchestrator?.auditLog ?? null) : null
+  }
+
+  /**
+   * Check if the current user can view the history of records
+   */
+  proto.canViewHistory = function (this: Self): boolean {
+    if (!this._getAuditLog()) return false
+    return this.authAdapter.isGranted?.('audit:history:read') ?? true
+  }
+
+  /**
+   * Check if the current user can restore a version, optionally of a specific record
+   */
+  proto.canRestoreVersion = function (this: Self, record: EntityRecord | null = null): boolean {
+    return (
+      this.canViewHistory() &&
+      this.canUpdate(record) &&
+      (this.authAdapter.isGranted?.('audit:history:restore') ?? true)
+    )
+  }
+
+  /**
+   * Versions of a record, oldest first
+   *
+   * @throws Error when the entity is not audited or the AuditModule is missing
+   */
+  proto.getHistory = function (this: Self, id: string | number): Promise<AuditEntry[]> {
+    const log = this._getAuditLog()
+    if (!log) {
+      return Promise.reject(
+        new Error(`[EntityManager:${this.name}] getHistory() needs audit: true and the AuditModule`)
+      )
+    }
+    return log.getHistory(this.name, id)
+  }
+
+  /**
+   * Bring a record back to one of its versions (patched from the version's
+   * snapshot, and recorded as a `restore`)
+   *
+   * @throws Error when the version is unknown or has no snapshot (deletes)
+   */
+  proto.restoreVersion = async function (this: Self, id: string | number, version: number): Promise<EntityRecord> {
+    const log = this._getAuditLog()
+    if (!log) {
+      throw new Error(`[EntityManager:${this.name}] restoreVersion() needs audit: true and the AuditModule`)
+    }
+    const entry = (await log.getHistory(this.name, id)).find((e) => e.version === version)
+    if (!entry) {
+      throw new Error(`[EntityManager:${this.name}] No version ${version} in the history of ${id}`)
+    }
+    return log.restore(this, id, entry)
+  }
+}
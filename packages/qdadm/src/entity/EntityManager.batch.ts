@@ -0,0 +1,309 @@
+import type { BatchOperation, BatchOutcome, EntityRecord } from '../types'
+import type {
+  BatchItemResult,
+  BatchOptions,
+  BatchResult,
+  BatchUpdate,
+  EntityManagerInternal,
+  VersionToken,
+} from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+type BatchAction = BatchOperation['action']
+
+const DEFAULT_BATCH_CONCURRENCY = 4
+
+const UNDO_VERB: Record<BatchAction, string> = {
+  create: 'Create',
+  update: 'Update',
+  patch: 'Update',
+  delete: 'Delete',
+}
+
+const SIGNAL_FOR: Record<BatchAction, 'created' | 'updated' | 'deleted'> = {
+  create: 'created',
+  update: 'updated',
+  patch: 'updated',
+  delete: 'deleted',
+}
+
+/**
+ * Input item of a batch, whatever the action
+ */
+interface BatchInput {
+  id: string | number | null
+  data?: Record<string, unknown>
+}
+
+/**
+ * Operation that went through its pre-hook and awaits storage.batch()
+ */
+interface PendingOperation {
+  index: number
+  input: BatchInput
+  operation: BatchOperation
+  token?: VersionToken
+  /** Record before the write, for the undo stack */
+  before?: EntityRecord | null
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+async function runLimited<I>(
+  items: I[],
+  limit: number,
+  fn: (item: I, index: number) => Promise<void>
+): Promise<void> {
+  let next = 0
+  const worker = async (): Promise<void> => {
+    while (next < items.length) {
+      const index = next++
+      await fn(items[index]!, index)
+    }
+  }
+  const workers = Math.max(1, Math.min(limit, items.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+}
+
+/**
+ * Patch EntityManager prototype with batch write methods.
+ *
+ * Storages exposing batch() get one round trip for the whole set; the others
+ * fall back to per-item create/update/patch/delete calls. Either way hooks and
+ * entity:* signals fire per item, followed by one entity:batch signal, and a
+ * failing item never aborts the others.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyBatchMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  /**
+   * Create several entities
+   */
+  proto.createMany = function (
+    this: Self,
+    records: Array<Partial<EntityRecord>>,
+    options?: BatchOptions
+  ): Promise<BatchResult> {
+    return runBatch(this, 'create', records.map((data) => ({ id: null, data })), options)
+  }
+
+  /**
+   * Replace several entities (PUT)
+   */
+  proto.updateMany = function (
+    this: Self,
+    items: Array<BatchUpdate>,
+    options?: BatchOptions
+  ): Promise<BatchResult> {
+    return runBatch(this, 'update', items, options)
+  }
+
+  /**
+   * Partially update several entities (PATCH)
+   */
+  proto.patchMany = function (
+    this: Self,
+    items: Array<BatchUpdate>,
+    options?: BatchOptions
+  ): Promise<BatchResult> {
+    return runBatch(this, 'patch', items, options)
+  }
+
+  /**
+   * Delete several entities
+   */
+  proto.deleteMany = function (
+    this: Self,
+    ids: Array<string | number>,
+    options?: BatchOptions
+  ): Promise<BatchResult> {
+    return runBatch(this, 'delete', ids.map((id) => ({ id })), options)
+  }
+}
+
+/**
+ * Shared body of the *Many methods, recorded as one undo operation
+ */
+async function runBatch(
+  self: Self,
+  action: BatchAction,
+  inputs: BatchInput[],
+  options: BatchOptions = {}
+): Promise<BatchResult> {
+  const undo = self._getUndoStack(options.context)
+  if (!undo) return executeBatch(self, action, inputs, options)
+  return undo.group(
+    `${UNDO_VERB[action]} ${inputs.length} ${self.labelPlural}`,
+    (context) => executeBatch(self, action, inputs, { ...options, context }),
+    options.context
+  )
+}
+
+async function executeBatch(
+  self: Self,
+  action: BatchAction,
+  inputs: BatchInput[],
+  options: BatchOptions
+): Promise<BatchResult> {
+  const { concurrency = DEFAULT_BATCH_CONCURRENCY, context } = options
+  const { storage, endpoint } = self._normalizeResolveResult(
+    self.resolveStorage(action, context),
+    context
+  )
+  if (!storage) {
+    throw new Error(`[EntityManager:${self.name}] ${action}Many() not implemented`)
+  }
+
+  const results: Array<BatchItemResult> = new Array(inputs.length)
+
+  // Routed endpoints go through request(), which has no batch form
+  if (storage.batch && !endpoint) {
+    const pending = await prepareBatch(self, action, inputs, results, context)
+    if (pending.length > 0) {
+      let outcomes: Array<BatchOutcome>
+      try {
+        outcomes = await storage.batch(pending.map((p) => p.operation))
+      } catch (error) {
+        outcomes = pending.map(() => ({ ok: false, error }))
+      }
+      self.invalidateCache()
+      for (let i = 0; i < pending.length; i++) {
+        const outcome = outcomes[i] ?? { ok: false, error: new Error('No outcome returned by storage.batch()') }
+        const item = pending[i]!
+        try {
+          results[item.index] = await settleBatchItem(self, action, item, outcome, context)
+        } catch (error) {
+          results[item.index] = { index: item.index, id: item.input.id, ok: false, error }
+        }
+      }
+    }
+  } else {
+    await runLimited(inputs, concurrency, async ({ id, data }, index) => {
+      try {
+        let record: EntityRecord | null = null
+        if (action === 'create') record = await self.create(data!, context)
+        else if (action === 'update') record = await self.update(id!, data!, context)
+        else if (action === 'patch') record = await self.patch(id!, data!, context)
+        else await self.delete(id!, context)
+        const resultId = action === 'create' ? ((record?.[self.idField] as string | number) ?? null) : id
+        results[index] = { index, id: resultId, ok: true, record }
+      } catch (error) {
+        results[index] = { index, id, ok: false, error }
+      }
+    })
+  }
+
+  const succeeded = results.filter((r) => r.ok)
+  const failed = results.filter((r) => !r.ok)
+  if (self._signals && results.length > 0) {
+    self._signals.emit('entity:batch', {
+      entity: self.name,
+      data: {
+        action,
+        manager: self.name,
+        succeeded: succeeded.map((r) => r.id),
+        failed: failed.map((r) => r.id),
+      },
+    })
+  }
+  return { action, results, succeeded, failed }
+}
+
+/**
+ * Run presave/predelete hooks per item; items whose hook throws fail here
+ * and are not sent to the storage
+ */
+async function prepareBatch(
+  self: Self,
+  action: BatchAction,
+  inputs: BatchInput[],
+  results: Array<BatchItemResult>,
+  context?: BatchOptions['context']
+): Promise<PendingOperation[]> {
+  const pending: PendingOperation[] = []
+  for (let index = 0; index < inputs.length; index++) {
+    const input = inputs[index]!
+    const { id } = input
+    self._stats[action === 'patch' ? 'update' : action]++
+    try {
+      if (action === 'delete') {
+        const before = await self._captureUndo(id!, context)
+        const predeleteContext = self._buildPredeleteContext(id!)
+        await self._invokeHook('predelete', predeleteContext as unknown as Record<string, unknown>)
+        pending.push({ index, input, before, operation: { action, id: id! } })
+      } else if (action === 'create') {
+        const data = self._stripUnwritableFields(input.data!, self.applyDefaults(input.data!, context ?? null))
+        const presaveContext = self._buildPresaveContext(self.denormalize(self.applyDefaults(data, context ?? null)), true)
+        await self._invokeHook('presave', presaveContext as unknown as Record<string, unknown>)
+        pending.push({ index, input, operation: { action, data: presaveContext.record } })
+      } else {
+        const before = await self._captureUndo(id!, context)
+        const token = self._versionTokens.get(String(id))
+        const target = await self._getWriteTarget(id!, input.data!, before, context)
+        const { record, options } = self._withVersion(self.denormalize(self._stripUnwritableFields(input.data!, target)), token)
+        const presaveContext = self._buildPresaveContext(record, false, id!)
+        await self._invokeHook('presave', presaveContext as unknown as Record<string, unknown>)
+        pending.push({
+          index,
+          input,
+          token,
+          before,
+          operation: { action, id: id!, data: presaveContext.record, options },
+        })
+      }
+    } catch (error) {
+      results[index] = { index, id, ok: false, error }
+    }
+  }
+  return pending
+}
+
+/**
+ * Turn one storage.batch() outcome into an item result, running the
+ * postsave hook and per-item signals on success. A failing postsave does
+ * not undo the write: the item stays ok, with the error as `hookError`.
+ */
+async function settleBatchItem(
+  self: Self,
+  action: BatchAction,
+  { index, input, token, before = null }: PendingOperation,
+  outcome: BatchOutcome,
+  context?: BatchOptions['context']
+): Promise<BatchItemResult> {
+  if (!outcome.ok) {
+    const error = action === 'update' || action === 'patch'
+      ? await self._toConflictError(outcome.error, input.id!, token)
+      : outcome.error
+    return { index, id: input.id, ok: false, error }
+  }
+
+  const record = self._withComputed(outcome.record ?? null)
+  const id = action === 'create' ? ((record?.[self.idField] as string | number) ?? null) : input.id
+  let hookError: unknown
+  if (action !== 'delete') {
+    if (action !== 'create') self._trackVersion(id!, record)
+    const postsaveContext = self._buildPostsaveContext(input.data!, record, action === 'create', action === 'create' ? null : id)
+    try {
+      await self._invokeHook('postsave', postsaveContext as unknown as Record<string, unknown>)
+    } catch (error) {
+      hookError = error
+    }
+  }
+
+  self._emitSignal(SIGNAL_FOR[action], {
+    ...(action === 'delete' ? {} : { entity: record }),
+    manager: self.name,
+    id: id ?? undefined,
+  })
+  self._emitDataInvalidate(SIGNAL_FOR[action], id ?? undefined)
+  self._recordUndo(
+    action === 'patch' ? 'update' : action,
+    id,
+    before,
+    action === 'delete' ? null : record,
+    context
+  )
+  return hookError === undefined ? { index, id, ok: true, record } : { index, id, ok: true, record, hookError }
+}
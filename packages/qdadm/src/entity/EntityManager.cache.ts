@@ -56,13 +56,25 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
 
   Object.defineProperty(proto, 'storageSupportsTotal', {
     get(this: Self): boolean {
-      const caps = (this.storage?.constructor as { capabilities?: Partial<StorageCapabilities> })
-        ?.capabilities
+      // Instance getter first: the pagination mode may change it (ApiStorage cursor mode)
+      const caps =
+        (this.storage as unknown as { capabilities?: Partial<StorageCapabilities> })?.capabilities ||
+        (this.storage?.constructor as { capabilities?: Partial<StorageCapabilities> })?.capabilities
       return caps?.supportsTotal ?? false
     },
     configurable: true,
   })
 
+  Object.defineProperty(proto, 'storageSupportsCursor', {
+    get(this: Self): boolean {
+      const caps =
+        (this.storage as unknown as { capabilities?: Partial<StorageCapabilities> })?.capabilities ||
+        (this.storage?.constructor as { capabilities?: Partial<StorageCapabilities> })?.capabilities
+      return caps?.supportsCursor ?? false
+    },
+    configurable: true,
+  })
+
   Object.defineProperty(proto, 'storageSearchFields', {
     get(this: Self): string[] | undefined {
       const caps = (this.storage?.constructor as { capabilities?: Partial<StorageCapabilities> })
@@ -81,7 +93,9 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
         (this.storage as unknown as { capabilities?: StorageCapabilities })?.capabilities ||
         (this.storage?.constructor as { capabilities?: StorageCapabilities })?.capabilities
       if (caps?.supportsCaching === false) return false
-      if (!this.storageSupportsTotal) return false
+      // A complete first page is recognizable from the total or, for cursor
+      // storages, from hasMore === false
+      if (!this.storageSupportsTotal && !this.storageSupportsCursor) return false
       return true
     },
     configurable: true,
@@ -149,6 +163,23 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
     return Date.now() - cache.loadedAt > ttl
   }
 
+  /**
+   * Prepare the list cache before reading it: hydrate it from the persistent
+   * cache on first use, then apply the TTL. An expired cache is dropped, or
+   * kept and refreshed in the background with staleWhileRevalidate.
+   * Returns true when the cache is stale but still served.
+   */
+  proto._expireCache = function (this: Self): boolean {
+    this._hydrateCache()
+    if (!this._isCacheExpired()) return false
+    if (this.staleWhileRevalidate) {
+      void this.revalidate()
+      return true
+    }
+    this.invalidateCache()
+    return false
+  }
+
   proto._isDetailCacheEntryExpired = function (this: Self, loadedAt: number): boolean {
     const ttl = this.effectiveDetailCacheTtlMs
     if (ttl < 0) return false // -1 = infinite
@@ -170,6 +201,41 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
     }
   }
 
+  proto._getPrimedDetail = function (this: Self, id: string): unknown | null {
+    const entry = this._detailCache.items.get(id)
+    if (!entry?.primed) return null
+    if (Date.now() - entry.loadedAt > this._primedCacheTtlMs) {
+      this._detailCache.items.delete(id)
+      return null
+    }
+    return { ...entry.item }
+  }
+
+  /**
+   * Seed the detail cache with records another response already carried
+   * (JSON:API `included`, eager-loaded relations): the next get() for
+   * them is served without a request, within `primedCacheTtlMs`.
+   * Returns the number of records primed.
+   */
+  proto.primeDetailCache = function (this: Self, records: unknown[]): number {
+    if (this._primedCacheTtlMs === 0 || !Array.isArray(records)) return 0
+    const now = Date.now()
+    let primed = 0
+    for (const record of records) {
+      const id = (record as Record<string, unknown> | null)?.[this.idField]
+      if (id === undefined || id === null) continue
+      const existing = this._detailCache.items.get(String(id))
+      // A record fetched by get() is at least as complete: keep it
+      if (existing && !existing.primed && !this._isDetailCacheEntryExpired(existing.loadedAt)) {
+        continue
+      }
+      this._detailCache.items.set(String(id), { item: this._withComputed(record), loadedAt: now, primed: true })
+      primed++
+    }
+    this._evictDetailCache()
+    return primed
+  }
+
   proto._getStorageRequiresAuth = function (this: Self): boolean {
     // Check instance capabilities first (may have dynamic requiresAuth)
     const instanceCaps = (this.storage as unknown as { capabilities?: Partial<StorageCapabilities> })
@@ -316,20 +382,22 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
     const cleanups: Array<() => void> = []
     const parents: Record<string, ParentConfig> = this._parents
 
-    // Listen for parent data changes (if parents defined)
+    // Listen for parent data changes (if parents defined), local or pushed by the server
     if (parents && Object.keys(parents).length > 0) {
       const parentEntities = Object.values(parents).map((p) => p.entity)
-      cleanups.push(
-        signals.on(
-          'entity:data-invalidate',
-          (event: { name: string; data: unknown }) => {
-            const { entity } = (event.data || {}) as { entity?: string }
-            if (entity && parentEntities.includes(entity)) {
-              this._clearSearchCache()
+      for (const signal of ['entity:data-invalidate', 'entity:synced']) {
+        cleanups.push(
+          signals.on(
+            signal,
+            (event: { name: string; data: unknown }) => {
+              const { entity } = (event.data || {}) as { entity?: string }
+              if (entity && parentEntities.includes(entity)) {
+                this._clearSearchCache()
+              }
             }
-          }
+          )
         )
-      )
+      }
     }
 
     // Listen for own entity data changes to invalidate detail cache
@@ -393,6 +461,7 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
   proto.invalidateDetailCache = function (this: Self): void {
     this._detailCache.items.clear()
     this._detailInflight.clear()
+    this._persistCache()
   }
 
   proto.invalidateCache = function (this: Self): void {
@@ -420,6 +489,7 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
 
   proto.ensureCache = async function (this: Self): Promise<boolean> {
     if (!this.isCacheEnabled) return false
+    this._hydrateCache()
     if (this._cache.valid) return true
 
     // Avoid concurrent cache loads
@@ -455,7 +525,7 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
     // Use _internal to skip stats counting
     const probe = await this.list({ page_size: 1, _internal: true })
 
-    if (probe.total > threshold) {
+    if (probe.total !== null && probe.total > threshold) {
       // Too many items, don't cache
       this._cache.valid = false
       return false
@@ -466,6 +536,11 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
       page_size: probe.total || threshold,
       _internal: true,
     })
+    if (result.total === null) {
+      // Unknown total (cursor storage): list() already cached the page if it
+      // was complete (hasMore === false)
+      return this._cache.valid
+    }
     const cache = this._cache
     cache.items = result.items || []
     cache.total = result.total
@@ -473,6 +548,55 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
     cache.valid = true
     // Resolve parent fields for search (book.title, user.username, etc.)
     await this._resolveSearchFields(cache.items)
+    this._persistCache()
+    return true
+  }
+
+  /**
+   * Refetch the list cache, keeping the current one until the new data is
+   * in, then emit `entity:cache-refreshed`. Concurrent calls share one
+   * request. Resolves false when nothing is cached or the refresh failed
+   * (the stale cache stays served).
+   */
+  proto.revalidate = function (this: Self): Promise<boolean> {
+    if (!this.isCacheEnabled || !this._cache.valid) return Promise.resolve(false)
+    if (this._revalidating) return this._revalidating
+
+    this._revalidating = this._refreshCache()
+      .catch((err: unknown) => {
+        console.error(`[EntityManager:${this.name}] Cache refresh failed:`, err)
+        return false
+      })
+      .finally(() => {
+        this._revalidating = null
+      })
+    return this._revalidating
+  }
+
+  proto._refreshCache = async function (this: Self): Promise<boolean> {
+    const threshold = this.effectiveThreshold
+    const { loadedAt } = this._cache
+    const result = await this.list({ page_size: threshold, _internal: true, _skipCache: true })
+
+    const cache = this._cache
+    // Invalidated (a write) or refilled meanwhile: this response may predate it
+    if (cache.loadedAt !== loadedAt) return false
+
+    if (result.total === null || result.items.length < result.total || result.total > threshold) {
+      // No longer fits in one page: stop serving the old copy
+      const overflowed = result.total !== null && result.total > threshold
+      this.invalidateCache()
+      cache.overflowed = overflowed
+      return false
+    }
+
+    cache.items = result.items
+    cache.total = result.total
+    cache.loadedAt = Date.now()
+    cache.valid = true
+    await this._resolveSearchFields(cache.items)
+    this._persistCache()
+    this._signals?.emit('entity:cache-refreshed', { entity: this.name, total: result.total })
     return true
   }
 
@@ -490,6 +614,9 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
       await deferred.await('auth:ready')
     }
 
+    // Asynchronous persistent store (IndexedDB): hydrate from it rather than the API
+    await this._getPersistentCache()?.ready
+
     const key = `entity:${this.name}:cache`
 
     if (!deferred) {
@@ -519,6 +646,8 @@ export function applyCacheMethods(EntityManagerClass: { prototype: any }): void
         ? cache.loadedAt + ttlMs
         : null,
       expired: this._isCacheExpired(),
+      persistent: this._getPersistentCache() !== null,
+      fromPersistence: cache.valid && cache.loadedAt !== null && cache.loadedAt === this._hydratedAt,
       asymmetric,
       detailCache: asymmetric && this.isDetailCacheEnabled
         ? {
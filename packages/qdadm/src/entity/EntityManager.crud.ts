@@ -1,5 +1,13 @@
-import type { ListParams, ListResult } from '../types'
-import type { EntityManagerInternal, Orchestrator, RoutingContext } from './EntityManager.types'
+import type { ListParams, ListResult, WriteOptions } from '../types'
+import type {
+  EntityManagerInternal,
+  Orchestrator,
+  RoutingContext,
+  VersionToken,
+} from './EntityManager.types'
+import { ConflictError, isConflictStatus } from './storage/errors'
+import { normalizeIncludes, supportsInclude } from './EntityManager.include'
+import { QueryExecutor } from '../query/QueryExecutor'
 
 type Self = EntityManagerInternal<any>
 
@@ -25,9 +33,14 @@ type Self = EntityManagerInternal<any>
  * Once cached, all filtering/sorting/pagination happens locally via QueryExecutor (MongoDB-like syntax).
  * This dramatically reduces API calls for small datasets.
  *
+ * Cursor APIs (supportsCursor) may not know the total: `total: null` plus
+ * `hasMore`/`nextCursor`. The total is then only taken as `items.length` for
+ * a first page flagged `hasMore: false`, the one case where it is exact.
+ *
  * Common pitfalls:
  * ----------------
- * - `total` missing or 0: falls back to `items.length`, may create incomplete cache
+ * - `total` missing: treated as unknown (null); no cache unless `hasMore: false` on the first page
+ * - `total` 0 with items: cache thinks the dataset is empty-complete
  * - `total` incorrect (e.g., always returns page size): cache thinks it's complete when it's not
  * - `total` always equals real total (ignoring filters): cache works but may overflow threshold
  *
@@ -53,7 +66,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
    */
   proto.list = async function (
     this: Self,
-    params: ListParams & { _internal?: boolean } = {},
+    params: ListParams & { _internal?: boolean; _skipCache?: boolean } = {},
     context?: RoutingContext
   ): Promise<ListResult<any>> {
     const resolved = this._normalizeResolveResult(
@@ -65,8 +78,18 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
       throw new Error(`[EntityManager:${this.name}] list() not implemented`)
     }
 
-    // Extract internal flag and cacheSafe flag
-    const { _internal = false, cacheSafe = false, ...queryParams } = params
+    // Extract internal flag, cacheSafe flag and includes (resolved after the fetch)
+    const {
+      _internal = false,
+      _skipCache = false,
+      cacheSafe = false,
+      include,
+      with: withRelations,
+      ...queryParams
+    } = params
+    const includes = normalizeIncludes(include, withRelations)
+    // Unknown include names fail before any request
+    for (const name of includes) this._resolveInclude(name)
 
     // Merge resolved params (defaults) with query params (overrides)
     const mergedParams = resolvedParams
@@ -87,12 +110,11 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     // Disable cache when resolveStorage provides an endpoint override:
     // the endpoint varies by routing context (e.g. parent chain), so
     // caching would return stale data from a different context.
-    const canUseCache = (!hasFilters || cacheSafe) && !endpoint
+    // _skipCache: revalidate() fetching around the cache it replaces.
+    const canUseCache = (!hasFilters || cacheSafe) && !endpoint && !_skipCache
 
     // Check TTL expiration before using cache
-    if (this._isCacheExpired()) {
-      this.invalidateCache()
-    }
+    const stale = !_skipCache && this._expireCache()
 
     // 1. Cache valid + cacheable -> use cache with local filtering
     if (cache.valid && canUseCache) {
@@ -106,28 +128,30 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
       if (filtered.total > stats.maxTotal) {
         stats.maxTotal = filtered.total
       }
-      return { ...filtered, fromCache: true }
+      return this._applyIncludes({ ...filtered, fromCache: true, ...(stale ? { stale } : {}) }, includes)
     }
 
     if (!_internal) stats.cacheMisses++
 
-    // 2. Fetch from API
-    let response: { items?: any[]; data?: any[] | { items?: any[]; data?: any[] }; total?: number; pagination?: { total?: number } }
+    // 2. Fetch from API, scoped to the user's record rules
+    const { filters, rule } = this._scopeFilters(mergedParams.filters, 'list', storage)
+    const scopedParams = filters === mergedParams.filters ? mergedParams : { ...mergedParams, filters }
+    let response: Partial<ListResult<any>> & { data?: any[] | { items?: any[]; data?: any[] }; pagination?: { total?: number } }
     if (endpoint && storage.request) {
       // Use request() with endpoint for multi-storage routing.
       // When using a dynamic endpoint, parent IDs are already encoded in the URL.
       // Strip parent-related filters to avoid duplication in query params.
-      let requestParams = mergedParams
-      if (context?.parentChain && mergedParams.filters) {
+      let requestParams = scopedParams
+      if (context?.parentChain && scopedParams.filters) {
         const parentIds = new Set(
           context.parentChain.map((p: { id: string | number }) => String(p.id))
         )
         const cleaned = Object.fromEntries(
-          Object.entries(mergedParams.filters as Record<string, unknown>).filter(
+          Object.entries(scopedParams.filters as Record<string, unknown>).filter(
             ([, value]) => !parentIds.has(String(value))
           )
         )
-        requestParams = { ...mergedParams }
+        requestParams = { ...scopedParams }
         if (Object.keys(cleaned).length > 0) {
           requestParams.filters = cleaned
         } else {
@@ -161,22 +185,37 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
           (Array.isArray(data) ? (data as any[]).length : 0),
       }
     } else {
-      // Standard storage.list() (normalizes response to { items, total })
-      response = await storage.list(mergedParams, context)
+      // Standard storage.list() (normalizes response to { items, total }).
+      // A storage supporting includes embeds them itself.
+      const claimsIncludes = includes.length > 0 && supportsInclude(storage)
+      response = await storage.list(claimsIncludes ? { ...scopedParams, include: includes } : scopedParams, context)
+    }
+    // Computed fields are materialized (on copies) before caching: local
+    // filters and sorts see them
+    let items = this._withComputed(response.items || [])
+    // Unknown total: exact only when the first page says it is the last one
+    const firstPage = !mergedParams.cursor && ((mergedParams.page as number | undefined) ?? 1) <= 1
+    let total = response.total ?? (firstPage && response.hasMore === false ? items.length : null)
+    if (rule) {
+      // Rule the storage could not take: scoped here, the total only holds
+      // when this page had every row
+      const complete = firstPage && total !== null && items.length >= total
+      items = items.filter((item: Record<string, unknown>) => QueryExecutor.match(item, rule))
+      total = complete ? items.length : null
     }
-    const items = response.items || []
-    const total = response.total ?? items.length
 
     // Update max stats
     if (items.length > stats.maxItemsSeen) {
       stats.maxItemsSeen = items.length
     }
-    if (total > stats.maxTotal) {
+    if (total !== null && total > stats.maxTotal) {
       stats.maxTotal = total
     }
 
     // 3. Fill cache opportunistically
-    if (canUseCache && this.isCacheEnabled && total <= this.effectiveThreshold) {
+    if (total === null) {
+      // Size unknown: whether the entity fits the threshold cannot be told
+    } else if (canUseCache && this.isCacheEnabled && total <= this.effectiveThreshold) {
       // Only cache if we received ALL items (not a partial page)
       if (items.length >= total) {
         cache.items = items
@@ -186,6 +225,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         cache.loadedAt = Date.now()
         // Resolve parent fields for search (book.title, user.username, etc.)
         await this._resolveSearchFields(items)
+        this._persistCache()
       }
       // If we got partial results but total fits threshold, load all items for cache
       else if (!this._cacheLoading) {
@@ -199,16 +239,32 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
       cache.overflowed = true
     }
 
-    return { items, total, fromCache: false }
+    return this._applyIncludes({ items, total, ...cursorFields(response), fromCache: false }, includes)
   }
 
   /**
    * Get a single entity by ID
+   *
+   * Remembers the record's optimistic-lock token (storage ETag or
+   * `versionField` value) for the next update()/patch() of that id.
    */
   proto.get = async function (
     this: Self,
     id: string | number,
     context?: RoutingContext
+  ): Promise<any> {
+    const record = this._withComputed(await this._getRecord(id, context))
+    this._trackVersion(id, record)
+    return record
+  }
+
+  /**
+   * get() lookup chain: primed → detail/list cache → storage
+   */
+  proto._getRecord = async function (
+    this: Self,
+    id: string | number,
+    context?: RoutingContext
   ): Promise<any> {
     const { storage, endpoint } = this._normalizeResolveResult(
       this.resolveStorage('get', context),
@@ -218,13 +274,22 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     stats.get++
 
     // Check TTL expiration before using cache
-    if (this._isCacheExpired()) {
-      this.invalidateCache()
-    }
+    this._expireCache()
 
     const cache = this._cache
     const idStr = String(id)
 
+    // Records primed by another response (JSON:API included, ...)
+    const primed = this._getPrimedDetail(idStr)
+    if (primed) {
+      stats.detailCacheHits++
+      return primed
+    }
+
+    // Optimistic record of a write waiting in the offline queue
+    const pending = this._getOfflineQueue()?.getPendingRecord(this.name, idStr)
+    if (pending) return pending
+
     // ── Asymmetric mode: skip list cache, use detail cache ──
     if (this.isAsymmetric) {
       // Check detail cache first
@@ -270,6 +335,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         if (this.isDetailCacheEnabled) {
           this._detailCache.items.set(idStr, { item: result, loadedAt: Date.now() })
           this._evictDetailCache()
+          this._persistCache()
         }
 
         return result
@@ -330,9 +396,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     if (!ids || ids.length === 0) return []
 
     // Check TTL expiration before using cache
-    if (this._isCacheExpired()) {
-      this.invalidateCache()
-    }
+    this._expireCache()
 
     const stats = this._stats
     const cache = this._cache
@@ -342,18 +406,18 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
       const found: any[] = []
       const missingIds: Array<string | number> = []
 
-      if (this.isDetailCacheEnabled) {
-        for (const id of ids) {
-          const entry = this._detailCache.items.get(String(id))
-          if (entry && !this._isDetailCacheEntryExpired(entry.loadedAt)) {
-            stats.detailCacheHits++
-            found.push({ ...entry.item })
-          } else {
-            missingIds.push(id)
-          }
+      for (const id of ids) {
+        const primed = this._getPrimedDetail(String(id))
+        const entry = this.isDetailCacheEnabled ? this._detailCache.items.get(String(id)) : undefined
+        if (primed) {
+          stats.detailCacheHits++
+          found.push(primed)
+        } else if (entry && !this._isDetailCacheEntryExpired(entry.loadedAt)) {
+          stats.detailCacheHits++
+          found.push({ ...entry.item })
+        } else {
+          missingIds.push(id)
         }
-      } else {
-        missingIds.push(...ids)
       }
 
       // Fetch missing via individual get() calls (which populate detail cache)
@@ -367,7 +431,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         }
       }
 
-      return found
+      return this._withComputed(found)
     }
 
     // ── Symmetric mode (default): try list cache ──
@@ -387,21 +451,36 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
       // Partial cache hit - fall through to storage
     }
 
-    stats.cacheMisses += ids.length
+    // Primed records (JSON:API included, ...) spare their share of the fetch
+    const primed: any[] = []
+    const missingIds: Array<string | number> = []
+    for (const id of ids) {
+      const item = this._getPrimedDetail(String(id))
+      if (item) {
+        primed.push(item)
+      } else {
+        missingIds.push(id)
+      }
+    }
+    stats.detailCacheHits += primed.length
+    if (missingIds.length === 0) return primed
+
+    stats.cacheMisses += missingIds.length
 
     const { storage } = this._normalizeResolveResult(
       this.resolveStorage('getMany', context),
       context
     )
     if (storage && 'getMany' in storage && typeof storage.getMany === 'function') {
-      return (storage as unknown as { getMany: (ids: Array<string | number>, context?: RoutingContext) => Promise<any[]> }).getMany(ids, context)
+      const fetched = await (storage as unknown as { getMany: (ids: Array<string | number>, context?: RoutingContext) => Promise<any[]> }).getMany(missingIds, context)
+      return [...primed, ...this._withComputed(fetched)]
     }
     // Fallback: parallel get calls (get() handles its own stats)
-    stats.cacheMisses -= ids.length // Avoid double counting
+    stats.cacheMisses -= missingIds.length // Avoid double counting
     const results = await Promise.all(
-      ids.map((id) => this.get(id, context).catch((): null => null))
+      missingIds.map((id) => this.get(id, context).catch((): null => null))
     )
-    return results.filter((r: any): r is NonNullable<typeof r> => r !== null)
+    return [...primed, ...results.filter((r: any): r is NonNullable<typeof r> => r !== null)]
   }
 
   /**
@@ -418,8 +497,11 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     )
     this._stats.create++
     if (storage) {
-      // Apply field defaults before presave hooks
-      const dataWithDefaults = this.applyDefaults(data, context ?? null)
+      // Keys guarded by field permissions the user lacks are dropped (owner
+      // grants checked on the new record), then field defaults apply before
+      // presave hooks; computed fields are never written
+      data = this._stripUnwritableFields(data, this.applyDefaults(data, context ?? null))
+      const dataWithDefaults = this.denormalize(this.applyDefaults(data, context ?? null))
 
       // Invoke presave hooks (can modify data or throw to abort)
       const presaveContext = this._buildPresaveContext(dataWithDefaults, true)
@@ -427,16 +509,24 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
 
       // Use request() with endpoint for multi-storage routing, otherwise use create()
       let result: any
-      if (endpoint && storage.request) {
-        const response = (await storage.request('POST', endpoint, {
-          data: presaveContext.record,
-          context,
-        })) as { data?: any }
-        result = (response.data ?? response)
-      } else {
-        result = await storage.create(presaveContext.record)
+      try {
+        if (endpoint && storage.request) {
+          const response = (await storage.request('POST', endpoint, {
+            data: presaveContext.record,
+            context,
+          })) as { data?: any }
+          result = (response.data ?? response)
+        } else {
+          result = await storage.create(presaveContext.record)
+        }
+      } catch (error) {
+        if (this._canQueueOffline(error, context)) {
+          return this._queueOffline('create', null, data, presaveContext.record, context)
+        }
+        throw error
       }
       this.invalidateCache()
+      result = this._withComputed(result)
 
       // Invoke postsave hooks (for side effects)
       const postsaveContext = this._buildPostsaveContext(data, result, true)
@@ -448,6 +538,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         id: result?.[this.idField],
       })
       this._emitDataInvalidate('created', result?.[this.idField] as string | number | undefined)
+      this._recordUndo('create', result?.[this.idField] as string | number | undefined, null, result, context)
       return result
     }
     throw new Error(`[EntityManager:${this.name}] create() not implemented`)
@@ -468,22 +559,42 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     )
     this._stats.update++
     if (storage) {
+      // Keys guarded by field permissions the user lacks (owner grants
+      // checked on the current record), and computed fields, never reach
+      // the storage
+      const before = await this._captureUndo(id, context)
+      data = this.denormalize(this._stripUnwritableFields(data, await this._getWriteTarget(id, data, before, context)))
+      const token = this._versionTokens.get(String(id))
+      const { record, options } = this._withVersion(data, token)
+
       // Invoke presave hooks (can modify data or throw to abort)
-      const presaveContext = this._buildPresaveContext(data, false, id)
-      await this._invokeHook('presave', presaveContext as unknown as Record<string, unknown>)
+      const presaveContext = this._buildPresaveContext(record, false, id)
 
       // Use request() with endpoint for multi-storage routing, otherwise use update()
       let result: any
-      if (endpoint && storage.request) {
-        const response = (await storage.request('PUT', `${endpoint}/${id}`, {
-          data: presaveContext.record,
-          context,
-        })) as { data?: any }
-        result = (response.data ?? response)
-      } else {
-        result = await storage.update(id, presaveContext.record)
+      let sent = false
+      try {
+        await this._invokeHook('presave', presaveContext as unknown as Record<string, unknown>)
+        sent = true
+        if (endpoint && storage.request) {
+          const response = (await storage.request('PUT', `${endpoint}/${id}`, {
+            data: presaveContext.record,
+            headers: options.ifMatch ? { 'If-Match': options.ifMatch } : undefined,
+            context,
+          })) as { data?: any }
+          result = (response.data ?? response)
+        } else {
+          result = await storage.update(id, presaveContext.record, options)
+        }
+      } catch (error) {
+        if (sent && this._canQueueOffline(error, context)) {
+          return this._queueOffline('update', id, data, presaveContext.record, context, token)
+        }
+        throw await this._toConflictError(error, id, token)
       }
+      this._trackVersion(id, result)
       this.invalidateCache()
+      result = this._withComputed(result)
 
       // Invoke postsave hooks (for side effects)
       const postsaveContext = this._buildPostsaveContext(data, result, false, id)
@@ -495,6 +606,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         id,
       })
       this._emitDataInvalidate('updated', id)
+      this._recordUndo('update', id, before, result, context)
       return result
     }
     throw new Error(`[EntityManager:${this.name}] update() not implemented`)
@@ -515,26 +627,47 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     )
     this._stats.update++ // patch counts as update
     if (storage) {
+      // Keys guarded by field permissions the user lacks (owner grants
+      // checked on the current record), and computed fields, never reach
+      // the storage
+      const before = await this._captureUndo(id, context)
+      data = this.denormalize(this._stripUnwritableFields(data, await this._getWriteTarget(id, data, before, context)))
+      const token = this._versionTokens.get(String(id))
+      const { record, options } = this._withVersion(data, token)
+
       // Invoke presave hooks (can modify data or throw to abort)
-      const presaveContext = this._buildPresaveContext(data, false, id)
-      await this._invokeHook('presave', presaveContext as unknown as Record<string, unknown>)
+      const presaveContext = this._buildPresaveContext(record, false, id)
 
       // Use request() with endpoint for multi-storage routing, otherwise use patch()
       let result: any
-      if (endpoint && storage.request) {
-        const response = (await storage.request('PATCH', `${endpoint}/${id}`, {
-          data: presaveContext.record,
-          context,
-        })) as { data?: any }
-        result = (response.data ?? response)
-      } else if (storage.patch) {
-        result = await storage.patch(id, presaveContext.record)
-      } else {
-        throw new Error(
-          `[EntityManager:${this.name}] Storage does not support patch()`
-        )
+      let sent = false
+      try {
+        await this._invokeHook('presave', presaveContext as unknown as Record<string, unknown>)
+        if (!(endpoint && storage.request) && !storage.patch) {
+          throw new Error(
+            `[EntityManager:${this.name}] Storage does not support patch()`
+          )
+        }
+        sent = true
+        if (endpoint && storage.request) {
+          const response = (await storage.request('PATCH', `${endpoint}/${id}`, {
+            data: presaveContext.record,
+            headers: options.ifMatch ? { 'If-Match': options.ifMatch } : undefined,
+            context,
+          })) as { data?: any }
+          result = (response.data ?? response)
+        } else {
+          result = await storage.patch!(id, presaveContext.record, options)
+        }
+      } catch (error) {
+        if (sent && this._canQueueOffline(error, context)) {
+          return this._queueOffline('patch', id, data, presaveContext.record, context, token)
+        }
+        throw await this._toConflictError(error, id, token)
       }
+      this._trackVersion(id, result)
       this.invalidateCache()
+      result = this._withComputed(result)
 
       // Invoke postsave hooks (for side effects)
       const postsaveContext = this._buildPostsaveContext(data, result, false, id)
@@ -546,6 +679,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         id,
       })
       this._emitDataInvalidate('updated', id)
+      this._recordUndo('update', id, before, result, context)
       return result
     }
     throw new Error(`[EntityManager:${this.name}] patch() not implemented`)
@@ -565,15 +699,25 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     )
     this._stats.delete++
     if (storage) {
+      const before = await this._captureUndo(id, context)
+
       // Invoke predelete hooks (can throw to abort, e.g., for cascade checks)
       const predeleteContext = this._buildPredeleteContext(id)
       await this._invokeHook('predelete', predeleteContext as unknown as Record<string, unknown>)
 
       // Use request() with endpoint for multi-storage routing, otherwise use delete()
-      if (endpoint && storage.request) {
-        await storage.request('DELETE', `${endpoint}/${id}`, { context })
-      } else {
-        await storage.delete(id)
+      try {
+        if (endpoint && storage.request) {
+          await storage.request('DELETE', `${endpoint}/${id}`, { context })
+        } else {
+          await storage.delete(id)
+        }
+      } catch (error) {
+        if (this._canQueueOffline(error, context)) {
+          await this._queueOffline('delete', id, null, null, context)
+          return
+        }
+        throw error
       }
       this.invalidateCache()
       this._emitSignal('deleted', {
@@ -581,6 +725,7 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
         id,
       })
       this._emitDataInvalidate('deleted', id)
+      this._recordUndo('delete', id, before, null, context)
       return
     }
     throw new Error(`[EntityManager:${this.name}] delete() not implemented`)
@@ -614,6 +759,98 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     throw new Error(`[EntityManager:${this.name}] request() not implemented`)
   }
 
+  /**
+   * Optimistic-lock token remembered for a record (null when none was seen)
+   */
+  proto.getVersionToken = function (this: Self, id: string | number): string | number | null {
+    return this._versionTokens.get(String(id))?.value ?? null
+  }
+
+  /**
+   * Remember a record's lock token: the storage ETag when it issues one,
+   * else the `versionField` value.
+   */
+  proto._trackVersion = function (
+    this: Self,
+    id: string | number,
+    record: any
+  ): void {
+    const etag = this.storage?.getVersionToken?.(id)
+    if (etag) {
+      this._versionTokens.set(String(id), { value: etag, etag: true })
+      return
+    }
+    const version = this.versionField ? record?.[this.versionField] : undefined
+    if (version !== undefined && version !== null) {
+      this._versionTokens.set(String(id), { value: version as string | number, etag: false })
+    }
+  }
+
+  /**
+   * Attach a lock token to a write: ETags travel as `ifMatch`, version
+   * field values inside the record (the server compares them).
+   */
+  proto._withVersion = function (
+    this: Self,
+    data: Partial<any>,
+    token: VersionToken | undefined
+  ): { record: Partial<any>; options: WriteOptions } {
+    if (token?.etag) return { record: data, options: { ifMatch: String(token.value) } }
+    if (token && this.versionField) {
+      return { record: { ...data, [this.versionField]: token.value }, options: {} }
+    }
+    return { record: data, options: {} }
+  }
+
+  /**
+   * Turn a 409/412 write failure into a ConflictError carrying the current
+   * server record. Its token replaces the stale one, so retrying the write
+   * deliberately overwrites; anything else is returned unchanged.
+   */
+  proto._toConflictError = async function (
+    this: Self,
+    error: unknown,
+    id: string | number,
+    expected: VersionToken | undefined
+  ): Promise<unknown> {
+    // Raised by a presave hook (withVersioning) with the stored record at hand
+    if (error instanceof ConflictError) {
+      this.invalidateCache()
+      this._detailCache.items.delete(String(id))
+      this._trackVersion(id, error.serverRecord)
+      if (!this._versionTokens.get(String(id))?.etag && error.actualVersion !== null) {
+        this._versionTokens.set(String(id), { value: error.actualVersion, etag: false })
+      }
+      return error
+    }
+    const failure = error as { status?: number; response?: { status?: number } }
+    const status = failure?.status ?? failure?.response?.status
+    if (!isConflictStatus(status)) return error
+
+    // The record changed under us: drop cached copies, fetch the current one
+    this.invalidateCache()
+    this._detailCache.items.delete(String(id))
+    let serverRecord: any = null
+    try {
+      serverRecord = (await this.storage?.get(id)) ?? null
+      this._trackVersion(id, serverRecord)
+    } catch {
+      // Deleted meanwhile or unreachable: the conflict stands without it
+    }
+
+    return new ConflictError(
+      `[EntityManager:${this.name}] ${this.label} ${id} was modified by someone else`,
+      {
+        status,
+        entity: this.name,
+        id,
+        expectedVersion: expected?.value ?? null,
+        actualVersion: this.getVersionToken(id),
+        serverRecord,
+      }
+    )
+  }
+
   /**
    * Hook: called when manager is registered with orchestrator
    */
@@ -622,5 +859,18 @@ export function applyCrudMethods(EntityManagerClass: { prototype: any }): void {
     orchestrator: Orchestrator
   ): void {
     this._orchestrator = orchestrator
+    // Storages that read manager config (relations, includes) bind here
+    this.storage?.bindManager?.(this, orchestrator)
   }
 }
+
+/**
+ * Cursor fields of a storage response, when it has any
+ */
+function cursorFields(response: Partial<ListResult<unknown>>): Partial<ListResult<unknown>> {
+  const fields: Partial<ListResult<unknown>> = {}
+  if (response.nextCursor !== undefined) fields.nextCursor = response.nextCursor
+  if (response.prevCursor !== undefined) fields.prevCursor = response.prevCursor
+  if (response.hasMore !== undefined) fields.hasMore = response.hasMore
+  return fields
+}
@@ -0,0 +1,140 @@
+import type { ListResult } from '../types'
+import type { EntityManagerInternal, EntityRecord, IStorage, StorageCapabilities } from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+
+/**
+ * How one include resolves: the field holding the related id, the related
+ * entity, and the key the related record is embedded under
+ */
+export interface IncludeSpec {
+  name: string
+  foreignKey: string
+  entity: string
+}
+
+const ID_SUFFIX = /(_id|Id)$/
+
+/** A related record the storage embedded already */
+function isEmbedded(value: unknown): boolean {
+  return value !== null && typeof value === 'object'
+}
+
+/**
+ * Include names from ListParams (`include` and its `with` alias), deduped.
+ * Accepts arrays and comma-separated strings.
+ */
+export function normalizeIncludes(...values: unknown[]): string[] {
+  const names = new Set<string>()
+  for (const value of values) {
+    if (value === null || value === undefined) continue
+    const list: unknown[] = Array.isArray(value) ? value : String(value).split(',')
+    for (const name of list) {
+      const trimmed = String(name).trim()
+      if (trimmed) names.add(trimmed)
+    }
+  }
+  return [...names]
+}
+
+/**
+ * Whether a storage embeds included records itself (supportsInclude)
+ */
+export function supportsInclude(storage: IStorage | null | undefined): boolean {
+  const caps =
+    (storage as unknown as { capabilities?: Partial<StorageCapabilities> })?.capabilities ||
+    (storage?.constructor as { capabilities?: Partial<StorageCapabilities> })?.capabilities
+  return !!caps?.supportsInclude
+}
+
+/**
+ * Patch EntityManager prototype with include (eager-loading) methods.
+ *
+ * `list({ include: ['author'] })` embeds the referenced record in each row
+ * (`row.author`), fetched with one getMany() per related entity for the whole
+ * page instead of one get() per row. Rows the storage already embedded
+ * (supportsInclude) are left as they are.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyIncludeMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  /**
+   * Resolve an include name: a parent key, or a reference field
+   * ('author' → `author_id`/`authorId`; 'author_id' is embedded as 'author')
+   */
+  proto._resolveInclude = function (this: Self, name: string): IncludeSpec {
+    const parent = this._parents[name]
+    if (parent) {
+      return { name, foreignKey: parent.foreignKey, entity: parent.entity }
+    }
+    const candidates = ID_SUFFIX.test(name) ? [name] : [`${name}_id`, `${name}Id`]
+    for (const field of candidates) {
+      const entity = this.getFieldConfig(field)?.reference?.entity
+      if (entity) {
+        return { name: name.replace(ID_SUFFIX, ''), foreignKey: field, entity }
+      }
+    }
+    throw new Error(
+      `[EntityManager:${this.name}] Unknown include "${name}": expected a parent key or a reference field named ${name}_id`
+    )
+  }
+
+  /**
+   * Embed the included records in a list result (rows are copied, never
+   * the cached records themselves)
+   */
+  proto._applyIncludes = async function <R extends ListResult<EntityRecord>>(
+    this: Self,
+    result: R,
+    includes: string[]
+  ): Promise<R> {
+    if (includes.length === 0 || result.items.length === 0) return result
+    const specs = includes.map((name) => this._resolveInclude(name))
+    const orchestrator = this._orchestrator
+    if (!orchestrator) {
+      throw new Error(`[EntityManager:${this.name}] include needs an orchestrator to reach related managers`)
+    }
+
+    // Ids to fetch per entity, across includes and rows
+    const wanted = new Map<string, Map<string, string | number>>()
+    for (const spec of specs) {
+      const ids = wanted.get(spec.entity) ?? new Map<string, string | number>()
+      wanted.set(spec.entity, ids)
+      for (const item of result.items as EntityRecord[]) {
+        const id = item[spec.foreignKey] as string | number | null | undefined
+        if (!isEmbedded(item[spec.name]) && id !== null && id !== undefined && id !== '') {
+          ids.set(String(id), id)
+        }
+      }
+    }
+
+    // Per-request identity map: rows pointing at the same record share it
+    const identity = new Map<string, Map<string, EntityRecord>>()
+    await Promise.all(
+      [...wanted].map(async ([entity, ids]) => {
+        const records = new Map<string, EntityRecord>()
+        identity.set(entity, records)
+        if (ids.size === 0) return
+        const manager = orchestrator.get(entity)
+        if (!manager) {
+          throw new Error(`[EntityManager:${this.name}] include: no manager registered for "${entity}"`)
+        }
+        for (const record of await manager.getMany([...ids.values()])) {
+          records.set(String(record[manager.idField]), record)
+        }
+      })
+    )
+
+    const items = (result.items as EntityRecord[]).map((item) => {
+      const row: EntityRecord = { ...item }
+      for (const spec of specs) {
+        if (isEmbedded(row[spec.name])) continue
+        const id = item[spec.foreignKey]
+        row[spec.name] = id === null || id === undefined ? null : (identity.get(spec.entity)!.get(String(id)) ?? null)
+      }
+      return row
+    })
+    return { ...result, items }
+  }
+}
@@ -25,8 +25,10 @@
  */
 
 import type { EntityBadge } from './EntityManager.types'
+import type { AggregateParams, AggregateResult } from '../types'
 import type { SignalBus } from '../kernel/SignalBus'
 import type { EntityAuthAdapter } from './auth/EntityAuthAdapter'
+import type { ViewsProvider } from '../views/ViewsProvider'
 
 // ─── Base ────────────────────────────────────────────────────────────────────
 
@@ -71,19 +73,43 @@ export interface EntityManagerPermissions<T = unknown> {
  */
 export interface EntityManagerRead<T = unknown> extends EntityManagerBase<T>, EntityManagerPermissions<T> {
   get: (id: string | number, context?: unknown) => Promise<T>
-  list: (params?: unknown, context?: unknown) => Promise<{ items: T[]; total?: number; fromCache?: boolean; [key: string]: unknown }>
+  list: (params?: unknown, context?: unknown) => Promise<{ items: T[]; total?: number | null; fromCache?: boolean; [key: string]: unknown }>
   // query/invalidateCache/getFieldConfig are required since #1253: they are
   // unconditionally implemented on the class (prototype-applied) and called
   // unguarded by list pages — the `?` was a #1191 leftover that forced
   // consumer-side casts on base methods.
-  query: (params?: unknown, options?: { routingContext?: unknown }) => Promise<{ items: T[]; total?: number; fromCache?: boolean; [key: string]: unknown }>
+  query: (params?: unknown, options?: { routingContext?: unknown }) => Promise<{ items: T[]; total?: number | null; fromCache?: boolean; [key: string]: unknown }>
   delete: (id: string | number, context?: unknown) => Promise<void>
   request: (method: string, path: string, options?: { data?: unknown }) => Promise<unknown>
+  /** Batch writes behind the bulk list actions and imports (prototype-applied on the class) */
+  createMany: (records: Array<Record<string, unknown>>) => Promise<{ succeeded: unknown[]; failed: unknown[] }>
+  deleteMany: (ids: Array<string | number>) => Promise<{ succeeded: unknown[]; failed: unknown[] }>
+  patchMany: (items: Array<{ id: string | number; data: Record<string, unknown> }>) => Promise<{ succeeded: unknown[]; failed: unknown[] }>
   invalidateCache: () => void
   /** Field config lookup — read-side too since list column binding (#1255) */
   getFieldConfig: (name: string) => unknown | null
   /** Config-carrying property: always present on the class, VALUE nullable */
   localFilterThreshold?: number | null
+  // Optional BY DESIGN: only list cards bound to an aggregate call it, and
+  // they check for it first. The canonical class always provides it.
+  aggregate?: (params?: AggregateParams, context?: unknown) => Promise<AggregateResult>
+  // Optional BY DESIGN: background refresh of the list cache; list pages
+  // check for it first. The canonical class always provides it.
+  revalidate?: () => Promise<boolean>
+  // Optional BY DESIGN: field-level permissions; pages treat a manager
+  // without them as allowing every field. The canonical class always provides it.
+  canReadField?: (field: string, entity?: T) => boolean
+  // Optional BY DESIGN: list exports fall back to the listable fields when
+  // the page registered no column. The canonical class always provides it.
+  getListFields?: () => Array<{ name: string }>
+  // Optional BY DESIGN: audit trail (`audit: true` + AuditModule); show/form
+  // pages only add their History tab when it is there and answers true.
+  canViewHistory?: () => boolean
+  canRestoreVersion?: (entity?: T) => boolean
+  /** Refresh policy list pages apply while mounted (config-carrying) */
+  refreshIntervalMs?: number
+  refreshOnFocus?: boolean
+  refreshOnReconnect?: boolean
 }
 
 // ─── CRUD ────────────────────────────────────────────────────────────────────
@@ -100,6 +126,14 @@ export interface EntityManagerCrud<T = unknown> extends EntityManagerRead<T> {
   create: (data: unknown, context?: unknown) => Promise<T>
   update: (id: string | number, data: unknown, context?: unknown) => Promise<T>
   patch: (id: string | number, data: unknown, context?: unknown) => Promise<T>
+  // Optional BY DESIGN, like canReadField: forms make unwritable fields read-only
+  canWriteField?: (field: string, entity?: T) => boolean
+  // Optional BY DESIGN: computed fields; forms recompute them as the user
+  // edits. The canonical class always provides it.
+  getComputedFields?: () => string[]
+  applyComputed?: <R>(records: R) => R
+  /** Optimistic-lock version field (excluded from conflict diffs) */
+  readonly versionField?: string | null
   // Optional BY DESIGN (#1253): the severity/badge presentation capability —
   // a minimal manager-like need not carry it; every qdadm call site guards
   // (`?.` or truthiness). The canonical class always provides it.
@@ -154,7 +188,7 @@ export interface EntityManagerLike {
   canDelete(entity?: unknown): boolean
   list(params?: Record<string, unknown>, context?: unknown): Promise<{
     items: unknown[]
-    total?: number
+    total?: number | null
     fromCache?: boolean
   }>
   get(id: string | number, context?: unknown): Promise<unknown>
@@ -175,4 +209,6 @@ export interface OrchestratorLike<M = EntityManagerLike | null | undefined> {
   toast: ToastLike
   signals?: SignalBus | null
   entityAuthAdapter?: EntityAuthAdapter | null
+  // Optional BY DESIGN: list pages fall back to a localStorage provider
+  viewsProvider?: ViewsProvider | null
 }
@@ -0,0 +1,191 @@
+import { defaultGenerateId } from '../query/clientFilter'
+import { isNetworkError } from './storage/errors'
+import type { OfflineQueue } from './offline/OfflineQueue'
+import type { QueuedOperation } from './offline/outbox'
+import type { EntityManagerInternal, EntityRecord, RoutingContext, VersionToken } from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+type OfflineAction = QueuedOperation['action']
+
+/** Prefix of the ids handed out for records created offline */
+const TEMP_ID_PREFIX = 'offline-'
+
+const SIGNAL_FOR: Record<OfflineAction, 'created' | 'updated' | 'deleted'> = {
+  create: 'created',
+  update: 'updated',
+  patch: 'updated',
+  delete: 'deleted',
+}
+
+/**
+ * Patch EntityManager prototype with offline queue methods.
+ *
+ * Managers built with `offline: true` hand writes that fail with a network
+ * error to the Kernel's OfflineQueue (`orchestrator.offlineQueue`) instead
+ * of throwing. The write resolves with an optimistic record, patched into
+ * the list/detail caches and flagged by isPending() until the queue
+ * replays it through replayOffline().
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyOfflineMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  /**
+   * Whether a record has writes waiting in the offline queue
+   */
+  proto.isPending = function (this: Self, id: string | number): boolean {
+    return this._getOfflineQueue()?.isPending(this.name, id) ?? false
+  }
+
+  /**
+   * This entity's operations waiting in the offline queue, in replay order
+   */
+  proto.getPendingOperations = function (this: Self): QueuedOperation[] {
+    return this._getOfflineQueue()?.forEntity(this.name) ?? []
+  }
+
+  /**
+   * Send a queued operation to the storage (called by OfflineQueue.replay).
+   * The write is based on the lock token it was queued with, so a record
+   * changed meanwhile raises ConflictError rather than being overwritten.
+   */
+  proto.replayOffline = async function (
+    this: Self,
+    operation: QueuedOperation
+  ): Promise<EntityRecord | undefined> {
+    const { action, targetId, data = {}, version } = operation
+    const context: RoutingContext = { ...operation.context, offlineReplay: true }
+    if (version && targetId !== null) {
+      this._versionTokens.set(String(targetId), version)
+    }
+    switch (action) {
+      case 'create':
+        return this.create(data, context)
+      case 'update':
+        return this.update(targetId!, data, context)
+      case 'patch':
+        return this.patch(targetId!, data, context)
+      case 'delete':
+        await this.delete(targetId!, context)
+        return undefined
+    }
+  }
+
+  proto._getOfflineQueue = function (this: Self): OfflineQueue | null {
+    return this.offline ? (this._orchestrator?.offlineQueue ?? null) : null
+  }
+
+  /**
+   * Whether a failed write goes to the offline queue (never during a replay)
+   */
+  proto._canQueueOffline = function (
+    this: Self,
+    error: unknown,
+    context?: RoutingContext
+  ): boolean {
+    return !context?.offlineReplay && this._getOfflineQueue() !== null && isNetworkError(error)
+  }
+
+  /**
+   * Queue a write and answer it optimistically.
+   *
+   * `data` is replayed as-is (hooks run again on replay); `record` is the
+   * presave output, used for the optimistic record.
+   */
+  proto._queueOffline = async function (
+    this: Self,
+    action: OfflineAction,
+    id: string | number | null,
+    data: Partial<EntityRecord> | null,
+    record: Partial<EntityRecord> | null,
+    context?: RoutingContext,
+    token?: VersionToken
+  ): Promise<EntityRecord | undefined> {
+    const queue = this._getOfflineQueue()!
+    const tempId = action === 'create' ? `${TEMP_ID_PREFIX}${defaultGenerateId()}` : undefined
+    const targetId = tempId ?? id!
+    const idStr = String(targetId)
+
+    let optimistic: EntityRecord | null = null
+    if (action === 'create' || action === 'update') {
+      optimistic = { ...record, [this.idField]: targetId } as EntityRecord
+    } else if (action === 'patch') {
+      const base = findKnownRecord(this, idStr)
+      optimistic = base ? ({ ...base, ...record, [this.idField]: targetId } as EntityRecord) : null
+    }
+
+    // Writes to an offline-created record fold into its create: no temp id in the payload
+    let payload = data ? { ...data } : undefined
+    if (payload && action !== 'create' && idStr.startsWith(TEMP_ID_PREFIX)) {
+      const { [this.idField]: _tempId, ...rest } = payload
+      void _tempId
+      payload = rest
+    }
+
+    await queue.enqueue({
+      entity: this.name,
+      action,
+      targetId,
+      tempId,
+      data: payload,
+      record: optimistic,
+      version: token,
+      context,
+    })
+    patchCaches(this, action, idStr, optimistic)
+
+    this._emitSignal(SIGNAL_FOR[action], {
+      ...(action === 'delete' ? {} : { entity: optimistic }),
+      manager: this.name,
+      id: targetId,
+      pending: true,
+    })
+    if (action === 'delete') return undefined
+    return optimistic ?? ({ ...data, [this.idField]: targetId } as EntityRecord)
+  }
+}
+
+/**
+ * Latest copy of a record the manager knows: queued, list cache, detail cache
+ */
+function findKnownRecord(self: Self, idStr: string): Record<string, unknown> | null {
+  const pending = self._getOfflineQueue()?.getPendingRecord(self.name, idStr)
+  if (pending) return pending
+  if (self._cache.valid) {
+    const cached = self._cache.items.find((item: EntityRecord) => String(item[self.idField]) === idStr)
+    if (cached) return cached
+  }
+  return self._detailCache.items.get(idStr)?.item ?? null
+}
+
+/**
+ * Show a queued write in the caches, as if it had reached the server
+ */
+function patchCaches(
+  self: Self,
+  action: OfflineAction,
+  idStr: string,
+  record: Record<string, unknown> | null
+): void {
+  const cache = self._cache
+  if (cache.valid) {
+    const index = cache.items.findIndex((item: EntityRecord) => String(item[self.idField]) === idStr)
+    if (action === 'delete') {
+      if (index !== -1) {
+        cache.items.splice(index, 1)
+        cache.total--
+      }
+    } else if (record && index !== -1) {
+      cache.items[index] = record
+    } else if (record && action === 'create') {
+      cache.items.push(record)
+      cache.total++
+    }
+  }
+
+  if (action === 'delete') {
+    self._detailCache.items.delete(idStr)
+  } else if (record && self.isDetailCacheEnabled) {
+    self._detailCache.items.set(idStr, { item: record, loadedAt: Date.now() })
+  }
+}
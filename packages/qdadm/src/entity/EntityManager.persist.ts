@@ -0,0 +1,80 @@
+import type { PersistentCache } from './cache/PersistentCache'
+import type { PersistedDetail } from './cache/stores'
+import type { EntityManagerInternal } from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+
+/**
+ * Patch EntityManager prototype with persistent cache methods.
+ *
+ * Managers built with `persistCache: true` keep their list and detail
+ * caches in the Kernel's PersistentCache (`orchestrator.persistentCache`).
+ * The first read hydrates them from the previous session and refreshes the
+ * list in the background; each change of the caches is written back.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyPersistMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  proto._getPersistentCache = function (this: Self): PersistentCache | null {
+    return this.persistCache ? (this._orchestrator?.persistentCache ?? null) : null
+  }
+
+  /**
+   * Restore the caches of the previous session, once, before the first read.
+   * An expired list is only restored with staleWhileRevalidate.
+   */
+  proto._hydrateCache = function (this: Self): void {
+    if (this._hydrated) return
+    const persistent = this._getPersistentCache()
+    // Not configured, or an asynchronous store still loading: try again on the next read
+    if (!persistent?.loaded) return
+    this._hydrated = true
+
+    const entry = persistent.read(this.name)
+    if (!entry) return
+
+    if (this.isDetailCacheEnabled) {
+      for (const { id, item, loadedAt } of entry.details) {
+        if (!this._detailCache.items.has(id) && !this._isDetailCacheEntryExpired(loadedAt)) {
+          this._detailCache.items.set(id, { item, loadedAt })
+        }
+      }
+      this._evictDetailCache()
+    }
+
+    const list = entry.list
+    if (!list || !this.isCacheEnabled || this._cache.valid) return
+    const ttl = this.effectiveCacheTtlMs
+    if (ttl > 0 && Date.now() - list.loadedAt > ttl && !this.staleWhileRevalidate) return
+
+    const cache = this._cache
+    cache.items = list.items
+    cache.total = list.total
+    cache.loadedAt = list.loadedAt
+    cache.valid = true
+    cache.overflowed = false
+    this._hydratedAt = list.loadedAt
+    void this.revalidate()
+  }
+
+  /**
+   * Write the list and detail caches to the persistent cache
+   * (primed records are left out: they only live for seconds)
+   */
+  proto._persistCache = function (this: Self): void {
+    const persistent = this._getPersistentCache()
+    if (!persistent) return
+    const cache = this._cache
+    const details: PersistedDetail[] = []
+    for (const [id, entry] of this._detailCache.items) {
+      if (!entry.primed) details.push({ id, item: entry.item, loadedAt: entry.loadedAt })
+    }
+    persistent.write(this.name, {
+      list: cache.valid && cache.loadedAt !== null
+        ? { items: [...cache.items], total: cache.total, loadedAt: cache.loadedAt }
+        : null,
+      details,
+    })
+  }
+}
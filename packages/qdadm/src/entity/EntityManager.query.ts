@@ -2,6 +2,7 @@ import { QueryExecutor, type QueryObject } from '../query/QueryExecutor'
 import type { ListParams, ListResult } from '../types'
 import type { EntityManagerInternal, OperationStats, QueryOptions } from './EntityManager.types'
 import { nullSortRank, type NullSortMode } from '../query/clientFilter'
+import { normalizeIncludes } from './EntityManager.include'
 
 type Self = EntityManagerInternal<any>
 
@@ -29,6 +30,9 @@ export function applyQueryMethods(EntityManagerClass: { prototype: any }): void
     )
     const isDynamicEndpoint = !!resolved.endpoint
 
+    // An expired cache is refilled below, or served as stale while it refreshes
+    const stale = this._expireCache()
+
     // Ensure cache is filled (via list) — skip for dynamic endpoints
     // since list() disables caching when resolveStorage provides an endpoint
     const cache = this._cache
@@ -50,7 +54,10 @@ export function applyQueryMethods(EntityManagerClass: { prototype: any }): void
     } else {
       // Full cache available - filter locally
       const filtered = this._filterLocally(cache.items, params)
-      result = { ...filtered, fromCache: true }
+      result = await this._applyIncludes(
+        { ...filtered, fromCache: true, ...(stale ? { stale } : {}) },
+        normalizeIncludes(params.include, params.with)
+      )
     }
 
     // Call hook if defined (for context-based customization)
@@ -99,6 +106,12 @@ export function applyQueryMethods(EntityManagerClass: { prototype: any }): void
 
     let result = [...items]
 
+    // Record rules hold for the cache as for the storage
+    const rule = this._applyRecordRules('cache')
+    if (rule) {
+      result = result.filter((item) => QueryExecutor.match(item, rule))
+    }
+
     // Apply search
     if (search) {
       const searchLower = search.toLowerCase()
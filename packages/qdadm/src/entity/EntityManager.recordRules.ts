@@ -0,0 +1,137 @@
+import { QueryExecutor, type QueryObject } from '../query/QueryExecutor'
+import type {
+  EntityManagerInternal,
+  IStorage,
+  RecordRuleScope,
+  ScopedFilters,
+  StorageCapabilities,
+} from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+
+const LOGICAL_KEYS = ['$or', '$and', '$nor']
+
+function isBlank(value: unknown): boolean {
+  return value === null || value === undefined || value === ''
+}
+
+/**
+ * Whether the storage's list() filters take QueryExecutor operators, $or/$and included
+ */
+export function supportsQueryOperators(storage: IStorage | null | undefined): boolean {
+  const caps =
+    (storage as unknown as { capabilities?: Partial<StorageCapabilities> })?.capabilities ||
+    (storage?.constructor as { capabilities?: Partial<StorageCapabilities> })?.capabilities
+  return !!caps?.supportsQueryOperators
+}
+
+/**
+ * Merge a rule into query filters. Keys on both sides are AND-ed so a user
+ * filter cannot widen a rule.
+ */
+function mergeRule(filters: Record<string, unknown> | undefined, rule: QueryObject): Record<string, unknown> {
+  if (!filters) return { ...rule }
+  if (!Object.keys(rule).some((key) => !isBlank(filters[key]))) return { ...filters, ...rule }
+  const set = Object.fromEntries(Object.entries(filters).filter(([, value]) => !isBlank(value)))
+  return { $and: [set, rule] }
+}
+
+/**
+ * Patch EntityManager prototype with record rule methods.
+ *
+ * `recordRules` maps roles to the records they see, e.g.
+ * `{ ROLE_LIBRARIAN: { branch_id: (user) => user.branch_id }, ROLE_ADMIN: true }`.
+ * The rules of the user's roles are OR-ed into one filter, merged into the
+ * filters sent to the storage and applied to the list cache, so a mock
+ * backend scopes rows the way the real API does. A compound scope ($or of
+ * several roles, $and over a filtered ruled field) only goes to storages
+ * advertising `supportsQueryOperators`; others get the user filters and the
+ * manager applies the rule to what they return.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyRecordRuleMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  /**
+   * Rules of the current user's roles (null when none applies)
+   *
+   * Roles are checked with isGranted() when a SecurityChecker is configured
+   * (role hierarchy included), against `user.roles`/`user.role` otherwise.
+   */
+  proto._resolveRecordRules = function (this: Self): RecordRuleScope | null {
+    const rules = this._recordRules
+    if (!rules) return null
+
+    const user = this._getCurrentUser()
+    const checker = this._hasSecurityChecker()
+    const held = user?.roles ?? (user?.role ? [user.role] : [])
+
+    const roles: string[] = []
+    const filters: QueryObject[] = []
+    for (const [role, rule] of Object.entries(rules)) {
+      const granted = checker ? (this.authAdapter.isGranted?.(role) ?? false) : held.includes(role)
+      if (!granted) continue
+
+      const resolved = typeof rule === 'function' ? rule(user ?? {}) : rule
+      // One unrestricted role lifts every other rule
+      if (resolved === true) return { roles: [role], filter: null }
+      const filter: QueryObject = {}
+      for (const [field, value] of Object.entries(resolved)) {
+        filter[field] = (typeof value === 'function' ? value(user ?? {}) : value) as QueryObject[string]
+      }
+      if (Object.keys(filter).length === 0) return { roles: [role], filter: null }
+      roles.push(role)
+      filters.push(filter)
+    }
+
+    if (roles.length === 0) return null
+    return { roles, filter: filters.length === 1 ? filters[0]! : { $or: filters } }
+  }
+
+  /**
+   * Filter the current user's record rules add to queries (null when unrestricted)
+   */
+  proto.getRecordRuleFilter = function (this: Self): QueryObject | null {
+    return this._resolveRecordRules()?.filter ?? null
+  }
+
+  /**
+   * Check if a record is within the current user's record rules
+   */
+  proto.matchesRecordRules = function (this: Self, record: Record<string, unknown>): boolean {
+    const filter = this.getRecordRuleFilter()
+    return !filter || QueryExecutor.match(record, filter)
+  }
+
+  /**
+   * Resolve the record rule filter for an operation and report it on
+   * `auth:record-rules` (debug AuthPanel)
+   */
+  proto._applyRecordRules = function (this: Self, operation: string): QueryObject | null {
+    const scope = this._resolveRecordRules()
+    if (!scope) return null
+    this._signals?.emit('auth:record-rules', { entity: this.name, operation, ...scope })
+    return scope.filter
+  }
+
+  /**
+   * Merge the record rule filter into query filters (same object when unrestricted)
+   *
+   * `filters` go to the storage; when it cannot take a compound scope they
+   * stay the user's, and `rule` is left for the manager to apply on the rows
+   * returned. `scoped` is the whole scope, for local filtering.
+   */
+  proto._scopeFilters = function (
+    this: Self,
+    filters: Record<string, unknown> | undefined,
+    operation: string,
+    storage?: IStorage | null
+  ): ScopedFilters {
+    const rule = this._applyRecordRules(operation)
+    if (!rule) return { filters, scoped: filters, rule: null }
+    const scoped = mergeRule(filters, rule)
+    const compound = LOGICAL_KEYS.some((key) => key in scoped)
+    if (!compound || supportsQueryOperators(storage)) return { filters: scoped, scoped, rule: null }
+    return { filters, scoped, rule }
+  }
+}
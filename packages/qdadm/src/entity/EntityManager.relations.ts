@@ -1,9 +1,123 @@
-import type { EntityRecord, ListParams, ListResult, ChildConfig, ParentConfig } from '../types'
+import type { EntityRecord, ListParams, ListResult, ChildConfig, ParentConfig, RelationConfig } from '../types'
 import type { EntityManager } from './EntityManager'
-import type { EntityManagerInternal } from './EntityManager.types'
+import type { BatchResult, EntityManagerInternal, RelationSyncResult } from './EntityManager.types'
+import { singular } from '../utils/pluralize'
 
 type Self = EntityManagerInternal<any>
 
+/**
+ * One related id or several
+ */
+export type RelatedIds = string | number | Array<string | number>
+
+/** Join records fetched per request when collecting links */
+const LINK_PAGE_SIZE = 100
+
+/**
+ * Managers and keys of a `through` relation
+ */
+interface ThroughRelation {
+  join: EntityManager<EntityRecord>
+  related: EntityManager<EntityRecord>
+  localKey: string
+  foreignKey: string
+}
+
+function resolveThrough(self: Self, relationName: string, method: string): ThroughRelation {
+  const relation = self._relations[relationName]
+  if (!relation) {
+    throw new Error(`[EntityManager:${self.name}] Unknown relation "${relationName}"`)
+  }
+  if (!relation.through) {
+    throw new Error(
+      `[EntityManager:${self.name}] ${method}() needs relation "${relationName}" to declare \`through\``
+    )
+  }
+  const join = self._orchestrator?.get<EntityRecord>(relation.through)
+  const related = self._orchestrator?.get<EntityRecord>(relation.entity)
+  if (!join || !related) {
+    throw new Error(
+      `[EntityManager:${self.name}] ${method}() needs the "${relation.through}" and "${relation.entity}" managers`
+    )
+  }
+  return {
+    join,
+    related,
+    localKey: relation.localKey ?? `${singular(self.name)}_id`,
+    foreignKey: relation.foreignKey ?? `${singular(relation.entity)}_id`,
+  }
+}
+
+/**
+ * Every join record of one owner, page after page.
+ * The storage's hasMore, then total, tell when to stop (a short page only
+ * when it gives neither: it may cap the page size); a page adding no new
+ * link ends the loop too, in case the storage ignores paging.
+ */
+async function listLinks(relation: ThroughRelation, id: string | number): Promise<EntityRecord[]> {
+  const { join, localKey } = relation
+  const links: EntityRecord[] = []
+  const seen = new Set<string>()
+  let cursor: string | null = null
+  for (let page = 1; ; page++) {
+    const result: ListResult<EntityRecord> = await join.query({
+      filters: { [localKey]: id },
+      page,
+      page_size: LINK_PAGE_SIZE,
+      ...(cursor ? { cursor } : {}),
+    })
+    let added = 0
+    for (const link of result.items) {
+      const key = String(link[join.idField])
+      if (seen.has(key)) continue
+      seen.add(key)
+      links.push(link)
+      added++
+    }
+    cursor = result.nextCursor ?? null
+    let done: boolean
+    if (added === 0) done = true
+    else if (result.hasMore !== undefined) done = !result.hasMore
+    else if (result.total !== null && result.total !== undefined) done = links.length >= result.total
+    else done = result.items.length < LINK_PAGE_SIZE
+    if (done) break
+  }
+  // Storages with loose filter matching ('1' in '10') must not leak links
+  return links.filter((link) => String(link[localKey]) === String(id))
+}
+
+function toIdList(ids: RelatedIds): Array<string | number> {
+  const list = Array.isArray(ids) ? ids : [ids]
+  const seen = new Set<string>()
+  return list.filter((value) => !seen.has(String(value)) && !!seen.add(String(value)))
+}
+
+function emptyBatch(action: BatchResult['action']): BatchResult {
+  return { action, results: [], succeeded: [], failed: [] }
+}
+
+function createLinks(
+  relation: ThroughRelation,
+  links: EntityRecord[],
+  id: string | number,
+  relatedIds: Array<string | number>,
+  data: Record<string, unknown>
+): Promise<BatchResult> {
+  const { join, localKey, foreignKey } = relation
+  const linked = new Set(links.map((link) => String(link[foreignKey])))
+  const records = relatedIds
+    .filter((relatedId) => !linked.has(String(relatedId)))
+    .map((relatedId) => ({ ...data, [localKey]: id, [foreignKey]: relatedId }))
+  if (records.length === 0) return Promise.resolve(emptyBatch('create'))
+  return join.createMany(records)
+}
+
+function deleteLinks(relation: ThroughRelation, links: EntityRecord[]): Promise<BatchResult> {
+  const { join } = relation
+  if (links.length === 0) return Promise.resolve(emptyBatch('delete'))
+  return join.deleteMany(links.map((link) => link[join.idField] as string | number))
+}
+
 /**
  * Patch EntityManager prototype with relation-related methods.
  */
@@ -137,6 +251,81 @@ export function applyRelationsMethods(EntityManagerClass: { prototype: any }): v
     )
   }
 
+  proto.getRelationConfig = function (this: Self, relationName: string): RelationConfig | undefined {
+    return this._relations[relationName]
+  }
+
+  /**
+   * Records linked to `id` through the relation's join entity
+   */
+  proto.listRelated = async function (
+    this: Self,
+    id: string | number,
+    relationName: string
+  ): Promise<ListResult<EntityRecord>> {
+    const relation = resolveThrough(this, relationName, 'listRelated')
+    const links = await listLinks(relation, id)
+    const relatedIds = toIdList(links.map((link) => link[relation.foreignKey] as string | number))
+    const items = await relation.related.getMany(relatedIds)
+    return { items, total: items.length }
+  }
+
+  /**
+   * Link related records to `id` (one join record each, `data` merged in).
+   * Already linked ids are skipped.
+   */
+  proto.attach = async function (
+    this: Self,
+    id: string | number,
+    relationName: string,
+    relatedIds: RelatedIds,
+    data: Record<string, unknown> = {}
+  ): Promise<BatchResult> {
+    const relation = resolveThrough(this, relationName, 'attach')
+    const links = await listLinks(relation, id)
+    return createLinks(relation, links, id, toIdList(relatedIds), data)
+  }
+
+  /**
+   * Unlink related records from `id` (all of them when no ids are given)
+   */
+  proto.detach = async function (
+    this: Self,
+    id: string | number,
+    relationName: string,
+    relatedIds?: RelatedIds
+  ): Promise<BatchResult> {
+    const relation = resolveThrough(this, relationName, 'detach')
+    const links = await listLinks(relation, id)
+    const unlinked = relatedIds === undefined ? null : new Set(toIdList(relatedIds).map(String))
+    return deleteLinks(
+      relation,
+      links.filter((link) => !unlinked || unlinked.has(String(link[relation.foreignKey])))
+    )
+  }
+
+  /**
+   * Make `relatedIds` the exact set linked to `id`: attach the missing
+   * ones, detach the others
+   */
+  proto.sync = async function (
+    this: Self,
+    id: string | number,
+    relationName: string,
+    relatedIds: Array<string | number>,
+    data: Record<string, unknown> = {}
+  ): Promise<RelationSyncResult> {
+    const relation = resolveThrough(this, relationName, 'sync')
+    const links = await listLinks(relation, id)
+    const wanted = toIdList(relatedIds)
+    const keep = new Set(wanted.map(String))
+    const [attached, detached] = await Promise.all([
+      createLinks(relation, links, id, wanted, data),
+      deleteLinks(relation, links.filter((link) => !keep.has(String(link[relation.foreignKey])))),
+    ])
+    return { attached, detached }
+  }
+
   proto.getChildManager = function (
     this: Self,
     childName: string
@@ -0,0 +1,89 @@
+import { SYNC_SIGNALS, type SyncMessage } from './sync/EntitySync'
+import type { EntityManagerInternal, EntityRecord } from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+
+/**
+ * Patch EntityManager prototype with real-time sync methods.
+ *
+ * Messages pushed by the server (EntitySync) go through the storage's
+ * normalize step, then patch the list and detail caches record by record: the caches stay valid and list/show pages of the
+ * entity update live on `entity:synced`. Managers built with
+ * `realtime: false` ignore them.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applySyncMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  /**
+   * Apply a server change to the caches, then emit `entity:synced`.
+   * Resolves false when the manager ignores real-time messages.
+   */
+  proto.applySync = async function (this: Self, message: SyncMessage): Promise<boolean> {
+    if (!this.realtime) return false
+    const { op, id } = message
+    // Pushed in the API's shape, like the storage's own responses
+    const pushed = (message.record ?? null) as EntityRecord | null
+    const record = pushed && this.storage?.normalizeRecord ? this.storage.normalizeRecord(pushed) : pushed
+
+    // Restore the persisted caches first: the change applies to them too
+    this._hydrateCache()
+    if (op === 'delete') {
+      this._removeSynced(id)
+    } else if (!record) {
+      // Nothing to patch with
+      this.invalidateCache()
+    } else if (this.matchesRecordRules(record)) {
+      await this._upsertSynced(id, this.applyComputed({ ...record, [this.idField]: record[this.idField] ?? id }))
+    } else {
+      // Moved out of the user's scope
+      this._removeSynced(id)
+    }
+    this._persistCache()
+
+    this._signals?.emit(SYNC_SIGNALS.SYNCED, { entity: this.name, op, id, record })
+    return true
+  }
+
+  /**
+   * Replace or add a record in the list cache (complete dataset) and
+   * refresh its detail cache entry
+   */
+  proto._upsertSynced = async function (
+    this: Self,
+    id: string | number,
+    record: EntityRecord
+  ): Promise<void> {
+    const key = String(id)
+    const cache = this._cache
+    if (cache.valid) {
+      // Parent fields searched locally (book.title) are resolved per record
+      await this._resolveSearchFields([record])
+      const index = cache.items.findIndex((item: EntityRecord) => String(item[this.idField]) === key)
+      if (index >= 0) cache.items.splice(index, 1, record)
+      else cache.items.push(record)
+      cache.total = cache.items.length
+    }
+
+    const entry = this._detailCache.items.get(key)
+    if (entry) {
+      this._detailCache.items.set(key, { item: record, loadedAt: Date.now(), primed: entry.primed })
+    }
+    this._detailInflight.delete(key)
+  }
+
+  /**
+   * Drop a record from the caches
+   */
+  proto._removeSynced = function (this: Self, id: string | number): void {
+    const key = String(id)
+    const cache = this._cache
+    if (cache.valid) {
+      cache.items = cache.items.filter((item: EntityRecord) => String(item[this.idField]) !== key)
+      cache.total = cache.items.length
+    }
+    this._detailCache.items.delete(key)
+    this._detailInflight.delete(key)
+    this._versionTokens.delete(key)
+  }
+}
@@ -2,24 +2,44 @@ import { PermissiveAuthAdapter } from './auth/PermissiveAdapter'
 import { AuthActions, type AuthUser } from './auth/EntityAuthAdapter'
 import type { EntityAuthAdapter as IEntityAuthAdapter } from './auth/EntityAuthAdapter'
 import pluralize from '../utils/pluralize'
+import { ConflictError } from './storage/errors'
 import { applyCacheMethods } from './EntityManager.cache'
 import { applyQueryMethods } from './EntityManager.query'
-import { applyRelationsMethods } from './EntityManager.relations'
+import { applyRelationsMethods, type RelatedIds } from './EntityManager.relations'
 import { applyCrudMethods } from './EntityManager.crud'
+import { applyBatchMethods } from './EntityManager.batch'
+import { applyOfflineMethods } from './EntityManager.offline'
+import { applyAggregateMethods } from './EntityManager.aggregate'
+import { applyIncludeMethods, type IncludeSpec } from './EntityManager.include'
+import { applyPersistMethods } from './EntityManager.persist'
+import { applyRecordRuleMethods } from './EntityManager.recordRules'
+import { applyAuditMethods } from './EntityManager.audit'
+import { applyUndoMethods } from './EntityManager.undo'
+import { applySyncMethods } from './EntityManager.sync'
 import type {
   EntityRecord,
   ListParams,
   ListResult,
+  AggregateParams,
+  AggregateResult,
   IStorage,
   FieldConfig,
   ChildConfig,
   ParentConfig,
   RelationConfig,
   NavConfig,
+  WriteOptions,
+  FieldAccess,
 } from '../types'
 import type { SignalBus } from '../kernel/SignalBus'
 import type { HookRegistry } from '../hooks/HookRegistry'
 import type { QueryObject } from '../query/QueryExecutor'
+import type { OfflineQueue } from './offline/OfflineQueue'
+import type { QueuedOperation } from './offline/outbox'
+import type { PersistentCache } from './cache/PersistentCache'
+import type { AuditLog, AuditEntry } from '../audit/AuditLog'
+import type { UndoAction, UndoStack } from './undo/UndoStack'
+import type { SyncMessage } from './sync/EntitySync'
 
 // Import types from dedicated types file
 import type {
@@ -29,6 +49,8 @@ import type {
   ResolvedStorage,
   StorageResolution,
   Orchestrator,
+  VersionToken,
+  ScopedFilters,
 } from './EntityManager.types'
 import type { NullSortMode } from '../query/clientFilter'
 
@@ -48,6 +70,13 @@ export type {
   SeverityMapValue,
   SeverityMap,
   EntityManagerOptions,
+  BatchOptions,
+  BatchUpdate,
+  BatchItemResult,
+  BatchResult,
+  RelationSyncResult,
+  RecordRule,
+  RecordRuleScope,
 } from './EntityManager.types'
 
 // Import concrete types needed in method signatures
@@ -63,8 +92,21 @@ import type {
   SeverityMap,
   SeverityDescriptor,
   EntityManagerOptions,
+  BatchOptions,
+  BatchUpdate,
+  BatchResult,
+  RelationSyncResult,
+  RecordRule,
+  RecordRuleScope,
 } from './EntityManager.types'
 
+/**
+ * Computed fields: declared with `compute` or `dependsOn`
+ */
+function isComputed(config: FieldConfig): boolean {
+  return typeof config.compute === 'function' || Array.isArray(config.dependsOn)
+}
+
 /**
  * EntityManager - Base class for entity CRUD operations
  *
@@ -77,6 +119,16 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
   readonly name: string
   storage: IStorage<T> | null
   readonly idField: string
+  readonly versionField: string | null
+  readonly offline: boolean
+  readonly persistCache: boolean
+  readonly audit: boolean
+  readonly undoable: boolean
+  readonly realtime: boolean
+  readonly staleWhileRevalidate: boolean
+  readonly refreshIntervalMs: number
+  readonly refreshOnFocus: boolean
+  readonly refreshOnReconnect: boolean
 
   protected _labelField: string | ((entity: T) => string)
   protected _badges: ((entity: T) => EntityBadge[]) | null
@@ -94,6 +146,8 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
   protected _detailCache: DetailCacheState<T> = { items: new Map() }
   protected _detailCacheTtlMs: number
   protected _detailCacheMaxSize: number
+  protected _primedCacheTtlMs: number
+  protected _versionTokens: Map<string, VersionToken> = new Map()
   protected _detailInflight: Map<string, Promise<T>> = new Map()
   protected _readOnly: boolean
   protected _warmup: boolean
@@ -102,6 +156,7 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
 
   protected _scopeWhitelist: string[] | null
   protected _isOwn: ((record: T, user: AuthUser) => boolean) | null
+  protected _recordRules: Record<string, RecordRule> | null
 
   protected _children: Record<string, ChildConfig>
   protected _parent: ParentConfig | null
@@ -123,6 +178,9 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
     overflowed: false,
   }
   protected _cacheLoading: Promise<boolean> | null = null
+  protected _revalidating: Promise<boolean> | null = null
+  protected _hydrated = false
+  protected _hydratedAt: number | null = null
 
   protected _signals: SignalBus | null = null
   protected _signalCleanup: (() => void) | null = null
@@ -162,15 +220,27 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
       localFilterThreshold = null,
       nullSort,
       cacheTtlMs = null,
+      staleWhileRevalidate = false,
+      refreshIntervalMs = 0,
+      refreshOnFocus = false,
+      refreshOnReconnect = false,
       asymmetric = false,
       detailCacheTtlMs = 0,
       detailCacheMaxSize = 0,
+      primedCacheTtlMs = 30000,
+      versionField = null,
+      offline = false,
+      persistCache = false,
+      audit = false,
+      undoable = true,
+      realtime = true,
       readOnly = false,
       warmup = true,
       authSensitive,
       system = false,
       scopeWhitelist = null,
       isOwn = null,
+      recordRules = null,
       children = {},
       parent = null,
       parents = {},
@@ -182,6 +252,16 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
     this.name = name
     this.storage = storage
     this.idField = idField
+    this.versionField = versionField
+    this.offline = offline
+    this.persistCache = persistCache
+    this.audit = audit
+    this.undoable = undoable
+    this.realtime = realtime
+    this.staleWhileRevalidate = staleWhileRevalidate
+    this.refreshIntervalMs = refreshIntervalMs
+    this.refreshOnFocus = refreshOnFocus
+    this.refreshOnReconnect = refreshOnReconnect
     this._labelField = labelField
     this._badges = badges
 
@@ -197,13 +277,16 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
     this._asymmetric = asymmetric
     this._detailCacheTtlMs = detailCacheTtlMs
     this._detailCacheMaxSize = detailCacheMaxSize
+    this._primedCacheTtlMs = primedCacheTtlMs
     this._readOnly = readOnly
     this._warmup = warmup
-    this._authSensitive = authSensitive ?? this._getStorageRequiresAuth()
+    // Record rules depend on who is logged in: the cache must follow
+    this._authSensitive = authSensitive ?? (recordRules !== null || this._getStorageRequiresAuth())
     this._system = system
 
     this._scopeWhitelist = scopeWhitelist
     this._isOwn = isOwn
+    this._recordRules = recordRules
 
     this._children = children
     this._parent = parent
@@ -268,13 +351,24 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
 
   /**
    * Invoke a lifecycle hook for this entity
+   *
+   * Handler errors are left to the hook registry, except a ConflictError
+   * from a presave/predelete handler (withVersioning): it aborts the
+   * operation.
    */
   protected async _invokeHook(
     hookName: string,
     context: Record<string, unknown>
   ): Promise<void> {
     if (!this._hooks) return
-    await this._hooks.invoke(`entity:${hookName}`, context)
+    const abortable = hookName === 'presave' || hookName === 'predelete'
+    try {
+      await this._hooks.invoke(`entity:${hookName}`, context, { throwOnError: abortable })
+    } catch (error) {
+      if (!(error instanceof AggregateError)) throw error
+      const conflict = error.errors.find((handlerError) => handlerError instanceof ConflictError)
+      if (conflict) throw conflict
+    }
   }
 
   /**
@@ -529,7 +623,12 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
       return false
     }
 
-    // 2. Ownership check: if user owns the record, check entity-own permission
+    // 2. Records outside the user's record rules are off limits
+    if (record && !this.matchesRecordRules(record)) {
+      return false
+    }
+
+    // 3. Ownership check: if user owns the record, check entity-own permission
     if (record && this._isOwn && this._hasSecurityChecker()) {
       const user = this._getCurrentUser()
       if (user && this._isOwn(record, user)) {
@@ -541,19 +640,19 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
       }
     }
 
-    // 3. Use isGranted() with entity:name:action format when available
+    // 4. Use isGranted() with entity:name:action format when available
     if (this._hasSecurityChecker()) {
       const perm = this._getPermissionString(action)
       return this.authAdapter.isGranted?.(perm, record) ?? false
     }
 
-    // 4. Legacy fallback: canPerform() + canAccessRecord()
+    // 5. Legacy fallback: canPerform() + canAccessRecord()
     const canPerformAction = this.authAdapter.canPerform(this.name, action)
     if (!canPerformAction) {
       return false
     }
 
-    // 5. Silo check: if record provided, can user access this specific record?
+    // 6. Silo check: if record provided, can user access this specific record?
     if (record !== null) {
       return this.authAdapter.canAccessRecord?.(this.name, record) ?? true
     }
@@ -610,6 +709,105 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
     return this.canAccess(AuthActions.LIST)
   }
 
+  // ============ FIELD PERMISSIONS ============
+
+  /**
+   * Actions guarded on a field (FieldConfig.permissions), empty when unguarded
+   */
+  protected _getGuardedAccess(field: string): FieldAccess[] {
+    const permissions = this._fields[field]?.permissions
+    if (permissions === true) return ['read', 'write']
+    return Array.isArray(permissions) ? permissions : []
+  }
+
+  /**
+   * Get guarded fields with their guarded actions
+   */
+  getGuardedFields(): Record<string, FieldAccess[]> {
+    const guarded: Record<string, FieldAccess[]> = {}
+    for (const field of Object.keys(this._fields)) {
+      const access = this._getGuardedAccess(field)
+      if (access.length > 0) guarded[field] = access
+    }
+    return guarded
+  }
+
+  /**
+   * Check if the current user can read or write a field, optionally on a specific record
+   *
+   * Only guarded fields are checked, against `entity:{entity}:field:{field}:{access}`
+   * (or `entity-own:...` for owned records). Unguarded fields, and all fields
+   * without a SecurityChecker, are allowed.
+   */
+  canAccessField(field: string, access: FieldAccess, record: T | null = null): boolean {
+    if (!this._getGuardedAccess(field).includes(access) || !this._hasSecurityChecker()) {
+      return true
+    }
+
+    if (record && this._isOwn) {
+      const user = this._getCurrentUser()
+      if (user && this._isOwn(record, user)) {
+        const ownPerm = `entity-own:${this.name}:field:${field}:${access}`
+        if (this.authAdapter.isGranted?.(ownPerm, record)) {
+          return true
+        }
+      }
+    }
+
+    const perm = this._getPermissionString(`field:${field}:${access}`)
+    return this.authAdapter.isGranted?.(perm, record) ?? false
+  }
+
+  /**
+   * Check if user can read a field
+   */
+  canReadField(field: string, record: T | null = null): boolean {
+    return this.canAccessField(field, 'read', record)
+  }
+
+  /**
+   * Check if user can write a field
+   */
+  canWriteField(field: string, record: T | null = null): boolean {
+    return this.canAccessField(field, 'write', record)
+  }
+
+  /**
+   * Drop the keys the user may not write (same object when none is dropped)
+   */
+  protected _stripUnwritableFields(data: Partial<T>, record: T | null = null): Partial<T> {
+    let stripped: Record<string, unknown> | null = null
+    for (const field of Object.keys(data ?? {})) {
+      if (!this.canWriteField(field, record)) {
+        stripped ??= { ...data }
+        delete stripped[field]
+      }
+    }
+    return (stripped ?? data) as Partial<T>
+  }
+
+  /**
+   * Record the field permissions of an update are checked on (owner grants):
+   * the one already fetched, else fetched only when a key is write-guarded
+   * and an owner grant could apply
+   */
+  protected async _getWriteTarget(
+    id: string | number,
+    data: Partial<T>,
+    known: T | null,
+    context?: RoutingContext
+  ): Promise<T | null> {
+    if (known) return known
+    if (!this._isOwn || !this._hasSecurityChecker()) return null
+    const guarded = Object.keys(data ?? {}).some((field) => this._getGuardedAccess(field).includes('write'))
+    if (!guarded) return null
+    try {
+      return await this._getRecord(id, context)
+    } catch {
+      return null
+    }
+  }
+
   /**
    * Get scope whitelist
    */
@@ -645,6 +843,20 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
     return this._fields
   }
 
+  /**
+   * Get parent relations config (key → { entity, foreignKey })
+   */
+  get parents(): Record<string, ParentConfig> {
+    return this._parents
+  }
+
+  /**
+   * Get relations config (key → { entity, through? })
+   */
+  get relations(): Record<string, RelationConfig> {
+    return this._relations
+  }
+
   /**
    * Get a specific field config
    */
@@ -658,6 +870,7 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
   getInitialData(context: RoutingContext | null = null): Partial<T> {
     const data: Record<string, unknown> = {}
     for (const [fieldName, fieldConfig] of Object.entries(this._fields)) {
+      if (isComputed(fieldConfig)) continue
       if (fieldConfig.default !== undefined) {
         data[fieldName] =
           typeof fieldConfig.default === 'function'
@@ -685,7 +898,7 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
         }
       }
     }
-    return data as Partial<T>
+    return this.applyComputed(data) as Partial<T>
   }
 
   /**
@@ -732,12 +945,78 @@ export class EntityManager<T extends EntityRecord = EntityRecord> {
   }
 
   /**
-   * Get fields that should appear in form view
+   * Get fields that should appear in form view (computed fields read-only)
    */
   getFormFields(): Array<{ name: string } & FieldConfig> {
     return Object.entries(this._fields)
       .filter(([, config]) => config.editable !== false)
-      .map(([name, config]) => ({ name, ...config }))
+      .map(([name, config]) => (isComputed(config) ? { name, ...config, readonly: true } : { name, ...config }))
+  }
+
+  // ============ COMPUTED FIELDS ============
+
+  /**
+   * Get the names of the computed fields (FieldConfig.compute / dependsOn)
+   */
+  getComputedFields(): string[] {
+    return Object.entries(this._fields)
+      .filter(([, config]) => isComputed(config))
+      .map(([name]) => name)
+  }
+
+  /**
+   * Check if a field is computed
+   */
+  isComputedField(field: string): boolean {
+    const config = this._fields[field]
+    return !!config && isComputed(config)
+  }
+
+  /**
+   * Materialize the computed fields on one record or an array of them, in
+   * place. Records coming out of the manager already carry them; call it
+   * on records built elsewhere (form data, custom fetches).
+   */
+  applyComputed<R>(records: R): R {
+    const computed = Object.entries(this._fields).filter(([, config]) => isComputed(config))
+    if (computed.length === 0) return records
+    for (const record of (Array.isArray(records) ? records : [records]) as unknown[]) {
+      if (!record || typeof record !== 'object') continue
+      const target = record as Record<string, unknown>
+      for (const [name, config] of computed) {
+        target[name] = config.compute
+          ? config.compute(target)
+          : config.dependsOn!.map((dep) => target[dep]).filter((v) => v !== null && v !== undefined && v !== '').join(' ')
+      }
+    }
+    return records
+  }
+
+  /**
+   * Copies of records with their computed fields materialized. Records a
+   * storage returns may be its own (MockApiStorage, MemoryStorage): they are
+   * never written to.
+   */
+  protected _withComputed<R>(records: R): R {
+    if (!this.getComputedFields().length) return records
+    const copy = (record: unknown): unknown =>
+      record && typeof record === 'object' ? { ...(record as Record<string, unknown>) } : record
+    return this.applyComputed((Array.isArray(records) ? records.map(copy) : copy(records)) as R)
+  }
+
+  /**
+   * Drop the computed fields from data about to be written (same object
+   * when none is present). The storage's own `denormalize` runs after.
+   */
+  denormalize(data: Partial<T>): Partial<T> {
+    let stripped: Record<string, unknown> | null = null
+    for (const field of Object.keys(data ?? {})) {
+      if (this.isComputedField(field)) {
+        stripped ??= { ...data }
+        delete stripped[field]
+      }
+    }
+    return (stripped ?? data) as Partial<T>
   }
 
   // ============ REFERENCE OPTIONS ============
@@ -886,6 +1165,7 @@ export interface EntityManager<T extends EntityRecord = EntityRecord> {
   readonly effectiveCacheTtlMs: number
   readonly isCacheTtlDisabled: boolean
   readonly storageSupportsTotal: boolean
+  readonly storageSupportsCursor: boolean
   readonly storageSearchFields: string[] | undefined
   readonly isCacheEnabled: boolean
   readonly overflow: boolean
@@ -897,8 +1177,11 @@ export interface EntityManager<T extends EntityRecord = EntityRecord> {
 
   // --- Cache methods ---
   /** @internal */ _isCacheExpired(): boolean
+  /** @internal */ _expireCache(): boolean
   /** @internal */ _isDetailCacheEntryExpired(loadedAt: number): boolean
   /** @internal */ _evictDetailCache(): void
+  /** @internal */ _getPrimedDetail(id: string): T | null
+  primeDetailCache(records: T[]): number
   invalidateDetailCache(): void
   /** @internal */ _getStorageRequiresAuth(): boolean
   /** @internal */ _parseSearchFields(overrideSearchFields?: string[] | null): { ownFields: string[]; parentFields: Record<string, string[]> }
@@ -907,6 +1190,8 @@ export interface EntityManager<T extends EntityRecord = EntityRecord> {
   /** @internal */ _clearSearchCache(): void
   /** @internal */ _loadCacheInBackground(): void
   /** @internal */ _loadCache(): Promise<boolean>
+  /** @internal */ _refreshCache(): Promise<boolean>
+  revalidate(): Promise<boolean>
   invalidateCache(): void
   invalidateDataLayer(): void
   ensureCache(): Promise<boolean>
@@ -921,8 +1206,9 @@ export interface EntityManager<T extends EntityRecord = EntityRecord> {
   resetStats(): void
 
   // --- CRUD methods ---
-  list(params?: ListParams & { _internal?: boolean }, context?: RoutingContext): Promise<ListResult<T>>
+  list(params?: ListParams & { _internal?: boolean; _skipCache?: boolean }, context?: RoutingContext): Promise<ListResult<T>>
   get(id: string | number, context?: RoutingContext): Promise<T>
+  /** @internal */ _getRecord(id: string | number, context?: RoutingContext): Promise<T>
   getMany(ids: Array<string | number>, context?: RoutingContext): Promise<T[]>
   create(data: Partial<T>, context?: RoutingContext): Promise<T>
   update(id: string | number, data: Partial<T>, context?: RoutingContext): Promise<T>
@@ -930,6 +1216,60 @@ export interface EntityManager<T extends EntityRecord = EntityRecord> {
   delete(id: string | number, context?: RoutingContext): Promise<void>
   request(method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE', path: string, options?: { data?: unknown; params?: Record<string, unknown>; headers?: Record<string, string>; invalidateCache?: boolean }): Promise<unknown>
   onRegister(orchestrator: Orchestrator): void
+  getVersionToken(id: string | number): string | number | null
+  /** @internal */ _trackVersion(id: string | number, record: T | null | undefined): void
+  /** @internal */ _withVersion(data: Partial<T>, token: VersionToken | undefined): { record: Partial<T>; options: WriteOptions }
+  /** @internal */ _toConflictError(error: unknown, id: string | number, expected: VersionToken | undefined): Promise<unknown>
+
+  // --- Batch methods ---
+  createMany(records: Partial<T>[], options?: BatchOptions): Promise<BatchResult<T>>
+  updateMany(items: BatchUpdate<T>[], options?: BatchOptions): Promise<BatchResult<T>>
+  patchMany(items: BatchUpdate<T>[], options?: BatchOptions): Promise<BatchResult<T>>
+  deleteMany(ids: Array<string | number>, options?: BatchOptions): Promise<BatchResult<T>>
+
+  // --- Offline methods ---
+  isPending(id: string | number): boolean
+  getPendingOperations(): QueuedOperation[]
+  replayOffline(operation: QueuedOperation): Promise<T | undefined>
+  /** @internal */ _getOfflineQueue(): OfflineQueue | null
+  /** @internal */ _canQueueOffline(error: unknown, context?: RoutingContext): boolean
+  /** @internal */ _queueOffline(action: QueuedOperation['action'], id: string | number | null, data: Partial<T> | null, record: Partial<T> | null, context?: RoutingContext, token?: VersionToken): Promise<T | undefined>
+
+  // --- Persist methods ---
+  /** @internal */ _getPersistentCache(): PersistentCache | null
+  /** @internal */ _hydrateCache(): void
+  /** @internal */ _persistCache(): void
+
+  // --- Record rule methods ---
+  /** @internal */ _resolveRecordRules(): RecordRuleScope | null
+  /** @internal */ _applyRecordRules(operation: string): QueryObject | null
+  /** @internal */ _scopeFilters(filters: Record<string, unknown> | undefined, operation: string, storage?: IStorage | null): ScopedFilters
+  getRecordRuleFilter(): QueryObject | null
+  matchesRecordRules(record: T): boolean
+
+  // --- Audit methods ---
+  /** @internal */ _getAuditLog(): AuditLog | null
+  canViewHistory(): boolean
+  canRestoreVersion(record?: T | null): boolean
+  getHistory(id: string | number): Promise<AuditEntry[]>
+  restoreVersion(id: string | number, version: number): Promise<T>
+
+  // --- Undo methods ---
+  /** @internal */ _getUndoStack(context?: RoutingContext): UndoStack | null
+  /** @internal */ _captureUndo(id: string | number, context?: RoutingContext): Promise<EntityRecord | null>
+  /** @internal */ _recordUndo(action: UndoAction, id: string | number | null | undefined, before: EntityRecord | null, after: EntityRecord | null, context?: RoutingContext): void
+
+  // --- Sync methods ---
+  applySync(message: SyncMessage): Promise<boolean>
+  /** @internal */ _upsertSynced(id: string | number, record: EntityRecord): Promise<void>
+  /** @internal */ _removeSynced(id: string | number): void
+
+  // --- Aggregate methods ---
+  aggregate(params?: AggregateParams, context?: RoutingContext): Promise<AggregateResult>
+
+  // --- Include methods ---
+  /** @internal */ _resolveInclude(name: string): IncludeSpec
+  /** @internal */ _applyIncludes<R extends ListResult<T>>(result: R, includes: string[]): Promise<R>
 
   // --- Relations methods ---
   getChildConfig(childName: string): ChildConfig | undefined
@@ -941,6 +1281,11 @@ export interface EntityManager<T extends EntityRecord = EntityRecord> {
   deleteChild(parentId: string | number, childName: string, childId: string | number): Promise<void>
   getParentManager(): EntityManager<EntityRecord> | null
   getChildManager(childName: string): EntityManager<EntityRecord> | null
+  getRelationConfig(relationName: string): RelationConfig | undefined
+  listRelated(id: string | number, relationName: string): Promise<ListResult<EntityRecord>>
+  attach(id: string | number, relationName: string, relatedIds: RelatedIds, data?: Record<string, unknown>): Promise<BatchResult<EntityRecord>>
+  detach(id: string | number, relationName: string, relatedIds?: RelatedIds): Promise<BatchResult<EntityRecord>>
+  sync(id: string | number, relationName: string, relatedIds: Array<string | number>, data?: Record<string, unknown>): Promise<RelationSyncResult<EntityRecord>>
 }
 
 // ============ APPLY PROTOTYPE PATCHES ============
@@ -948,6 +1293,15 @@ applyCacheMethods(EntityManager)
 applyQueryMethods(EntityManager)
 applyRelationsMethods(EntityManager)
 applyCrudMethods(EntityManager)
+applyBatchMethods(EntityManager)
+applyOfflineMethods(EntityManager)
+applyAggregateMethods(EntityManager)
+applyIncludeMethods(EntityManager)
+applyPersistMethods(EntityManager)
+applyRecordRuleMethods(EntityManager)
+applyAuditMethods(EntityManager)
+applyUndoMethods(EntityManager)
+applySyncMethods(EntityManager)
 
 /**
  * Factory function to create an EntityManager
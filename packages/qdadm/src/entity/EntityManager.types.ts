@@ -13,6 +13,11 @@ import type { AuthUser, EntityAuthAdapter as IEntityAuthAdapter } from './auth/E
 import type { SignalBus } from '../kernel/SignalBus'
 import type { NullSortMode } from '../query/clientFilter'
 import type { HookRegistry } from '../hooks/HookRegistry'
+import type { OfflineQueue } from './offline/OfflineQueue'
+import type { PersistentCache } from './cache/PersistentCache'
+import type { AuditLog } from '../audit/AuditLog'
+import type { UndoStack } from './undo/UndoStack'
+import type { QueryObject } from '../query/QueryExecutor'
 
 // Circular type import — safe because `import type` is erased at runtime
 import type { EntityManager } from './EntityManager'
@@ -37,6 +42,17 @@ export interface CacheState<T> {
 export interface DetailCacheEntry<T> {
   item: T
   loadedAt: number
+  /** Primed from another response (e.g. JSON:API `included`), not fetched by get() */
+  primed?: boolean
+}
+
+/**
+ * Optimistic-lock token carried from get() into update()/patch()
+ */
+export interface VersionToken {
+  value: string | number
+  /** Issued by the storage (ETag) — sent back as If-Match; otherwise a version field value */
+  etag: boolean
 }
 
 /**
@@ -127,6 +143,54 @@ export interface PredeleteContext<T extends EntityRecord = EntityRecord> {
   manager: EntityManager<T>
 }
 
+/**
+ * Options for createMany/updateMany/patchMany/deleteMany
+ */
+export interface BatchOptions {
+  /** Parallel per-item calls when the storage has no batch() (default 4) */
+  concurrency?: number
+  context?: RoutingContext
+}
+
+/**
+ * One item of updateMany/patchMany
+ */
+export interface BatchUpdate<T extends EntityRecord = EntityRecord> {
+  id: string | number
+  data: Partial<T>
+}
+
+/**
+ * Per-item outcome of a batch call, at the item's input index
+ */
+export interface BatchItemResult<T extends EntityRecord = EntityRecord> {
+  index: number
+  id: string | number | null
+  ok: boolean
+  record?: T | null
+  error?: unknown
+  /** postsave hook failure on a written item (storage.batch() path) */
+  hookError?: unknown
+}
+
+/**
+ * Result of a batch call: every item, then split by outcome
+ */
+export interface BatchResult<T extends EntityRecord = EntityRecord> {
+  action: 'create' | 'update' | 'patch' | 'delete'
+  results: BatchItemResult<T>[]
+  succeeded: BatchItemResult<T>[]
+  failed: BatchItemResult<T>[]
+}
+
+/**
+ * Outcome of sync(): links created and removed to reach the wanted set
+ */
+export interface RelationSyncResult<T extends EntityRecord = EntityRecord> {
+  attached: BatchResult<T>
+  detached: BatchResult<T>
+}
+
 /**
  * Query options
  */
@@ -167,6 +231,10 @@ export interface CacheInfo {
   expired: boolean
   /** Whether the entity uses asymmetric mode (list vs detail separation) */
   asymmetric: boolean
+  /** Caches kept across reloads (persistCache + Kernel persistentCache) */
+  persistent: boolean
+  /** The list cache was hydrated from the persistent cache and not refetched since */
+  fromPersistence: boolean
   /** Detail cache info (only populated when asymmetric + detail cache enabled) */
   detailCache: {
     enabled: boolean
@@ -221,18 +289,42 @@ export interface EntityManagerOptions<T extends EntityRecord = EntityRecord> {
   nullSort?: NullSortMode
   /** Cache TTL in milliseconds (0=disabled, -1=infinite, >0=TTL). Overrides global, overridden by storage. */
   cacheTtlMs?: number | null
+  /** Serve an expired list cache (flagged `stale`) while it refreshes in the background, instead of blocking on the API (default false) */
+  staleWhileRevalidate?: boolean
+  /** Refresh the list cache every N ms while a list page shows the entity (default 0=off) */
+  refreshIntervalMs?: number
+  /** Refresh the list cache when the window regains focus, while a list page shows the entity (default false) */
+  refreshOnFocus?: boolean
+  /** Refresh the list cache when the browser comes back online, while a list page shows the entity (default false) */
+  refreshOnReconnect?: boolean
   /** Asymmetric mode: list() and get() return different structures. get() skips list cache. */
   asymmetric?: boolean
   /** Detail cache TTL in milliseconds (0=disabled (default), -1=infinite, >0=TTL). Only used when asymmetric=true. */
   detailCacheTtlMs?: number
   /** Detail cache max size (0=unlimited (default), >0=max items). Oldest entries are evicted when exceeded. Only used when asymmetric=true. */
   detailCacheMaxSize?: number
+  /** TTL of records primed into the detail cache by another entity's response, e.g. JSON:API `included` (default 30000, 0=never prime). Applies in both modes. */
+  primedCacheTtlMs?: number
+  /** Record field holding the optimistic-lock version, sent back on update()/patch() (default null; ETags from the storage work without it) */
+  versionField?: string | null
+  /** Queue writes failing with a network error in the Kernel's offline outbox and answer them optimistically (default false) */
+  offline?: boolean
+  /** Keep the list and detail caches in the Kernel's persistent cache across reloads (default false) */
+  persistCache?: boolean
+  /** Record each change in the audit trail (needs the AuditModule, default false) */
+  audit?: boolean
+  /** Record writes in the Kernel's undo stack (default true) */
+  undoable?: boolean
+  /** Patch the caches with the changes pushed by the Kernel's real-time sync (default true) */
+  realtime?: boolean
   readOnly?: boolean
   warmup?: boolean
   authSensitive?: boolean
   system?: boolean
   scopeWhitelist?: string[] | null
   isOwn?: ((record: T, user: AuthUser) => boolean) | null
+  /** Records each role sees, merged into list()/query() filters (default null). Declaring rules makes the cache auth-sensitive. */
+  recordRules?: Record<string, RecordRule> | null
   children?: Record<string, ChildConfig>
   parent?: ParentConfig | null
   parents?: Record<string, ParentConfig>
@@ -241,12 +333,50 @@ export interface EntityManagerOptions<T extends EntityRecord = EntityRecord> {
   nav?: NavConfig
 }
 
+/**
+ * Record rule of a role: `true` (unrestricted), a QueryExecutor filter whose
+ * values may be functions of the user, or a function building the filter
+ *
+ * @example
+ * { ROLE_LIBRARIAN: { branch_id: (user) => user.branch_id }, ROLE_ADMIN: true }
+ */
+export type RecordRule =
+  | true
+  | Record<string, unknown>
+  | ((user: AuthUser) => Record<string, unknown> | true)
+
+/**
+ * Record rules applying to the current user
+ */
+export interface RecordRuleScope {
+  /** Roles whose rule applied */
+  roles: string[]
+  /** Filter added to queries, rules OR-ed (null: unrestricted) */
+  filter: QueryObject | null
+}
+
+/**
+ * Query filters scoped to the record rules (EntityManager._scopeFilters)
+ */
+export interface ScopedFilters {
+  /** Filters sent to the storage */
+  filters: Record<string, unknown> | undefined
+  /** User filters and rule together, for local filtering */
+  scoped: Record<string, unknown> | undefined
+  /** Rule the storage could not take, applied to the rows it returns */
+  rule: QueryObject | null
+}
+
 // Forward declaration for Orchestrator (to avoid circular deps)
 export interface Orchestrator {
   get<T extends EntityRecord>(name: string): EntityManager<T> | undefined
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   kernel?: any
   deferred?: DeferredRegistry | null
+  offlineQueue?: OfflineQueue | null
+  persistentCache?: PersistentCache | null
+  auditLog?: AuditLog | null
+  undoStack?: UndoStack | null
 }
 
 // Forward declaration for DeferredRegistry
@@ -264,21 +394,28 @@ export type EntityManagerInternal<T extends EntityRecord = EntityRecord> = Entit
   // Protected fields accessed by helpers
   _cache: CacheState<T>
   _cacheLoading: Promise<boolean> | null
+  _revalidating: Promise<boolean> | null
+  _hydrated: boolean
+  _hydratedAt: number | null
   _cacheTtlMs: number | null
   _asymmetric: boolean
   _detailCache: DetailCacheState<T>
   _detailCacheTtlMs: number
   _detailCacheMaxSize: number
+  _primedCacheTtlMs: number
+  _versionTokens: Map<string, VersionToken>
   _detailInflight: Map<string, Promise<T>>
   _orchestrator: Orchestrator | null
   _parents: Record<string, ParentConfig>
   _parent: ParentConfig | null
   _children: Record<string, ChildConfig>
+  _relations: Record<string, RelationConfig>
   _authSensitive: boolean
   _signals: SignalBus | null
   _signalCleanup: (() => void) | null
   _warmup: boolean
   _stats: OperationStats
+  _recordRules: Record<string, RecordRule> | null
 
   // Protected methods that stay in the class body
   _normalizeResolveResult(result: StorageResolution<T>, context?: RoutingContext): ResolvedStorage<T>
@@ -288,6 +425,11 @@ export type EntityManagerInternal<T extends EntityRecord = EntityRecord> = Entit
   _emitSignal(action: 'created' | 'updated' | 'deleted', data: Record<string, unknown>): void
   _emitDataInvalidate(action: 'created' | 'updated' | 'deleted', id: string | number | undefined): void
   _invokeHook(hookName: string, context: Record<string, unknown>): Promise<void>
+  _stripUnwritableFields(data: Partial<T>, record?: T | null): Partial<T>
+  _withComputed<R>(records: R): R
+  _getWriteTarget(id: string | number, data: Partial<T>, known: T | null, context?: RoutingContext): Promise<T | null>
+  _getCurrentUser(): AuthUser | null
+  _hasSecurityChecker(): boolean
 }
 
 // Re-export types used by helpers
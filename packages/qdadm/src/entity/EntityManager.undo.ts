@@ -0,0 +1,66 @@
+import { undoGroupOf, type UndoAction, type UndoStack } from './undo/UndoStack'
+import type { EntityManagerInternal, EntityRecord, RoutingContext } from './EntityManager.types'
+
+type Self = EntityManagerInternal<any>
+
+/**
+ * Patch EntityManager prototype with undo stack methods.
+ *
+ * When the Kernel has an UndoStack (`orchestrator.undoStack`), managers record
+ * their create/update/patch/delete calls with the record before the write:
+ * taken from the caches when there, pre-fetched otherwise. Managers built
+ * with `undoable: false` are left out, and so are offline replays. Writes
+ * given a context from UndoStack.group() join that operation (*Many calls).
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function applyUndoMethods(EntityManagerClass: { prototype: any }): void {
+  const proto = EntityManagerClass.prototype as Self
+
+  proto._getUndoStack = function (this: Self, context?: RoutingContext): UndoStack | null {
+    if (!this.undoable || context?.offlineReplay) return null
+    const stack = this._orchestrator?.undoStack ?? null
+    // Writes of undo()/redo() themselves are not recorded: skip the pre-fetch
+    return stack && !stack.replaying ? stack : null
+  }
+
+  /**
+   * Record before a write (null when it cannot be read, the write is then not recorded).
+   * Read without tracking its version token, which would hide a concurrent change.
+   */
+  proto._captureUndo = async function (
+    this: Self,
+    id: string | number,
+    context?: RoutingContext
+  ): Promise<EntityRecord | null> {
+    if (!this._getUndoStack(context)) return null
+    try {
+      const record = await this._getRecord(id, context)
+      return record ? { ...record } : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Push a write to the undo stack
+   */
+  proto._recordUndo = function (
+    this: Self,
+    action: UndoAction,
+    id: string | number | null | undefined,
+    before: EntityRecord | null,
+    after: EntityRecord | null,
+    context?: RoutingContext
+  ): void {
+    const stack = this._getUndoStack(context)
+    if (!stack || id === null || id === undefined) return
+    // Updates and deletes are only revertible from the previous record
+    if (action !== 'create' && !before) return
+    const label = this.getEntityLabel((after ?? before) as EntityRecord) || String(id)
+    stack.record(
+      { entity: this.name, action, id, before, after: after ? { ...after } : null },
+      `${action === 'create' ? 'Create' : action === 'update' ? 'Update' : 'Delete'} ${label}`,
+      undoGroupOf(context)
+    )
+  }
+}
@@ -0,0 +1,223 @@
+import type { SignalBus } from '../../kernel/SignalBus'
+import {
+  MemoryCacheStore,
+  type CacheStore,
+  type PersistedCacheEntry,
+  type PersistedDetail,
+  type PersistedListCache,
+} from './stores'
+
+/**
+ * PersistentCache options
+ */
+export interface PersistentCacheOptions {
+  /** Durable store (default: MemoryCacheStore) */
+  store?: CacheStore
+  /** App version: entries saved by another version are dropped at boot (default '') */
+  version?: string
+  /** Current user key; entries are per user (default: 'anonymous') */
+  user?: () => string | number | null | undefined
+  /** Wipe on `auth:logout` and `entity:datalayer-invalidate` */
+  signals?: SignalBus | null
+}
+
+/**
+ * Caches of an entity as handed to write()
+ */
+export interface PersistedCaches {
+  list: PersistedListCache | null
+  details: PersistedDetail[]
+}
+
+/**
+ * PersistentCache - list and detail caches of EntityManagers kept across reloads
+ *
+ * The store is read once at construction (synchronously when the store
+ * allows it, see `ready` otherwise). Managers with `persistCache: true`
+ * hydrate from read() on first use and write() their caches back whenever
+ * they change. Entries are keyed by app version, user and entity.
+ *
+ * Writes go to the store in call order, off the caller's path: a failing
+ * store costs the next boot a warmup, nothing else.
+ */
+export class PersistentCache {
+  readonly version: string
+  /** Resolves once the store has been read */
+  readonly ready: Promise<void>
+  private _store: CacheStore
+  private _user: () => string | number | null | undefined
+  private _entries: Map<string, PersistedCacheEntry> = new Map()
+  private _loaded = false
+  /** Wiped before an asynchronous load finished: true for all entries, or the entity names */
+  private _wiped: true | Set<string> = new Set()
+  private _writing: Promise<void> = Promise.resolve()
+  private _unbind: (() => void) | null = null
+
+  constructor(options: PersistentCacheOptions = {}) {
+    this._store = options.store ?? new MemoryCacheStore()
+    this.version = options.version ?? ''
+    this._user = options.user ?? (() => null)
+
+    if (this._store.loadSync) {
+      try {
+        this._fill(this._store.loadSync())
+      } catch (err) {
+        this._fail(err)
+      }
+      this.ready = Promise.resolve()
+    } else {
+      this.ready = this._store.load().then(
+        (entries) => this._fill(entries),
+        (err) => this._fail(err)
+      )
+    }
+
+    if (options.signals) this.bind(options.signals)
+  }
+
+  /**
+   * Whether the store has been read (read() answers from then on)
+   */
+  get loaded(): boolean {
+    return this._loaded
+  }
+
+  /**
+   * Key of the current user's entries
+   */
+  get userKey(): string {
+    return String(this._user() ?? 'anonymous')
+  }
+
+  /**
+   * Store key of an entity's entry for the current user
+   */
+  keyFor(entity: string): string {
+    return `${this.version}:${this.userKey}:${entity}`
+  }
+
+  /**
+   * Persisted caches of an entity for the current user (null when none)
+   */
+  read(entity: string): PersistedCacheEntry | null {
+    return this._entries.get(this.keyFor(entity)) ?? null
+  }
+
+  /**
+   * Save an entity's caches for the current user (removes the entry when both are empty)
+   */
+  write(entity: string, caches: PersistedCaches): void {
+    if (!caches.list && caches.details.length === 0) {
+      this._forget([this.keyFor(entity)])
+      return
+    }
+    const entry: PersistedCacheEntry = {
+      key: this.keyFor(entity),
+      entity,
+      version: this.version,
+      user: this.userKey,
+      savedAt: Date.now(),
+      list: caches.list,
+      details: caches.details,
+    }
+    this._entries.set(entry.key, entry)
+    this._queue(() => this._store.put(entry))
+  }
+
+  /**
+   * Drop an entity's entries, for every user
+   */
+  remove(entity: string): void {
+    if (!this._loaded && this._wiped !== true) this._wiped.add(entity)
+    this._forget([...this._entries.values()].filter((entry) => entry.entity === entity).map((entry) => entry.key))
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear(): void {
+    if (!this._loaded) this._wiped = true
+    this._entries.clear()
+    this._queue(() => this._store.clear())
+  }
+
+  /**
+   * Resolves once every pending write reached the store
+   */
+  flush(): Promise<void> {
+    return this._writing
+  }
+
+  /**
+   * Wipe on `auth:logout` (all entries) and `entity:datalayer-invalidate`
+   * (the targeted entity, or all entries)
+   */
+  bind(signals: SignalBus): void {
+    this.unbind()
+    const cleanups = [
+      signals.on('auth:logout', () => this.clear()),
+      signals.on('entity:datalayer-invalidate', (event: { name: string; data: unknown }) => {
+        const { entity } = (event.data || {}) as { entity?: string }
+        if (!entity || entity === '*') {
+          this.clear()
+        } else {
+          this.remove(entity)
+        }
+      }),
+    ]
+    this._unbind = () => cleanups.forEach((cleanup) => cleanup())
+  }
+
+  unbind(): void {
+    this._unbind?.()
+    this._unbind = null
+  }
+
+  private _fill(entries: PersistedCacheEntry[]): void {
+    // Other app versions, and entities remove()d while loading
+    const dropped: string[] = []
+    const wiped = this._wiped
+    for (const entry of entries) {
+      if (wiped === true) {
+        // The queued clear() empties the store
+        continue
+      } else if (entry.version !== this.version || wiped.has(entry.entity)) {
+        dropped.push(entry.key)
+      } else if (!this._entries.has(entry.key)) {
+        // Written before an asynchronous load finished: the newer copy wins
+        this._entries.set(entry.key, entry)
+      }
+    }
+    this._loaded = true
+    this._wiped = new Set()
+    if (dropped.length > 0) this._forget(dropped)
+  }
+
+  private _fail(err: unknown): void {
+    console.warn('[PersistentCache] Could not read the cache store:', err)
+    this._loaded = true
+  }
+
+  private _forget(keys: string[]): void {
+    for (const key of keys) {
+      this._entries.delete(key)
+      this._queue(() => this._store.delete(key))
+    }
+  }
+
+  private _queue(task: () => Promise<void>): void {
+    this._writing = this._writing
+      .then(() => this.ready)
+      .then(task)
+      .catch((err) => {
+        console.warn('[PersistentCache] Could not write the cache store:', err)
+      })
+  }
+}
+
+/**
+ * Factory function
+ */
+export function createPersistentCache(options: PersistentCacheOptions = {}): PersistentCache {
+  return new PersistentCache(options)
+}
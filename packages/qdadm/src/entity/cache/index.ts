@@ -0,0 +1,25 @@
+/**
+ * Persistent entity cache
+ *
+ * List and detail caches of EntityManagers kept across reloads, per app
+ * version and user, so boot does not re-warm every entity from the API.
+ */
+
+export {
+  PersistentCache,
+  createPersistentCache,
+  type PersistentCacheOptions,
+  type PersistedCaches,
+} from './PersistentCache'
+
+export {
+  MemoryCacheStore,
+  LocalStorageCacheStore,
+  IndexedDbCacheStore,
+  type CacheStore,
+  type PersistedCacheEntry,
+  type PersistedListCache,
+  type PersistedDetail,
+  type LocalStorageCacheStoreOptions,
+  type IndexedDbCacheStoreOptions,
+} from './stores'
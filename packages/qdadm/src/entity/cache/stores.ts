@@ -0,0 +1,241 @@
+/**
+ * Backends of the persistent entity cache.
+ *
+ * A store keeps one entry per entity, user and app version. PersistentCache
+ * reads them all once at boot and rewrites an entry whenever the caches of
+ * its manager change; entries stay small since a list cache never holds
+ * more than `localFilterThreshold` records.
+ */
+
+/**
+ * List cache as persisted (whole dataset of the entity)
+ */
+export interface PersistedListCache {
+  items: Record<string, unknown>[]
+  total: number
+  loadedAt: number
+}
+
+/**
+ * Detail cache record as persisted (asymmetric entities)
+ */
+export interface PersistedDetail {
+  id: string
+  item: Record<string, unknown>
+  loadedAt: number
+}
+
+/**
+ * Caches of one entity, for one user and app version
+ */
+export interface PersistedCacheEntry {
+  /** `<version>:<user>:<entity>` */
+  key: string
+  entity: string
+  version: string
+  user: string
+  savedAt: number
+  list: PersistedListCache | null
+  details: PersistedDetail[]
+}
+
+/**
+ * Persistence contract of the entity cache
+ */
+export interface CacheStore {
+  load(): Promise<PersistedCacheEntry[]>
+  /** Synchronous load, for backends that allow it: hydration before the first render */
+  loadSync?(): PersistedCacheEntry[]
+  put(entry: PersistedCacheEntry): Promise<void>
+  delete(key: string): Promise<void>
+  clear(): Promise<void>
+}
+
+/**
+ * MemoryCacheStore - non-durable store (tests, SSR, no browser storage)
+ */
+export class MemoryCacheStore implements CacheStore {
+  private _entries: Map<string, PersistedCacheEntry> = new Map()
+
+  loadSync(): PersistedCacheEntry[] {
+    return [...this._entries.values()].map((entry) => ({ ...entry }))
+  }
+
+  async load(): Promise<PersistedCacheEntry[]> {
+    return this.loadSync()
+  }
+
+  async put(entry: PersistedCacheEntry): Promise<void> {
+    this._entries.set(entry.key, { ...entry })
+  }
+
+  async delete(key: string): Promise<void> {
+    this._entries.delete(key)
+  }
+
+  async clear(): Promise<void> {
+    this._entries.clear()
+  }
+}
+
+/**
+ * LocalStorageCacheStore options
+ */
+export interface LocalStorageCacheStoreOptions {
+  /** Key prefix, one storage key per entry (default 'qdadm:cache:') */
+  prefix?: string
+  /** Storage override (default: global `localStorage`) */
+  storage?: Storage | null
+}
+
+/**
+ * LocalStorageCacheStore - one JSON value per entry, read synchronously at boot
+ *
+ * A write over the quota is dropped with a warning: the entity simply
+ * warms up from the API on the next boot.
+ */
+export class LocalStorageCacheStore implements CacheStore {
+  readonly prefix: string
+  private _storage: Storage | null
+
+  constructor(options: LocalStorageCacheStoreOptions = {}) {
+    this.prefix = options.prefix ?? 'qdadm:cache:'
+    this._storage = options.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null)
+  }
+
+  private _keys(): string[] {
+    const storage = this._storage
+    if (!storage) return []
+    const keys: string[] = []
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i)
+      if (key?.startsWith(this.prefix)) keys.push(key)
+    }
+    return keys
+  }
+
+  loadSync(): PersistedCacheEntry[] {
+    const entries: PersistedCacheEntry[] = []
+    for (const key of this._keys()) {
+      try {
+        const entry = JSON.parse(this._storage!.getItem(key) ?? 'null') as PersistedCacheEntry | null
+        if (entry?.key) entries.push(entry)
+      } catch {
+        console.warn(`[LocalStorageCacheStore] Dropping unreadable entry "${key}"`)
+        this._storage!.removeItem(key)
+      }
+    }
+    return entries
+  }
+
+  async load(): Promise<PersistedCacheEntry[]> {
+    return this.loadSync()
+  }
+
+  async put(entry: PersistedCacheEntry): Promise<void> {
+    if (!this._storage) return
+    const key = this.prefix + entry.key
+    try {
+      this._storage.setItem(key, JSON.stringify(entry))
+    } catch (err) {
+      console.warn(`[LocalStorageCacheStore] Could not persist "${entry.key}":`, err)
+      this._storage.removeItem(key)
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    this._storage?.removeItem(this.prefix + key)
+  }
+
+  async clear(): Promise<void> {
+    for (const key of this._keys()) this._storage!.removeItem(key)
+  }
+}
+
+/**
+ * IndexedDbCacheStore options
+ */
+export interface IndexedDbCacheStoreOptions {
+  /** Database name (default 'qdadm_cache') */
+  dbName?: string
+  /** Object store name (default 'entries') */
+  storeName?: string
+  /** IDBFactory override (default: global `indexedDB`) — workers, tests */
+  indexedDB?: IDBFactory | null
+}
+
+/**
+ * IndexedDbCacheStore - one object store row per entry
+ *
+ * No quota worry for larger datasets, but IndexedDB is asynchronous:
+ * managers hydrate once load() resolves (warmup waits for it).
+ */
+export class IndexedDbCacheStore implements CacheStore {
+  readonly dbName: string
+  readonly storeName: string
+  private _factory: IDBFactory | null
+  private _db: Promise<IDBDatabase> | null = null
+
+  constructor(options: IndexedDbCacheStoreOptions = {}) {
+    this.dbName = options.dbName ?? 'qdadm_cache'
+    this.storeName = options.storeName ?? 'entries'
+    this._factory = options.indexedDB ?? (typeof indexedDB !== 'undefined' ? indexedDB : null)
+  }
+
+  private _open(): Promise<IDBDatabase> {
+    if (!this._db) {
+      const factory = this._factory
+      if (!factory) {
+        return Promise.reject(new Error('IndexedDbCacheStore: IndexedDB is not available'))
+      }
+      this._db = new Promise<IDBDatabase>((resolve, reject) => {
+        const request = factory.open(this.dbName, 1)
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.storeName)) {
+            request.result.createObjectStore(this.storeName, { keyPath: 'key' })
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      }).catch((err) => {
+        this._db = null
+        throw err
+      })
+    }
+    return this._db
+  }
+
+  private async _write(apply: (store: IDBObjectStore) => void): Promise<void> {
+    const db = await this._open()
+    await new Promise<void>((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite')
+      apply(tx.objectStore(this.storeName))
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+
+  async load(): Promise<PersistedCacheEntry[]> {
+    const db = await this._open()
+    return new Promise<PersistedCacheEntry[]>((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll()
+      request.onsuccess = () => resolve(request.result as PersistedCacheEntry[])
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  put(entry: PersistedCacheEntry): Promise<void> {
+    // Plain copy: cached records may carry non-cloneable extras
+    const plain = JSON.parse(JSON.stringify(entry)) as PersistedCacheEntry
+    return this._write((store) => store.put(plain))
+  }
+
+  delete(key: string): Promise<void> {
+    return this._write((store) => store.delete(key))
+  }
+
+  clear(): Promise<void> {
+    return this._write((store) => store.clear())
+  }
+}
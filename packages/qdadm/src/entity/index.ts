@@ -15,7 +15,14 @@ export {
   type PredeleteContext,
   type QueryOptions,
   type WhitelistContext,
-  type CacheInfo
+  type CacheInfo,
+  type BatchOptions,
+  type BatchUpdate,
+  type BatchItemResult,
+  type BatchResult,
+  type RelationSyncResult,
+  type RecordRule,
+  type RecordRuleScope
 } from './EntityManager'
 
 // Re-export types from types module
@@ -28,7 +35,9 @@ export type {
   ParentConfig,
   RelationConfig,
   NavConfig,
-  StorageCapabilities
+  StorageCapabilities,
+  BatchOperation,
+  BatchOutcome
 } from '../types'
 
 // Manager Factory
@@ -47,3 +56,15 @@ export * from './storage/index'
 
 // Auth adapters
 export * from './auth'
+
+// Offline write queue
+export * from './offline/index'
+
+// Persistent cache
+export * from './cache/index'
+
+// Undo stack
+export * from './undo/index'
+
+// Real-time sync
+export * from './sync/index'
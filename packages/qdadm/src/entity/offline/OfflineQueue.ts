@@ -0,0 +1,398 @@
+import type { SignalBus } from '../../kernel/SignalBus'
+import { ConflictError, isNetworkError } from '../storage/errors'
+import { MemoryOutbox, type OfflineOutbox, type QueuedOperation } from './outbox'
+
+/**
+ * Manager side of a replay (EntityManager.replayOffline)
+ */
+export interface OfflineReplayTarget {
+  readonly idField: string
+  replayOffline(operation: QueuedOperation): Promise<unknown>
+}
+
+/**
+ * Resolves the manager owning a queued operation (the Orchestrator)
+ */
+export interface OfflineManagerResolver {
+  get(name: string): unknown
+}
+
+/**
+ * OfflineQueue options
+ */
+export interface OfflineQueueOptions {
+  /** Durable store (default: MemoryOutbox) */
+  outbox?: OfflineOutbox
+  signals?: SignalBus | null
+  /** Replay when the browser fires `online` (default true) */
+  autoReplay?: boolean
+}
+
+/**
+ * Operation as handed to enqueue()
+ */
+export type OfflineOperationInput = Omit<QueuedOperation, 'id' | 'seq' | 'queuedAt' | 'attempts' | 'lastError'>
+
+/**
+ * Outcome of a replay() run
+ */
+export interface ReplayResult {
+  replayed: number
+  conflicts: number
+  failed: number
+  /** Operations still queued (connectivity lost again) */
+  remaining: number
+}
+
+/**
+ * Signals emitted by the queue, payload `{ entity, data: { operation, ... } }`
+ */
+export const OFFLINE_SIGNALS = {
+  QUEUED: 'offline:queued',
+  REPLAYED: 'offline:replayed',
+  CONFLICT: 'offline:conflict',
+  FAILED: 'offline:failed',
+} as const
+
+function isOnline(): boolean {
+  return typeof navigator === 'undefined' || navigator.onLine !== false
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error)
+}
+
+/**
+ * OfflineQueue - ordered outbox of mutations that failed for lack of network
+ *
+ * EntityManagers with `offline: true` enqueue create/update/patch/delete
+ * calls hitting a network error and answer them optimistically. replay()
+ * sends the operations back through their manager, oldest first:
+ * - success: dropped, `offline:replayed`
+ * - 409/412: dropped, `offline:conflict` with the ConflictError (server record)
+ * - other rejection: dropped, `offline:failed`
+ * - network error again: kept, replay stops until the next `online` event
+ * - no manager for the entity (not registered yet): kept, replay stops
+ *
+ * Writes to a record created offline fold into its queued create; deleting
+ * it drops the create altogether, so temporary ids never reach the server.
+ */
+export class OfflineQueue {
+  private _outbox: OfflineOutbox
+  private _signals: SignalBus | null
+  private _autoReplay: boolean
+  private _resolver: OfflineManagerResolver | null = null
+  private _operations: QueuedOperation[] = []
+  private _seq = 0
+  private _loaded: Promise<void> | null = null
+  private _writing: Promise<void> = Promise.resolve()
+  private _replaying: Promise<ReplayResult> | null = null
+  private _inflight: string | null = null
+  private _listeners: Set<() => void> = new Set()
+  private _onlineHandler: (() => void) | null = null
+
+  constructor(options: OfflineQueueOptions = {}) {
+    this._outbox = options.outbox ?? new MemoryOutbox()
+    this._signals = options.signals ?? null
+    this._autoReplay = options.autoReplay ?? true
+  }
+
+  /**
+   * Set the manager resolver used by replay() (the Orchestrator)
+   */
+  bind(resolver: OfflineManagerResolver, signals?: SignalBus | null): void {
+    this._resolver = resolver
+    if (signals !== undefined) this._signals = signals
+  }
+
+  /**
+   * Load the persisted queue (once); operations enqueued meanwhile stay after it
+   */
+  load(): Promise<void> {
+    if (!this._loaded) {
+      this._loaded = this._outbox.load().then(
+        (stored) => {
+          if (stored.length === 0) return
+          this._operations = [...stored, ...this._operations]
+          this._seq = Math.max(this._seq, ...stored.map((op) => op.seq))
+          this._operations.forEach((op, index) => {
+            if (index >= stored.length) op.seq = ++this._seq
+          })
+          this._notify()
+        },
+        (err) => {
+          console.warn('[OfflineQueue] Could not load the outbox:', err)
+        }
+      )
+    }
+    return this._loaded
+  }
+
+  /**
+   * Load the outbox, listen for connectivity and replay what is pending
+   */
+  async start(): Promise<void> {
+    await this.load()
+    if (this._autoReplay && !this._onlineHandler && typeof window !== 'undefined') {
+      this._onlineHandler = () => {
+        void this.replay()
+      }
+      window.addEventListener('online', this._onlineHandler)
+    }
+    if (this._operations.length > 0 && isOnline()) {
+      await this.replay()
+    }
+  }
+
+  /**
+   * Stop listening for connectivity
+   */
+  stop(): void {
+    if (this._onlineHandler && typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onlineHandler)
+    }
+    this._onlineHandler = null
+  }
+
+  /**
+   * Queued operations, in replay order (copies)
+   */
+  get operations(): QueuedOperation[] {
+    return this._operations.map((op) => ({ ...op }))
+  }
+
+  get size(): number {
+    return this._operations.length
+  }
+
+  /**
+   * Queued operations of one entity
+   */
+  forEntity(entity: string): QueuedOperation[] {
+    return this._operations.filter((op) => op.entity === entity).map((op) => ({ ...op }))
+  }
+
+  /**
+   * Whether a record has writes waiting for replay
+   */
+  isPending(entity: string, id: string | number): boolean {
+    const key = String(id)
+    return this._operations.some((op) => op.entity === entity && String(op.targetId) === key)
+  }
+
+  /**
+   * Latest optimistic record queued for a record (null when none is known)
+   */
+  getPendingRecord(entity: string, id: string | number): Record<string, unknown> | null {
+    const key = String(id)
+    for (let i = this._operations.length - 1; i >= 0; i--) {
+      const op = this._operations[i]!
+      if (op.entity !== entity || String(op.targetId) !== key) continue
+      if (op.action === 'delete') return null
+      if (op.record) return { ...op.record }
+    }
+    return null
+  }
+
+  /**
+   * Add an operation and persist the queue.
+   *
+   * Returns the queued operation, or null when it cancelled a queued
+   * create (delete of a record that never reached the server).
+   */
+  async enqueue(input: OfflineOperationInput): Promise<QueuedOperation | null> {
+    await this.load()
+    const key = input.targetId === null ? null : String(input.targetId)
+    const create = key === null ? undefined : this._operations.find(
+      (op) => op.entity === input.entity && op.tempId === key && op.id !== this._inflight
+    )
+
+    let queued: QueuedOperation | null
+    if (create && input.action === 'delete') {
+      this._operations = this._operations.filter(
+        (op) => !(op.entity === input.entity && String(op.targetId) === key)
+      )
+      queued = null
+    } else if (create) {
+      create.data = input.action === 'update' ? { ...input.data } : { ...create.data, ...input.data }
+      create.record = input.record ?? create.record
+      queued = create
+    } else {
+      queued = {
+        ...input,
+        id: `op-${Date.now().toString(36)}-${++this._seq}`,
+        seq: this._seq,
+        queuedAt: Date.now(),
+        attempts: 0,
+        lastError: null,
+      }
+      this._operations.push(queued)
+    }
+
+    await this._persist()
+    if (queued) this._emit(OFFLINE_SIGNALS.QUEUED, queued)
+    this._notify()
+    return queued ? { ...queued } : null
+  }
+
+  /**
+   * Drop one operation without replaying it
+   */
+  async discard(id: string): Promise<void> {
+    this._operations = this._operations.filter((op) => op.id !== id)
+    await this._persist()
+    this._notify()
+  }
+
+  /**
+   * Drop every queued operation
+   */
+  async clear(): Promise<void> {
+    this._operations = []
+    await this._persist()
+    this._notify()
+  }
+
+  /**
+   * Subscribe to queue changes (enqueue, replay, discard)
+   * @returns unsubscribe function
+   */
+  onChange(listener: () => void): () => void {
+    this._listeners.add(listener)
+    return () => {
+      this._listeners.delete(listener)
+    }
+  }
+
+  /**
+   * Send queued operations to their managers, in order.
+   * Concurrent calls share the running replay.
+   */
+  replay(): Promise<ReplayResult> {
+    if (!this._replaying) {
+      this._replaying = this._replay().finally(() => {
+        this._replaying = null
+      })
+    }
+    return this._replaying
+  }
+
+  private async _replay(): Promise<ReplayResult> {
+    await this.load()
+    const result: ReplayResult = { replayed: 0, conflicts: 0, failed: 0, remaining: 0 }
+    if (!this._resolver) {
+      console.warn('[OfflineQueue] replay() called before bind()')
+      result.remaining = this._operations.length
+      return result
+    }
+
+    while (this._operations.length > 0 && isOnline()) {
+      const op = this._operations[0]!
+      // Manager not registered (yet): kept for a later replay
+      const manager = this._resolve(op.entity)
+      if (!manager) {
+        op.lastError = `No manager for entity "${op.entity}"`
+        await this._persist()
+        break
+      }
+      this._inflight = op.id
+      try {
+        const record = await manager.replayOffline(op)
+        this._settle(op)
+        if (op.tempId && record && typeof record === 'object') {
+          this._remapTempId(op, (record as Record<string, unknown>)[manager.idField])
+        }
+        result.replayed++
+        await this._persist()
+        this._emit(OFFLINE_SIGNALS.REPLAYED, op, { record })
+      } catch (error) {
+        if (isNetworkError(error)) {
+          op.attempts++
+          op.lastError = errorMessage(error)
+          await this._persist()
+          break
+        }
+        this._settle(op)
+        await this._persist()
+        if (error instanceof ConflictError) {
+          result.conflicts++
+          this._emit(OFFLINE_SIGNALS.CONFLICT, op, { error, serverRecord: error.serverRecord })
+        } else {
+          result.failed++
+          this._emit(OFFLINE_SIGNALS.FAILED, op, { error })
+        }
+      } finally {
+        this._inflight = null
+        this._notify()
+      }
+    }
+
+    result.remaining = this._operations.length
+    return result
+  }
+
+  /**
+   * Manager replaying the operations of an entity (null when none is registered)
+   */
+  private _resolve(entity: string): OfflineReplayTarget | null {
+    try {
+      const manager = this._resolver!.get(entity) as OfflineReplayTarget | undefined
+      return typeof manager?.replayOffline === 'function' ? manager : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Remove a replayed (or rejected) operation
+   */
+  private _settle(op: QueuedOperation): void {
+    this._operations = this._operations.filter((queued) => queued !== op)
+  }
+
+  /**
+   * Point later operations at the id the server gave a record created offline
+   */
+  private _remapTempId(op: QueuedOperation, realId: unknown): void {
+    if (realId === undefined || realId === null) return
+    for (const queued of this._operations) {
+      if (queued.entity === op.entity && String(queued.targetId) === op.tempId) {
+        queued.targetId = realId as string | number
+      }
+    }
+  }
+
+  private _persist(): Promise<void> {
+    const snapshot = this._operations.map((op) => ({ ...op }))
+    this._writing = this._writing
+      .then(() => this._outbox.save(snapshot))
+      .catch((err) => {
+        console.warn('[OfflineQueue] Could not persist the outbox:', err)
+      })
+    return this._writing
+  }
+
+  private _emit(signal: string, op: QueuedOperation, extra: Record<string, unknown> = {}): void {
+    this._signals?.emit(signal, {
+      entity: op.entity,
+      data: { operation: { ...op }, ...extra },
+    })
+  }
+
+  private _notify(): void {
+    for (const listener of this._listeners) {
+      try {
+        listener()
+      } catch (err) {
+        console.error('[OfflineQueue] Change listener failed:', err)
+      }
+    }
+  }
+}
+
+/**
+ * Factory function to create an OfflineQueue
+ */
+export function createOfflineQueue(options: OfflineQueueOptions = {}): OfflineQueue {
+  return new OfflineQueue(options)
+}
@@ -0,0 +1,27 @@
+/**
+ * Offline write queue
+ *
+ * Outbox of EntityManager mutations that failed for lack of network,
+ * replayed in order when connectivity returns.
+ */
+
+export {
+  OfflineQueue,
+  createOfflineQueue,
+  OFFLINE_SIGNALS,
+  type OfflineQueueOptions,
+  type OfflineOperationInput,
+  type OfflineReplayTarget,
+  type OfflineManagerResolver,
+  type ReplayResult,
+} from './OfflineQueue'
+
+export {
+  MemoryOutbox,
+  LocalStorageOutbox,
+  IndexedDbOutbox,
+  type OfflineOutbox,
+  type QueuedOperation,
+  type LocalStorageOutboxOptions,
+  type IndexedDbOutboxOptions,
+} from './outbox'
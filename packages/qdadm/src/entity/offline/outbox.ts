@@ -0,0 +1,182 @@
+/**
+ * Durable outboxes for the offline write queue.
+ *
+ * An outbox only persists the queue as a whole: OfflineQueue keeps the
+ * operations in memory, in replay order, and saves the full list after
+ * each change. Writes stay small (a pending queue is a handful of
+ * operations), and load() never has to reconcile partial updates.
+ */
+
+/**
+ * Mutation waiting for connectivity
+ */
+export interface QueuedOperation {
+  /** Outbox id */
+  id: string
+  /** Replay order */
+  seq: number
+  /** Entity (manager) name */
+  entity: string
+  action: 'create' | 'update' | 'patch' | 'delete'
+  /** Record id; the temporary id for a queued create */
+  targetId: string | number | null
+  /** Temporary id handed out for a queued create */
+  tempId?: string
+  /** Payload as passed to create()/update()/patch() */
+  data?: Record<string, unknown>
+  /** Optimistic record served from the cache while pending (null when unknown, e.g. patch of an uncached record) */
+  record?: Record<string, unknown> | null
+  /** Optimistic-lock token the write was based on */
+  version?: { value: string | number; etag: boolean }
+  /** Routing context of the original call */
+  context?: Record<string, unknown>
+  queuedAt: number
+  /** Replay attempts that failed for lack of connectivity */
+  attempts: number
+  lastError?: string | null
+}
+
+/**
+ * Persistence contract of the offline queue
+ */
+export interface OfflineOutbox {
+  load(): Promise<QueuedOperation[]>
+  save(operations: QueuedOperation[]): Promise<void>
+}
+
+/**
+ * MemoryOutbox - non-durable outbox (tests, SSR, no browser storage)
+ */
+export class MemoryOutbox implements OfflineOutbox {
+  private _operations: QueuedOperation[] = []
+
+  async load(): Promise<QueuedOperation[]> {
+    return this._operations.map((op) => ({ ...op }))
+  }
+
+  async save(operations: QueuedOperation[]): Promise<void> {
+    this._operations = operations.map((op) => ({ ...op }))
+  }
+}
+
+/**
+ * LocalStorageOutbox options
+ */
+export interface LocalStorageOutboxOptions {
+  /** Storage key (default 'qdadm:outbox') */
+  key?: string
+  /** Storage override (default: global `localStorage`) */
+  storage?: Storage | null
+}
+
+/**
+ * LocalStorageOutbox - queue serialized as JSON under one key
+ */
+export class LocalStorageOutbox implements OfflineOutbox {
+  readonly key: string
+  private _storage: Storage | null
+
+  constructor(options: LocalStorageOutboxOptions = {}) {
+    this.key = options.key ?? 'qdadm:outbox'
+    this._storage = options.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null)
+  }
+
+  async load(): Promise<QueuedOperation[]> {
+    const raw = this._storage?.getItem(this.key)
+    if (!raw) return []
+    try {
+      const operations = JSON.parse(raw) as QueuedOperation[]
+      return Array.isArray(operations) ? operations : []
+    } catch {
+      console.warn(`[LocalStorageOutbox] Ignoring unreadable outbox under "${this.key}"`)
+      return []
+    }
+  }
+
+  async save(operations: QueuedOperation[]): Promise<void> {
+    if (!this._storage) return
+    if (operations.length === 0) {
+      this._storage.removeItem(this.key)
+    } else {
+      this._storage.setItem(this.key, JSON.stringify(operations))
+    }
+  }
+}
+
+/**
+ * IndexedDbOutbox options
+ */
+export interface IndexedDbOutboxOptions {
+  /** Database name (default 'qdadm_outbox') */
+  dbName?: string
+  /** Object store name (default 'operations') */
+  storeName?: string
+  /** IDBFactory override (default: global `indexedDB`) — workers, tests */
+  indexedDB?: IDBFactory | null
+}
+
+/**
+ * IndexedDbOutbox - one object store row per queued operation
+ *
+ * No quota worry for large payloads; save() rewrites the store in a single
+ * transaction so a crash never leaves half a queue behind.
+ */
+export class IndexedDbOutbox implements OfflineOutbox {
+  readonly dbName: string
+  readonly storeName: string
+  private _factory: IDBFactory | null
+  private _db: Promise<IDBDatabase> | null = null
+
+  constructor(options: IndexedDbOutboxOptions = {}) {
+    this.dbName = options.dbName ?? 'qdadm_outbox'
+    this.storeName = options.storeName ?? 'operations'
+    this._factory = options.indexedDB ?? (typeof indexedDB !== 'undefined' ? indexedDB : null)
+  }
+
+  private _open(): Promise<IDBDatabase> {
+    if (!this._db) {
+      const factory = this._factory
+      if (!factory) {
+        return Promise.reject(new Error('IndexedDbOutbox: IndexedDB is not available'))
+      }
+      this._db = new Promise<IDBDatabase>((resolve, reject) => {
+        const request = factory.open(this.dbName, 1)
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(this.storeName)) {
+            request.result.createObjectStore(this.storeName, { keyPath: 'id' })
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      }).catch((err) => {
+        this._db = null
+        throw err
+      })
+    }
+    return this._db
+  }
+
+  async load(): Promise<QueuedOperation[]> {
+    const db = await this._open()
+    const operations = await new Promise<QueuedOperation[]>((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll()
+      request.onsuccess = () => resolve(request.result as QueuedOperation[])
+      request.onerror = () => reject(request.error)
+    })
+    return operations.sort((a, b) => a.seq - b.seq)
+  }
+
+  async save(operations: QueuedOperation[]): Promise<void> {
+    const db = await this._open()
+    await new Promise<void>((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite')
+      const store = tx.objectStore(this.storeName)
+      store.clear()
+      // Plain copies: payloads may come straight from reactive form state
+      for (const op of operations) store.put(JSON.parse(JSON.stringify(op)))
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+}
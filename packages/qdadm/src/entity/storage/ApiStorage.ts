@@ -1,22 +1,42 @@
 import { IStorage } from './IStorage'
-import type { EntityRecord, ListParams, ListResult, StorageCapabilities } from '../../types'
+import { resolveQuerySerializer, type QuerySerializer } from '../../query/serializers'
+import { normalizeAggregateMetrics, type QueryObject } from '../../query/QueryExecutor'
+import type {
+  AggregateParams,
+  AggregateResult,
+  AggregateRow,
+  EntityRecord,
+  ListParams,
+  ListResult,
+  StorageCapabilities,
+  WriteOptions,
+} from '../../types'
 
 /**
  * HTTP client interface compatible with axios
  */
 export interface HttpClient {
-  get<T = unknown>(url: string, config?: { params?: Record<string, unknown> }): Promise<{ data: T }>
-  post<T = unknown>(url: string, data?: unknown): Promise<{ data: T }>
-  put<T = unknown>(url: string, data?: unknown): Promise<{ data: T }>
-  patch<T = unknown>(url: string, data?: unknown): Promise<{ data: T }>
-  delete<T = unknown>(url: string): Promise<{ data: T }>
+  get<T = unknown>(url: string, config?: { params?: Record<string, unknown> }): Promise<HttpResponse<T>>
+  post<T = unknown>(url: string, data?: unknown): Promise<HttpResponse<T>>
+  put<T = unknown>(url: string, data?: unknown): Promise<HttpResponse<T>>
+  patch<T = unknown>(url: string, data?: unknown): Promise<HttpResponse<T>>
+  delete<T = unknown>(url: string): Promise<HttpResponse<T>>
   request<T = unknown>(config: {
     method: string
     url: string
     data?: unknown
     params?: Record<string, unknown>
     headers?: Record<string, string>
-  }): Promise<{ data: T }>
+  }): Promise<HttpResponse<T>>
+}
+
+/**
+ * Response shape read from the HTTP client (axios-compatible)
+ */
+export interface HttpResponse<T = unknown> {
+  data: T
+  /** Response headers, lowercase keys (axios) */
+  headers?: Record<string, unknown>
 }
 
 /**
@@ -36,16 +56,77 @@ export interface ApiStorageOptions<T extends EntityRecord = EntityRecord> {
   getClient?: (() => HttpClient) | null
   responseItemsKey?: string
   responseTotalKey?: string
+  /** 'page' (page/page_size, default) or 'cursor' (keyset pagination, total optional) */
+  pagination?: 'page' | 'cursor'
+  /** Query param carrying the cursor (default 'cursor') */
+  cursorParam?: string
+  /** Dot path of the next-page cursor in the response (default 'next_cursor') */
+  responseNextCursorKey?: string
+  /** Dot path of the previous-page cursor in the response (default 'prev_cursor') */
+  responsePrevCursorKey?: string
+  /** Dot path of the has-more flag in the response (default 'has_more'; else derived from the next cursor) */
+  responseHasMoreKey?: string
   paramMapping?: Record<string, string>
+  /**
+   * How `filters` become query params: 'flat' (default, as-is), 'bracket'
+   * (price[gte]=10), 'colon' (price:gte=10), 'odata' ($filter), 'rsql'
+   * (filter=...), another name registered in `querySerializers`, or a function
+   */
+  querySerializer?: string | QuerySerializer
+  /**
+   * Endpoint answering aggregate(), relative to `endpoint` unless it starts
+   * with '/' (e.g. 'stats' → /loans/stats). Setting it enables supportsAggregate.
+   */
+  aggregateEndpoint?: string | null
+  /** Dot path of the aggregate rows in the response (default 'rows'; else the body itself) */
+  responseAggregateKey?: string
+  /**
+   * Query param listing the includes of list() (e.g. 'include' →
+   * include=author,genre), for APIs embedding related records in each item.
+   * Setting it enables supportsInclude.
+   */
+  includeParam?: string | null
+  /** Read ETag response headers and send them back as If-Match on update/patch (default false) */
+  etag?: boolean
   normalize?: ((data: T, context?: RoutingContext | null) => T) | null
   denormalize?: ((data: Partial<T>) => Partial<T>) | null
 }
 
+function readPath(obj: unknown, path: string): unknown {
+  let current: unknown = obj
+  for (const part of path.split('.')) {
+    if (current === null || typeof current !== 'object') return undefined
+    current = (current as Record<string, unknown>)[part]
+  }
+  return current
+}
+
+function toCursor(value: unknown): string | null {
+  return value === undefined || value === null || value === '' ? null : String(value)
+}
+
 /**
  * ApiStorage - REST API storage adapter
  *
  * Implements the storage interface for REST APIs.
  * Expects standard response format: { items: [], total: number, page: number }
+ *
+ * With `pagination: 'cursor'`, list() sends `ListParams.cursor` instead of
+ * the page number and reads `{ items: [], next_cursor, prev_cursor, has_more }`
+ * (keys configurable). The total is optional there: null when absent.
+ *
+ * `querySerializer` picks how `filters` (a QueryObject, the syntax used for
+ * local filtering) are written to the URL, e.g. `price[gte]=10` or OData.
+ *
+ * With `aggregateEndpoint`, aggregate() GETs that endpoint with
+ * `group_by=status,type&metrics=count:count,fines:sum:fine` and the
+ * serialized filters, and reads `{ rows: [{ status, type, count, fines }] }`.
+ *
+ * With `includeParam`, list() forwards `ListParams.include` to the API
+ * (`include=author`) and expects each item to embed it (`item.author`).
+ *
+ * With `etag: true`, the ETag of each get() is remembered and sent back as
+ * If-Match on update/patch, so a stale write fails with 412 instead of winning.
  */
 export class ApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<T> {
   static storageName = 'ApiStorage'
@@ -60,12 +141,25 @@ export class ApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<
   readonly endpoint: string
   readonly responseItemsKey: string
   readonly responseTotalKey: string
+  readonly pagination: 'page' | 'cursor'
+  readonly cursorParam: string
+  readonly responseNextCursorKey: string
+  readonly responsePrevCursorKey: string
+  readonly responseHasMoreKey: string
   readonly paramMapping: Record<string, string>
+  readonly querySerializer: QuerySerializer
+  readonly aggregateEndpoint: string | null
+  readonly responseAggregateKey: string
+  readonly includeParam: string | null
+  readonly etag: boolean
 
   protected _client: HttpClient | null
   protected _getClient: (() => HttpClient) | null
   protected _normalize: ((data: T, context?: RoutingContext | null) => T) | null
   protected _denormalize: ((data: Partial<T>) => Partial<T>) | null
+  protected _etags: Map<string, string> = new Map()
+  /** Serializer writes $or/$and (odata, rsql) and no param mapping renames nested fields */
+  protected _logicalFilters: boolean
 
   constructor(options: ApiStorageOptions<T>) {
     super()
@@ -75,7 +169,17 @@ export class ApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<
       getClient = null,
       responseItemsKey = 'items',
       responseTotalKey = 'total',
+      pagination = 'page',
+      cursorParam = 'cursor',
+      responseNextCursorKey = 'next_cursor',
+      responsePrevCursorKey = 'prev_cursor',
+      responseHasMoreKey = 'has_more',
       paramMapping = {},
+      querySerializer = 'flat',
+      aggregateEndpoint = null,
+      responseAggregateKey = 'rows',
+      includeParam = null,
+      etag = false,
       normalize = null,
       denormalize = null,
     } = options
@@ -85,11 +189,45 @@ export class ApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<
     this._getClient = getClient
     this.responseItemsKey = responseItemsKey
     this.responseTotalKey = responseTotalKey
+    this.pagination = pagination
+    this.cursorParam = cursorParam
+    this.responseNextCursorKey = responseNextCursorKey
+    this.responsePrevCursorKey = responsePrevCursorKey
+    this.responseHasMoreKey = responseHasMoreKey
     this.paramMapping = paramMapping
+    this.querySerializer = resolveQuerySerializer(querySerializer)
+    this._logicalFilters =
+      (querySerializer === 'odata' || querySerializer === 'rsql') && Object.keys(paramMapping).length === 0
+    this.aggregateEndpoint = aggregateEndpoint
+    this.responseAggregateKey = responseAggregateKey
+    this.includeParam = includeParam
+    this.etag = etag
     this._normalize = normalize
     this._denormalize = denormalize
   }
 
+  /**
+   * Instance capabilities: cursor mode pages by cursor and may not know the
+   * total; an aggregate endpoint enables aggregate(); an include param
+   * lets the API embed includes; odata/rsql filters take $or/$and
+   */
+  get capabilities(): StorageCapabilities {
+    let caps = (this.constructor as typeof ApiStorage).capabilities
+    if (this.pagination === 'cursor') {
+      caps = { ...caps, supportsTotal: false, supportsCursor: true }
+    }
+    if (this.aggregateEndpoint) {
+      caps = { ...caps, supportsAggregate: true }
+    }
+    if (this.includeParam) {
+      caps = { ...caps, supportsInclude: true }
+    }
+    if (this._logicalFilters) {
+      caps = { ...caps, supportsQueryOperators: true }
+    }
+    return caps
+  }
+
   /**
    * Apply parameter mapping to transform filter names
    */
@@ -139,18 +277,36 @@ export class ApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<
   }
 
   async list(params: ListParams = {}, context: RoutingContext | null = null): Promise<ListResult<T>> {
-    const { page = 1, page_size = 20, sort_by, sort_order, filters = {} } = params
+    const { page = 1, page_size = 20, sort_by, sort_order, cursor, filters = {}, include } = params
 
-    const mappedFilters = this._applyParamMapping(filters)
+    const mappedFilters = this.querySerializer(this._applyParamMapping(filters) as QueryObject)
+    const position =
+      this.pagination === 'cursor' ? (cursor ? { [this.cursorParam]: cursor } : {}) : { page }
+    const includes = this.includeParam && include?.length
+      ? { [this.includeParam]: Array.isArray(include) ? include.join(',') : include }
+      : {}
 
     const response = await this.client.get<Record<string, unknown>>(this.endpoint, {
-      params: { page, page_size, sort_by, sort_order, ...mappedFilters },
+      params: { ...position, page_size, sort_by, sort_order, ...mappedFilters, ...includes },
     })
 
     const data = response.data
     const rawItems = (data[this.responseItemsKey] || data.items || data) as T[]
     const items = this._normalizeData(rawItems, context) as T[]
 
+    if (this.pagination === 'cursor') {
+      const total = readPath(data, this.responseTotalKey)
+      const nextCursor = toCursor(readPath(data, this.responseNextCursorKey))
+      const hasMore = readPath(data, this.responseHasMoreKey)
+      return {
+        items,
+        total: typeof total === 'number' ? total : null,
+        nextCursor,
+        prevCursor: toCursor(readPath(data, this.responsePrevCursorKey)),
+        hasMore: typeof hasMore === 'boolean' ? hasMore : nextCursor !== null,
+      }
+    }
+
     return {
       items,
       total:
@@ -160,31 +316,104 @@ export class ApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<
     }
   }
 
+  /**
+   * Group and reduce records on the server (`aggregateEndpoint`)
+   */
+  async aggregate(params: AggregateParams = {}): Promise<AggregateResult> {
+    if (!this.aggregateEndpoint) {
+      throw new Error('ApiStorage: No aggregateEndpoint configured')
+    }
+    const { groupBy, filters = {} } = params
+    const metrics = normalizeAggregateMetrics(params.metrics)
+      .map(({ name, fn, field }) => (field === null ? `${name}:${fn}` : `${name}:${fn}:${field}`))
+      .join(',')
+    const url = this.aggregateEndpoint.startsWith('/')
+      ? this.aggregateEndpoint
+      : `${this.endpoint}/${this.aggregateEndpoint}`
+
+    const response = await this.client.get<Record<string, unknown>>(url, {
+      params: {
+        ...(groupBy ? { group_by: Array.isArray(groupBy) ? groupBy.join(',') : groupBy } : {}),
+        metrics,
+        ...this.querySerializer(this._applyParamMapping(filters) as QueryObject),
+      },
+    })
+
+    const data = response.data
+    const rows = readPath(data, this.responseAggregateKey) ?? data
+    return { rows: Array.isArray(rows) ? (rows as AggregateRow[]) : [] }
+  }
+
   async get(id: string | number, context: RoutingContext | null = null): Promise<T> {
     const response = await this.client.get<T>(`${this.endpoint}/${id}`)
+    this._rememberETag(id, response)
     return this._normalizeData(response.data, context) as T
   }
 
-  async create(data: Partial<T>): Promise<T> {
-    const apiData = this._denormalizeData(data)
-    const response = await this.client.post<T>(this.endpoint, apiData)
-    return this._normalizeData(response.data) as T
+  /**
+   * API record → record as get() returns it (`normalize` option)
+   */
+  normalizeRecord(data: T, context: RoutingContext | null = null): T {
+    return this._normalizeData(data, context) as T
   }
 
-  async update(id: string | number, data: Partial<T>): Promise<T> {
+  /**
+   * ETag seen on the last get/update/patch of a record (`etag` option)
+   */
+  getVersionToken(id: string | number): string | null {
+    return this._etags.get(String(id)) ?? null
+  }
+
+  protected _rememberETag(id: string | number, response: HttpResponse<unknown>): void {
+    if (!this.etag) return
+    const etag = response.headers?.etag
+    if (typeof etag === 'string' && etag) {
+      this._etags.set(String(id), etag)
+    }
+  }
+
+  /**
+   * PUT/PATCH, with If-Match when a lock token is given
+   */
+  protected async _write(
+    method: 'PUT' | 'PATCH',
+    id: string | number,
+    data: Partial<T>,
+    options: WriteOptions
+  ): Promise<T> {
+    const url = `${this.endpoint}/${id}`
     const apiData = this._denormalizeData(data)
-    const response = await this.client.put<T>(`${this.endpoint}/${id}`, apiData)
+    const response = options.ifMatch
+      ? await this.client.request<T>({
+          method,
+          url,
+          data: apiData,
+          headers: { 'If-Match': options.ifMatch },
+        })
+      : method === 'PUT'
+        ? await this.client.put<T>(url, apiData)
+        : await this.client.patch<T>(url, apiData)
+    this._rememberETag(id, response)
     return this._normalizeData(response.data) as T
   }
 
-  async patch(id: string | number, data: Partial<T>): Promise<T> {
+  async create(data: Partial<T>): Promise<T> {
     const apiData = this._denormalizeData(data)
-    const response = await this.client.patch<T>(`${this.endpoint}/${id}`, apiData)
+    const response = await this.client.post<T>(this.endpoint, apiData)
     return this._normalizeData(response.data) as T
   }
 
+  async update(id: string | number, data: Partial<T>, options: WriteOptions = {}): Promise<T> {
+    return this._write('PUT', id, data, options)
+  }
+
+  async patch(id: string | number, data: Partial<T>, options: WriteOptions = {}): Promise<T> {
+    return this._write('PATCH', id, data, options)
+  }
+
   async delete(id: string | number): Promise<void> {
     await this.client.delete(`${this.endpoint}/${id}`)
+    this._etags.delete(String(id))
   }
 
   /**
@@ -0,0 +1,393 @@
+import { IStorage } from './IStorage'
+import { StorageError } from './errors'
+import type { HttpClient, RoutingContext } from './ApiStorage'
+import type { EntityRecord, ListParams, ListResult, StorageCapabilities } from '../../types'
+
+/**
+ * One GraphQL operation (query or mutation) backing a storage method
+ */
+export interface GraphQLOperation {
+  /** GraphQL document */
+  query: string
+  /** Dot path to the operation result inside `data` (default: the single root field) */
+  path?: string
+  /** Build the variables yourself instead of using the default mapping */
+  variables?: (input: GraphQLVariablesInput) => Record<string, unknown>
+}
+
+/**
+ * List operation: adds where to find items and total inside the result
+ */
+export interface GraphQLListOperation extends GraphQLOperation {
+  /** Dot path to the items, relative to the result (default 'items'; ignored when the result is an array).
+   *  Crosses arrays: 'edges.node' maps a Relay connection to its nodes. */
+  itemsPath?: string
+  /** Dot path to the total count, relative to the result (default 'total') */
+  totalPath?: string
+}
+
+/**
+ * Operations config, one entry per storage method. `patch` falls back to
+ * `update` — most GraphQL update mutations are partial already.
+ */
+export interface GraphQLOperations {
+  list?: GraphQLListOperation
+  get?: GraphQLOperation
+  create?: GraphQLOperation
+  update?: GraphQLOperation
+  patch?: GraphQLOperation
+  delete?: GraphQLOperation
+}
+
+/**
+ * What a `variables` builder receives
+ */
+export interface GraphQLVariablesInput {
+  params?: ListParams
+  id?: string | number
+  data?: Record<string, unknown>
+}
+
+/**
+ * Variable names used by the default ListParams → variables mapping.
+ * Set a name to null to never send that param.
+ */
+export interface GraphQLListVariables {
+  page?: string | null
+  page_size?: string | null
+  sort_by?: string | null
+  sort_order?: string | null
+  filters?: string | null
+  search?: string | null
+}
+
+/**
+ * GraphQL error entry (spec §7.1.2)
+ */
+export interface GraphQLErrorEntry {
+  message: string
+  path?: Array<string | number>
+  extensions?: { code?: string; [key: string]: unknown }
+}
+
+/**
+ * GraphQLStorage options
+ */
+export interface GraphQLStorageOptions<T extends EntityRecord = EntityRecord> {
+  /** GraphQL endpoint, POSTed through the client (default '/graphql') */
+  endpoint?: string
+  client?: HttpClient | null
+  getClient?: (() => HttpClient) | null
+  operations: GraphQLOperations
+  /** Default ListParams → variables names */
+  listVariables?: GraphQLListVariables
+  /** 'page' sends page/page_size; 'offset' sends limit/offset computed from them */
+  pagination?: 'page' | 'offset'
+  /** Variable carrying the id in get/update/patch/delete (default 'id') */
+  idVariable?: string
+  /** Variable carrying the record in create/update/patch (default 'input') */
+  inputVariable?: string
+  normalize?: ((data: T, context?: RoutingContext | null) => T) | null
+  denormalize?: ((data: Partial<T>) => Partial<T>) | null
+}
+
+const DEFAULT_LIST_VARIABLES: Required<GraphQLListVariables> = {
+  page: 'page',
+  page_size: 'pageSize',
+  sort_by: 'sortBy',
+  sort_order: 'sortOrder',
+  filters: 'filter',
+  search: 'search',
+}
+
+/** Map GraphQL `extensions.code` conventions onto the HTTP-like StorageError status */
+const ERROR_CODE_STATUS: Record<string, number> = {
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  BAD_USER_INPUT: 422,
+  GRAPHQL_VALIDATION_FAILED: 400,
+}
+
+/**
+ * Read a dot path. Arrays met midway are mapped over, so 'edges.node'
+ * turns `{ edges: [{ node }] }` into the node list.
+ */
+function readPath(obj: unknown, path: string): unknown {
+  if (!path) return obj
+  let current: unknown = obj
+  const parts = path.split('.')
+  for (let i = 0; i < parts.length; i++) {
+    if (current === null || current === undefined) return undefined
+    if (Array.isArray(current)) {
+      const rest = parts.slice(i).join('.')
+      return current.map((entry) => readPath(entry, rest))
+    }
+    if (typeof current !== 'object') return undefined
+    current = (current as Record<string, unknown>)[parts[i]!]
+  }
+  return current
+}
+
+/**
+ * GraphQLStorage - GraphQL API storage adapter
+ *
+ * Maps list/get/create/update/patch/delete onto configured queries and
+ * mutations, sent as `{ query, variables }` POSTs through the same
+ * axios-compatible HttpClient ApiStorage uses (so the kernel `apiClient`,
+ * base URL and auth interceptors apply unchanged).
+ *
+ * Default variables: list → page/pageSize/sortBy/sortOrder/filter/search
+ * (renamable via `listVariables`, or limit/offset with `pagination:
+ * 'offset'`); get/delete → { id }; create → { input }; update/patch →
+ * { id, input }. Any operation can build its own with `variables`.
+ *
+ * Accepts the same `normalize`/`denormalize` hooks as ApiStorage, so an
+ * EntityManager can switch backends without touching its pages.
+ */
+export class GraphQLStorage<T extends EntityRecord = EntityRecord> extends IStorage<T> {
+  static storageName = 'GraphQLStorage'
+
+  static capabilities: StorageCapabilities = {
+    supportsTotal: true,
+    supportsFilters: true,
+    supportsPagination: true,
+    supportsCaching: true,
+  }
+
+  readonly endpoint: string
+  readonly operations: GraphQLOperations
+  readonly listVariables: Required<GraphQLListVariables>
+  readonly pagination: 'page' | 'offset'
+  readonly idVariable: string
+  readonly inputVariable: string
+
+  protected _client: HttpClient | null
+  protected _getClient: (() => HttpClient) | null
+  protected _normalize: ((data: T, context?: RoutingContext | null) => T) | null
+  protected _denormalize: ((data: Partial<T>) => Partial<T>) | null
+
+  constructor(options: GraphQLStorageOptions<T>) {
+    super()
+    const {
+      endpoint = '/graphql',
+      client = null,
+      getClient = null,
+      operations,
+      listVariables = {},
+      pagination = 'page',
+      idVariable = 'id',
+      inputVariable = 'input',
+      normalize = null,
+      denormalize = null,
+    } = options
+
+    if (!operations || typeof operations !== 'object') {
+      throw new Error('GraphQLStorage requires operations option')
+    }
+
+    this.endpoint = endpoint
+    this.operations = operations
+    this.listVariables = { ...DEFAULT_LIST_VARIABLES, ...listVariables }
+    this.pagination = pagination
+    this.idVariable = idVariable
+    this.inputVariable = inputVariable
+    this._client = client
+    this._getClient = getClient
+    this._normalize = normalize
+    this._denormalize = denormalize
+  }
+
+  get client(): HttpClient {
+    if (this._getClient) {
+      return this._getClient()
+    }
+    if (!this._client) {
+      throw new Error('GraphQLStorage: No HTTP client configured')
+    }
+    return this._client
+  }
+
+  set client(value: HttpClient) {
+    this._client = value
+  }
+
+  /**
+   * Send a raw GraphQL document — for operations outside the CRUD mapping.
+   * Throws a StorageError when the response carries `errors`.
+   */
+  async execute<R = Record<string, unknown>>(
+    query: string,
+    variables: Record<string, unknown> = {}
+  ): Promise<R> {
+    const response = await this.client.post<{ data?: R; errors?: GraphQLErrorEntry[] }>(
+      this.endpoint,
+      { query, variables }
+    )
+    const body = response.data ?? {}
+    if (body.errors && body.errors.length > 0) {
+      throw this._toStorageError(body.errors)
+    }
+    return (body.data ?? {}) as R
+  }
+
+  protected _toStorageError(errors: GraphQLErrorEntry[]): StorageError {
+    const first = errors[0]!
+    const code = first.extensions?.code
+    const status = (code && ERROR_CODE_STATUS[code]) || 500
+    const error = new StorageError(errors.map((e) => e.message).join('; '), status)
+    ;(error as StorageError & { errors?: GraphQLErrorEntry[] }).errors = errors
+    return error
+  }
+
+  protected _operation<K extends keyof GraphQLOperations>(
+    name: K
+  ): NonNullable<GraphQLOperations[K]> {
+    const operation = this.operations[name]
+    if (!operation) {
+      throw new Error(`GraphQLStorage: no "${name}" operation configured`)
+    }
+    return operation as NonNullable<GraphQLOperations[K]>
+  }
+
+  /**
+   * Run an operation and return its result (the `path` field of `data`)
+   */
+  protected async _run(
+    operation: GraphQLOperation,
+    defaults: Record<string, unknown>,
+    input: GraphQLVariablesInput
+  ): Promise<unknown> {
+    const variables = operation.variables ? operation.variables(input) : defaults
+    const data = await this.execute(operation.query, variables)
+    if (operation.path) {
+      return readPath(data, operation.path)
+    }
+    const roots = Object.keys(data)
+    return roots.length === 1 ? data[roots[0]!] : data
+  }
+
+  /**
+   * Default ListParams → variables mapping
+   */
+  protected _listVariables(params: ListParams): Record<string, unknown> {
+    const { page = 1, page_size = 20, sort_by, sort_order, filters, search } = params
+    const names = this.listVariables
+    const variables: Record<string, unknown> = {}
+    const set = (name: string | null, value: unknown) => {
+      if (name && value !== undefined && value !== null && value !== '') {
+        variables[name] = value
+      }
+    }
+
+    if (this.pagination === 'offset') {
+      variables.limit = page_size
+      variables.offset = (page - 1) * page_size
+    } else {
+      set(names.page, page)
+      set(names.page_size, page_size)
+    }
+    set(names.sort_by, sort_by)
+    set(names.sort_order, sort_by ? sort_order ?? 'asc' : undefined)
+    if (filters && Object.keys(filters).length > 0) {
+      set(names.filters, filters)
+    }
+    set(names.search, search)
+    return variables
+  }
+
+  protected _normalizeData(data: T, context: RoutingContext | null = null): T {
+    return this._normalize ? this._normalize(data, context) : data
+  }
+
+  protected _denormalizeData(data: Partial<T>): Partial<T> {
+    return this._denormalize ? this._denormalize(data) : data
+  }
+
+  async list(params: ListParams = {}, context: RoutingContext | null = null): Promise<ListResult<T>> {
+    const operation = this._operation('list')
+    const result = await this._run(operation, this._listVariables(params), { params })
+
+    let rawItems: unknown
+    let total: unknown
+    if (Array.isArray(result)) {
+      rawItems = result
+    } else {
+      rawItems = readPath(result, operation.itemsPath ?? 'items')
+      total = readPath(result, operation.totalPath ?? 'total')
+    }
+    const items = (Array.isArray(rawItems) ? (rawItems as T[]) : []).map((item) =>
+      this._normalizeData(item, context)
+    )
+    if (typeof total === 'number') return { items, total }
+
+    // No count: a page shorter than the page size sent is the last one
+    const { page_size = 20 } = params
+    const sized = !operation.variables && (this.pagination === 'offset' || !!this.listVariables.page_size)
+    return sized && items.length < page_size ? { items, total: null, hasMore: false } : { items, total: null }
+  }
+
+  /**
+   * API record → record as get() returns it (`normalize` option)
+   */
+  normalizeRecord(data: T, context: RoutingContext | null = null): T {
+    return this._normalizeData(data, context)
+  }
+
+  async get(id: string | number, context: RoutingContext | null = null): Promise<T> {
+    const result = await this._run(this._operation('get'), { [this.idVariable]: id }, { id })
+    if (result === null || result === undefined) {
+      throw new StorageError(`Entity not found: ${id}`, 404)
+    }
+    return this._normalizeData(result as T, context)
+  }
+
+  async create(data: Partial<T>): Promise<T> {
+    const input = this._denormalizeData(data) as Record<string, unknown>
+    const result = await this._run(
+      this._operation('create'),
+      { [this.inputVariable]: input },
+      { data: input }
+    )
+    return this._normalizeData(result as T)
+  }
+
+  async update(id: string | number, data: Partial<T>): Promise<T> {
+    return this._write('update', id, data)
+  }
+
+  async patch(id: string | number, data: Partial<T>): Promise<T> {
+    return this._write(this.operations.patch ? 'patch' : 'update', id, data)
+  }
+
+  protected async _write(
+    name: 'update' | 'patch',
+    id: string | number,
+    data: Partial<T>
+  ): Promise<T> {
+    const input = this._denormalizeData(data) as Record<string, unknown>
+    const result = await this._run(
+      this._operation(name),
+      { [this.idVariable]: id, [this.inputVariable]: input },
+      { id, data: input }
+    )
+    if (result === null || result === undefined) {
+      throw new StorageError(`Entity not found: ${id}`, 404)
+    }
+    return this._normalizeData(result as T)
+  }
+
+  async delete(id: string | number): Promise<void> {
+    await this._run(this._operation('delete'), { [this.idVariable]: id }, { id })
+  }
+}
+
+/**
+ * Factory function to create a GraphQLStorage
+ */
+export function createGraphQLStorage<T extends EntityRecord = EntityRecord>(
+  options: GraphQLStorageOptions<T>
+): GraphQLStorage<T> {
+  return new GraphQLStorage(options)
+}
@@ -17,7 +17,7 @@
  * ```
  */
 
-import type { EntityRecord, ListParams, ListResult, StorageCapabilities } from '../../types'
+import type { EntityRecord, ListParams, ListResult, StorageCapabilities, WriteOptions } from '../../types'
 
 /**
  * Abstract base class for storage adapters
@@ -66,9 +66,10 @@ export abstract class IStorage<T extends EntityRecord = EntityRecord> {
    * Update entity by ID (full replacement)
    * @param _id - Entity ID
    * @param _data - Updated data
+   * @param _options - Write options (optimistic-lock token)
    * @returns Promise with updated entity
    */
-  async update(_id: string | number, _data: Partial<T>): Promise<T> {
+  async update(_id: string | number, _data: Partial<T>, _options?: WriteOptions): Promise<T> {
     throw new Error('update() not implemented')
   }
 
@@ -76,9 +77,10 @@ export abstract class IStorage<T extends EntityRecord = EntityRecord> {
    * Patch entity by ID (partial update)
    * @param _id - Entity ID
    * @param _data - Partial data to merge
+   * @param _options - Write options (optimistic-lock token)
    * @returns Promise with updated entity
    */
-  async patch(_id: string | number, _data: Partial<T>): Promise<T> {
+  async patch(_id: string | number, _data: Partial<T>, _options?: WriteOptions): Promise<T> {
     throw new Error('patch() not implemented')
   }
 
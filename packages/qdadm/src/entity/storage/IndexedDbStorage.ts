@@ -0,0 +1,528 @@
+import { IStorage } from './IStorage'
+import { StorageError } from './errors'
+import { QueryExecutor, type QueryObject } from '../../query/QueryExecutor'
+import type { EntityRecord, ListParams, ListResult, StorageCapabilities } from '../../types'
+import { sortItems, searchItems, paginate, defaultGenerateId } from '../../query/clientFilter'
+
+/**
+ * IndexedDbStorage options
+ */
+export interface IndexedDbStorageOptions {
+  /** Object store name — one store per entity */
+  key: string
+  /** Database name (default `qdadm_${key}`) */
+  dbName?: string
+  idField?: string
+  generateId?: () => string
+  /** Fields to index. Declare the entity's filterable/sortable fields here:
+   *  equality/range filters and sorts on them run against the index instead
+   *  of loading the whole store. */
+  indexes?: string[]
+  /** IDBFactory override (default: global `indexedDB`) — workers, tests */
+  indexedDB?: IDBFactory | null
+}
+
+/** A filter translated to an index key range */
+interface IndexRange {
+  field: string
+  ranges: IDBKeyRange[]
+  /** True when the range selects exactly what QueryExecutor would match */
+  exact: boolean
+}
+
+type Key = string | number | Date
+
+function isValidKey(value: unknown): value is Key {
+  if (typeof value === 'string') return true
+  if (typeof value === 'number') return !Number.isNaN(value)
+  return value instanceof Date && !Number.isNaN(value.getTime())
+}
+
+function isEmptyFilter(value: unknown): boolean {
+  return value === null || value === undefined || value === ''
+}
+
+/**
+ * IndexedDbStorage - Browser IndexedDB storage adapter
+ *
+ * Same role as LocalStorage (offline-first data living in the browser)
+ * without its limits: no ~5MB quota, and list() only reads what it needs.
+ * Filters and sorts on declared `indexes` go through IDB indexes and
+ * cursors; everything else (search, filters on unindexed fields, operators
+ * with no key-range equivalent) falls back to the shared client pipeline on
+ * the narrowest candidate set the indexes can provide.
+ *
+ * Filters use QueryExecutor semantics (like MockApiStorage): exact matches,
+ * implicit $in for arrays, MongoDB-like operators.
+ */
+export class IndexedDbStorage<T extends EntityRecord = EntityRecord> extends IStorage<T> {
+  static storageName = 'IndexedDbStorage'
+
+  static capabilities: StorageCapabilities = {
+    supportsTotal: true,
+    supportsFilters: true,
+    supportsPagination: true,
+    supportsCaching: false,
+    supportsQueryOperators: true,
+  }
+
+  readonly key: string
+  readonly dbName: string
+  readonly idField: string
+  readonly generateId: () => string
+  readonly indexes: string[]
+
+  protected _factory: IDBFactory | null
+  protected _db: Promise<IDBDatabase> | null = null
+
+  constructor(options: IndexedDbStorageOptions) {
+    super()
+    const {
+      key,
+      dbName = `qdadm_${options.key}`,
+      idField = 'id',
+      generateId = defaultGenerateId,
+      indexes = [],
+      indexedDB: factory = null,
+    } = options
+
+    if (!key) {
+      throw new Error('IndexedDbStorage requires key option')
+    }
+
+    this.key = key
+    this.dbName = dbName
+    this.idField = idField
+    this.generateId = generateId
+    this.indexes = indexes.filter((field) => field !== idField)
+    this._factory = factory
+  }
+
+  // ============ CONNECTION ============
+
+  protected get factory(): IDBFactory {
+    const factory = this._factory ?? (typeof indexedDB !== 'undefined' ? indexedDB : null)
+    if (!factory) {
+      throw new StorageError('IndexedDbStorage: IndexedDB is not available', 500)
+    }
+    return factory
+  }
+
+  /**
+   * Open the database, creating the store and any missing index.
+   *
+   * The schema version is not configured: the first open reads the current
+   * version, and a second open at version+1 only happens when the declared
+   * indexes drifted from the ones on disk.
+   */
+  protected _open(): Promise<IDBDatabase> {
+    if (!this._db) {
+      this._db = this._openAt(undefined).catch((err) => {
+        this._db = null
+        throw err
+      })
+    }
+    return this._db
+  }
+
+  protected _openAt(version: number | undefined): Promise<IDBDatabase> {
+    return new Promise((resolve, reject) => {
+      const request =
+        version === undefined ? this.factory.open(this.dbName) : this.factory.open(this.dbName, version)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        const tx = request.transaction!
+        const store = db.objectStoreNames.contains(this.key)
+          ? tx.objectStore(this.key)
+          : db.createObjectStore(this.key, { keyPath: this.idField })
+        for (const field of this.indexes) {
+          if (!store.indexNames.contains(field)) {
+            store.createIndex(field, field)
+          }
+        }
+        for (const name of Array.from(store.indexNames)) {
+          if (!this.indexes.includes(name)) {
+            store.deleteIndex(name)
+          }
+        }
+      }
+
+      request.onsuccess = () => {
+        const db = request.result
+        if (this._schemaMatches(db)) {
+          // Another tab upgrading the schema needs this connection closed
+          db.onversionchange = () => {
+            db.close()
+            this._db = null
+          }
+          resolve(db)
+          return
+        }
+        const next = db.version + 1
+        db.close()
+        this._openAt(next).then(resolve, reject)
+      }
+
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  protected _schemaMatches(db: IDBDatabase): boolean {
+    if (!db.objectStoreNames.contains(this.key)) return false
+    const store = db.transaction(this.key, 'readonly').objectStore(this.key)
+    const current = Array.from(store.indexNames)
+    return (
+      current.length === this.indexes.length && this.indexes.every((f) => current.includes(f))
+    )
+  }
+
+  /**
+   * Run `fn` against the object store inside one transaction and resolve
+   * once the transaction completes (writes are durable at that point).
+   */
+  protected async _transaction<R>(
+    mode: IDBTransactionMode,
+    fn: (store: IDBObjectStore) => Promise<R>
+  ): Promise<R> {
+    const db = await this._open()
+    const tx = db.transaction(this.key, mode)
+    const done = new Promise<void>((resolve, reject) => {
+      tx.oncomplete = () => resolve()
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error ?? new StorageError('IndexedDB transaction aborted'))
+    })
+    let result: R
+    try {
+      result = await fn(tx.objectStore(this.key))
+    } catch (err) {
+      // The failing request aborts the transaction: its rejection is this one
+      done.catch(() => {})
+      throw err
+    }
+    await done
+    return result
+  }
+
+  protected _request<R>(request: IDBRequest<R>): Promise<R> {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Read one record. Route params arrive as strings while numeric ids are
+   * stored as numbers — retry with the numeric key before giving up.
+   */
+  protected async _find(store: IDBObjectStore, id: string | number): Promise<T | undefined> {
+    const found = (await this._request(store.get(id))) as T | undefined
+    if (found !== undefined) return found
+    if (typeof id === 'string' && id.trim() !== '' && !Number.isNaN(Number(id))) {
+      return (await this._request(store.get(Number(id)))) as T | undefined
+    }
+    return undefined
+  }
+
+  // ============ INDEX PLANNING ============
+
+  /**
+   * Translate the first indexable filter into key ranges.
+   * Lower-only/upper-only numeric bounds are closed with ±Infinity so mixed
+   * key types (IDB orders numbers before strings) never leak in.
+   */
+  protected _planRange(filters: Record<string, unknown>): IndexRange | null {
+    for (const [field, condition] of Object.entries(filters)) {
+      if (!this.indexes.includes(field)) continue
+
+      if (isValidKey(condition)) {
+        return { field, ranges: [IDBKeyRange.only(condition)], exact: true }
+      }
+
+      if (Array.isArray(condition) && condition.length > 0 && condition.every(isValidKey)) {
+        const unique = [...new Set(condition as Key[])]
+        return { field, ranges: unique.map((v) => IDBKeyRange.only(v)), exact: true }
+      }
+
+      if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        const range = this._operatorRange(condition as Record<string, unknown>)
+        if (range) return { field, ranges: [range.range], exact: range.exact }
+      }
+    }
+    return null
+  }
+
+  protected _operatorRange(
+    ops: Record<string, unknown>
+  ): { range: IDBKeyRange; exact: boolean } | null {
+    const keys = Object.keys(ops)
+    if (keys.length === 1 && isValidKey(ops.$eq)) {
+      return { range: IDBKeyRange.only(ops.$eq), exact: true }
+    }
+
+    let lower: Key | undefined
+    let upper: Key | undefined
+    let lowerOpen = false
+    let upperOpen = false
+    for (const op of keys) {
+      const value = ops[op]
+      if (op === '$between' && Array.isArray(value) && value.length === 2) {
+        if (!isValidKey(value[0]) || !isValidKey(value[1])) return null
+        lower = value[0]
+        upper = value[1]
+      } else if ((op === '$gt' || op === '$gte') && isValidKey(value)) {
+        lower = value
+        lowerOpen = op === '$gt'
+      } else if ((op === '$lt' || op === '$lte') && isValidKey(value)) {
+        upper = value
+        upperOpen = op === '$lt'
+      } else {
+        return null
+      }
+    }
+
+    if (lower !== undefined && upper !== undefined) {
+      if (typeof lower !== typeof upper) return null
+      if (lower > upper) return null
+      return { range: IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen), exact: true }
+    }
+    const bound = lower ?? upper
+    if (typeof bound !== 'number') {
+      // String/date half-open ranges would also match other key types:
+      // narrow with the index, let QueryExecutor do the exact check.
+      if (lower !== undefined) return { range: IDBKeyRange.lowerBound(lower, lowerOpen), exact: false }
+      if (upper !== undefined) return { range: IDBKeyRange.upperBound(upper, upperOpen), exact: false }
+      return null
+    }
+    return lower !== undefined
+      ? { range: IDBKeyRange.bound(lower, Infinity, lowerOpen, false), exact: true }
+      : { range: IDBKeyRange.bound(-Infinity, upper as number, false, upperOpen), exact: true }
+  }
+
+  /**
+   * Walk a cursor, skipping `offset` records and collecting up to `limit`.
+   */
+  protected _readPage(
+    source: IDBObjectStore | IDBIndex,
+    range: IDBKeyRange | null,
+    direction: IDBCursorDirection,
+    offset: number,
+    limit: number
+  ): Promise<T[]> {
+    return new Promise((resolve, reject) => {
+      const items: T[] = []
+      let skipped = offset === 0
+      const request = source.openCursor(range, direction)
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor || items.length >= limit) {
+          resolve(items)
+          return
+        }
+        if (!skipped) {
+          skipped = true
+          cursor.advance(offset)
+          return
+        }
+        items.push(cursor.value as T)
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // ============ READ ============
+
+  async list(params: ListParams = {}): Promise<ListResult<T>> {
+    const { page = 1, page_size = 20, sort_by, sort_order = 'asc', filters = {}, search } = params
+
+    const activeFilters = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => !isEmptyFilter(value))
+    )
+    const plan = this._planRange(activeFilters)
+    const otherFilters = Object.keys(activeFilters).filter((f) => f !== plan?.field)
+    const direction: IDBCursorDirection = sort_order === 'desc' ? 'prev' : 'next'
+    const offset = Math.max(0, (page - 1) * page_size)
+
+    return this._transaction('readonly', async (store) => {
+      const hasSearch = typeof search === 'string' && search.trim() !== ''
+
+      // Fast paths: the index alone answers the query, read only one page
+      if (!hasSearch && otherFilters.length === 0) {
+        if (plan && plan.exact && plan.ranges.length === 1 && (!sort_by || sort_by === plan.field)) {
+          const index = store.index(plan.field)
+          const range = plan.ranges[0]!
+          const total = await this._request(index.count(range))
+          const items = await this._readPage(index, range, direction, offset, page_size)
+          return { items, total }
+        }
+
+        if (!plan && (!sort_by || sort_by === this.idField)) {
+          const total = await this._request(store.count())
+          const items = await this._readPage(store, null, direction, offset, page_size)
+          return { items, total }
+        }
+
+        if (!plan && sort_by && this.indexes.includes(sort_by)) {
+          // Records whose sort value is null/boolean are not in the index:
+          // only trust it when it covers the whole store.
+          const index = store.index(sort_by)
+          const total = await this._request(store.count())
+          if ((await this._request(index.count())) === total) {
+            const items = await this._readPage(index, null, direction, offset, page_size)
+            return { items, total }
+          }
+        }
+      }
+
+      // General path: narrow with the index, finish with the client pipeline
+      let items: T[]
+      if (plan) {
+        const index = store.index(plan.field)
+        const chunks = await Promise.all(
+          plan.ranges.map((range) => this._request(index.getAll(range)) as Promise<T[]>)
+        )
+        items = chunks.flat()
+      } else {
+        items = (await this._request(store.getAll())) as T[]
+      }
+
+      if (Object.keys(activeFilters).length > 0) {
+        items = QueryExecutor.execute(items, activeFilters as QueryObject).items
+      }
+      items = searchItems(items, search as string | undefined)
+
+      const total = items.length
+      sortItems(items, sort_by, sort_order)
+      return { items: paginate(items, page, page_size), total }
+    })
+  }
+
+  async get(id: string | number): Promise<T> {
+    const item = await this._transaction('readonly', (store) => this._find(store, id))
+    if (!item) {
+      throw new StorageError(`Entity not found: ${id}`, 404)
+    }
+    return item
+  }
+
+  async getMany(ids: Array<string | number>): Promise<T[]> {
+    if (!ids || ids.length === 0) return []
+    return this._transaction('readonly', async (store) => {
+      const found: Array<T | undefined> = await Promise.all(ids.map((id) => this._find(store, id)))
+      return found.filter((item): item is T => item !== undefined)
+    })
+  }
+
+  async distinct(field: string): Promise<unknown[]> {
+    return this._transaction('readonly', async (store) => {
+      if (this.indexes.includes(field)) {
+        return new Promise<unknown[]>((resolve, reject) => {
+          const values: unknown[] = []
+          const request = store.index(field).openKeyCursor(null, 'nextunique')
+          request.onsuccess = () => {
+            const cursor = request.result
+            if (!cursor) {
+              resolve(values)
+              return
+            }
+            values.push(cursor.key)
+            cursor.continue()
+          }
+          request.onerror = () => reject(request.error)
+        })
+      }
+      const values = new Set<unknown>()
+      for (const item of (await this._request(store.getAll())) as T[]) {
+        const value = item[field as keyof T]
+        if (value !== undefined && value !== null) values.add(value)
+      }
+      return Array.from(values).sort()
+    })
+  }
+
+  // ============ WRITE ============
+
+  async create(data: Partial<T>): Promise<T> {
+    const newItem = {
+      ...data,
+      [this.idField]: (data[this.idField as keyof T] as string | number) || this.generateId(),
+      created_at: (data as Record<string, unknown>).created_at || new Date().toISOString(),
+    } as unknown as T
+    try {
+      await this._transaction('readwrite', (store) => this._request(store.add(newItem)))
+    } catch (err) {
+      if ((err as DOMException)?.name === 'ConstraintError') {
+        throw new StorageError(`Entity already exists: ${newItem[this.idField as keyof T]}`, 409)
+      }
+      throw err
+    }
+    return newItem
+  }
+
+  async update(id: string | number, data: Partial<T>): Promise<T> {
+    return this._transaction('readwrite', async (store) => {
+      const existing = await this._find(store, id)
+      if (!existing) {
+        throw new StorageError(`Entity not found: ${id}`, 404)
+      }
+      const updated = {
+        ...data,
+        [this.idField]: existing[this.idField as keyof T],
+        updated_at: new Date().toISOString(),
+      } as unknown as T
+      await this._request(store.put(updated))
+      return updated
+    })
+  }
+
+  async patch(id: string | number, data: Partial<T>): Promise<T> {
+    return this._transaction('readwrite', async (store) => {
+      const existing = await this._find(store, id)
+      if (!existing) {
+        throw new StorageError(`Entity not found: ${id}`, 404)
+      }
+      const updated = {
+        ...existing,
+        ...data,
+        [this.idField]: existing[this.idField as keyof T],
+        updated_at: new Date().toISOString(),
+      } as T
+      await this._request(store.put(updated))
+      return updated
+    })
+  }
+
+  async delete(id: string | number): Promise<void> {
+    await this._transaction('readwrite', async (store) => {
+      const existing = await this._find(store, id)
+      if (!existing) {
+        throw new StorageError(`Entity not found: ${id}`, 404)
+      }
+      await this._request(store.delete(existing[this.idField as keyof T] as IDBValidKey))
+    })
+  }
+
+  async clear(): Promise<void> {
+    await this._transaction('readwrite', (store) => this._request(store.clear()))
+  }
+
+  /**
+   * Close the connection (the data stays on disk — use clear() to wipe it)
+   */
+  async close(): Promise<void> {
+    if (!this._db) return
+    const db = await this._db.catch((): null => null)
+    db?.close()
+    this._db = null
+  }
+}
+
+/**
+ * Factory function to create an IndexedDbStorage
+ */
+export function createIndexedDbStorage<T extends EntityRecord = EntityRecord>(
+  options: IndexedDbStorageOptions
+): IndexedDbStorage<T> {
+  return new IndexedDbStorage(options)
+}
@@ -0,0 +1,532 @@
+import { IStorage } from './IStorage'
+import { StorageError } from './errors'
+import pluralize from '../../utils/pluralize'
+import { QueryValidationError } from '../../query/QueryExecutor'
+import type { HttpClient, RoutingContext } from './ApiStorage'
+import type {
+  EntityRecord,
+  ListParams,
+  ListResult,
+  ParentConfig,
+  RelationConfig,
+  StorageCapabilities,
+} from '../../types'
+
+/**
+ * JSON:API resource identifier ({ type, id })
+ */
+export interface JsonApiIdentifier {
+  type: string
+  id: string
+}
+
+/**
+ * JSON:API resource object
+ */
+export interface JsonApiResource extends JsonApiIdentifier {
+  attributes?: Record<string, unknown>
+  relationships?: Record<string, { data?: JsonApiIdentifier | JsonApiIdentifier[] | null }>
+  meta?: Record<string, unknown>
+}
+
+/**
+ * JSON:API top-level document
+ */
+export interface JsonApiDocument {
+  data?: JsonApiResource | JsonApiResource[] | null
+  included?: JsonApiResource[]
+  meta?: Record<string, unknown>
+  links?: Record<string, unknown>
+  errors?: Array<{ status?: string; title?: string; detail?: string }>
+}
+
+/**
+ * How a relationship maps onto the flat record
+ */
+export interface JsonApiRelationship {
+  /** Record key holding the related id(s) (default `${name}_id`, or `${singular}_ids` for to-many) */
+  foreignKey?: string
+  /** Entity the related resources belong to (default: the resource type) */
+  entity?: string
+  /** To-many relationship (default: inferred from the payload) */
+  many?: boolean
+}
+
+/**
+ * Manager view JsonApiStorage reads its defaults from
+ */
+interface BoundManager {
+  name: string
+  parents?: Record<string, ParentConfig>
+  relations?: Record<string, RelationConfig>
+}
+
+/**
+ * Orchestrator view used to hydrate related managers
+ */
+interface BoundOrchestrator {
+  get(name: string): { storage?: unknown; primeDetailCache?: (records: EntityRecord[]) => number } | undefined
+}
+
+/**
+ * JsonApiStorage options
+ */
+export interface JsonApiStorageOptions<T extends EntityRecord = EntityRecord> {
+  endpoint: string
+  client?: HttpClient | null
+  getClient?: (() => HttpClient) | null
+  /** Resource type sent on writes (default: last endpoint segment) */
+  type?: string
+  /** Relationship paths requested via `include` (default: the manager's parents and relations; false disables) */
+  include?: string[] | false
+  /** Relationship mapping, merged over the one derived from the manager's parents and relations */
+  relationships?: Record<string, JsonApiRelationship>
+  /** 'number' sends page[number]/page[size]; 'offset' sends page[offset]/page[limit] */
+  pagination?: 'number' | 'offset'
+  /** Dot path to the total inside the document (default 'meta.total') */
+  totalPath?: string
+  /** Filter carrying the search query (default 'search' → filter[search]; null to drop) */
+  searchFilter?: string | null
+  normalize?: ((data: T, context?: RoutingContext | null) => T) | null
+  denormalize?: ((data: Partial<T>) => Partial<T>) | null
+}
+
+const CONTENT_TYPE = 'application/vnd.api+json'
+
+/**
+ * A filter `filter[field][op]=value` params cannot carry throws, as the
+ * ApiStorage query serializers do: dropping it would widen the result
+ */
+function unexpressible(op: string, field: string | null = null): QueryValidationError {
+  const where = field ? ` on '${field}'` : ''
+  return new QueryValidationError(`'${op}'${where} cannot be expressed as a JSON:API filter`, op, field)
+}
+
+function filterValue(operand: unknown, op: string, field: string): unknown {
+  if (operand instanceof Date) return operand.toISOString()
+  if (Array.isArray(operand)) return operand.join(',')
+  if (operand !== null && typeof operand === 'object') throw unexpressible(op, field)
+  return operand
+}
+
+function readPath(obj: unknown, path: string): unknown {
+  let current: unknown = obj
+  for (const part of path.split('.')) {
+    if (current === null || typeof current !== 'object') return undefined
+    current = (current as Record<string, unknown>)[part]
+  }
+  return current
+}
+
+/**
+ * JsonApiStorage - JSON:API (jsonapi.org v1.1) storage adapter
+ *
+ * Maps ListParams onto `filter[field]`, `page[number]`/`page[size]`,
+ * `sort=-field` and `include=`, and flattens resources into plain records:
+ * `{ id, ...attributes }` plus one foreign key per relationship
+ * (`author_id: '12'`, `tag_ids: ['1', '2']`). Writes rebuild the
+ * `{ data: { type, id, attributes, relationships } }` document.
+ *
+ * Once its manager is registered, includes default to the manager's
+ * `parents` and `relations`, and every `included` resource is primed into
+ * its own manager's detail cache — so a ShowPage parent card or a
+ * breadcrumb resolves from the response it came with, not a second request.
+ */
+export class JsonApiStorage<T extends EntityRecord = EntityRecord> extends IStorage<T> {
+  static storageName = 'JsonApiStorage'
+
+  static capabilities: StorageCapabilities = {
+    supportsTotal: true,
+    supportsFilters: true,
+    supportsPagination: true,
+    supportsCaching: true,
+  }
+
+  readonly endpoint: string
+  readonly type: string
+  readonly pagination: 'number' | 'offset'
+  readonly totalPath: string
+  readonly searchFilter: string | null
+
+  protected _client: HttpClient | null
+  protected _getClient: (() => HttpClient) | null
+  protected _include: string[] | false | undefined
+  protected _relationships: Record<string, JsonApiRelationship>
+  protected _normalize: ((data: T, context?: RoutingContext | null) => T) | null
+  protected _denormalize: ((data: Partial<T>) => Partial<T>) | null
+  protected _manager: BoundManager | null = null
+  protected _orchestrator: BoundOrchestrator | null = null
+
+  constructor(options: JsonApiStorageOptions<T>) {
+    super()
+    const {
+      endpoint,
+      client = null,
+      getClient = null,
+      type,
+      include,
+      relationships = {},
+      pagination = 'number',
+      totalPath = 'meta.total',
+      searchFilter = 'search',
+      normalize = null,
+      denormalize = null,
+    } = options
+
+    if (!endpoint) {
+      throw new Error('JsonApiStorage requires endpoint option')
+    }
+
+    this.endpoint = endpoint.replace(/\/$/, '')
+    this.type = type ?? this.endpoint.split('/').pop() ?? ''
+    this.pagination = pagination
+    this.totalPath = totalPath
+    this.searchFilter = searchFilter
+    this._client = client
+    this._getClient = getClient
+    this._include = include
+    this._relationships = relationships
+    this._normalize = normalize
+    this._denormalize = denormalize
+  }
+
+  get client(): HttpClient {
+    if (this._getClient) {
+      return this._getClient()
+    }
+    if (!this._client) {
+      throw new Error('JsonApiStorage: No HTTP client configured')
+    }
+    return this._client
+  }
+
+  set client(value: HttpClient) {
+    this._client = value
+  }
+
+  /**
+   * Called by EntityManager.onRegister: relations config and the orchestrator
+   * become available for default includes and included hydration.
+   */
+  bindManager(manager: unknown, orchestrator: unknown): void {
+    this._manager = manager as BoundManager
+    this._orchestrator = orchestrator as BoundOrchestrator
+  }
+
+  /**
+   * Relationship mapping: manager parents (to-one) and relations (to-many),
+   * overridden by the `relationships` option
+   */
+  get relationships(): Record<string, JsonApiRelationship> {
+    const derived: Record<string, JsonApiRelationship> = {}
+    for (const [name, config] of Object.entries(this._manager?.parents ?? {})) {
+      derived[name] = { foreignKey: config.foreignKey, entity: config.entity, many: false }
+    }
+    for (const [name, config] of Object.entries(this._manager?.relations ?? {})) {
+      derived[name] = { entity: config.entity, many: true }
+    }
+    const merged: Record<string, JsonApiRelationship> = { ...derived }
+    for (const [name, config] of Object.entries(this._relationships)) {
+      merged[name] = { ...derived[name], ...config }
+    }
+    return merged
+  }
+
+  /**
+   * Relationship paths sent as `include`
+   */
+  get include(): string[] {
+    if (this._include === false) return []
+    if (this._include) return this._include
+    return Object.keys(this.relationships)
+  }
+
+  protected _foreignKey(name: string, many: boolean): string {
+    const configured = this.relationships[name]?.foreignKey
+    if (configured) return configured
+    return many ? `${pluralize.singular(name)}_ids` : `${name}_id`
+  }
+
+  /**
+   * Flatten a resource object into a record
+   */
+  flatten(resource: JsonApiResource): T {
+    const record: Record<string, unknown> = { id: resource.id, ...resource.attributes }
+    for (const [name, relationship] of Object.entries(resource.relationships ?? {})) {
+      const data = relationship?.data
+      if (data === undefined) continue
+      const many = this.relationships[name]?.many ?? Array.isArray(data)
+      const key = this._foreignKey(name, many)
+      if (Array.isArray(data)) {
+        record[key] = data.map((entry) => entry.id)
+      } else {
+        record[key] = many ? (data ? [data.id] : []) : (data?.id ?? null)
+      }
+    }
+    return record as T
+  }
+
+  /**
+   * Flatten then normalize: the record as the manager sees it
+   */
+  toRecord(resource: JsonApiResource, context: RoutingContext | null = null): T {
+    return this._normalizeData(this.flatten(resource), context)
+  }
+
+  /**
+   * Resource object or attribute record → record as get() returns it
+   */
+  normalizeRecord(data: T | JsonApiResource, context: RoutingContext | null = null): T {
+    const resource = data as JsonApiResource
+    if (typeof resource.type === 'string' && resource.attributes) return this.toRecord(resource, context)
+    return this._normalizeData(data as T, context)
+  }
+
+  /**
+   * Build a resource object from a (denormalized) record
+   */
+  protected _toResource(
+    data: Record<string, unknown>,
+    id?: string | number
+  ): Omit<JsonApiResource, 'id'> & { id?: string } {
+    const attributes: Record<string, unknown> = { ...data }
+    const relationships: NonNullable<JsonApiResource['relationships']> = {}
+    delete attributes.id
+
+    for (const [name, config] of Object.entries(this.relationships)) {
+      const key = this._foreignKey(name, config.many ?? false)
+      if (!(key in attributes)) continue
+      const value = attributes[key]
+      delete attributes[key]
+      const type = this._typeOf(name)
+      if (Array.isArray(value)) {
+        relationships[name] = { data: value.map((v) => ({ type, id: String(v) })) }
+      } else {
+        relationships[name] = {
+          data: value === null || value === undefined ? null : { type, id: String(value) },
+        }
+      }
+    }
+
+    return {
+      type: this.type,
+      ...(id !== undefined && { id: String(id) }),
+      attributes,
+      ...(Object.keys(relationships).length > 0 && { relationships }),
+    }
+  }
+
+  /** Resource type of a relationship: the related JsonApiStorage type, else its entity name */
+  protected _typeOf(name: string): string {
+    const entity = this.relationships[name]?.entity ?? name
+    const storage = this._managerFor(entity)?.storage
+    return storage instanceof JsonApiStorage ? storage.type : entity
+  }
+
+  protected _managerFor(entity: string): ReturnType<BoundOrchestrator['get']> {
+    if (!this._orchestrator) return undefined
+    try {
+      return this._orchestrator.get(entity)
+    } catch {
+      return undefined
+    }
+  }
+
+  /**
+   * Prime related managers' detail caches with the `included` resources.
+   * Types map to entities through the relationships that reference them.
+   */
+  protected _hydrateIncluded(document: JsonApiDocument, primary: JsonApiResource[]): void {
+    if (!document.included?.length || !this._orchestrator) return
+
+    const entityByType = new Map<string, string>()
+    const relationships = this.relationships
+    for (const resource of primary) {
+      for (const [name, relationship] of Object.entries(resource.relationships ?? {})) {
+        const entity = relationships[name]?.entity
+        const data = relationship?.data
+        const first = Array.isArray(data) ? data[0] : data
+        if (entity && first) entityByType.set(first.type, entity)
+      }
+    }
+
+    const byEntity = new Map<string, JsonApiResource[]>()
+    for (const resource of document.included) {
+      const entity = entityByType.get(resource.type) ?? resource.type
+      if (!byEntity.has(entity)) byEntity.set(entity, [])
+      byEntity.get(entity)!.push(resource)
+    }
+
+    for (const [entity, resources] of byEntity) {
+      const manager = this._managerFor(entity)
+      if (!manager?.primeDetailCache) continue
+      const storage = manager.storage instanceof JsonApiStorage ? manager.storage : this
+      manager.primeDetailCache(resources.map((resource) => storage.toRecord(resource)))
+    }
+  }
+
+  protected _toStorageError(error: unknown): unknown {
+    const response = (error as { response?: { status?: number; data?: JsonApiDocument } }).response
+    const first = response?.data?.errors?.[0]
+    if (!response || !first) return error
+    const status = Number(first.status ?? response.status) || response.status || 500
+    const storageError = new StorageError(first.detail ?? first.title ?? 'JSON:API error', status)
+    ;(storageError as StorageError & { errors?: JsonApiDocument['errors'] }).errors =
+      response.data!.errors
+    return storageError
+  }
+
+  protected async _send(config: Parameters<HttpClient['request']>[0]): Promise<JsonApiDocument> {
+    try {
+      const response = await this.client.request<JsonApiDocument>({
+        ...config,
+        headers: { Accept: CONTENT_TYPE, 'Content-Type': CONTENT_TYPE, ...config.headers },
+      })
+      return response.data ?? {}
+    } catch (error) {
+      throw this._toStorageError(error)
+    }
+  }
+
+  /**
+   * ListParams → JSON:API query params
+   */
+  protected _listParams(params: ListParams): Record<string, unknown> {
+    const { page = 1, page_size = 20, sort_by, sort_order, filters, search } = params
+    const query: Record<string, unknown> = {}
+
+    if (this.pagination === 'offset') {
+      query['page[offset]'] = (page - 1) * page_size
+      query['page[limit]'] = page_size
+    } else {
+      query['page[number]'] = page
+      query['page[size]'] = page_size
+    }
+    if (sort_by) {
+      query.sort = sort_order === 'desc' ? `-${sort_by}` : sort_by
+    }
+    for (const [field, value] of Object.entries(filters ?? {})) {
+      if (value === undefined || value === null || value === '') continue
+      if (field.startsWith('$')) throw unexpressible(field)
+      if (value instanceof RegExp) throw unexpressible('$regex', field)
+      if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        for (const [op, operand] of Object.entries(value as Record<string, unknown>)) {
+          if (!op.startsWith('$')) throw unexpressible(op, field)
+          query[`filter[${field}][${op.slice(1)}]`] = filterValue(operand, op, field)
+        }
+      } else {
+        query[`filter[${field}]`] = filterValue(value, '$eq', field)
+      }
+    }
+    if (search && this.searchFilter) {
+      query[`filter[${this.searchFilter}]`] = search
+    }
+    const include = this.include
+    if (include.length > 0) {
+      query.include = include.join(',')
+    }
+    return query
+  }
+
+  protected _normalizeData(data: T, context: RoutingContext | null = null): T {
+    return this._normalize ? this._normalize(data, context) : data
+  }
+
+  protected _denormalizeData(data: Partial<T>): Partial<T> {
+    return this._denormalize ? this._denormalize(data) : data
+  }
+
+  /**
+   * Unwrap a single-resource document (and hydrate its includes)
+   */
+  protected _single(document: JsonApiDocument, id: string | number, context: RoutingContext | null = null): T {
+    const resource = document.data
+    if (!resource || Array.isArray(resource)) {
+      throw new StorageError(`Entity not found: ${id}`, 404)
+    }
+    this._hydrateIncluded(document, [resource])
+    return this.toRecord(resource, context)
+  }
+
+  async list(params: ListParams = {}, context: RoutingContext | null = null): Promise<ListResult<T>> {
+    const document = await this._send({
+      method: 'GET',
+      url: this.endpoint,
+      params: this._listParams(params),
+    })
+    const resources = Array.isArray(document.data) ? document.data : []
+    this._hydrateIncluded(document, resources)
+
+    const items = resources.map((resource) => this.toRecord(resource, context))
+    const total = readPath(document, this.totalPath)
+    if (typeof total === 'number') return { items, total }
+
+    // No count: a `next` link, or a short page, tells whether more follow
+    const links = document.links
+    const { page_size = 20 } = params
+    if (links && 'next' in links) return { items, total: null, hasMore: !!links.next }
+    return resources.length < page_size ? { items, total: null, hasMore: false } : { items, total: null }
+  }
+
+  async get(id: string | number, context: RoutingContext | null = null): Promise<T> {
+    const include = this.include
+    const document = await this._send({
+      method: 'GET',
+      url: `${this.endpoint}/${id}`,
+      params: include.length > 0 ? { include: include.join(',') } : {},
+    })
+    return this._single(document, id, context)
+  }
+
+  /**
+   * Fetch several resources in one request through `filter[id]=1,2,3`
+   */
+  async getMany(ids: Array<string | number>, context: RoutingContext | null = null): Promise<T[]> {
+    if (ids.length === 0) return []
+    const { items } = await this.list({ filters: { id: ids }, page_size: ids.length }, context)
+    return items
+  }
+
+  async create(data: Partial<T>): Promise<T> {
+    const document = await this._send({
+      method: 'POST',
+      url: this.endpoint,
+      data: { data: this._toResource(this._denormalizeData(data) as Record<string, unknown>) },
+    })
+    return this._single(document, '(new)')
+  }
+
+  async update(id: string | number, data: Partial<T>): Promise<T> {
+    return this.patch(id, data)
+  }
+
+  /**
+   * JSON:API has no full replace: update and patch both PATCH, sending the
+   * given attributes only.
+   */
+  async patch(id: string | number, data: Partial<T>): Promise<T> {
+    const document = await this._send({
+      method: 'PATCH',
+      url: `${this.endpoint}/${id}`,
+      data: { data: this._toResource(this._denormalizeData(data) as Record<string, unknown>, id) },
+    })
+    // 204 No Content: the server accepted the attributes as sent
+    if (!document.data) {
+      return this._normalizeData({ ...(data as T), id } as T)
+    }
+    return this._single(document, id)
+  }
+
+  async delete(id: string | number): Promise<void> {
+    await this._send({ method: 'DELETE', url: `${this.endpoint}/${id}` })
+  }
+}
+
+/**
+ * Factory function to create a JsonApiStorage
+ */
+export function createJsonApiStorage<T extends EntityRecord = EntityRecord>(
+  options: JsonApiStorageOptions<T>
+): JsonApiStorage<T> {
+  return new JsonApiStorage(options)
+}
@@ -1,7 +1,14 @@
 import { IStorage } from './IStorage'
 import { StorageError } from './errors'
 import { QueryExecutor } from '../../query'
-import type { EntityRecord, ListParams, ListResult, StorageCapabilities } from '../../types'
+import type {
+  AggregateParams,
+  AggregateResult,
+  EntityRecord,
+  ListParams,
+  ListResult,
+  StorageCapabilities,
+} from '../../types'
 import { sortItems, searchItems, paginate, defaultGenerateId } from '../../query/clientFilter'
 
 /**
@@ -38,6 +45,8 @@ export class MockApiStorage<T extends EntityRecord = EntityRecord> extends IStor
     supportsFilters: true,
     supportsPagination: true,
     supportsCaching: false,
+    supportsAggregate: true,
+    supportsQueryOperators: true,
   }
 
   /**
@@ -162,6 +171,14 @@ export class MockApiStorage<T extends EntityRecord = EntityRecord> extends IStor
     return { items, total }
   }
 
+  /**
+   * Group and reduce records, as an API aggregate endpoint would
+   */
+  async aggregate(params: AggregateParams = {}): Promise<AggregateResult> {
+    this._checkAuth()
+    return QueryExecutor.aggregate(this._getAll(), params)
+  }
+
   async get(id: string | number): Promise<T> {
     this._checkAuth()
     const item = this._data.get(String(id))
@@ -13,3 +13,61 @@ export class StorageError extends Error {
     this.status = status
   }
 }
+
+/** Details carried by a ConflictError */
+export interface ConflictErrorDetails {
+  /** 409 Conflict (version mismatch) or 412 Precondition Failed (If-Match) */
+  status?: number
+  entity?: string
+  id?: string | number
+  /** Lock token the write was based on */
+  expectedVersion?: string | number | null
+  /** Current lock token on the server, when known */
+  actualVersion?: string | number | null
+  /** Current server record, when it could be fetched */
+  serverRecord?: Record<string, unknown> | null
+}
+
+/**
+ * Optimistic-lock failure: the record changed since it was read.
+ * Thrown by EntityManager.update()/patch() for 409/412 storage errors.
+ */
+export class ConflictError extends StorageError {
+  entity?: string
+  id?: string | number
+  expectedVersion: string | number | null
+  actualVersion: string | number | null
+  serverRecord: Record<string, unknown> | null
+
+  constructor(message: string, details: ConflictErrorDetails = {}) {
+    super(message, details.status ?? 409)
+    this.name = 'ConflictError'
+    this.entity = details.entity
+    this.id = details.id
+    this.expectedVersion = details.expectedVersion ?? null
+    this.actualVersion = details.actualVersion ?? null
+    this.serverRecord = details.serverRecord ?? null
+  }
+}
+
+/** Status codes storages use for optimistic-lock failures */
+export function isConflictStatus(status: unknown): boolean {
+  return status === 409 || status === 412
+}
+
+/** Error codes of requests that never reached the server (axios, node) */
+const NETWORK_ERROR_CODES = new Set(['ERR_NETWORK', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT'])
+
+/**
+ * Whether a write failed for lack of connectivity rather than being
+ * rejected by the server: axios request without response, or fetch()
+ * TypeError. Judged on the error alone: a rejection (404, 422, hook
+ * validation) stays one while the browser reports offline.
+ */
+export function isNetworkError(error: unknown): boolean {
+  const failure = error as { code?: string; isAxiosError?: boolean; response?: unknown; request?: unknown }
+  if (!failure || typeof failure !== 'object') return false
+  if (failure.code && NETWORK_ERROR_CODES.has(failure.code)) return true
+  if (failure.isAxiosError && !failure.response && failure.request) return true
+  return error instanceof TypeError && /fetch|network/i.test(error.message)
+}
@@ -8,6 +8,7 @@ import {
 } from './factory'
 import { ApiStorage } from './ApiStorage'
 import { LocalStorage } from './LocalStorage'
+import { IndexedDbStorage } from './IndexedDbStorage'
 import { MemoryStorage } from './MemoryStorage'
 import { MockApiStorage } from './MockApiStorage'
 
@@ -27,6 +28,11 @@ describe('parseStoragePattern', () => {
     expect(result).toEqual({ type: 'memory', key: 'cache' })
   })
 
+  it('parses idb pattern with key', () => {
+    const result = parseStoragePattern('idb:books')
+    expect(result).toEqual({ type: 'idb', key: 'books' })
+  })
+
   it('parses mock pattern with entityName', () => {
     const result = parseStoragePattern('mock:users')
     expect(result).toEqual({ type: 'mock', entityName: 'users' })
@@ -66,6 +72,13 @@ describe('defaultStorageResolver', () => {
     expect(storage).toBeInstanceOf(MemoryStorage)
   })
 
+  it('creates IndexedDbStorage for idb type, keyed by entity name by default', () => {
+    const storage = defaultStorageResolver({ type: 'idb', indexes: ['status'] }, 'books')
+    expect(storage).toBeInstanceOf(IndexedDbStorage)
+    expect(storage.key).toBe('books')
+    expect(storage.indexes).toEqual(['status'])
+  })
+
   it('creates MockApiStorage for mock type', () => {
     const storage = defaultStorageResolver({ type: 'mock', entityName: 'users' }, 'users')
     expect(storage).toBeInstanceOf(MockApiStorage)
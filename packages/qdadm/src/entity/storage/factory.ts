@@ -7,9 +7,12 @@
 import { IStorage } from './IStorage'
 import { ApiStorage } from './ApiStorage'
 import { LocalStorage } from './LocalStorage'
+import { IndexedDbStorage } from './IndexedDbStorage'
 import { MemoryStorage } from './MemoryStorage'
 import { MockApiStorage } from './MockApiStorage'
 import { SdkStorage } from './SdkStorage'
+import { GraphQLStorage } from './GraphQLStorage'
+import { JsonApiStorage } from './JsonApiStorage'
 import type { EntityRecord } from '../../types'
 
 /**
@@ -23,9 +26,12 @@ type StorageClass = typeof IStorage
 export const storageTypes: Record<string, StorageClass> = {
   api: ApiStorage as unknown as StorageClass,
   local: LocalStorage as unknown as StorageClass,
+  idb: IndexedDbStorage as unknown as StorageClass,
   memory: MemoryStorage as unknown as StorageClass,
   mock: MockApiStorage as unknown as StorageClass,
   sdk: SdkStorage as unknown as StorageClass,
+  graphql: GraphQLStorage as unknown as StorageClass,
+  jsonapi: JsonApiStorage as unknown as StorageClass,
 }
 
 /**
@@ -70,8 +76,8 @@ export function parseStoragePattern(pattern: string): ParsedStoragePattern | nul
   if (match && match[1] && match[2]) {
     const type = match[1]
     const value = match[2]
-    // For local/mock, value is key/name; for api/sdk, value is endpoint
-    if (type === 'local' || type === 'memory') {
+    // For local/idb/mock, value is key/name; for api/sdk, value is endpoint
+    if (type === 'local' || type === 'memory' || type === 'idb') {
       return { type, key: value }
     }
     if (type === 'mock') {
@@ -111,7 +117,7 @@ export function defaultStorageResolver<T extends EntityRecord = EntityRecord>(
   // Add entityName to config if not present (useful for mock/memory)
   const resolvedConfig = { ...rest }
   if (!resolvedConfig.entityName && !resolvedConfig.key) {
-    if (type === 'local' || type === 'memory') {
+    if (type === 'local' || type === 'memory' || type === 'idb') {
       resolvedConfig.key = entityName
     } else if (type === 'mock') {
       resolvedConfig.entityName = entityName
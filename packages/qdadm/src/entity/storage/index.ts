@@ -20,7 +20,8 @@ export const DEFAULT_STORAGE_CAPABILITIES: StorageCapabilities = {
 
 /**
  * Read capabilities from a storage instance.
- * Accesses static `capabilities` property via constructor with fallback to defaults.
+ * Merges the static `capabilities` (via constructor) and the instance
+ * `capabilities` getter, when the storage has one, over the defaults.
  *
  * @example
  * const caps = getStorageCapabilities(myStorage)
@@ -29,12 +30,16 @@ export const DEFAULT_STORAGE_CAPABILITIES: StorageCapabilities = {
  * }
  */
 export function getStorageCapabilities(
-  storage: { constructor?: { capabilities?: Partial<StorageCapabilities> } } | null | undefined
+  storage:
+    | { constructor?: { capabilities?: Partial<StorageCapabilities> }; capabilities?: Partial<StorageCapabilities> }
+    | null
+    | undefined
 ): StorageCapabilities {
   const declared = storage?.constructor?.capabilities || {}
   return {
     ...DEFAULT_STORAGE_CAPABILITIES,
     ...declared,
+    ...storage?.capabilities,
   }
 }
 
@@ -53,13 +58,18 @@ export type { ParsedStoragePattern, StorageConfig, StorageResolver } from './fac
 
 // Storage adapters
 export { ApiStorage, createApiStorage } from './ApiStorage'
-export type { HttpClient, RoutingContext, ApiStorageOptions } from './ApiStorage'
+export type { HttpClient, HttpResponse, RoutingContext, ApiStorageOptions } from './ApiStorage'
 
 export { LocalStorage, createLocalStorage } from './LocalStorage'
 export type { LocalStorageOptions } from './LocalStorage'
 
+export { IndexedDbStorage, createIndexedDbStorage } from './IndexedDbStorage'
+export type { IndexedDbStorageOptions } from './IndexedDbStorage'
+
 export { MemoryStorage, createMemoryStorage, StorageError } from './MemoryStorage'
 export type { MemoryStorageOptions } from './MemoryStorage'
+export { ConflictError, isConflictStatus, isNetworkError } from './errors'
+export type { ConflictErrorDetails } from './errors'
 
 export { MockApiStorage, createMockApiStorage } from './MockApiStorage'
 export type { MockApiStorageOptions } from './MockApiStorage'
@@ -73,3 +83,23 @@ export type {
   SdkMethods,
   SdkStorageOptions,
 } from './SdkStorage'
+
+export { GraphQLStorage, createGraphQLStorage } from './GraphQLStorage'
+export type {
+  GraphQLOperation,
+  GraphQLListOperation,
+  GraphQLOperations,
+  GraphQLVariablesInput,
+  GraphQLListVariables,
+  GraphQLErrorEntry,
+  GraphQLStorageOptions,
+} from './GraphQLStorage'
+
+export { JsonApiStorage, createJsonApiStorage } from './JsonApiStorage'
+export type {
+  JsonApiIdentifier,
+  JsonApiResource,
+  JsonApiDocument,
+  JsonApiRelationship,
+  JsonApiStorageOptions,
+} from './JsonApiStorage'
@@ -0,0 +1,146 @@
+import type { SignalBus } from '../../kernel/SignalBus'
+
+/**
+ * Change pushed by the server
+ */
+export type SyncOp = 'create' | 'update' | 'delete'
+
+/**
+ * Sync protocol message: `{ entity, op, id, record }`.
+ * `record` is the record after the change; without it (create/update), the
+ * manager cannot patch its caches and drops them instead.
+ */
+export interface SyncMessage {
+  entity: string
+  op: SyncOp
+  id: string | number
+  record?: Record<string, unknown> | null
+}
+
+/**
+ * Manager side of a sync message (EntityManager.applySync)
+ */
+export interface SyncTarget {
+  applySync(message: SyncMessage): Promise<boolean>
+}
+
+/**
+ * Resolves the manager of a message's entity (the Orchestrator)
+ */
+export interface SyncManagerResolver {
+  isRegistered(name: string): boolean
+  get(name: string): unknown
+}
+
+/**
+ * EntitySync options
+ */
+export interface EntitySyncOptions {
+  signals?: SignalBus | null
+  /** Transport signals carrying the messages, e.g. `sse:entity-sync` or `ws:entity-sync` */
+  sources?: string[]
+}
+
+/**
+ * Signals of the sync protocol
+ */
+export const SYNC_SIGNALS = {
+  /** Emitted by a manager once a message is applied, payload `{ entity, op, id, record }` */
+  SYNCED: 'entity:synced',
+} as const
+
+const OPS: readonly SyncOp[] = ['create', 'update', 'delete']
+
+/**
+ * Validate a message received from a transport
+ */
+export function isSyncMessage(value: unknown): value is SyncMessage {
+  const message = value as Partial<SyncMessage> | null
+  return (
+    !!message &&
+    typeof message.entity === 'string' &&
+    OPS.includes(message.op as SyncOp) &&
+    (typeof message.id === 'string' || typeof message.id === 'number')
+  )
+}
+
+/**
+ * EntitySync - record-level cache sync from server pushes
+ *
+ * Listens to the transport signals (SSEBridge, WebSocketBridge) and hands
+ * each message to its entity's manager, which patches its list and detail
+ * caches in place instead of dropping them (see EntityManager.sync.ts).
+ * A transport payload may carry one message or an array of them.
+ */
+export class EntitySync {
+  private _signals: SignalBus | null
+  private _sources: string[]
+  private _resolver: SyncManagerResolver | null = null
+  private _cleanups: Array<() => void> = []
+
+  constructor(options: EntitySyncOptions = {}) {
+    this._signals = options.signals ?? null
+    this._sources = options.sources ?? []
+  }
+
+  /**
+   * Set the manager resolver (the Orchestrator)
+   */
+  bind(resolver: SyncManagerResolver, signals?: SignalBus | null): void {
+    this._resolver = resolver
+    if (signals !== undefined) this._signals = signals
+  }
+
+  /**
+   * Listen to the transport signals
+   */
+  start(): void {
+    this.stop()
+    if (!this._signals) return
+    for (const source of this._sources) {
+      this._cleanups.push(
+        this._signals.on(source, (event: { name: string; data: unknown }) => {
+          // Bridges wrap the message: { event, data, timestamp }
+          const payload = (event.data as { data?: unknown } | null)?.data
+          void this.dispatch(payload)
+        })
+      )
+    }
+  }
+
+  stop(): void {
+    for (const cleanup of this._cleanups) cleanup()
+    this._cleanups = []
+  }
+
+  /**
+   * Apply one message or an array of messages.
+   * Invalid messages and unknown entities are skipped.
+   * @returns number of messages applied
+   */
+  async dispatch(payload: unknown): Promise<number> {
+    const messages = Array.isArray(payload) ? payload : [payload]
+    let applied = 0
+    for (const message of messages) {
+      if (!isSyncMessage(message)) {
+        console.warn('[EntitySync] Ignoring invalid message:', message)
+        continue
+      }
+      if (!this._resolver?.isRegistered(message.entity)) continue
+      try {
+        const manager = this._resolver.get(message.entity) as SyncTarget
+        if (await manager.applySync(message)) applied++
+      } catch (err) {
+        console.error(`[EntitySync] Failed to apply ${message.op} ${message.entity}#${message.id}:`, err)
+      }
+    }
+    return applied
+  }
+}
+
+/**
+ * Factory function to create an EntitySync
+ */
+export function createEntitySync(options: EntitySyncOptions = {}): EntitySync {
+  return new EntitySync(options)
+}
@@ -0,0 +1,18 @@
+/**
+ * Real-time entity sync
+ *
+ * Server pushes `{ entity, op, id, record }` over SSE or WebSocket, applied
+ * to the EntityManager caches record by record.
+ */
+
+export {
+  EntitySync,
+  createEntitySync,
+  isSyncMessage,
+  SYNC_SIGNALS,
+  type SyncOp,
+  type SyncMessage,
+  type SyncTarget,
+  type SyncManagerResolver,
+  type EntitySyncOptions,
+} from './EntitySync'
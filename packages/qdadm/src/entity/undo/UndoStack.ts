@@ -0,0 +1,328 @@
+import type { SignalBus } from '../../kernel/SignalBus'
+
+/**
+ * Mutation kept in the undo stack
+ */
+export type UndoAction = 'create' | 'update' | 'delete'
+
+/**
+ * One record change: its state before and after
+ */
+export interface UndoChange {
+  entity: string
+  action: UndoAction
+  id: string | number
+  /** Record before the change (null for a create) */
+  before: Record<string, unknown> | null
+  /** Record after the change (null for a delete) */
+  after: Record<string, unknown> | null
+}
+
+/**
+ * Entry of the stack: one user operation, one or several changes (bulk actions)
+ */
+export interface UndoOperation {
+  id: number
+  label: string
+  changes: UndoChange[]
+  timestamp: number
+}
+
+/**
+ * Manager side of an undo/redo (plain EntityManager CRUD methods, so hooks,
+ * signals and cache invalidation run as for any write)
+ */
+export interface UndoTarget {
+  readonly idField: string
+  readonly versionField?: string | null
+  create(data: Record<string, unknown>): Promise<unknown>
+  update(id: string | number, data: Record<string, unknown>): Promise<unknown>
+  delete(id: string | number): Promise<unknown>
+}
+
+/**
+ * Resolves the manager owning a change (the Orchestrator)
+ */
+export interface UndoManagerResolver {
+  get(name: string): unknown
+}
+
+/**
+ * UndoStack options
+ */
+export interface UndoStackOptions {
+  /** Operations kept (default 50) */
+  limit?: number
+  signals?: SignalBus | null
+}
+
+/**
+ * Signals emitted by the stack, payload `{ entity, data: { operation } }`
+ * (`entity` is the entity of the first change)
+ */
+export const UNDO_SIGNALS = {
+  RECORDED: 'undo:recorded',
+  UNDONE: 'undo:undone',
+  REDONE: 'undo:redone',
+} as const
+
+const DEFAULT_LIMIT = 50
+
+/** Undo operation of each write context handed out by UndoStack.group() */
+const contextGroups = new WeakMap<object, UndoOperation>()
+
+/**
+ * Undo operation a write context joins (null outside UndoStack.group())
+ */
+export function undoGroupOf(context: object | null | undefined): UndoOperation | null {
+  return context ? (contextGroups.get(context) ?? null) : null
+}
+
+/**
+ * UndoStack - undo/redo of EntityManager mutations
+ *
+ * Managers record each create/update/delete with the record before and after
+ * it (see EntityManager.undo.ts); bulk actions are grouped into one operation.
+ * A group travels with the writes through the call context group() hands
+ * out (looked up by identity, the context itself stays plain routing data),
+ * so writes made meanwhile by other callers stay separate operations.
+ * undo() reverts operations through their manager, newest first:
+ * - create: deleted
+ * - update: the previous record written back (update)
+ * - delete: re-created from the previous record, with its id
+ *
+ * Reverted operations move to the redo stack, which any new mutation clears.
+ * Writes made by undo()/redo() themselves are not recorded.
+ */
+export class UndoStack {
+  private _limit: number
+  private _signals: SignalBus | null
+  private _resolver: UndoManagerResolver | null = null
+  private _undo: UndoOperation[] = []
+  private _redo: UndoOperation[] = []
+  private _seq = 0
+  private _replaying = false
+  private _listeners: Set<() => void> = new Set()
+
+  constructor(options: UndoStackOptions = {}) {
+    this._limit = options.limit ?? DEFAULT_LIMIT
+    this._signals = options.signals ?? null
+  }
+
+  /**
+   * Set the manager resolver used by undo()/redo() (the Orchestrator)
+   */
+  bind(resolver: UndoManagerResolver, signals?: SignalBus | null): void {
+    this._resolver = resolver
+    if (signals !== undefined) this._signals = signals
+  }
+
+  /**
+   * Operations that can be undone, oldest first (copies)
+   */
+  get operations(): UndoOperation[] {
+    return this._undo.map((op) => ({ ...op, changes: [...op.changes] }))
+  }
+
+  get canUndo(): boolean {
+    return this._undo.length > 0
+  }
+
+  get canRedo(): boolean {
+    return this._redo.length > 0
+  }
+
+  /**
+   * Last recorded operation (null when the stack is empty)
+   */
+  peek(): UndoOperation | null {
+    const op = this._undo[this._undo.length - 1]
+    return op ? { ...op, changes: [...op.changes] } : null
+  }
+
+  /**
+   * Whether changes are being written by undo()/redo()
+   */
+  get replaying(): boolean {
+    return this._replaying
+  }
+
+  /**
+   * Record a change (called by the managers); ignored during undo()/redo().
+   * A change made in a group (see undoGroupOf()) joins that operation.
+   */
+  record(change: UndoChange, label?: string, group?: UndoOperation | null): void {
+    if (this._replaying) return
+    if (group) {
+      group.changes.push(change)
+      return
+    }
+    this._push(this._operation(label ?? `${change.action} ${change.entity}`, [change]))
+  }
+
+  /**
+   * Record the changes of fn as one operation (bulk actions): fn receives a
+   * copy of `context` to pass to its writes. A context already in a group
+   * (outer call) is handed over as is: fn joins that group.
+   */
+  async group<R, C extends object = Record<string, unknown>>(
+    label: string,
+    fn: (context: C) => Promise<R>,
+    context?: C | null
+  ): Promise<R> {
+    if (context && contextGroups.has(context)) return fn(context)
+    const group = this._operation(label, [])
+    const groupContext = { ...context } as C
+    contextGroups.set(groupContext, group)
+    try {
+      return await fn(groupContext)
+    } finally {
+      if (group.changes.length > 0 && !this._replaying) this._push(group)
+    }
+  }
+
+  /**
+   * Revert the last `count` operations, newest first.
+   * An operation failing midway is dropped and the error rethrown.
+   */
+  async undo(count = 1): Promise<UndoOperation[]> {
+    const done: UndoOperation[] = []
+    try {
+      while (done.length < count && this._undo.length > 0) {
+        const op = this._undo.pop()!
+        await this._replay(op, 'undo')
+        this._redo.push(op)
+        done.push(op)
+        this._emit(UNDO_SIGNALS.UNDONE, op)
+      }
+    } finally {
+      this._notify()
+    }
+    return done
+  }
+
+  /**
+   * Revert operations until `id` is undone (toast "Undo" button: newer
+   * operations are reverted first, as undo() would)
+   */
+  async undoTo(id: number): Promise<UndoOperation[]> {
+    const index = this._undo.findIndex((op) => op.id === id)
+    if (index < 0) return []
+    return this.undo(this._undo.length - index)
+  }
+
+  /**
+   * Apply again the last `count` undone operations
+   */
+  async redo(count = 1): Promise<UndoOperation[]> {
+    const done: UndoOperation[] = []
+    try {
+      while (done.length < count && this._redo.length > 0) {
+        const op = this._redo.pop()!
+        await this._replay(op, 'redo')
+        this._undo.push(op)
+        done.push(op)
+        this._emit(UNDO_SIGNALS.REDONE, op)
+      }
+    } finally {
+      this._notify()
+    }
+    return done
+  }
+
+  /**
+   * Forget every operation
+   */
+  clear(): void {
+    this._undo = []
+    this._redo = []
+    this._notify()
+  }
+
+  /**
+   * Subscribe to stack changes (record, undo, redo, clear)
+   * @returns unsubscribe function
+   */
+  onChange(listener: () => void): () => void {
+    this._listeners.add(listener)
+    return () => {
+      this._listeners.delete(listener)
+    }
+  }
+
+  private _operation(label: string, changes: UndoChange[]): UndoOperation {
+    return { id: ++this._seq, label, changes, timestamp: Date.now() }
+  }
+
+  private _push(op: UndoOperation): void {
+    this._undo.push(op)
+    if (this._undo.length > this._limit) this._undo.shift()
+    this._redo = []
+    this._emit(UNDO_SIGNALS.RECORDED, op)
+    this._notify()
+  }
+
+  private async _replay(op: UndoOperation, direction: 'undo' | 'redo'): Promise<void> {
+    if (!this._resolver) {
+      throw new Error('[UndoStack] undo()/redo() called before bind()')
+    }
+    // Undo reverts the changes last to first, redo applies them in order
+    const changes = direction === 'undo' ? [...op.changes].reverse() : op.changes
+    this._replaying = true
+    try {
+      for (const change of changes) {
+        const manager = this._resolver.get(change.entity) as UndoTarget
+        await (direction === 'undo' ? revert(manager, change) : apply(manager, change))
+      }
+    } finally {
+      this._replaying = false
+    }
+  }
+
+  private _emit(signal: string, op: UndoOperation): void {
+    this._signals?.emit(signal, {
+      entity: op.changes[0]?.entity,
+      data: { operation: { ...op, changes: [...op.changes] } },
+    })
+  }
+
+  private _notify(): void {
+    for (const listener of this._listeners) {
+      try {
+        listener()
+      } catch (err) {
+        console.error('[UndoStack] Change listener failed:', err)
+      }
+    }
+  }
+}
+
+/**
+ * Record state to write back: the current version token is sent by the
+ * manager, not the stored one
+ */
+function writable(manager: UndoTarget, record: Record<string, unknown>, keepId: boolean): Record<string, unknown> {
+  const data = { ...record }
+  if (!keepId) delete data[manager.idField]
+  if (manager.versionField) delete data[manager.versionField]
+  return data
+}
+
+async function revert(manager: UndoTarget, { action, id, before }: UndoChange): Promise<void> {
+  if (action === 'create') await manager.delete(id)
+  else if (action === 'update') await manager.update(id, writable(manager, before!, false))
+  else await manager.create(writable(manager, before!, true))
+}
+
+async function apply(manager: UndoTarget, { action, id, after }: UndoChange): Promise<void> {
+  if (action === 'create') await manager.create(writable(manager, after!, true))
+  else if (action === 'update') await manager.update(id, writable(manager, after!, false))
+  else await manager.delete(id)
+}
+
+/**
+ * Factory function to create an UndoStack
+ */
+export function createUndoStack(options: UndoStackOptions = {}): UndoStack {
+  return new UndoStack(options)
+}
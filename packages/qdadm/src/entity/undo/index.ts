@@ -0,0 +1,20 @@
+/**
+ * Undo stack
+ *
+ * Undo/redo of EntityManager mutations: deleted records re-created,
+ * updates reverted, creates removed, bulk actions as one operation.
+ */
+
+export {
+  UndoStack,
+  createUndoStack,
+  UNDO_SIGNALS,
+  type UndoAction,
+  type UndoChange,
+  type UndoOperation,
+  type UndoTarget,
+  type UndoManagerResolver,
+  type UndoStackOptions,
+} from './UndoStack'
+
+export { installUndoShortcut, type UndoShortcutOptions } from './shortcut'
@@ -0,0 +1,51 @@
+import type { UndoOperation, UndoStack } from './UndoStack'
+
+/**
+ * installUndoShortcut options
+ */
+export interface UndoShortcutOptions {
+  /** Element listening to keydown (default window) */
+  target?: EventTarget
+  /** Called with the operations reverted/applied again */
+  onDone?: (direction: 'undo' | 'redo', operations: UndoOperation[]) => void
+  onError?: (direction: 'undo' | 'redo', error: unknown) => void
+}
+
+/**
+ * Whether the key event comes from a field with its own undo (inputs, editors)
+ */
+function isEditable(target: EventTarget | null): boolean {
+  const el = target as HTMLElement | null
+  if (!el || typeof el.tagName !== 'string') return false
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) || el.isContentEditable
+}
+
+/**
+ * Bind Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo) to the stack.
+ * Ignored while typing in a field, which keeps the browser's own undo.
+ *
+ * @returns function removing the listener
+ */
+export function installUndoShortcut(stack: UndoStack, options: UndoShortcutOptions = {}): () => void {
+  const target = options.target ?? (typeof window !== 'undefined' ? window : null)
+  if (!target) return () => {}
+
+  const handler = (event: Event): void => {
+    const e = event as KeyboardEvent
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditable(e.target)) return
+    const key = e.key.toLowerCase()
+    const direction = key === 'z' ? (e.shiftKey ? 'redo' : 'undo') : key === 'y' && !e.shiftKey ? 'redo' : null
+    if (!direction) return
+    if (direction === 'undo' ? !stack.canUndo : !stack.canRedo) return
+
+    e.preventDefault()
+    const run = direction === 'undo' ? stack.undo() : stack.redo()
+    run.then(
+      (operations) => options.onDone?.(direction, operations),
+      (error) => options.onError?.(direction, error)
+    )
+  }
+
+  target.addEventListener('keydown', handler)
+  return () => target.removeEventListener('keydown', handler)
+}
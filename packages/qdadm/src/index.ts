@@ -21,6 +21,9 @@ export type {
   PrimeVueConfig,
   SecurityConfig,
   SSEConfig,
+  WebSocketConfig,
+  SyncConfig,
+  ViewsConfig,
   DebugBarConfig,
   NotificationsConfig,
   HomeRoute,
@@ -39,6 +42,8 @@ export type {
 } from './kernel/EventRouter'
 export { SSEBridge, createSSEBridge, SSE_SIGNALS } from './kernel/SSEBridge'
 export type { SSEBridgeOptions } from './kernel/SSEBridge'
+export { WebSocketBridge, createWebSocketBridge, WS_SIGNALS } from './kernel/WebSocketBridge'
+export type { WebSocketBridgeOptions } from './kernel/WebSocketBridge'
 export { Module } from './kernel/Module'
 export { KernelContext, createKernelContext } from './kernel/KernelContext'
 export type {
@@ -104,6 +109,13 @@ export {
   type QueryOptions,
   type WhitelistContext,
   type CacheInfo,
+  type BatchOptions,
+  type BatchUpdate,
+  type BatchItemResult,
+  type BatchResult,
+  type RelationSyncResult,
+  type RecordRule,
+  type RecordRuleScope,
 } from './entity/EntityManager'
 
 // Structural manager/orchestrator views (#1253) — the implementer's minimum
@@ -122,12 +134,21 @@ export type {
   EntityRecord,
   ListParams,
   ListResult,
+  AggregateFunction,
+  AggregateMetric,
+  AggregateParams,
+  AggregateRow,
+  AggregateResult,
   FieldConfig,
+  FieldAccess,
   ChildConfig,
   ParentConfig,
   RelationConfig,
   NavConfig,
   StorageCapabilities,
+  WriteOptions,
+  BatchOperation,
+  BatchOutcome,
   // PrimeVue severity union (#1281) — type ActionConfig/badge literals against
   // this instead of bare strings.
   ButtonSeverity,
@@ -150,6 +171,18 @@ export * from './entity/storage/index'
 // Entity auth adapters
 export * from './entity/auth'
 
+// Offline write queue
+export * from './entity/offline/index'
+
+// Persistent cache
+export * from './entity/cache/index'
+
+// Undo stack
+export * from './entity/undo/index'
+
+// Real-time sync
+export * from './entity/sync/index'
+
 // ════════════════════════════════════════════════════════════════════════════
 // SESSION AUTH (user authentication)
 // ════════════════════════════════════════════════════════════════════════════
@@ -216,6 +249,8 @@ export {
   type ActionConfig as FormActionConfig,
   type FormPageProps,
   type FormPageEvents,
+  type ConflictField,
+  type ConflictDialogState,
 } from './composables/useEntityItemFormPage'
 export * from './composables/useJsonSyntax'
 export {
@@ -234,6 +269,19 @@ export {
   type ListPageProps,
   type ListPageEvents,
   type BulkStatusActionReturn,
+  type ExportActionOptions,
+  type ExportDialogState,
+  type ImportActionOptions,
+  type ImportDialogState,
+  type ImportReport,
+  type FilterBuilderOptions,
+  type FilterBuilderState,
+  type ViewSwitcherOptions,
+  type ViewSwitcherState,
+  type ColumnLayout,
+  type ColumnChooserItem,
+  type ColumnChooserOptions,
+  type ColumnChooserState,
 } from './composables/useListPage'
 export {
   usePageTitle,
@@ -260,6 +308,7 @@ export {
   type LazyActionConfig as ShowLazyActionConfig,
   type ShowPageProps,
   type ShowPageEvents,
+  type HistoryTab,
 } from './composables/useEntityItemShowPage'
 export {
   useNavContext,
@@ -441,6 +490,11 @@ export * from './core/index'
 // ════════════════════════════════════════════════════════════════════════════
 export * from './query/index'
 
+// ════════════════════════════════════════════════════════════════════════════
+// VIEWS (saved list views)
+// ════════════════════════════════════════════════════════════════════════════
+export * from './views/index'
+
 // ════════════════════════════════════════════════════════════════════════════
 // UTILS
 // ════════════════════════════════════════════════════════════════════════════
@@ -8,10 +8,20 @@ import { createManagers, type ManagerFactoryContext } from '../entity/factory.js
 import { defaultStorageResolver } from '../entity/storage/factory'
 import { createDeferredRegistry } from '../deferred/DeferredRegistry.js'
 import { createEventRouter } from './EventRouter'
-import { createSSEBridge } from './SSEBridge'
+import { createSSEBridge, SSE_SIGNALS } from './SSEBridge'
+import { createWebSocketBridge } from './WebSocketBridge'
+import { EntitySync } from '../entity/sync/EntitySync'
 import { ActiveStack } from '../chain/ActiveStack.js'
 import { StackHydrator } from '../chain/StackHydrator.js'
 import { Orchestrator } from '../orchestrator/Orchestrator'
+import { OfflineQueue } from '../entity/offline/OfflineQueue'
+import { IndexedDbOutbox, LocalStorageOutbox } from '../entity/offline/outbox'
+import { PersistentCache } from '../entity/cache/PersistentCache'
+import { UndoStack } from '../entity/undo/UndoStack'
+import { installUndoShortcut } from '../entity/undo/shortcut'
+import { toastUndoResult } from '../toast/undo'
+import { IndexedDbCacheStore, LocalStorageCacheStore } from '../entity/cache/stores'
+import { EntityViewsProvider, LocalStorageViewsProvider, type ViewsManagerLike } from '../views/ViewsProvider'
 import type { EntityAuthAdapter } from '../entity/auth/EntityAuthAdapter'
 import type { Kernel } from './Kernel'
 // #1196 Phase B — this-typing against the real Kernel shape (was Self = any)
@@ -82,6 +92,115 @@ export function applyRegistryMethods(KernelClass: { prototype: Kernel }): void {
     }
   }
 
+  /**
+   * Create the offline write queue and hand it to the orchestrator
+   * (used by managers declared with `offline: true`)
+   */
+  proto._createOfflineQueue = function (this: Self): void {
+    const offline = this.options.offline
+    if (!offline?.enabled) return
+
+    const { outbox = 'localStorage', key, autoReplay = true } = offline
+    this.offlineQueue = new OfflineQueue({
+      outbox: outbox === 'indexedDB'
+        ? new IndexedDbOutbox({ dbName: key })
+        : outbox === 'localStorage'
+          ? new LocalStorageOutbox({ key })
+          : outbox,
+      signals: this.signals,
+      autoReplay,
+    })
+    this.offlineQueue.bind(this.orchestrator!)
+    this.orchestrator!.offlineQueue = this.offlineQueue
+  }
+
+  /**
+   * Load the offline outbox and replay it, once modules registered their
+   * managers and hooks. With an auth adapter, the replay waits for a
+   * session: queued writes are never sent anonymously.
+   */
+  proto._startOfflineQueue = function (this: Self): void {
+    const queue = this.offlineQueue
+    if (!queue) return
+
+    const start = (): void => {
+      queue.start().catch((err) => {
+        console.warn('[Kernel] Offline queue failed to start:', err)
+      })
+    }
+    const { authAdapter } = this.options
+    if (authAdapter && !authAdapter.isAuthenticated()) {
+      this.signals!.once('auth:login', start)
+      return
+    }
+    start()
+  }
+
+  /**
+   * Create the persistent entity cache and hand it to the orchestrator
+   * (used by managers declared with `persistCache: true`)
+   */
+  proto._createPersistentCache = function (this: Self): void {
+    const config = this.options.persistentCache
+    if (!config?.enabled) return
+
+    const { store = 'localStorage', key, version = this.options.app?.version ?? '' } = config
+    const authAdapter = this.options.authAdapter as { getUser?(): { id?: unknown; username?: unknown } | null } | null
+    const user = config.user ?? (() => {
+      const current = authAdapter?.getUser?.()
+      return (current?.id ?? current?.username ?? null) as string | number | null
+    })
+    this.persistentCache = new PersistentCache({
+      store: store === 'indexedDB'
+        ? new IndexedDbCacheStore({ dbName: key })
+        : store === 'localStorage'
+          ? new LocalStorageCacheStore({ prefix: key })
+          : store,
+      version,
+      user,
+      signals: this.signals,
+    })
+    this.orchestrator!.persistentCache = this.persistentCache
+  }
+
+  /**
+   * Create the undo stack, hand it to the orchestrator (recorded by every
+   * manager but `undoable: false` ones) and bind the keyboard shortcut
+   */
+  proto._createUndoStack = function (this: Self): void {
+    const config = this.options.undo
+    if (!config?.enabled) return
+
+    const { limit, shortcut = true } = config
+    this.undoStack = new UndoStack({ limit, signals: this.signals })
+    this.undoStack.bind(this.orchestrator!)
+    this.orchestrator!.undoStack = this.undoStack
+    if (shortcut) {
+      installUndoShortcut(this.undoStack, {
+        onDone: (direction, operations) => toastUndoResult(this.orchestrator?.toast, direction, { operations }),
+        onError: (direction, error) => toastUndoResult(this.orchestrator?.toast, direction, { error }),
+      })
+    }
+  }
+
+  /**
+   * Create the saved views provider and hand it to the orchestrator (list
+   * pages without one keep their views in localStorage)
+   */
+  proto._createViewsProvider = function (this: Self): void {
+    const config = this.options.views
+    if (!config) return
+
+    const { provider = 'localStorage', entity = 'views', key } = config
+    const orchestrator = this.orchestrator!
+    orchestrator.viewsProvider =
+      provider === 'entity'
+        ? new EntityViewsProvider(() => orchestrator.get(entity) as unknown as ViewsManagerLike)
+        : provider === 'localStorage'
+          ? new LocalStorageViewsProvider({ key })
+          : provider
+  }
+
   /**
    * Create PermissionRegistry early so modules can register permissions
    */
@@ -103,6 +222,10 @@ export function applyRegistryMethods(KernelClass: { prototype: Kernel }): void {
       access: 'Access admin panel',
       config: 'Edit system configuration',
     })
+
+    this.permissionRegistry!.register('views', {
+      publish: 'Publish saved list views to roles',
+    })
   }
 
   /**
@@ -244,4 +367,54 @@ export function applyRegistryMethods(KernelClass: { prototype: Kernel }): void {
       })
     }
   }
+
+  /**
+   * Create WebSocketBridge for WebSocket to SignalBus integration
+   */
+  proto._createWebSocketBridge = function (this: Self): void {
+    const { ws, authAdapter } = this.options
+    if (!ws?.url) return
+
+    const getToken = authAdapter?.getToken
+      ? () => authAdapter.getToken!()
+      : () => localStorage.getItem('auth_token')
+
+    this.wsBridge = createWebSocketBridge({
+      signals: this.signals!,
+      url: ws.url,
+      protocols: ws.protocols,
+      reconnectDelay: ws.reconnectDelay ?? 5000,
+      signalPrefix: ws.signalPrefix ?? 'ws',
+      autoConnect: ws.autoConnect ?? false,
+      tokenParam: ws.tokenParam ?? 'token',
+      getToken,
+      debug: this.options.debug ?? false,
+    })
+  }
+
+  /**
+   * Create the real-time entity sync, listening to the SSE or WebSocket
+   * messages named `sync.event` and patching the manager caches
+   */
+  proto._createEntitySync = function (this: Self): void {
+    const config = this.options.sync
+    if (!config?.enabled) return
+
+    const { transport = 'sse', event = 'entity-sync' } = config
+    const prefix = transport === 'websocket'
+      ? (this.options.ws?.signalPrefix ?? 'ws')
+      : (this.options.sse?.signalPrefix ?? 'sse')
+
+    // Named SSE events are only forwarded once registered on the EventSource,
+    // which is recreated on each reconnect
+    if (transport === 'sse' && this.sseBridge && event !== 'message') {
+      this.signals!.on(SSE_SIGNALS.CONNECTED, () => {
+        this.sseBridge!.registerEvents([event])
+      })
+    }
+
+    this.entitySync = new EntitySync({ signals: this.signals, sources: [`${prefix}:${event}`] })
+    this.entitySync.bind(this.orchestrator!)
+    this.entitySync.start()
+  }
 }
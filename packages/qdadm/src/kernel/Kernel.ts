@@ -39,6 +39,11 @@ import type { KernelContext } from './KernelContext'
 import type { DeferredRegistry } from '../deferred/DeferredRegistry.js'
 import type { EventRouter } from './EventRouter'
 import type { SSEBridge } from './SSEBridge'
+import type { WebSocketBridge } from './WebSocketBridge'
+import type { EntitySync } from '../entity/sync/EntitySync'
+import type { OfflineQueue } from '../entity/offline/OfflineQueue'
+import type { PersistentCache } from '../entity/cache/PersistentCache'
+import type { UndoOperation, UndoStack } from '../entity/undo/UndoStack'
 import type { ActiveStack } from '../chain/ActiveStack.js'
 import type { StackHydrator } from '../chain/StackHydrator.js'
 import { NotificationModule } from '../notifications/NotificationModule'
@@ -62,6 +67,9 @@ export type {
   PrimeVueConfig,
   SecurityConfig,
   SSEConfig,
+  WebSocketConfig,
+  SyncConfig,
+  ViewsConfig,
   DebugBarConfig,
   NotificationsConfig,
   HomeRoute,
@@ -89,6 +97,11 @@ export class Kernel {
   deferred: DeferredRegistry | null = null
   eventRouter: EventRouter | null = null
   sseBridge: SSEBridge | null = null
+  wsBridge: WebSocketBridge | null = null
+  entitySync: EntitySync | null = null
+  offlineQueue: OfflineQueue | null = null
+  persistentCache: PersistentCache | null = null
+  undoStack: UndoStack | null = null
   layoutComponents: InternalLayoutComponents | null = null
   securityChecker: SecurityChecker | null = null
   permissionRegistry: PermissionRegistry | null = null
@@ -161,6 +174,10 @@ export class Kernel {
     this._createActiveStack()
     this._createDeferredRegistry()
     this._createOrchestrator()
+    this._createOfflineQueue()
+    this._createPersistentCache()
+    this._createUndoStack()
+    this._createViewsProvider()
     this._createStackHydrator()
     this._createPermissionRegistry()
     this._setupSecurity()
@@ -174,8 +191,11 @@ export class Kernel {
     this._setupAuthImpersonation()
     this._setupAuthInvalidation()
     this._wireModules()
+    this._startOfflineQueue()
     this._createEventRouter()
     this._createSSEBridge()
+    this._createWebSocketBridge()
+    this._createEntitySync()
     this._createLayoutComponents()
     this._createVueApp()
     this._installPlugins()
@@ -195,6 +215,10 @@ export class Kernel {
     this._createActiveStack()
     this._createDeferredRegistry()
     this._createOrchestrator()
+    this._createOfflineQueue()
+    this._createPersistentCache()
+    this._createUndoStack()
+    this._createViewsProvider()
     this._createStackHydrator()
     this._createPermissionRegistry()
     this._setupSecurity()
@@ -208,8 +232,11 @@ export class Kernel {
     this._setupAuthImpersonation()
     this._setupAuthInvalidation()
     await this._wireModulesAsync()
+    this._startOfflineQueue()
     this._createEventRouter()
     this._createSSEBridge()
+    this._createWebSocketBridge()
+    this._createEntitySync()
     this._createLayoutComponents()
     this._createVueApp()
     this._installPlugins()
@@ -289,6 +316,56 @@ export class Kernel {
     return this.sseBridge
   }
 
+  /**
+   * Get the WebSocketBridge instance
+   */
+  getWebSocketBridge(): WebSocketBridge | null {
+    return this.wsBridge
+  }
+
+  /**
+   * Get the EntitySync instance
+   */
+  getEntitySync(): EntitySync | null {
+    return this.entitySync
+  }
+
+  /**
+   * Get the OfflineQueue instance
+   */
+  getOfflineQueue(): OfflineQueue | null {
+    return this.offlineQueue
+  }
+
+  /**
+   * Get the PersistentCache instance
+   */
+  getPersistentCache(): PersistentCache | null {
+    return this.persistentCache
+  }
+
+  /**
+   * Get the UndoStack instance
+   */
+  getUndoStack(): UndoStack | null {
+    return this.undoStack
+  }
+
+  /**
+   * Roll back the last `count` entity operations (needs `undo.enabled`)
+   * @returns the operations reverted, newest first
+   */
+  undo(count = 1): Promise<UndoOperation[]> {
+    return this.undoStack?.undo(count) ?? Promise.resolve([])
+  }
+
+  /**
+   * Apply again the last `count` undone operations
+   */
+  redo(count = 1): Promise<UndoOperation[]> {
+    return this.undoStack?.redo(count) ?? Promise.resolve([])
+  }
+
   /**
    * Get the NotificationStore instance
    */
@@ -429,6 +506,11 @@ export interface Kernel {
   _createSignalBus(): void
   _createHookRegistry(): void
   _createOrchestrator(): void
+  _createOfflineQueue(): void
+  _startOfflineQueue(): void
+  _createPersistentCache(): void
+  _createUndoStack(): void
+  _createViewsProvider(): void
   _createPermissionRegistry(): void
   _registerCorePermissions(): void
   _setupSecurity(): void
@@ -438,6 +520,8 @@ export interface Kernel {
   _createDeferredRegistry(): void
   _createEventRouter(): void
   _createSSEBridge(): void
+  _createWebSocketBridge(): void
+  _createEntitySync(): void
 
   // Vue (Kernel.vue.ts)
   _createLayoutComponents(): void
@@ -12,6 +12,9 @@ import type { EntityAuthAdapter } from '../entity/auth/EntityAuthAdapter'
 import type { RoleProvider } from '../security/RolesProvider'
 import type { I18nOptions } from '../i18n/types'
 import type { ApiClientSource } from '../api/apiClient'
+import type { OfflineOutbox } from '../entity/offline/outbox'
+import type { CacheStore } from '../entity/cache/stores'
+import type { ViewsProvider } from '../views/ViewsProvider'
 
 /**
  * Auth adapter interface (app-level authentication)
@@ -111,6 +114,29 @@ export interface SSEConfig {
   events?: string[]
 }
 
+/**
+ * WebSocket configuration
+ */
+export interface WebSocketConfig {
+  url: string
+  protocols?: string | string[]
+  reconnectDelay?: number
+  signalPrefix?: string
+  autoConnect?: boolean
+  tokenParam?: string
+}
+
+/**
+ * Real-time entity sync configuration
+ */
+export interface SyncConfig {
+  enabled?: boolean
+  /** Transport of the messages: 'sse' (default, needs `sse`) or 'websocket' (needs `ws`) */
+  transport?: 'sse' | 'websocket'
+  /** Event name carrying the messages (default 'entity-sync') */
+  event?: string
+}
+
 /**
  * Debug bar configuration
  */
@@ -139,6 +165,60 @@ export interface NotificationsConfig {
   maxNotifications?: number
 }
 
+/**
+ * Offline write queue configuration
+ */
+export interface OfflineConfig {
+  enabled?: boolean
+  /** Durable outbox: 'localStorage' (default), 'indexedDB', or a custom OfflineOutbox */
+  outbox?: 'localStorage' | 'indexedDB' | OfflineOutbox
+  /** localStorage key or IndexedDB database name */
+  key?: string
+  /** Replay when connectivity returns (default true) */
+  autoReplay?: boolean
+}
+
+/**
+ * Persistent entity cache configuration
+ */
+export interface PersistentCacheConfig {
+  enabled?: boolean
+  /** Durable store: 'localStorage' (default, hydrates synchronously), 'indexedDB', or a custom CacheStore */
+  store?: 'localStorage' | 'indexedDB' | CacheStore
+  /** localStorage key prefix or IndexedDB database name */
+  key?: string
+  /** App version the entries belong to (default: `app.version`) */
+  version?: string
+  /** Current user key (default: id or username of the authAdapter's getUser()) */
+  user?: () => string | number | null | undefined
+}
+
+/**
+ * Undo stack configuration
+ */
+export interface UndoConfig {
+  enabled?: boolean
+  /** Operations kept (default 50) */
+  limit?: number
+  /** Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo (default true) */
+  shortcut?: boolean
+}
+
+/**
+ * Saved list views configuration
+ */
+export interface ViewsConfig {
+  /**
+   * Where views are kept: 'localStorage' (default, this browser), 'entity'
+   * (records of the `entity` manager, e.g. ViewsManager) or a custom provider
+   */
+  provider?: 'localStorage' | 'entity' | ViewsProvider
+  /** Entity of the 'entity' provider (default: 'views') */
+  entity?: string
+  /** localStorage key (default: 'qdadm_views') */
+  key?: string
+}
+
 /**
  * Home route configuration
  */
@@ -185,8 +265,40 @@ export interface KernelOptions {
   defaultEntityCacheTtlMs?: number
   eventRouter?: RoutesConfig
   sse?: SSEConfig
+  /** WebSocket connection forwarding frames to `ws:*` signals (like `sse`) */
+  ws?: WebSocketConfig
   debugBar?: DebugBarConfig
   notifications?: NotificationsConfig
+  /**
+   * Offline write queue: writes of `offline: true` entities failing with a
+   * network error are kept in a durable outbox and replayed in order when
+   * connectivity returns. The pending count shows in the notification panel.
+   */
+  offline?: OfflineConfig
+  /**
+   * Persistent entity cache: list and detail caches of `persistCache: true`
+   * entities survive reloads, keyed by entity, user and app version. Wiped
+   * on `auth:logout` and `entity:datalayer-invalidate`.
+   */
+  persistentCache?: PersistentCacheConfig
+  /**
+   * Undo stack: creates, updates and deletes of every manager (but
+   * `undoable: false` ones) can be rolled back with `kernel.undo()`, the
+   * keyboard shortcut or the "Undo" button of success toasts.
+   */
+  undo?: UndoConfig
+  /**
+   * Saved list views: named presets of a list's filters, search, sort,
+   * columns and page size (`addViewSwitcher()`), publishable to roles by
+   * users with `views:publish`.
+   */
+  views?: ViewsConfig
+  /**
+   * Real-time entity sync: the server pushes `{ entity, op, id, record }`
+   * over SSE or WebSocket and managers patch their list and detail caches
+   * record by record. Open list and show pages update live.
+   */
+  sync?: SyncConfig
   toast?: Record<string, unknown>
   debug?: boolean
   onAuthExpired?: (payload: unknown) => void
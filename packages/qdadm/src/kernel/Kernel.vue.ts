@@ -13,6 +13,7 @@ import ConfirmationService from 'primevue/confirmationservice'
 import Tooltip from 'primevue/tooltip'
 import Toast from 'primevue/toast'
 import ToastListener from '../toast/ToastListener.vue'
+import UndoToast from '../toast/UndoToast.vue'
 import { createQdadm } from '../plugin.js'
 import { createNotificationStore, NOTIFICATION_KEY } from '../notifications/NotificationStore'
 import { I18N_INJECTION_KEY } from '../i18n/useI18n'
@@ -113,6 +114,7 @@ export function applyVueMethods(KernelClass: { prototype: Kernel }): void {
 
           if (hasPrimeVue) {
             children.push(h(Toast))
+            children.push(h(UndoToast))
             children.push(h(ToastListener))
           }
 
@@ -269,6 +271,10 @@ export function applyVueMethods(KernelClass: { prototype: Kernel }): void {
       app.provide('qdadmSSEBridge', this.sseBridge)
     }
 
+    if (this.wsBridge) {
+      app.provide('qdadmWebSocketBridge', this.wsBridge)
+    }
+
     app.provide('qdadmHooks', this.hookRegistry)
     app.provide('qdadmDeferred', this.deferred)
     app.provide('qdadmLayoutComponents', this.layoutComponents)
@@ -289,6 +295,28 @@ export function applyVueMethods(KernelClass: { prototype: Kernel }): void {
         maxNotifications: this.options.notifications.maxNotifications,
       })
       app.provide(NOTIFICATION_KEY, this.notificationStore)
+
+      // Pending offline writes show as a status item until the queue drains
+      if (this.offlineQueue) {
+        const store = this.notificationStore
+        const queue = this.offlineQueue
+        const syncOfflineStatus = (): void => {
+          const count = queue.size
+          if (count === 0) {
+            store.removeStatus('offline-queue')
+            return
+          }
+          store.registerStatus({
+            id: 'offline-queue',
+            label: `${count} ${count === 1 ? 'change' : 'changes'} waiting for network`,
+            severity: 'warn',
+            count,
+            icon: 'pi pi-cloud-upload',
+          })
+        }
+        queue.onChange(syncOfflineStatus)
+        syncOfflineStatus()
+      }
     }
 
     // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -46,6 +46,8 @@ export function applyEntityMethods(KernelContextClass: { prototype: KernelContex
         module: (this._module?.constructor as { name?: string })?.name || 'unknown',
         // Register entity-own:* permissions if manager has isOwn configured
         hasOwnership: !!(manager as unknown as { _isOwn?: unknown })._isOwn,
+        // Register entity:name:field:* permissions of guarded fields
+        fields: manager.getGuardedFields?.(),
       })
     }
 
@@ -73,6 +75,7 @@ export function applyEntityMethods(KernelContextClass: { prototype: KernelContex
     if (this._kernel.permissionRegistry) {
       this._kernel.permissionRegistry.registerEntity('users', {
         module: (this._module?.constructor as { name?: string })?.name || 'unknown',
+        fields: manager.getGuardedFields(),
       })
     }
 
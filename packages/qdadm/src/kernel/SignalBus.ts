@@ -7,6 +7,9 @@
  *
  * Signal naming conventions (qdadm flavor):
  * - Generic CRUD: entity:created, entity:updated, entity:deleted
+ * - Batch writes: entity:batch (after the per-item signals)
+ * - List cache: entity:cache-refreshed (background refresh done)
+ * - Offline queue: offline:queued/replayed/conflict/failed (`OFFLINE_SIGNALS`)
  * - Entity-specific: {entityName}:created, etc. — built via `buildSignal()`
  * - Auth: auth:login, auth:logout, auth:expired
  * - API: api:error
@@ -37,11 +40,14 @@ export const SIGNALS = {
   ENTITY_CREATED: 'entity:created',
   ENTITY_UPDATED: 'entity:updated',
   ENTITY_DELETED: 'entity:deleted',
+  ENTITY_BATCH: 'entity:batch', // One per createMany/updateMany/patchMany/deleteMany { action, succeeded, failed }
+  ENTITY_CACHE_REFRESHED: 'entity:cache-refreshed', // List cache refetched in the background { entity, total }
 
   // Auth lifecycle signals
   AUTH_LOGIN: 'auth:login',
   AUTH_LOGOUT: 'auth:logout',
   AUTH_EXPIRED: 'auth:expired', // Emitted on 401/403 API responses
+  AUTH_RECORD_RULES: 'auth:record-rules', // Record rules scoping a read { entity, operation, roles, filter }
 
   // API error signals
   API_ERROR: 'api:error', // Emitted on any API error { status, message, url }
@@ -0,0 +1,9 @@
+/**
+ * WebSocketBridge — qdadm re-export.
+ *
+ * Implemented in `@quazardous/qdcore` next to SSEBridge, with the same
+ * options and auth coupling (`connectOnSignal` / `disconnectOnSignal`).
+ */
+
+export { WebSocketBridge, createWebSocketBridge, WS_SIGNALS } from '@quazardous/qdcore'
+export type { WebSocketBridgeOptions } from '@quazardous/qdcore'
@@ -14,6 +14,9 @@ export type {
   PrimeVueConfig,
   SecurityConfig,
   SSEConfig,
+  WebSocketConfig,
+  SyncConfig,
+  ViewsConfig,
   DebugBarConfig,
   NotificationsConfig,
   HomeRoute,
@@ -25,6 +28,8 @@ export { EventRouter, createEventRouter } from './EventRouter'
 export type { SignalTarget, RouteContext, RouteCallback, RouteTarget, RoutesConfig, EventRouterOptions } from './EventRouter'
 export { SSEBridge, createSSEBridge, SSE_SIGNALS } from './SSEBridge'
 export type { SSEBridgeOptions } from './SSEBridge'
+export { WebSocketBridge, createWebSocketBridge, WS_SIGNALS } from './WebSocketBridge'
+export type { WebSocketBridgeOptions } from './WebSocketBridge'
 export { Module } from './Module'
 export { KernelContext, createKernelContext } from './KernelContext'
 export type {
@@ -41,12 +41,22 @@ export interface AuthEvent {
  * Auth entry types
  */
 export interface AuthEntry extends CollectorEntry {
-  type: 'status' | 'user' | 'impersonated' | 'token' | 'user-permissions' | 'hierarchy' | 'role-permissions' | 'permissions' | 'adapter' | 'error'
+  type: 'status' | 'user' | 'impersonated' | 'token' | 'user-permissions' | 'hierarchy' | 'role-permissions' | 'record-rules' | 'permissions' | 'adapter' | 'error'
   label?: string
   message?: string
   data?: unknown
 }
 
+/**
+ * Record rules last applied to an entity (`auth:record-rules` signal)
+ */
+export interface RecordRulesEntry {
+  operation: string
+  roles: string[]
+  filter: unknown
+  at: string
+}
+
 /**
  * Auth collector options
  */
@@ -76,6 +86,7 @@ export class AuthCollector extends Collector<AuthEntry> {
   private _securityChecker: SecurityChecker | null = null
   private _signalCleanups: Array<() => void> = []
   private _recentEvents: AuthEvent[] = []
+  private _recordRules: Map<string, RecordRulesEntry> = new Map()
   private _eventTtl: number
   private _expiryTimer: ReturnType<typeof setTimeout> | null = null
 
@@ -107,6 +118,7 @@ export class AuthCollector extends Collector<AuthEntry> {
     this._signalCleanups.push(loginCleanup)
 
     const logoutCleanup = signals.on('auth:logout', () => {
+      this._recordRules.clear()
       this._addEvent('logout')
     })
     this._signalCleanups.push(logoutCleanup)
@@ -125,6 +137,33 @@ export class AuthCollector extends Collector<AuthEntry> {
       this._addEvent('login-error', payload.data)
     })
     this._signalCleanups.push(loginErrorCleanup)
+
+    const recordRulesCleanup = signals.on('auth:record-rules', (payload) => {
+      this._recordRulesApplied(payload.data as { entity: string; operation: string; roles: string[]; filter: unknown })
+    })
+    this._signalCleanups.push(recordRulesCleanup)
+  }
+
+  private _recordRulesApplied(data: { entity: string; operation: string; roles: string[]; filter: unknown }): void {
+    const previous = this._recordRules.get(data.entity)
+    const changed = !previous
+      || previous.operation !== data.operation
+      || JSON.stringify([previous.roles, previous.filter]) !== JSON.stringify([data.roles, data.filter])
+    this._recordRules.set(data.entity, {
+      operation: data.operation,
+      roles: data.roles,
+      filter: data.filter,
+      at: new Date().toISOString()
+    })
+    // Every list() reports its rules: only repaint when they differ
+    if (changed) this.notifyChange()
+  }
+
+  /**
+   * Record rules last applied per entity
+   */
+  getRecordRules(): Record<string, RecordRulesEntry> {
+    return Object.fromEntries(this._recordRules)
   }
 
   private _addEvent(type: AuthEventType, data: unknown = null): void {
@@ -182,6 +221,7 @@ export class AuthCollector extends Collector<AuthEntry> {
       if (typeof cleanup === 'function') cleanup()
     }
     this._signalCleanups = []
+    this._recordRules.clear()
     this._authAdapter = null
     this._securityChecker = null
     this._ctx = null
@@ -360,6 +400,16 @@ export class AuthCollector extends Collector<AuthEntry> {
       // Security checker not available
     }
 
+    // Record rules scoping the last read of each entity
+    if (this._recordRules.size > 0) {
+      entries.push({
+        timestamp: Date.now(),
+        type: 'record-rules',
+        label: 'Record Rules',
+        data: this.getRecordRules()
+      })
+    }
+
     // Registered permissions
     try {
       const permissionRegistry = authCtx?.permissionRegistry
@@ -464,9 +514,9 @@ export class AuthCollector extends Collector<AuthEntry> {
       name: this.name,
       records: false,
       summary:
-        'Surfaces current authentication state: user, roles, permissions, hierarchy, token claims, adapter capabilities, plus a TTL-bounded log of recent auth events.',
+        'Surfaces current authentication state: user, roles, permissions, hierarchy, record rules applied per entity, token claims, adapter capabilities, plus a TTL-bounded log of recent auth events.',
       entryShape: {
-        type: 'string (user|impersonated|token|user-permissions|hierarchy|role-permissions|permissions|adapter|status|error)',
+        type: 'string (user|impersonated|token|user-permissions|hierarchy|role-permissions|record-rules|permissions|adapter|status|error)',
         label: 'string?',
         message: 'string?',
         data: 'json',
@@ -474,6 +524,7 @@ export class AuthCollector extends Collector<AuthEntry> {
       stateShape: {
         recentEvents: 'AuthEvent[] (TTL-bounded)',
         lastEvent: 'string?',
+        recordRules: 'Record<entity, { operation, roles, filter, at }>',
       },
       actions: this._builtinActionManifests(),
     }
@@ -495,6 +546,7 @@ export class AuthCollector extends Collector<AuthEntry> {
           data: e.data,
         })),
         lastEvent: this.getLastEvent(),
+        recordRules: this.getRecordRules(),
       },
     }
   }
@@ -7,6 +7,7 @@
  * - Cache status (enabled, valid, items, threshold)
  * - Permissions (readOnly, canCreate, canUpdate, canDelete)
  * - Relations (parent, children, parents)
+ * - Offline queue (operations waiting for replay)
  *
  * Shows current state rather than historical events.
  */
@@ -20,6 +21,7 @@ import {
   type CollectorSnapshot,
 } from './Collector'
 import type { EntityManager } from '../../entity/EntityManager'
+import type { QueuedOperation } from '../../entity/offline/outbox'
 
 /**
  * Storage info structure
@@ -77,6 +79,10 @@ export interface CacheInfo {
   expiresAt: number | null
   /** Whether the cache has expired based on TTL */
   expired: boolean
+  /** Whether the caches are kept across reloads */
+  persistent: boolean
+  /** Whether the list cache was hydrated from the persistent cache */
+  fromPersistence: boolean
   /** Whether the entity uses asymmetric mode */
   asymmetric: boolean
   /** Detail cache info (only when asymmetric + detail cache enabled) */
@@ -171,6 +177,27 @@ export interface RelationsInfo {
   references: FieldReferenceEntry[]
 }
 
+/**
+ * Queued offline operation
+ */
+export interface PendingOperationInfo {
+  id: string
+  action: QueuedOperation['action']
+  targetId: string | number | null
+  queuedAt: string
+  attempts: number
+  lastError: string | null
+  data: Record<string, unknown> | null
+}
+
+/**
+ * Offline queue info
+ */
+export interface OfflineInfo {
+  enabled: boolean
+  pending: PendingOperationInfo[]
+}
+
 /**
  * Entity entry for display
  */
@@ -191,6 +218,7 @@ export interface EntityEntry extends CollectorEntry {
   stats?: StatsInfo
   fields?: FieldsInfo
   relations?: RelationsInfo
+  offline?: OfflineInfo
   type?: 'status'
   message?: string
   error?: string
@@ -251,6 +279,13 @@ export class EntitiesCollector extends Collector<EntityEntry> {
       this.notifyChange()
     })
     this._signalCleanups.push(dataCleanup)
+
+    // Listen to offline queue changes (queued, replayed, conflict, failed)
+    const offlineCleanup = signals.on('offline:*', () => {
+      this._lastUpdate = Date.now()
+      this.notifyChange()
+    })
+    this._signalCleanups.push(offlineCleanup)
   }
 
   /**
@@ -381,6 +416,8 @@ export class EntitiesCollector extends Collector<EntityEntry> {
         ttlMs?: number
         expiresAt?: number | null
         expired?: boolean
+        persistent?: boolean
+        fromPersistence?: boolean
         asymmetric?: boolean
         detailCache?: { enabled: boolean; ttlMs: number; size: number; maxSize: number } | null
       }
@@ -406,6 +443,8 @@ export class EntitiesCollector extends Collector<EntityEntry> {
       _cacheMap?: Map<unknown, unknown>
       cache?: unknown[]
       _cachedItems?: unknown[]
+      offline?: boolean
+      getPendingOperations?: () => QueuedOperation[]
       resolveStorage?: (method: string, context: unknown) => { storage: unknown }
     }
 
@@ -451,6 +490,8 @@ export class EntitiesCollector extends Collector<EntityEntry> {
         ttlMs: cache.ttlMs ?? -1,
         expiresAt: cache.expiresAt ?? null,
         expired: cache.expired ?? false,
+        persistent: cache.persistent ?? false,
+        fromPersistence: cache.fromPersistence ?? false,
         asymmetric: cache.asymmetric ?? false,
         detailCache: cache.detailCache ?? null,
       },
@@ -510,6 +551,19 @@ export class EntitiesCollector extends Collector<EntityEntry> {
             field: fieldName,
             entity: field.reference!.entity!
           }))
+      },
+
+      offline: {
+        enabled: extManager.offline ?? false,
+        pending: (extManager.getPendingOperations?.() ?? []).map((op) => ({
+          id: op.id,
+          action: op.action,
+          targetId: op.targetId,
+          queuedAt: new Date(op.queuedAt).toLocaleTimeString(),
+          attempts: op.attempts,
+          lastError: op.lastError ?? null,
+          data: op.data ?? null
+        }))
       }
     }
   }
@@ -699,7 +753,7 @@ export class EntitiesCollector extends Collector<EntityEntry> {
     }
     try {
       const manager = this._orchestrator.get(entityName) as EntityManager & {
-        storage: { list: (params: { page: number; page_size: number }) => Promise<{ total?: number; items?: unknown[] }> }
+        storage: { list: (params: { page: number; page_size: number }) => Promise<{ total?: number | null; items?: unknown[] }> }
       }
       const result = await manager.storage.list({ page: 1, page_size: 1 })
       return {
@@ -817,8 +871,8 @@ export class EntitiesCollector extends Collector<EntityEntry> {
     try {
       const manager = this._orchestrator.get(entityName) as EntityManager & Record<string, unknown>
       const storage = storageName === 'storage'
-        ? manager.storage as { list: (params: { page: number; page_size: number }) => Promise<{ total?: number; items?: unknown[] }> }
-        : manager[storageName] as { list: (params: { page: number; page_size: number }) => Promise<{ total?: number; items?: unknown[] }> } | undefined
+        ? manager.storage as { list: (params: { page: number; page_size: number }) => Promise<{ total?: number | null; items?: unknown[] }> }
+        : manager[storageName] as { list: (params: { page: number; page_size: number }) => Promise<{ total?: number | null; items?: unknown[] }> } | undefined
 
       if (!storage) {
         return { success: false, error: `Storage '${storageName}' not found` }
@@ -33,6 +33,11 @@ import type { EntityManager, EntityManagerOptions } from '../entity/EntityManage
 import type { EntityRecord } from '../types'
 import type { SignalBus } from '../kernel/SignalBus'
 import type { HookRegistry } from '../hooks/HookRegistry'
+import type { OfflineQueue } from '../entity/offline/OfflineQueue'
+import type { PersistentCache } from '../entity/cache/PersistentCache'
+import type { AuditLog } from '../audit/AuditLog'
+import type { UndoStack } from '../entity/undo/UndoStack'
+import type { ViewsProvider } from '../views/ViewsProvider'
 import type { EntityAuthAdapter } from '../entity/auth/EntityAuthAdapter'
 import type { EntityManagerLike, OrchestratorLike } from '../entity/EntityManager.interface'
 
@@ -59,6 +64,8 @@ export type EntityFactory = (
 export interface ToastOptions {
   life?: number
   emitter?: string
+  /** Offer to undo the last operation of the undo stack ("Undo" button) */
+  undo?: boolean
 }
 
 /**
@@ -108,6 +115,21 @@ export class Orchestrator {
     defaultEntityCacheTtlMs?: number
   }
 
+  // Offline write queue (set by Kernel when `offline` is configured), used by `offline: true` managers
+  offlineQueue: OfflineQueue | null = null
+
+  // Persistent entity cache (set by Kernel when `persistentCache` is configured), used by `persistCache: true` managers
+  persistentCache: PersistentCache | null = null
+
+  // Audit trail (set by AuditModule), used by `audit: true` managers
+  auditLog: AuditLog | null = null
+
+  // Undo/redo stack (set by Kernel when `undo` is enabled), recording the writes of every manager but `undoable: false` ones
+  undoStack: UndoStack | null = null
+
+  // Saved list views (set by Kernel when `views` is configured; list pages default to localStorage)
+  viewsProvider: ViewsProvider | null = null
+
   constructor(options: OrchestratorOptions = {}) {
     const {
       entityFactory = null,
@@ -168,7 +190,7 @@ export class Orchestrator {
    *
    * Third param can be:
    * - string: treated as emitter
-   * - object: { life, emitter }
+   * - object: { life, emitter, undo }
    */
   get toast(): ToastHelper {
     if (!this._toastHelper) {
@@ -188,14 +210,16 @@ export class Orchestrator {
         options?: string | ToastOptions
       ): void => {
         if (this._signals) {
-          // Options can be string (emitter) or object { life, emitter }
+          // Options can be string (emitter) or object { life, emitter, undo }
           const opts: ToastOptions =
             typeof options === 'string' ? { emitter: options } : options || {}
+          const undoId = opts.undo ? this.undoStack?.peek()?.id : undefined
           this._signals.emit(`toast:${severity}`, {
             summary,
             detail,
             life: opts.life ?? defaults[severity],
             emitter: opts.emitter,
+            ...(undoId !== undefined && { undoId }),
           })
         }
       }
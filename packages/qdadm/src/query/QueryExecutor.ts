@@ -5,10 +5,22 @@
  * Pure functions, no Vue dependencies, null-safe operations.
  *
  * Supported operators:
- * - Implicit: value → $eq, array → $in
- * - Comparison: $eq, $ne, $gt, $gte, $lt, $lte
- * - Set: $in, $nin, $like, $between
- * - Logical: $or, $and
+ * - Implicit: value → $eq, array → $in, RegExp → $regex
+ * - Comparison: $eq, $ne, $gt, $gte, $lt, $lte, $between
+ * - Set: $in, $nin ($in on an array field: one of its elements is listed)
+ * - String: $like (case-insensitive substring), $regex (+ $options)
+ * - Field: $exists, $not
+ * - Array: $size, $contains, $all, $elemMatch
+ * - Logical: $or, $and, $nor
+ *
+ * Comparisons are date-aware: a Date, or two ISO 8601 strings, compare as
+ * timestamps ('2024-01-01' < '2024-01-01T10:00:00+02:00' works as dates).
+ * $gt/$gte/$lt/$lte only order values of the same type; $between also takes
+ * a number against a numeric string, as numbers ('15' is in [10, 20]).
+ * Unknown operators throw a QueryValidationError instead of matching.
+ *
+ * aggregate() groups the matching items and reduces them with count, sum,
+ * avg, min and max (the local side of EntityManager.aggregate()).
  *
  * @example
  * // Simple equality (implicit $eq)
@@ -20,6 +32,7 @@
  * // Nested field access
  * QueryExecutor.execute(items, { 'author.name': 'John' })
  */
+import type { AggregateFunction, AggregateMetric, AggregateParams, AggregateResult, AggregateRow } from '../types'
 
 /**
  * Query condition can be a primitive, array, or operator object
@@ -47,6 +60,22 @@ export interface QueryOperators {
   $nin?: unknown[]
   $like?: string
   $between?: [unknown, unknown]
+  /** Pattern (string or RegExp) tested against string values */
+  $regex?: string | RegExp
+  /** RegExp flags for a string $regex (e.g. 'i') */
+  $options?: string
+  /** true: field present (null included), false: field missing */
+  $exists?: boolean
+  /** Array length */
+  $size?: number
+  /** Array field holds the value (string field: case-sensitive substring) */
+  $contains?: unknown
+  /** Array field holds every value */
+  $all?: unknown[]
+  /** Some array element matches (query for objects, operators for primitives) */
+  $elemMatch?: QueryObject | QueryOperators
+  /** Negates an operator object, a RegExp or a value */
+  $not?: QueryOperators | RegExp | string | number | boolean | null
 }
 
 /**
@@ -55,7 +84,9 @@ export interface QueryOperators {
 export interface QueryObject {
   $or?: QueryObject[]
   $and?: QueryObject[]
-  [field: string]: QueryCondition | QueryObject[] | undefined
+  /** None of the queries match */
+  $nor?: QueryObject[]
+  [field: string]: QueryCondition | QueryObject[] | RegExp | Date | undefined
 }
 
 /**
@@ -66,6 +97,47 @@ export interface QueryResult<T> {
   total: number
 }
 
+/**
+ * Aggregate metric in normalized form
+ */
+export interface AggregateSpec {
+  /** Output name in the aggregate rows */
+  name: string
+  fn: AggregateFunction
+  /** Reduced field (null: count rows) */
+  field: string | null
+}
+
+/**
+ * Thrown for a query the executor cannot evaluate (unknown operator, bad
+ * operand). Local filtering must not silently widen a result the API
+ * would have narrowed.
+ */
+export class QueryValidationError extends Error {
+  /** Offending operator */
+  operator: string
+  /** Field the operator applies to (null for logical operators) */
+  field: string | null
+
+  constructor(message: string, operator: string, field: string | null = null) {
+    super(message)
+    this.name = 'QueryValidationError'
+    this.operator = operator
+    this.field = field
+  }
+}
+
+const LOGICAL_OPERATORS = new Set(['$or', '$and', '$nor'])
+
+const FIELD_OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$like', '$between',
+  '$regex', '$options', '$exists', '$size', '$contains', '$all', '$elemMatch', '$not',
+])
+
+const AGGREGATE_FUNCTIONS = new Set(['count', 'sum', 'avg', 'min', 'max'])
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+
 /**
  * Get nested value from object using dot notation
  *
@@ -103,6 +175,14 @@ function matchCondition(itemValue: unknown, condition: QueryCondition): boolean
     return itemValue === condition
   }
 
+  // Implicit $regex / date equality
+  if (condition instanceof RegExp) {
+    return matchRegex(itemValue, condition)
+  }
+  if (condition instanceof Date) {
+    return valuesEqual(itemValue, condition)
+  }
+
   // Explicit operator object (e.g., { $eq: 'value' })
   if (typeof condition === 'object' && !Array.isArray(condition)) {
     return matchOperator(itemValue, condition as QueryOperators)
@@ -124,40 +204,36 @@ function matchOperator(itemValue: unknown, operators: QueryOperators): boolean {
   for (const [op, expected] of Object.entries(operators)) {
     switch (op) {
       case '$eq':
-        if (itemValue !== expected) return false
+        if (!valuesEqual(itemValue, expected)) return false
         break
 
       case '$ne':
-        if (itemValue === expected) return false
+        if (valuesEqual(itemValue, expected)) return false
         break
 
-      case '$gt':
-        if (itemValue === null || itemValue === undefined) return false
-        if (expected === null || expected === undefined) return false
-        if (typeof itemValue !== typeof expected) return false
-        if (!((itemValue as number | string) > (expected as number | string))) return false
+      case '$gt': {
+        const cmp = compareValues(itemValue, expected)
+        if (cmp === null || !(cmp > 0)) return false
         break
+      }
 
-      case '$gte':
-        if (itemValue === null || itemValue === undefined) return false
-        if (expected === null || expected === undefined) return false
-        if (typeof itemValue !== typeof expected) return false
-        if (!((itemValue as number | string) >= (expected as number | string))) return false
+      case '$gte': {
+        const cmp = compareValues(itemValue, expected)
+        if (cmp === null || !(cmp >= 0)) return false
         break
+      }
 
-      case '$lt':
-        if (itemValue === null || itemValue === undefined) return false
-        if (expected === null || expected === undefined) return false
-        if (typeof itemValue !== typeof expected) return false
-        if (!((itemValue as number | string) < (expected as number | string))) return false
+      case '$lt': {
+        const cmp = compareValues(itemValue, expected)
+        if (cmp === null || !(cmp < 0)) return false
         break
+      }
 
-      case '$lte':
-        if (itemValue === null || itemValue === undefined) return false
-        if (expected === null || expected === undefined) return false
-        if (typeof itemValue !== typeof expected) return false
-        if (!((itemValue as number | string) <= (expected as number | string))) return false
+      case '$lte': {
+        const cmp = compareValues(itemValue, expected)
+        if (cmp === null || !(cmp <= 0)) return false
         break
+      }
 
       case '$in':
         if (!matchIn(itemValue, expected as unknown[])) return false
@@ -175,21 +251,110 @@ function matchOperator(itemValue: unknown, operators: QueryOperators): boolean {
         if (!matchBetween(itemValue, expected as [unknown, unknown])) return false
         break
 
-      default:
-        // Unknown operator - skip (fail-safe, return true for this check)
+      case '$regex':
+        if (!matchRegex(itemValue, toRegExp(expected as string | RegExp, operators.$options))) return false
+        break
+
+      case '$options':
+        // Read by $regex
+        break
+
+      case '$exists':
+        if ((itemValue !== undefined) !== Boolean(expected)) return false
+        break
+
+      case '$size':
+        if (!Array.isArray(itemValue) || itemValue.length !== expected) return false
+        break
+
+      case '$contains':
+        if (!matchContains(itemValue, expected)) return false
         break
+
+      case '$all':
+        if (!matchAll(itemValue, expected as unknown[])) return false
+        break
+
+      case '$elemMatch':
+        if (!matchElem(itemValue, expected as QueryObject | QueryOperators)) return false
+        break
+
+      case '$not':
+        if (matchCondition(itemValue, expected as QueryCondition)) return false
+        break
+
+      default:
+        throw new QueryValidationError(`Unknown query operator '${op}'`, op)
     }
   }
   return true
 }
 
 /**
- * Match $in operator - value in array
+ * Timestamp of a Date or ISO 8601 string (NaN otherwise)
+ */
+function toTime(value: unknown): number {
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'string' && ISO_DATE.test(value)) return Date.parse(value)
+  if (typeof value === 'number') return value
+  return NaN
+}
+
+function isDateLike(value: unknown): boolean {
+  return value instanceof Date || (typeof value === 'string' && ISO_DATE.test(value))
+}
+
+/**
+ * Number a numeric string or a number stands for (NaN otherwise)
+ */
+function toNumber(value: unknown): number {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string' && value.trim() !== '') return Number(value)
+  return NaN
+}
+
+/**
+ * Order two values: by time when either side is a date (Date or ISO string;
+ * the other side must then be a date or a timestamp), other values only
+ * against the same type, unless `numeric` lets a number and a numeric string
+ * order as numbers. Returns null when they cannot be compared.
+ */
+function compareValues(a: unknown, b: unknown, numeric = false): number | null {
+  if (a === null || a === undefined || b === null || b === undefined) return null
+  if (isDateLike(a) || isDateLike(b)) {
+    const ta = toTime(a)
+    const tb = toTime(b)
+    if (Number.isNaN(ta) || Number.isNaN(tb)) return null
+    return ta - tb
+  }
+  if (numeric && (typeof a === 'number' || typeof b === 'number')) {
+    const na = toNumber(a)
+    const nb = toNumber(b)
+    if (Number.isNaN(na) || Number.isNaN(nb)) return null
+    return na - nb
+  }
+  if (typeof a !== typeof b) return null
+  const x = a as number | string
+  const y = b as number | string
+  return x < y ? -1 : x > y ? 1 : 0
+}
+
+/**
+ * Strict equality, by time when a Date is involved
+ */
+function valuesEqual(a: unknown, b: unknown): boolean {
+  if (a instanceof Date || b instanceof Date) return compareValues(a, b) === 0
+  return a === b
+}
+
+/**
+ * Match $in operator - value in array (an array value: any of its elements)
  */
 function matchIn(itemValue: unknown, values: unknown[]): boolean {
   if (!Array.isArray(values)) return false
   if (values.length === 0) return false
-  return values.includes(itemValue)
+  if (Array.isArray(itemValue)) return itemValue.some((element) => matchIn(element, values))
+  return values.some((value) => valuesEqual(itemValue, value))
 }
 
 /**
@@ -198,7 +363,7 @@ function matchIn(itemValue: unknown, values: unknown[]): boolean {
 function matchNin(itemValue: unknown, values: unknown[]): boolean {
   if (!Array.isArray(values)) return true
   if (values.length === 0) return true
-  return !values.includes(itemValue)
+  return !values.some((value) => valuesEqual(itemValue, value))
 }
 
 /**
@@ -219,7 +384,61 @@ function matchBetween(itemValue: unknown, range: [unknown, unknown]): boolean {
   if (itemValue === null || itemValue === undefined) return false
   if (!Array.isArray(range) || range.length !== 2) return false
   const [min, max] = range
-  return (itemValue as number) >= (min as number) && (itemValue as number) <= (max as number)
+  const low = compareValues(itemValue, min, true)
+  const high = compareValues(itemValue, max, true)
+  return low !== null && high !== null && low >= 0 && high <= 0
+}
+
+function toRegExp(pattern: string | RegExp, flags?: string): RegExp {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, flags)
+}
+
+/**
+ * Match $regex operator - strings only
+ */
+function matchRegex(itemValue: unknown, regex: RegExp): boolean {
+  if (typeof itemValue !== 'string') return false
+  // Global/sticky patterns are stateful: rewind before each test
+  regex.lastIndex = 0
+  return regex.test(itemValue)
+}
+
+/**
+ * Match $contains operator - array element, or substring of a string
+ */
+function matchContains(itemValue: unknown, expected: unknown): boolean {
+  if (Array.isArray(itemValue)) return itemValue.some((value) => valuesEqual(value, expected))
+  if (typeof itemValue === 'string' && typeof expected === 'string') return itemValue.includes(expected)
+  return false
+}
+
+/**
+ * Match $all operator - array holds every value
+ */
+function matchAll(itemValue: unknown, values: unknown[]): boolean {
+  if (!Array.isArray(itemValue) || !Array.isArray(values) || values.length === 0) return false
+  return values.every((expected) => itemValue.some((value) => valuesEqual(value, expected)))
+}
+
+/**
+ * Whether an object holds operators ({ $gte: 1 }) rather than field conditions
+ */
+function isOperatorObject(condition: object): boolean {
+  const keys = Object.keys(condition)
+  return keys.length > 0 && keys.every((key) => FIELD_OPERATORS.has(key))
+}
+
+/**
+ * Match $elemMatch operator - at least one array element matches
+ */
+function matchElem(itemValue: unknown, condition: QueryObject | QueryOperators): boolean {
+  if (!Array.isArray(itemValue)) return false
+  const operators = isOperatorObject(condition)
+  return itemValue.some((element) =>
+    operators
+      ? matchOperator(element, condition as QueryOperators)
+      : element !== null && typeof element === 'object' && matchQuery(element, condition as QueryObject)
+  )
 }
 
 /**
@@ -241,6 +460,11 @@ function matchQuery(item: unknown, query: QueryObject): boolean {
       continue
     }
 
+    if (key === '$nor') {
+      if (!matchNor(item, condition as QueryObject[])) return false
+      continue
+    }
+
     // Field condition
     const itemValue = getNestedValue(key, item)
     if (!matchCondition(itemValue, condition as QueryCondition)) {
@@ -269,6 +493,159 @@ function matchAnd(item: unknown, conditions: QueryObject[]): boolean {
   return conditions.every((cond) => matchQuery(item, cond))
 }
 
+/**
+ * Match $nor operator - no condition may match
+ */
+function matchNor(item: unknown, conditions: QueryObject[]): boolean {
+  if (!Array.isArray(conditions)) return true
+  return !conditions.some((cond) => matchQuery(item, cond))
+}
+
+/**
+ * Check a query before running it
+ * @throws QueryValidationError
+ */
+function validateQuery(query: QueryObject): void {
+  for (const [key, condition] of Object.entries(query)) {
+    if (LOGICAL_OPERATORS.has(key)) {
+      if (!Array.isArray(condition)) {
+        throw new QueryValidationError(`'${key}' expects an array of queries`, key)
+      }
+      for (const sub of condition) {
+        if (!sub || typeof sub !== 'object') {
+          throw new QueryValidationError(`'${key}' expects an array of queries`, key)
+        }
+        validateQuery(sub as QueryObject)
+      }
+    } else if (key.startsWith('$')) {
+      throw new QueryValidationError(`Unknown query operator '${key}'`, key)
+    } else {
+      validateCondition(condition, key)
+    }
+  }
+}
+
+function validateCondition(condition: unknown, field: string): void {
+  if (
+    condition === null ||
+    typeof condition !== 'object' ||
+    Array.isArray(condition) ||
+    condition instanceof Date ||
+    condition instanceof RegExp
+  ) {
+    return
+  }
+  const operators = condition as Record<string, unknown>
+  for (const [op, operand] of Object.entries(operators)) {
+    if (!FIELD_OPERATORS.has(op)) {
+      throw new QueryValidationError(`Unknown query operator '${op}' on '${field}'`, op, field)
+    }
+    switch (op) {
+      case '$regex':
+        if (typeof operand !== 'string' && !(operand instanceof RegExp)) {
+          throw new QueryValidationError(`'$regex' on '${field}' expects a string or RegExp`, op, field)
+        }
+        try {
+          toRegExp(operand, operators.$options as string | undefined)
+        } catch (err) {
+          throw new QueryValidationError(
+            `Invalid '$regex' on '${field}': ${(err as Error).message}`,
+            op,
+            field
+          )
+        }
+        break
+      case '$options':
+        if (!('$regex' in operators)) {
+          throw new QueryValidationError(`'$options' on '${field}' requires '$regex'`, op, field)
+        }
+        break
+      case '$size':
+        if (typeof operand !== 'number') {
+          throw new QueryValidationError(`'$size' on '${field}' expects a number`, op, field)
+        }
+        break
+      case '$elemMatch':
+        if (!operand || typeof operand !== 'object' || Array.isArray(operand)) {
+          throw new QueryValidationError(`'$elemMatch' on '${field}' expects an object`, op, field)
+        }
+        if (isOperatorObject(operand)) {
+          validateCondition(operand, field)
+        } else {
+          validateQuery(operand as QueryObject)
+        }
+        break
+      case '$not':
+        validateCondition(operand, field)
+        break
+    }
+  }
+}
+
+// ============ AGGREGATION ============
+
+/**
+ * Normalize aggregate metrics ('count' shorthand, `{ count: 'count' }` by default)
+ *
+ * @throws QueryValidationError for an unknown function or a reduction without field
+ *
+ * @example
+ * normalizeAggregateMetrics({ loans: 'count', late: { fn: 'sum', field: 'fine' } })
+ * // → [{ name: 'loans', fn: 'count', field: null }, { name: 'late', fn: 'sum', field: 'fine' }]
+ */
+export function normalizeAggregateMetrics(
+  metrics: Record<string, AggregateMetric> = { count: 'count' }
+): AggregateSpec[] {
+  return Object.entries(metrics).map(([name, metric]) => {
+    const { fn, field = null } = typeof metric === 'string' ? { fn: metric } : metric
+    if (!AGGREGATE_FUNCTIONS.has(fn)) {
+      throw new QueryValidationError(`Unknown aggregate function '${fn}' for '${name}'`, String(fn), field)
+    }
+    if (fn !== 'count' && !field) {
+      throw new QueryValidationError(`'${fn}' for '${name}' needs a field`, fn)
+    }
+    return { name, fn, field }
+  })
+}
+
+/**
+ * Reduce one group of items to a metric value. Missing and null values are
+ * skipped, sum/avg only add numbers, min/max order like comparisons do
+ * (dates by time). Empty input: count and sum 0, others null.
+ */
+function reduceMetric(items: unknown[], spec: AggregateSpec): unknown {
+  if (spec.field === null) return items.length
+
+  const values = items
+    .map((item) => getNestedValue(spec.field!, item))
+    .filter((value) => value !== null && value !== undefined)
+
+  switch (spec.fn) {
+    case 'count':
+      return values.length
+    case 'sum':
+    case 'avg': {
+      const numbers = values.filter((value): value is number => typeof value === 'number' && Number.isFinite(value))
+      const sum = numbers.reduce((total, value) => total + value, 0)
+      if (spec.fn === 'sum') return sum
+      return numbers.length > 0 ? sum / numbers.length : null
+    }
+    case 'min':
+    case 'max': {
+      let best: unknown = null
+      for (const value of values) {
+        if (best === null) {
+          best = value
+          continue
+        }
+        const order = compareValues(value, best)
+        if (order !== null && (spec.fn === 'min' ? order < 0 : order > 0)) best = value
+      }
+      return best
+    }
+  }
+}
+
 /**
  * QueryExecutor - Static class for MongoDB-like array filtering
  */
@@ -279,6 +656,7 @@ export class QueryExecutor {
    * @param items - Source items to filter
    * @param query - MongoDB-like query object
    * @returns Query result with filtered items and total count
+   * @throws QueryValidationError for unknown operators or invalid operands
    *
    * @example
    * // Filter by status
@@ -303,6 +681,8 @@ export class QueryExecutor {
       return { items: [...items], total: items.length }
     }
 
+    validateQuery(query)
+
     try {
       const filtered = items.filter((item) => matchQuery(item, query))
       return { items: filtered, total: filtered.length }
@@ -332,10 +712,81 @@ export class QueryExecutor {
       return true
     }
 
+    validateQuery(query)
+
     try {
       return matchQuery(item, query)
     } catch {
       return false
     }
   }
+
+  /**
+   * Check that a query only uses supported operators with valid operands
+   *
+   * @throws QueryValidationError
+   *
+   * @example
+   * QueryExecutor.validate({ tags: { $elemMatch: { $gte: 3 } } }) // ok
+   * QueryExecutor.validate({ title: { $fuzzy: 'vue' } }) // throws
+   */
+  static validate(query: QueryObject): void {
+    if (!query || typeof query !== 'object') return
+    validateQuery(query)
+  }
+
+  /**
+   * Group items and compute metrics per group
+   *
+   * Rows come in the order their group first appears. Without groupBy, one
+   * row covers every matching item (count 0 when none match). Group values
+   * are keyed by their groupBy path; a missing value groups as null.
+   *
+   * @param items - Source items
+   * @param params - groupBy, metrics (default `{ count: 'count' }`), filters
+   * @returns Aggregate rows
+   * @throws QueryValidationError for invalid filters or metrics
+   *
+   * @example
+   * QueryExecutor.aggregate(loans, {
+   *   groupBy: 'status',
+   *   metrics: { count: 'count', fines: { fn: 'sum', field: 'fine' } },
+   * })
+   * // => { rows: [{ status: 'active', count: 12, fines: 0 }, { status: 'late', count: 3, fines: 4.5 }] }
+   */
+  static aggregate<T>(items: T[], params: AggregateParams = {}): AggregateResult {
+    const specs = normalizeAggregateMetrics(params.metrics)
+    const groupBy =
+      params.groupBy === undefined ? [] : Array.isArray(params.groupBy) ? params.groupBy : [params.groupBy]
+    const source = params.filters
+      ? this.execute(items, params.filters as QueryObject).items
+      : Array.isArray(items) ? items : []
+
+    const groups = new Map<string, { values: unknown[]; items: T[] }>()
+    if (groupBy.length === 0) {
+      groups.set('', { values: [], items: source })
+    } else {
+      for (const item of source) {
+        const values = groupBy.map((path) => getNestedValue(path, item) ?? null)
+        // Dates serialize to ISO strings: equal instants share a group
+        const key = JSON.stringify(values)
+        const group = groups.get(key)
+        if (group) group.items.push(item)
+        else groups.set(key, { values, items: [item] })
+      }
+    }
+
+    const rows: AggregateRow[] = []
+    for (const group of groups.values()) {
+      const row: AggregateRow = {}
+      groupBy.forEach((path, index) => {
+        row[path] = group.values[index]
+      })
+      for (const spec of specs) {
+        row[spec.name] = reduceMetric(group.items, spec)
+      }
+      rows.push(row)
+    }
+    return { rows }
+  }
 }
@@ -79,7 +79,16 @@ export interface FilterItemsOptions {
   stringMatch?: 'includes' | 'exact'
 }
 
-/** Apply simple field filters; empty/null/undefined filter values are skipped. */
+/** `{ $in: [...] }` filter value (set membership, strict equality) */
+function isInFilter(value: unknown): value is { $in: unknown[] } {
+  return typeof value === 'object' && value !== null && Array.isArray((value as { $in?: unknown }).$in)
+}
+
+/**
+ * Apply simple field filters; empty/null/undefined filter values are skipped.
+ * Besides plain values, `{ $in: [...] }` matches the items whose value is one
+ * of the listed ones (for an array value: one of its elements).
+ */
 export function filterItems<T>(
   items: T[],
   filters: Record<string, unknown> = {},
@@ -91,6 +100,11 @@ export function filterItems<T>(
     if (value === null || value === undefined || value === '') continue
     result = result.filter((item) => {
       const itemValue = item[key as keyof T]
+      if (isInFilter(value)) {
+        return Array.isArray(itemValue)
+          ? itemValue.some((element) => value.$in.includes(element))
+          : value.$in.includes(itemValue)
+      }
       if (typeof value === 'string' && typeof itemValue === 'string') {
         return stringMatch === 'exact'
           ? itemValue.toLowerCase() === value.toLowerCase()
@@ -0,0 +1,258 @@
+/**
+ * Filter groups - nested AND/OR conditions built in the list filter panel
+ *
+ * A FilterGroup is the editable form of a query: rules (field, operator,
+ * value) and subgroups joined by one logic. compileFilterGroup() turns it
+ * into a QueryObject, the syntax of the list `filters`: QueryExecutor runs
+ * it on cached items, the storage's querySerializer turns it into params.
+ *
+ * Incomplete rules (no field, or no value for an operator that needs one)
+ * and empty groups are left out rather than matching nothing.
+ *
+ * @example
+ * compileFilterGroup({
+ *   logic: 'and',
+ *   rules: [
+ *     { field: 'price', operator: 'between', value: [10, 20] },
+ *     { logic: 'or', rules: [
+ *       { field: 'status', operator: 'eq', value: 'active' },
+ *       { field: 'stock', operator: 'gt', value: 0 },
+ *     ] },
+ *   ],
+ * })
+ * // → { price: { $between: [10, 20] }, $or: [{ status: 'active' }, { stock: { $gt: 0 } }] }
+ */
+import type { QueryObject } from './QueryExecutor'
+
+export type FilterLogic = 'and' | 'or'
+
+export type FilterOperator =
+  | 'eq'
+  | 'ne'
+  | 'contains'
+  | 'not_contains'
+  | 'gt'
+  | 'gte'
+  | 'lt'
+  | 'lte'
+  | 'between'
+  | 'in'
+  | 'not_in'
+  | 'empty'
+  | 'not_empty'
+
+/**
+ * One condition on a field
+ */
+export interface FilterRule {
+  field: string
+  operator: FilterOperator
+  /** Operand: none for empty/not_empty, [min, max] for between, a list for in/not_in */
+  value?: unknown
+}
+
+/**
+ * Rules and subgroups joined by one logic
+ */
+export interface FilterGroup {
+  logic: FilterLogic
+  rules: Array<FilterRule | FilterGroup>
+}
+
+/**
+ * Operand an operator takes: none, one value, two bounds or a list
+ */
+export type FilterOperand = 'none' | 'value' | 'range' | 'list'
+
+export const FILTER_OPERATORS: Record<FilterOperator, { label: string; operand: FilterOperand }> = {
+  eq: { label: 'equals', operand: 'value' },
+  ne: { label: 'not equals', operand: 'value' },
+  contains: { label: 'contains', operand: 'value' },
+  not_contains: { label: 'does not contain', operand: 'value' },
+  gt: { label: 'greater than', operand: 'value' },
+  gte: { label: 'greater or equal', operand: 'value' },
+  lt: { label: 'less than', operand: 'value' },
+  lte: { label: 'less or equal', operand: 'value' },
+  between: { label: 'between', operand: 'range' },
+  in: { label: 'is any of', operand: 'list' },
+  not_in: { label: 'is none of', operand: 'list' },
+  empty: { label: 'is empty', operand: 'none' },
+  not_empty: { label: 'is not empty', operand: 'none' },
+}
+
+/**
+ * Kind of input a field type is filtered with
+ */
+export type FilterFieldKind = 'text' | 'number' | 'date' | 'boolean' | 'select'
+
+const KIND_OPERATORS: Record<FilterFieldKind, FilterOperator[]> = {
+  text: ['contains', 'not_contains', 'eq', 'ne', 'in', 'not_in', 'empty', 'not_empty'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'empty', 'not_empty'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte', 'between', 'empty', 'not_empty'],
+  boolean: ['eq', 'empty', 'not_empty'],
+  select: ['eq', 'ne', 'in', 'not_in', 'empty', 'not_empty'],
+}
+
+/**
+ * Input kind of a field type (options make any field a select)
+ */
+export function filterFieldKind(type = 'text', hasOptions = false): FilterFieldKind {
+  if (hasOptions) return 'select'
+  switch (type) {
+    case 'number':
+    case 'integer':
+    case 'float':
+    case 'currency':
+      return 'number'
+    case 'date':
+    case 'datetime':
+      return 'date'
+    case 'boolean':
+    case 'checkbox':
+      return 'boolean'
+    case 'select':
+    case 'dropdown':
+      return 'select'
+    default:
+      return 'text'
+  }
+}
+
+/**
+ * Operators that apply to a field kind, the first one being the default
+ */
+export function filterOperatorsFor(kind: FilterFieldKind): FilterOperator[] {
+  return KIND_OPERATORS[kind]
+}
+
+export function isFilterGroup(rule: FilterRule | FilterGroup): rule is FilterGroup {
+  return Array.isArray((rule as FilterGroup).rules)
+}
+
+const blank = (value: unknown): boolean => value === null || value === undefined || value === ''
+
+/**
+ * Condition of a complete rule, null while it is incomplete
+ */
+function compileRule(rule: FilterRule): QueryObject | null {
+  const spec = FILTER_OPERATORS[rule.operator]
+  if (!rule.field || !spec) return null
+  const { value } = rule
+
+  if (spec.operand === 'value' && blank(value)) return null
+  if (spec.operand === 'range') {
+    if (!Array.isArray(value) || value.length !== 2) return null
+    const [min, max] = value as [unknown, unknown]
+    // An open bound is a one-sided comparison
+    if (blank(min) && blank(max)) return null
+    if (blank(min)) return { [rule.field]: { $lte: max as number } }
+    if (blank(max)) return { [rule.field]: { $gte: min as number } }
+    return { [rule.field]: { $between: [min, max] } }
+  }
+  if (spec.operand === 'list' && (!Array.isArray(value) || value.length === 0)) return null
+
+  switch (rule.operator) {
+    case 'eq':
+      return { [rule.field]: value as string }
+    case 'ne':
+      return { [rule.field]: { $ne: value } }
+    case 'contains':
+      return { [rule.field]: { $like: String(value) } }
+    case 'not_contains':
+      return { [rule.field]: { $not: { $like: String(value) } } }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return { [rule.field]: { [`$${rule.operator}`]: value as number } }
+    case 'in':
+      return { [rule.field]: { $in: value as unknown[] } }
+    case 'not_in':
+      return { [rule.field]: { $nin: value as unknown[] } }
+    case 'empty':
+      return { [rule.field]: { $in: [null, ''] } }
+    case 'not_empty':
+      return { [rule.field]: { $nin: [null, ''] } }
+    default:
+      return null
+  }
+}
+
+/**
+ * Compile a group to a QueryObject (null when no rule is complete).
+ *
+ * An AND group whose conditions touch distinct keys is one flat object, the
+ * form every serializer accepts; otherwise it is `$and`. OR is `$or`.
+ */
+export function compileFilterGroup(group: FilterGroup): QueryObject | null {
+  const parts: QueryObject[] = []
+  for (const rule of group.rules) {
+    const part = isFilterGroup(rule) ? compileFilterGroup(rule) : compileRule(rule)
+    if (part) parts.push(part)
+  }
+  if (parts.length === 0) return null
+  if (parts.length === 1) return parts[0]!
+  if (group.logic === 'or') return { $or: parts }
+  return mergeQueries(...parts)
+}
+
+/**
+ * AND queries together: one object when their keys are distinct, `$and` otherwise
+ */
+export function mergeQueries(...queries: QueryObject[]): QueryObject {
+  const merged: QueryObject = {}
+  for (const query of queries) {
+    if (Object.keys(query).some((key) => key in merged)) return { $and: queries }
+    Object.assign(merged, query)
+  }
+  return merged
+}
+
+/**
+ * Number of rules in a group and its subgroups
+ */
+export function countFilterRules(group: FilterGroup | null | undefined): number {
+  if (!group) return 0
+  return group.rules.reduce((count, rule) => count + (isFilterGroup(rule) ? countFilterRules(rule) : 1), 0)
+}
+
+// ============ SERIALIZATION (URL, session) ============
+
+/**
+ * Group as a compact string for the URL (JSON)
+ */
+export function encodeFilterGroup(group: FilterGroup): string {
+  return JSON.stringify(group)
+}
+
+function parseGroup(data: unknown): FilterGroup | null {
+  if (!data || typeof data !== 'object') return null
+  const { logic, rules } = data as Partial<FilterGroup>
+  if ((logic !== 'and' && logic !== 'or') || !Array.isArray(rules)) return null
+
+  const parsed: Array<FilterRule | FilterGroup> = []
+  for (const rule of rules as unknown[]) {
+    if (rule && typeof rule === 'object' && 'rules' in rule) {
+      const sub = parseGroup(rule)
+      if (sub) parsed.push(sub)
+      continue
+    }
+    const { field, operator, value } = (rule ?? {}) as Partial<FilterRule>
+    if (typeof field !== 'string' || !operator || !(operator in FILTER_OPERATORS)) continue
+    parsed.push(value === undefined ? { field, operator } : { field, operator, value })
+  }
+  return { logic, rules: parsed }
+}
+
+/**
+ * Group from an encoded string or a stored object; null when it is not one.
+ * Unknown operators and malformed rules are dropped.
+ */
+export function decodeFilterGroup(source: unknown): FilterGroup | null {
+  if (typeof source !== 'string') return parseGroup(source)
+  try {
+    return parseGroup(JSON.parse(source))
+  } catch {
+    return null
+  }
+}
@@ -4,8 +4,11 @@
  * Provides client-side filtering with the same query syntax used for API calls.
  */
 
-export { QueryExecutor, getNestedValue } from './QueryExecutor'
-export type { QueryCondition, QueryOperators, QueryObject, QueryResult } from './QueryExecutor'
+export { QueryExecutor, QueryValidationError, getNestedValue, normalizeAggregateMetrics } from './QueryExecutor'
+export type { QueryCondition, QueryOperators, QueryObject, QueryResult, AggregateSpec } from './QueryExecutor'
+
+export { querySerializers, resolveQuerySerializer } from './serializers'
+export type { QuerySerializer } from './serializers'
 
 export { FilterQuery } from './FilterQuery'
 export type {
@@ -14,3 +17,23 @@ export type {
   ValueResolver,
   FilterQueryOptions,
 } from './FilterQuery'
+
+export {
+  FILTER_OPERATORS,
+  filterFieldKind,
+  filterOperatorsFor,
+  isFilterGroup,
+  compileFilterGroup,
+  mergeQueries,
+  countFilterRules,
+  encodeFilterGroup,
+  decodeFilterGroup,
+} from './filterGroup'
+export type {
+  FilterLogic,
+  FilterOperator,
+  FilterOperand,
+  FilterFieldKind,
+  FilterRule,
+  FilterGroup,
+} from './filterGroup'
@@ -0,0 +1,336 @@
+/**
+ * Query serializers - QueryObject → URL query params
+ *
+ * Server-side counterpart of QueryExecutor: ApiStorage (`querySerializer`
+ * option) turns the Mongo-like filters used for local filtering into the
+ * dialect of the API, so one QueryObject works in cache and API mode.
+ *
+ * Built-in dialects (`querySerializers`, add your own by name):
+ * - flat (default): filters passed through, one param per field
+ * - bracket: `price[gte]=10&status[in]=a,b`
+ * - colon: `price:gte=10&status:in=a,b` (operator on the left-hand side)
+ * - odata: `$filter=price ge 10 and status in ('a','b')`
+ * - rsql: `filter=price=ge=10;status=in=(a,b)` (RSQL/FIQL)
+ *
+ * An operator the dialect cannot express throws a QueryValidationError:
+ * dropping it would have the server return a wider result than asked.
+ *
+ * @example
+ * querySerializers.bracket({ price: { $gte: 10 }, status: ['a', 'b'] })
+ * // → { 'price[gte]': '10', 'status[in]': 'a,b' }
+ */
+import { QueryValidationError, type QueryObject } from './QueryExecutor'
+
+/**
+ * Turns a QueryObject into query params
+ */
+export type QuerySerializer = (query: QueryObject) => Record<string, unknown>
+
+type Operand = unknown
+type Condition = Array<[op: string, operand: Operand]>
+
+const LOGICAL = new Set(['$or', '$and', '$nor'])
+
+/**
+ * Normalize a field condition to [operator, operand] pairs
+ */
+function toOperators(condition: unknown): Condition {
+  if (condition instanceof RegExp) return [['$regex', condition]]
+  if (Array.isArray(condition)) return [['$in', condition]]
+  if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition as Record<string, unknown>)
+  }
+  return [['$eq', condition]]
+}
+
+function unsupported(dialect: string, op: string, field: string | null = null): QueryValidationError {
+  const where = field ? ` on '${field}'` : ''
+  return new QueryValidationError(`'${op}'${where} cannot be expressed as a ${dialect} query`, op, field)
+}
+
+/**
+ * Plain text of a scalar (Date as ISO 8601)
+ */
+function text(value: Operand): string {
+  if (value instanceof Date) return value.toISOString()
+  if (value === null || value === undefined) return 'null'
+  return String(value)
+}
+
+function regexSource(pattern: Operand, options?: Operand): { source: string; flags: string } {
+  if (pattern instanceof RegExp) return { source: pattern.source, flags: pattern.flags }
+  return { source: String(pattern), flags: typeof options === 'string' ? options : '' }
+}
+
+// ============ OPERATOR PARAMS (bracket, colon) ============
+
+const PARAM_OPERATORS: Record<string, string> = {
+  $ne: 'ne',
+  $gt: 'gt',
+  $gte: 'gte',
+  $lt: 'lt',
+  $lte: 'lte',
+  $in: 'in',
+  $nin: 'nin',
+  $like: 'like',
+  $between: 'between',
+  $exists: 'exists',
+  $contains: 'contains',
+  $all: 'all',
+  $size: 'size',
+  $regex: 'regex',
+}
+
+/**
+ * One param per field/operator, the key built by `key(field, operator)`.
+ * Equality stays `field=value`; lists are comma-joined.
+ */
+function createOperatorParamSerializer(
+  dialect: string,
+  key: (field: string, operator: string) => string
+): QuerySerializer {
+  const serialize = (query: QueryObject, params: Record<string, unknown> = {}): Record<string, unknown> => {
+    const set = (name: string, value: string, op: string, field: string | null): void => {
+      if (name in params) {
+        throw new QueryValidationError(`'${name}' is set twice in a ${dialect} query`, op, field)
+      }
+      params[name] = value
+    }
+
+    for (const [field, condition] of Object.entries(query)) {
+      if (condition === undefined) continue
+      if (field === '$and') {
+        // Conditions of separate fields add up: only key collisions are a problem
+        for (const sub of condition as QueryObject[]) serialize(sub, params)
+        continue
+      }
+      if (LOGICAL.has(field) || field.startsWith('$')) throw unsupported(dialect, field)
+
+      const operators = toOperators(condition)
+      for (const [op, operand] of operators) {
+        if (op === '$eq') {
+          set(field, text(operand), op, field)
+        } else if (op === '$options') {
+          // Sent along with $regex
+        } else if (op === '$regex') {
+          const { source, flags } = regexSource(
+            operand,
+            operators.find(([name]) => name === '$options')?.[1]
+          )
+          set(key(field, 'regex'), source, op, field)
+          if (flags) set(key(field, 'options'), flags, op, field)
+        } else if (PARAM_OPERATORS[op]) {
+          const value = Array.isArray(operand) ? operand.map(text).join(',') : text(operand)
+          set(key(field, PARAM_OPERATORS[op]), value, op, field)
+        } else {
+          throw unsupported(dialect, op, field)
+        }
+      }
+    }
+    return params
+  }
+  return (query) => serialize(query)
+}
+
+// ============ ODATA ============
+
+function odataLiteral(value: Operand): string {
+  if (value === null || value === undefined) return 'null'
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+function odataList(values: Operand): string {
+  if (!Array.isArray(values)) throw new QueryValidationError('OData lists expect an array', '$in')
+  return `(${values.map(odataLiteral).join(',')})`
+}
+
+const ODATA_COMPARISONS: Record<string, string> = {
+  $eq: 'eq',
+  $ne: 'ne',
+  $gt: 'gt',
+  $gte: 'ge',
+  $lt: 'lt',
+  $lte: 'le',
+}
+
+/**
+ * Boolean expression of a query; `prefix` scopes field paths inside any()
+ */
+function odataQuery(query: QueryObject, prefix = ''): string {
+  const parts: string[] = []
+  for (const [field, condition] of Object.entries(query)) {
+    if (condition === undefined) continue
+    if (LOGICAL.has(field)) {
+      const subs = (condition as QueryObject[]).map((sub) => odataQuery(sub, prefix))
+      if (field === '$and') parts.push(`(${subs.join(' and ')})`)
+      else if (field === '$or') parts.push(`(${subs.join(' or ')})`)
+      else parts.push(`not (${subs.join(' or ')})`)
+      continue
+    }
+    if (field.startsWith('$')) throw unsupported('OData', field)
+    parts.push(odataCondition(prefix + field.replace(/\./g, '/'), condition))
+  }
+  return parts.join(' and ')
+}
+
+function odataCondition(path: string, condition: unknown): string {
+  const operators = toOperators(condition)
+  const parts: string[] = []
+  for (const [op, operand] of operators) {
+    if (ODATA_COMPARISONS[op]) {
+      parts.push(`${path} ${ODATA_COMPARISONS[op]} ${odataLiteral(operand)}`)
+      continue
+    }
+    switch (op) {
+      case '$in':
+        parts.push(`${path} in ${odataList(operand)}`)
+        break
+      case '$nin':
+        parts.push(`not (${path} in ${odataList(operand)})`)
+        break
+      case '$between': {
+        const [min, max] = operand as [Operand, Operand]
+        parts.push(`(${path} ge ${odataLiteral(min)} and ${path} le ${odataLiteral(max)})`)
+        break
+      }
+      case '$like':
+        parts.push(`contains(tolower(${path}),${odataLiteral(String(operand).toLowerCase())})`)
+        break
+      case '$regex': {
+        const { source, flags } = regexSource(operand, operators.find(([name]) => name === '$options')?.[1])
+        parts.push(`matchesPattern(${path},${odataLiteral(flags.includes('i') ? `(?i)${source}` : source)})`)
+        break
+      }
+      case '$options':
+        break
+      case '$exists':
+        parts.push(`${path} ${operand ? 'ne' : 'eq'} null`)
+        break
+      case '$contains':
+        parts.push(`${path}/any(v: v eq ${odataLiteral(operand)})`)
+        break
+      case '$all':
+        parts.push(
+          `(${(operand as Operand[]).map((value) => `${path}/any(v: v eq ${odataLiteral(value)})`).join(' and ')})`
+        )
+        break
+      case '$size':
+        parts.push(`${path}/$count eq ${odataLiteral(operand)}`)
+        break
+      case '$elemMatch': {
+        const inner = operand as Record<string, unknown>
+        const onValues = Object.keys(inner).every((key) => key.startsWith('$') && !LOGICAL.has(key))
+        parts.push(`${path}/any(v: ${onValues ? odataCondition('v', inner) : odataQuery(inner as QueryObject, 'v/')})`)
+        break
+      }
+      case '$not':
+        parts.push(`not (${odataCondition(path, operand)})`)
+        break
+      default:
+        throw unsupported('OData', op, path)
+    }
+  }
+  return parts.join(' and ')
+}
+
+// ============ RSQL / FIQL ============
+
+const RSQL_COMPARISONS: Record<string, string> = {
+  $eq: '==',
+  $ne: '!=',
+  $gt: '=gt=',
+  $gte: '=ge=',
+  $lt: '=lt=',
+  $lte: '=le=',
+}
+
+const RSQL_RESERVED = /[\s'"();,=!~<>]/
+
+function rsqlArgument(value: Operand): string {
+  const raw = text(value)
+  if (raw !== '' && !RSQL_RESERVED.test(raw)) return raw
+  return `"${raw.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+function rsqlList(values: Operand): string {
+  if (!Array.isArray(values)) throw new QueryValidationError('RSQL lists expect an array', '$in')
+  return `(${values.map(rsqlArgument).join(',')})`
+}
+
+function rsqlQuery(query: QueryObject): string {
+  const parts: string[] = []
+  for (const [field, condition] of Object.entries(query)) {
+    if (condition === undefined) continue
+    if (field === '$and' || field === '$or') {
+      const subs = (condition as QueryObject[]).map(rsqlQuery)
+      parts.push(`(${subs.join(field === '$and' ? ';' : ',')})`)
+      continue
+    }
+    if (field.startsWith('$')) throw unsupported('RSQL', field)
+    for (const [op, operand] of toOperators(condition)) {
+      if (RSQL_COMPARISONS[op]) {
+        parts.push(`${field}${RSQL_COMPARISONS[op]}${rsqlArgument(operand)}`)
+        continue
+      }
+      switch (op) {
+        case '$in':
+          parts.push(`${field}=in=${rsqlList(operand)}`)
+          break
+        case '$nin':
+          parts.push(`${field}=out=${rsqlList(operand)}`)
+          break
+        case '$between': {
+          const [min, max] = operand as [Operand, Operand]
+          parts.push(`${field}=ge=${rsqlArgument(min)};${field}=le=${rsqlArgument(max)}`)
+          break
+        }
+        case '$like':
+          // Wildcards go unquoted: the operand cannot hold reserved characters
+          if (RSQL_RESERVED.test(text(operand))) throw unsupported('RSQL', op, field)
+          parts.push(`${field}==*${text(operand)}*`)
+          break
+        case '$exists':
+          parts.push(`${field}=isnull=${operand ? 'false' : 'true'}`)
+          break
+        default:
+          throw unsupported('RSQL', op, field)
+      }
+    }
+  }
+  return parts.join(';')
+}
+
+// ============ REGISTRY ============
+
+/**
+ * Query serializer registry - maps dialect names to serializers
+ */
+export const querySerializers: Record<string, QuerySerializer> = {
+  flat: (query) => ({ ...query }),
+  bracket: createOperatorParamSerializer('bracket', (field, op) => `${field}[${op}]`),
+  colon: createOperatorParamSerializer('colon', (field, op) => `${field}:${op}`),
+  odata: (query) => {
+    const filter = odataQuery(query)
+    return filter ? { $filter: filter } : {}
+  },
+  rsql: (query) => {
+    const filter = rsqlQuery(query)
+    return filter ? { filter } : {}
+  },
+}
+
+/**
+ * Resolve a serializer by dialect name (or pass a function through)
+ */
+export function resolveQuerySerializer(serializer: string | QuerySerializer): QuerySerializer {
+  if (typeof serializer === 'function') return serializer
+  const resolved = querySerializers[serializer]
+  if (!resolved) {
+    throw new Error(
+      `Unknown query serializer: "${serializer}". Available: ${Object.keys(querySerializers).join(', ')}`
+    )
+  }
+  return resolved
+}
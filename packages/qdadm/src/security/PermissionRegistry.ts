@@ -36,6 +36,8 @@ export interface RegisterEntityOptions {
   actions?: string[]
   hasOwnership?: boolean
   ownActions?: string[]
+  /** Guarded fields → field permissions (entity:name:field:salary:read) */
+  fields?: Record<string, Array<'read' | 'write'>>
 }
 
 /**
@@ -51,6 +53,7 @@ export type GroupedPermissions = Record<string, PermissionDefinition[]>
  *
  * Permission format: namespace:target:action
  * - entity:books:read     - Entity CRUD
+ * - entity:users:field:salary:read - Field-level (guarded fields)
  * - auth:impersonate      - System feature
  * - admin:config:edit     - Admin feature
  *
@@ -161,6 +164,53 @@ export class PermissionRegistry {
         module: options.module,
       })
     }
+
+    // Field permissions: one namespace per guarded field
+    for (const [field, fieldActions] of Object.entries(options.fields ?? {})) {
+      const fieldPermissions: Record<string, PermissionMeta> = {}
+      const ownFieldPermissions: Record<string, PermissionMeta> = {}
+
+      for (const action of fieldActions) {
+        fieldPermissions[action] = {
+          label: `${this._capitalize(action)} ${entityName} ${field}`,
+          description: `Can ${action} the ${field} field of ${entityName} records`,
+        }
+        ownFieldPermissions[action] = {
+          label: `${this._capitalize(action)} own ${entityName} ${field}`,
+          description: `Can ${action} the ${field} field of own ${entityName} records`,
+        }
+      }
+
+      this.register(`${entityName}:field:${field}`, fieldPermissions, {
+        isEntity: true,
+        module: options.module,
+      })
+      if (options.hasOwnership) {
+        this.register(`entity-own:${entityName}:field:${field}`, ownFieldPermissions, {
+          module: options.module,
+        })
+      }
+    }
+  }
+
+  /**
+   * Get field permissions grouped by entity, then field
+   *
+   * @example
+   * registry.getFieldPermissions()
+   * // { users: { salary: [{ key: 'entity:users:field:salary:read', ... }, ...] } }
+   */
+  getFieldPermissions(): Record<string, Record<string, PermissionDefinition[]>> {
+    const masks: Record<string, Record<string, PermissionDefinition[]>> = {}
+
+    for (const perm of this._permissions.values()) {
+      const match = /^entity:([^:]+):field:([^:]+)$/.exec(perm.namespace)
+      if (!match) continue
+      const entity = (masks[match[1]!] ??= {})
+      ;(entity[match[2]!] ??= []).push(perm)
+    }
+
+    return masks
   }
 
   /**
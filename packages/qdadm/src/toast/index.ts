@@ -7,6 +7,7 @@
  * Components:
  * - ToastBridgeModule: Registers ToastListener for handling signals
  * - ToastListener: Vue component that displays toasts via PrimeVue
+ * - UndoToast: toast group with an "Undo" button (toasts emitted with `{ undo: true }`)
  * - useSignalToast: Composable for emitting toast signals
  */
 
@@ -24,3 +25,5 @@ export {
 } from './useSignalToast'
 
 export { default as ToastListener } from './ToastListener.vue'
+export { default as UndoToast } from './UndoToast.vue'
+export { UNDO_TOAST_GROUP, undoFromToast, toastUndoResult } from './undo'
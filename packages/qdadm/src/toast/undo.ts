@@ -0,0 +1,47 @@
+/**
+ * Toast "Undo" action
+ *
+ * Success toasts emitted with `{ undo: true }` carry the id of the operation
+ * just recorded in the undo stack (`undoId`); listeners show them in the
+ * UNDO_TOAST_GROUP toast, whose "Undo" button calls undoFromToast().
+ */
+import type { UndoOperation, UndoStack } from '../entity/undo/UndoStack'
+import type { ToastLike } from '../entity/EntityManager.interface'
+
+/**
+ * PrimeVue Toast group rendering toasts with an "Undo" button (UndoToast)
+ */
+export const UNDO_TOAST_GROUP = 'qdadm-undo'
+
+/**
+ * Report the result of an undo/redo in a toast
+ */
+export function toastUndoResult(
+  toast: ToastLike | null | undefined,
+  direction: 'undo' | 'redo',
+  result: { operations?: UndoOperation[]; error?: unknown }
+): void {
+  if (result.error !== undefined) {
+    const message = (result.error as Error)?.message ?? String(result.error)
+    toast?.error(direction === 'undo' ? 'Undo failed' : 'Redo failed', message)
+    return
+  }
+  const labels = (result.operations ?? []).map((op) => op.label).join(', ')
+  if (labels) toast?.info(direction === 'undo' ? 'Undone' : 'Redone', labels)
+}
+
+/**
+ * Revert the operation `undoId` (and the newer ones) and toast the result
+ */
+export async function undoFromToast(
+  undoStack: UndoStack | null | undefined,
+  undoId: number,
+  toast?: ToastLike | null
+): Promise<void> {
+  if (!undoStack) return
+  try {
+    toastUndoResult(toast, 'undo', { operations: await undoStack.undoTo(undoId) })
+  } catch (error) {
+    toastUndoResult(toast, 'undo', { error })
+  }
+}
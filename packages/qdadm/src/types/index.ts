@@ -22,6 +22,12 @@ export interface ListParams {
   filters?: Record<string, unknown>
   sort_by?: string
   sort_order?: 'asc' | 'desc'
+  /** Opaque cursor from a previous ListResult (storages with supportsCursor) */
+  cursor?: string | null
+  /** Related records to embed: parent keys or reference fields ('author' → item.author) */
+  include?: string | string[]
+  /** Alias of `include` */
+  with?: string | string[]
   cacheSafe?: boolean
   [key: string]: unknown
 }
@@ -31,7 +37,52 @@ export interface ListParams {
  */
 export interface ListResult<T = EntityRecord> {
   items: T[]
-  total: number
+  /** Total matching records, null when the storage does not know it (cursor APIs) */
+  total: number | null
+  /** Cursor of the next page (null on the last page) */
+  nextCursor?: string | null
+  /** Cursor of the previous page (null on the first page) */
+  prevCursor?: string | null
+  /** Whether more records follow this page */
+  hasMore?: boolean
+  fromCache?: boolean
+  /** Served from an expired cache while it refreshes (staleWhileRevalidate) */
+  stale?: boolean
+}
+
+/**
+ * Aggregate functions: count rows (or non-null values of a field), or
+ * reduce a field
+ */
+export type AggregateFunction = 'count' | 'sum' | 'avg' | 'min' | 'max'
+
+/**
+ * One metric of an aggregate: 'count' (rows) or a function over a field
+ */
+export type AggregateMetric = 'count' | { fn: AggregateFunction; field?: string }
+
+/**
+ * Parameters for aggregate operations
+ */
+export interface AggregateParams {
+  /** Field(s) to group by (dot paths); none: one row over all records */
+  groupBy?: string | string[]
+  /** Output name → metric (default `{ count: 'count' }`) */
+  metrics?: Record<string, AggregateMetric>
+  /** Query applied before grouping (QueryExecutor syntax) */
+  filters?: Record<string, unknown>
+}
+
+/**
+ * One aggregate row: group values under their groupBy path, then the metrics
+ */
+export type AggregateRow = Record<string, unknown>
+
+/**
+ * Result of aggregate operations
+ */
+export interface AggregateResult {
+  rows: AggregateRow[]
   fromCache?: boolean
 }
 
@@ -45,6 +96,14 @@ export interface StorageCapabilities {
   supportsFilters: boolean
   supportsPagination: boolean
   supportsCaching: boolean
+  /** list() pages with opaque cursors (ListParams.cursor, ListResult.nextCursor/hasMore) */
+  supportsCursor?: boolean
+  /** aggregate() groups and reduces records server-side */
+  supportsAggregate?: boolean
+  /** list() embeds the related records named in ListParams.include */
+  supportsInclude?: boolean
+  /** list() filters take QueryExecutor operators, $or/$and included (record rule scopes) */
+  supportsQueryOperators?: boolean
   requiresAuth?: boolean
   searchFields?: string[]
   /** Cache TTL in milliseconds (0=disabled, -1=infinite, >0=TTL). Can be set dynamically from API headers. */
@@ -75,6 +134,11 @@ export type FieldType =
   | 'json'
   | string
 
+/**
+ * Field-level permission action (`entity:<name>:field:<field>:<access>`)
+ */
+export type FieldAccess = 'read' | 'write'
+
 /**
  * Field configuration
  */
@@ -98,6 +162,21 @@ export interface FieldConfig {
   sortable?: boolean
   filterable?: boolean
   searchable?: boolean
+  /**
+   * Guard the field with `entity:<name>:field:<field>:read|write` permissions
+   * (true: both). Unguarded fields follow the entity permissions only.
+   */
+  permissions?: boolean | FieldAccess[]
+  /**
+   * Computed field: derived from the record when read (list, get, cache),
+   * read-only in forms and never sent to the storage
+   */
+  compute?: (record: Record<string, unknown>) => unknown
+  /**
+   * Fields a computed field is derived from. Without `compute`, their values
+   * joined with a space: `fullName: { dependsOn: ['first_name', 'last_name'] }`
+   */
+  dependsOn?: string[]
   validator?: (value: unknown) => boolean | string
   [key: string]: unknown
 }
@@ -129,7 +208,14 @@ export interface ParentConfig {
  */
 export interface RelationConfig {
   entity: string
+  /** Join entity holding one record per link (many-to-many) */
   through?: string
+  /** Join field pointing at this entity (default `<singular name>_id`) */
+  localKey?: string
+  /** Join field pointing at the related entity (default `<singular entity>_id`) */
+  foreignKey?: string
+  /** Label for relation panels and fields */
+  label?: string
 }
 
 /**
@@ -271,8 +357,8 @@ export interface IStorage<T extends EntityRecord = EntityRecord> {
   list(params?: ListParams, context?: unknown): Promise<ListResult<T>>
   get(id: string | number, context?: unknown): Promise<T | null>
   create(data: Partial<T>): Promise<T>
-  update(id: string | number, data: Partial<T>): Promise<T>
-  patch?(id: string | number, data: Partial<T>): Promise<T>
+  update(id: string | number, data: Partial<T>, options?: WriteOptions): Promise<T>
+  patch?(id: string | number, data: Partial<T>, options?: WriteOptions): Promise<T>
   delete(id: string | number): Promise<void>
   request?(
     method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE',
@@ -280,6 +366,46 @@ export interface IStorage<T extends EntityRecord = EntityRecord> {
     options?: RequestOptions
   ): Promise<unknown>
   reset?(): void
+  /** Called once the owning EntityManager is registered (storages that read manager config) */
+  bindManager?(manager: unknown, orchestrator: unknown): void
+  /** Optimistic-lock token (ETag) seen on the last read or write of a record */
+  getVersionToken?(id: string | number): string | null
+  /** A record in the API's shape as get() would return it (records pushed by EntitySync) */
+  normalizeRecord?(data: unknown, context?: unknown): T
+  /** Run several writes in one round trip; one outcome per operation, in order */
+  batch?(operations: BatchOperation<T>[]): Promise<BatchOutcome<T>[]>
+  /** Group and reduce records (storages with supportsAggregate) */
+  aggregate?(params: AggregateParams, context?: unknown): Promise<AggregateResult>
+}
+
+/**
+ * One write sent to IStorage.batch()
+ */
+export interface BatchOperation<T extends EntityRecord = EntityRecord> {
+  action: 'create' | 'update' | 'patch' | 'delete'
+  /** Target id (update/patch/delete) */
+  id?: string | number
+  /** Record (create/update) or changes (patch) */
+  data?: Partial<T>
+  options?: WriteOptions
+}
+
+/**
+ * Outcome of one batch operation
+ */
+export interface BatchOutcome<T extends EntityRecord = EntityRecord> {
+  ok: boolean
+  /** Stored record (create/update/patch) */
+  record?: T | null
+  error?: unknown
+}
+
+/**
+ * Options for storage writes
+ */
+export interface WriteOptions {
+  /** Lock token the stored record must still match (sent as If-Match by ApiStorage) */
+  ifMatch?: string
 }
 
 /**
@@ -0,0 +1,345 @@
+/**
+ * List export serializers: CSV, JSON and XLSX
+ *
+ * Rows are exported through columns: the header is the column label, the
+ * value is the column `body` formatter output when it has one, the raw
+ * field value otherwise (dotted paths read nested values).
+ *
+ * XLSX files are written without a spreadsheet library: one sheet of inline
+ * strings, numbers and booleans in an uncompressed zip.
+ *
+ * Usage:
+ *   const csv = toCsv(rows, [{ field: 'title', header: 'Title' }])
+ *   downloadExport(new Blob([csv], { type: EXPORT_MIME_TYPES.csv }), 'books.csv')
+ */
+
+export type ExportFormat = 'csv' | 'json' | 'xlsx'
+
+export const EXPORT_FORMATS: readonly ExportFormat[] = ['csv', 'json', 'xlsx']
+
+export const EXPORT_MIME_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+/**
+ * Exported column
+ */
+export interface ExportColumn {
+  field: string
+  header: string
+  body?: (row: unknown) => unknown
+}
+
+// =============================================================================
+// CELL VALUES
+// =============================================================================
+
+function readPath(row: unknown, path: string): unknown {
+  let value: unknown = row
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined
+    value = (value as Record<string, unknown>)[key]
+  }
+  return value
+}
+
+/**
+ * Value of a column for a row: the `body` formatter output, or the field value
+ */
+export function exportCell(row: unknown, column: ExportColumn): unknown {
+  if (column.body) return column.body(row)
+  const record = row as Record<string, unknown>
+  return column.field in (record ?? {}) ? record[column.field] : readPath(row, column.field)
+}
+
+/**
+ * Cell value as text (null → '', dates as ISO, objects as JSON)
+ */
+function cellText(value: unknown): string {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString()
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+export interface CsvOptions {
+  /** Field delimiter (default: ',') */
+  delimiter?: string
+}
+
+/**
+ * Serialize rows as CSV (RFC 4180, CRLF line endings).
+ * Text starting with `=`, `+`, `-`, `@` or a control character is prefixed with
+ * a quote so spreadsheets do not evaluate it as a formula.
+ */
+export function toCsv(rows: unknown[], columns: ExportColumn[], options: CsvOptions = {}): string {
+  const { delimiter = ',' } = options
+
+  const escape = (value: unknown): string => {
+    let text = cellText(value)
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`
+    }
+    return text
+  }
+
+  const lines = [columns.map((col) => escape(col.header)).join(delimiter)]
+  for (const row of rows) {
+    lines.push(columns.map((col) => escape(exportCell(row, col))).join(delimiter))
+  }
+  return lines.join('\r\n') + '\r\n'
+}
+
+// =============================================================================
+// JSON
+// =============================================================================
+
+/**
+ * Serialize rows as a JSON array of objects keyed by column field
+ */
+export function toJson(rows: unknown[], columns: ExportColumn[]): string {
+  const objects = rows.map((row) =>
+    Object.fromEntries(columns.map((col) => [col.field, exportCell(row, col) ?? null]))
+  )
+  return JSON.stringify(objects, null, 2)
+}
+
+// =============================================================================
+// XLSX
+// =============================================================================
+
+export interface XlsxOptions {
+  /** Worksheet name (default: 'Export') */
+  sheetName?: string
+}
+
+// Characters XML 1.0 does not allow, even escaped
+// eslint-disable-next-line no-control-regex
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+
+function xmlEscape(text: string): string {
+  return text
+    .replace(XML_INVALID, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Column letters of a 0-based index: 0 → A, 26 → AA
+ */
+function columnRef(index: number): string {
+  let ref = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    ref = String.fromCharCode(65 + ((n - 1) % 26)) + ref
+  }
+  return ref
+}
+
+function xlsxCell(value: unknown, ref: string): string {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`
+  }
+  const text = cellText(value)
+  if (text === '') return ''
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`
+}
+
+function xlsxSheet(rows: unknown[], columns: ExportColumn[]): string {
+  const xmlRows: string[] = []
+  const addRow = (values: unknown[]): void => {
+    const r = xmlRows.length + 1
+    const cells = values.map((value, i) => xlsxCell(value, `${columnRef(i)}${r}`)).join('')
+    xmlRows.push(`<row r="${r}">${cells}</row>`)
+  }
+  addRow(columns.map((col) => col.header))
+  for (const row of rows) addRow(columns.map((col) => exportCell(row, col)))
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${xmlRows.join('')}</sheetData></worksheet>`
+  )
+}
+
+/**
+ * Serialize rows as an XLSX workbook (one worksheet)
+ */
+export function toXlsx(rows: unknown[], columns: ExportColumn[], options: XlsxOptions = {}): Uint8Array {
+  // Sheet names: 31 characters at most, none of []:*?/\
+  const sheetName = (options.sheetName || 'Export').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31)
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+  const pkgRelNs = 'http://schemas.openxmlformats.org/package/2006/relationships'
+
+  return zipStore([
+    {
+      name: '[Content_Types].xml',
+      content:
+        xmlHeader +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content:
+        xmlHeader +
+        `<Relationships xmlns="${pkgRelNs}">` +
+        `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content:
+        xmlHeader +
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relNs}">` +
+        `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content:
+        xmlHeader +
+        `<Relationships xmlns="${pkgRelNs}">` +
+        `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        '</Relationships>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: xlsxSheet(rows, columns) },
+  ])
+}
+
+// =============================================================================
+// ZIP (stored, no compression)
+// =============================================================================
+
+let crcTable: Uint32Array | null = null
+
+function crc32(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff]! ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Build a zip archive of uncompressed entries
+ */
+function zipStore(entries: Array<{ name: string; content: string }>): Uint8Array {
+  const encoder = new TextEncoder()
+  const locals: Uint8Array[] = []
+  const centrals: Uint8Array[] = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name)
+    const data = encoder.encode(entry.content)
+    const crc = crc32(data)
+
+    const local = new Uint8Array(30 + name.length + data.length)
+    const lv = new DataView(local.buffer)
+    lv.setUint32(0, 0x04034b50, true) // local file header signature
+    lv.setUint16(4, 20, true) // version needed
+    lv.setUint16(6, 0x0800, true) // UTF-8 names
+    lv.setUint16(8, 0, true) // stored
+    lv.setUint16(12, 0x21, true) // date: 1980-01-01
+    lv.setUint32(14, crc, true)
+    lv.setUint32(18, data.length, true)
+    lv.setUint32(22, data.length, true)
+    lv.setUint16(26, name.length, true)
+    local.set(name, 30)
+    local.set(data, 30 + name.length)
+
+    const central = new Uint8Array(46 + name.length)
+    const cv = new DataView(central.buffer)
+    cv.setUint32(0, 0x02014b50, true) // central directory signature
+    cv.setUint16(4, 20, true) // version made by
+    cv.setUint16(6, 20, true) // version needed
+    cv.setUint16(8, 0x0800, true)
+    cv.setUint16(10, 0, true)
+    cv.setUint16(14, 0x21, true)
+    cv.setUint32(16, crc, true)
+    cv.setUint32(20, data.length, true)
+    cv.setUint32(24, data.length, true)
+    cv.setUint16(28, name.length, true)
+    cv.setUint32(42, offset, true)
+    central.set(name, 46)
+
+    locals.push(local)
+    centrals.push(central)
+    offset += local.length
+  }
+
+  const centralSize = centrals.reduce((size, part) => size + part.length, 0)
+  const end = new Uint8Array(22)
+  const ev = new DataView(end.buffer)
+  ev.setUint32(0, 0x06054b50, true) // end of central directory signature
+  ev.setUint16(8, entries.length, true)
+  ev.setUint16(10, entries.length, true)
+  ev.setUint32(12, centralSize, true)
+  ev.setUint32(16, offset, true)
+
+  const zip = new Uint8Array(offset + centralSize + end.length)
+  let position = 0
+  for (const part of [...locals, ...centrals, end]) {
+    zip.set(part, position)
+    position += part.length
+  }
+  return zip
+}
+
+// =============================================================================
+// FILE
+// =============================================================================
+
+/**
+ * Serialize rows in a format, as a Blob ready to download.
+ * CSV starts with a byte order mark so spreadsheets read it as UTF-8.
+ */
+export function exportBlob(
+  rows: unknown[],
+  columns: ExportColumn[],
+  format: ExportFormat,
+  options: CsvOptions & XlsxOptions = {}
+): Blob {
+  const type = EXPORT_MIME_TYPES[format]
+  if (format === 'csv') return new Blob(['\uFEFF', toCsv(rows, columns, options)], { type })
+  if (format === 'json') return new Blob([toJson(rows, columns)], { type })
+  return new Blob([toXlsx(rows, columns, options) as BlobPart], { type })
+}
+
+/**
+ * Save a Blob as a file through a temporary download link
+ */
+export function downloadExport(blob: Blob, filename: string): void {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.style.display = 'none'
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
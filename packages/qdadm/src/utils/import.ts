@@ -0,0 +1,214 @@
+/**
+ * List import parsers: CSV and JSON files to rows of source values
+ *
+ * A parsed file is its source columns (CSV header, JSON keys) and one object
+ * per row keyed by those columns. Mapping the columns to entity fields and
+ * validating the values is left to the import wizard (useListPage).
+ *
+ * Usage:
+ *   const { columns, rows } = parseImportFile('books.csv', text)
+ *   const mapping = autoMapColumns(columns, [{ name: 'title', label: 'Title' }])
+ */
+
+export type ImportFileFormat = 'csv' | 'json'
+
+/**
+ * Parsed import file
+ */
+export interface ImportFile {
+  format: ImportFileFormat
+  columns: string[]
+  rows: Array<Record<string, unknown>>
+}
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+export interface CsvParseOptions {
+  /** Field delimiter (default: detected among `,` `;` and tab) */
+  delimiter?: string
+}
+
+/**
+ * Delimiter of the header line: the most frequent of `,` `;` and tab
+ */
+function detectDelimiter(text: string): string {
+  const header = text.slice(0, text.search(/\r?\n|$/))
+  let best = ','
+  let bestCount = 0
+  for (const candidate of [',', ';', '\t']) {
+    const count = header.split(candidate).length - 1
+    if (count > bestCount) {
+      best = candidate
+      bestCount = count
+    }
+  }
+  return best
+}
+
+/**
+ * Split CSV text into records of cells (RFC 4180: quoted cells may hold
+ * delimiters, doubled quotes and line breaks)
+ */
+function splitCsv(text: string, delimiter: string): string[][] {
+  const records: string[][] = []
+  let record: string[] = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]!
+    if (quoted) {
+      if (char !== '"') cell += char
+      else if (text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else quoted = false
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(cell)
+      records.push(record)
+      record = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted cell')
+  if (cell !== '' || record.length > 0) {
+    record.push(cell)
+    records.push(record)
+  }
+  // Blank lines carry no row
+  return records.filter((cells) => cells.length > 1 || cells[0] !== '')
+}
+
+/**
+ * Parse CSV text with a header line
+ */
+export function parseCsv(text: string, options: CsvParseOptions = {}): ImportFile {
+  const source = text.replace(/^\uFEFF/, '')
+  const [header = [], ...records] = splitCsv(source, options.delimiter ?? detectDelimiter(source))
+  const columns = header.map((name, i) => name.trim() || `column_${i + 1}`)
+
+  const rows = records.map((cells) =>
+    Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']))
+  )
+  return { format: 'csv', columns, rows }
+}
+
+// =============================================================================
+// JSON
+// =============================================================================
+
+/**
+ * Parse a JSON array of objects (or an `{ items: [...] }` envelope).
+ * Columns are the keys of all the objects, in order of appearance.
+ */
+export function parseJson(text: string): ImportFile {
+  let data = JSON.parse(text.replace(/^\uFEFF/, '')) as unknown
+  if (data && !Array.isArray(data) && typeof data === 'object') {
+    data = (data as { items?: unknown }).items
+  }
+  if (!Array.isArray(data)) throw new Error('Expected an array of objects')
+
+  const columns = new Set<string>()
+  const rows = data.map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`Item ${i + 1} is not an object`)
+    }
+    for (const key of Object.keys(item)) columns.add(key)
+    return item as Record<string, unknown>
+  })
+  return { format: 'json', columns: [...columns], rows }
+}
+
+/**
+ * Parse a file by its extension, or by its content without one
+ */
+export function parseImportFile(name: string, text: string): ImportFile {
+  const extension = name.split('.').pop()?.toLowerCase()
+  if (extension === 'json' || (extension !== 'csv' && /^\s*[[{]/.test(text.replace(/^\uFEFF/, '')))) {
+    return parseJson(text)
+  }
+  return parseCsv(text)
+}
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+const normalizeName = (name: string): string => name.toLowerCase().replace(/[\s_-]+/g, '')
+
+/**
+ * Map source columns to the fields of the same name or label
+ * (case, spaces, dashes and underscores ignored); the others map to null
+ */
+export function autoMapColumns(
+  columns: string[],
+  fields: Array<{ name: string; label?: string }>
+): Record<string, string | null> {
+  const byName = new Map<string, string>()
+  for (const field of fields) {
+    byName.set(normalizeName(field.name), field.name)
+    if (field.label && !byName.has(normalizeName(field.label))) {
+      byName.set(normalizeName(field.label), field.name)
+    }
+  }
+  return Object.fromEntries(columns.map((column) => [column, byName.get(normalizeName(column)) ?? null]))
+}
+
+// =============================================================================
+// VALUES
+// =============================================================================
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'on']
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'off']
+
+/**
+ * Convert a source value to a field type. CSV gives strings: numbers,
+ * booleans and JSON (array/object) are parsed, an empty cell of a typed
+ * field is null. A string that does not convert is returned as is, for the
+ * validators to report.
+ */
+export function coerceImportValue(value: unknown, type = 'text'): unknown {
+  if (typeof value !== 'string') return value
+  const text = value.trim()
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+    case 'float':
+      return text === '' ? null : isNaN(Number(text)) ? value : Number(text)
+    case 'boolean':
+    case 'checkbox': {
+      if (text === '') return null
+      const lower = text.toLowerCase()
+      if (TRUE_VALUES.includes(lower)) return true
+      if (FALSE_VALUES.includes(lower)) return false
+      return value
+    }
+    case 'array':
+    case 'object':
+    case 'json':
+      if (text === '') return null
+      try {
+        return JSON.parse(text)
+      } catch {
+        return value
+      }
+    case 'date':
+    case 'datetime':
+    case 'select':
+    case 'dropdown':
+      return text === '' ? null : text
+    default:
+      return value
+  }
+}
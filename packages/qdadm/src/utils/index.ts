@@ -24,6 +24,34 @@ export { formatFetchError, type FetchErrorLike } from './errors'
 // Field-name humanization
 export { humanizeFieldName } from './humanize'
 
+// List export (CSV, JSON, XLSX)
+export {
+  EXPORT_FORMATS,
+  EXPORT_MIME_TYPES,
+  exportCell,
+  toCsv,
+  toJson,
+  toXlsx,
+  exportBlob,
+  downloadExport,
+  type ExportFormat,
+  type ExportColumn,
+  type CsvOptions,
+  type XlsxOptions,
+} from './export'
+
+// List import (CSV, JSON)
+export {
+  parseCsv,
+  parseJson,
+  parseImportFile,
+  autoMapColumns,
+  coerceImportValue,
+  type ImportFile,
+  type ImportFileFormat,
+  type CsvParseOptions,
+} from './import'
+
 // Transformers
 export {
   toKeyValueArray,
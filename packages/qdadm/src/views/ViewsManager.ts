@@ -0,0 +1,47 @@
+/**
+ * ViewsManager - System entity manager for saved list views
+ *
+ * The `views` entity behind EntityViewsProvider. Storage is pluggable:
+ * MemoryStorage by default, an ApiStorage to keep views server-side and
+ * share them across devices.
+ */
+
+import { EntityManager } from '../entity/EntityManager'
+import { MemoryStorage } from '../entity/storage/MemoryStorage'
+import type { IStorage } from '../types'
+import type { ListView } from './ViewsProvider'
+
+/**
+ * Options for ViewsManager
+ */
+export interface ViewsManagerOptions {
+  /** Storage of the views (default: MemoryStorage) */
+  storage?: IStorage<ListView> | null
+  [key: string]: unknown
+}
+
+export class ViewsManager extends EntityManager<ListView> {
+  constructor(options: ViewsManagerOptions = {}) {
+    const { storage = null, ...rest } = options
+
+    super({
+      name: 'views',
+      label: 'View',
+      labelPlural: 'Views',
+      labelField: 'name',
+      system: true,
+      // A view is a preference, not business data
+      undoable: false,
+      fields: {
+        name: { type: 'text', label: 'Name', required: true },
+        entity: { type: 'text', label: 'List' },
+        owner: { type: 'text', label: 'Owner' },
+        roles: { type: 'array', label: 'Published to' },
+        state: { type: 'json', label: 'State' },
+        updatedAt: { type: 'datetime', label: 'Updated' },
+      },
+      storage: storage ?? new MemoryStorage<ListView>(),
+      ...rest,
+    })
+  }
+}
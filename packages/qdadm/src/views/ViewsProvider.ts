@@ -0,0 +1,211 @@
+/**
+ * Saved list views - named presets of a list page state
+ *
+ * A view keeps what the user set on a list: search, filters, advanced
+ * filter, sort, visible columns and page size. Views are private to their
+ * owner until published to roles: providers list the views of a viewer
+ * only, and a shared backend must apply the same rule (see EntityViewsProvider).
+ *
+ * Providers store them:
+ * - LocalStorageViewsProvider (default): this browser only
+ * - EntityViewsProvider: an EntityManager (`views` entity, e.g. ViewsManager
+ *   on an ApiStorage), to keep views across devices and share them
+ */
+
+import type { EntityRecord } from '../types'
+import type { FilterGroup } from '../query/filterGroup'
+import { defaultGenerateId } from '../query/clientFilter'
+
+/**
+ * List page state saved in a view
+ */
+export interface ListViewState {
+  search?: string
+  /** Filter values (non-empty ones) */
+  filters?: Record<string, unknown>
+  /** Advanced filter (AND/OR groups) */
+  where?: FilterGroup | null
+  sort?: { field: string | null; order: 1 | -1 } | null
+  /** Visible columns, in order (null: all) */
+  columns?: string[] | null
+  pageSize?: number
+}
+
+/**
+ * Named view of a list
+ */
+export interface ListView extends EntityRecord {
+  id: string
+  /** List the view belongs to (entity name) */
+  entity: string
+  name: string
+  state: ListViewState
+  /** Creator (user id or username), null without auth */
+  owner?: string | number | null
+  /** Roles the view is published to (empty: private to its owner) */
+  roles?: string[]
+  /** ISO 8601 */
+  updatedAt?: string
+}
+
+/**
+ * View to save: without id it is created
+ */
+export interface ListViewInput {
+  id?: string
+  entity: string
+  name: string
+  state: ListViewState
+  owner?: string | number | null
+  roles?: string[]
+}
+
+/**
+ * User listing the views: their id and the roles they hold
+ */
+export interface ViewsViewer {
+  owner: string | number | null
+  roles: string[]
+}
+
+/**
+ * Storage contract of saved views
+ */
+export interface ViewsProvider {
+  /** Views of a list the viewer owns or holds a role of (every view without viewer) */
+  list(entity: string, viewer?: ViewsViewer | null): Promise<ListView[]>
+  save(view: ListViewInput): Promise<ListView>
+  remove(id: string): Promise<void>
+}
+
+/**
+ * Whether the viewer owns a view or holds one of the roles it is published to
+ */
+export function isViewVisible(view: ListView, viewer: ViewsViewer): boolean {
+  if (viewer.owner !== null && view.owner != null && String(view.owner) === String(viewer.owner)) return true
+  return (view.roles ?? []).some((role) => viewer.roles.includes(role))
+}
+
+/**
+ * LocalStorageViewsProvider - views of every list in one localStorage key
+ */
+export class LocalStorageViewsProvider implements ViewsProvider {
+  readonly key: string
+
+  constructor(options: { key?: string } = {}) {
+    this.key = options.key ?? 'qdadm_views'
+  }
+
+  private _read(): ListView[] {
+    try {
+      const stored = localStorage.getItem(this.key)
+      const views = stored ? (JSON.parse(stored) as unknown) : []
+      return Array.isArray(views) ? (views as ListView[]) : []
+    } catch {
+      return []
+    }
+  }
+
+  private _write(views: ListView[]): void {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(views))
+    } catch {
+      // Ignore storage errors (quota exceeded, disabled by user, …).
+    }
+  }
+
+  async list(entity: string, viewer?: ViewsViewer | null): Promise<ListView[]> {
+    return this._read().filter((view) => view.entity === entity && (!viewer || isViewVisible(view, viewer)))
+  }
+
+  async save(view: ListViewInput): Promise<ListView> {
+    const views = this._read()
+    const saved: ListView = { ...view, id: view.id ?? defaultGenerateId(), updatedAt: new Date().toISOString() }
+    const index = views.findIndex((existing) => existing.id === saved.id)
+    if (index >= 0) views[index] = saved
+    else views.push(saved)
+    this._write(views)
+    return saved
+  }
+
+  async remove(id: string): Promise<void> {
+    this._write(this._read().filter((view) => view.id !== id))
+  }
+}
+
+/**
+ * Manager-like the entity provider writes through (EntityManager)
+ */
+export interface ViewsManagerLike {
+  readonly idField: string
+  list(params?: unknown): Promise<{ items: unknown[] }>
+  create(data: unknown): Promise<unknown>
+  update(id: string | number, data: unknown): Promise<unknown>
+  delete(id: string | number): Promise<void>
+}
+
+/**
+ * Most views listed for one list
+ */
+const VIEWS_PAGE_SIZE = 1000
+
+/**
+ * EntityViewsProvider - views as records of an entity
+ *
+ * Writes go through the manager, so its storage, permissions, hooks and
+ * signals apply. The manager is resolved on each call: pass a getter when
+ * it registers after the provider is built.
+ *
+ * Given a viewer, list() asks for their views only: `{ entity, owner }`, then
+ * `{ entity, roles: { $in: roles } }` for the published ones. A shared
+ * backend must enforce that rule itself on the `views` entity (owner or
+ * published to a role of the authenticated user), whatever the filters:
+ * the client filtering only narrows what the server already allowed.
+ */
+export class EntityViewsProvider implements ViewsProvider {
+  private _getManager: () => ViewsManagerLike
+
+  constructor(manager: ViewsManagerLike | (() => ViewsManagerLike)) {
+    this._getManager = typeof manager === 'function' ? manager : () => manager
+  }
+
+  private _toView(record: unknown): ListView {
+    const data = record as Record<string, unknown>
+    const manager = this._getManager()
+    return { ...(data as unknown as ListView), id: String(data[manager.idField]) }
+  }
+
+  async list(entity: string, viewer?: ViewsViewer | null): Promise<ListView[]> {
+    const manager = this._getManager()
+    const queries: Array<Record<string, unknown>> = []
+    if (!viewer) queries.push({ entity })
+    else {
+      if (viewer.owner !== null) queries.push({ entity, owner: viewer.owner })
+      if (viewer.roles.length > 0) queries.push({ entity, roles: { $in: viewer.roles } })
+    }
+    const pages = await Promise.all(queries.map((filters) => manager.list({ filters, page_size: VIEWS_PAGE_SIZE })))
+
+    const views = new Map<string, ListView>()
+    for (const { items } of pages) {
+      for (const item of items) {
+        const view = this._toView(item)
+        // Storages may match filters loosely (substring): keep exact matches only
+        if (view.entity !== entity || (viewer && !isViewVisible(view, viewer))) continue
+        views.set(view.id, view)
+      }
+    }
+    return [...views.values()]
+  }
+
+  async save(view: ListViewInput): Promise<ListView> {
+    const manager = this._getManager()
+    const { id, ...data } = view
+    const record = { ...data, updatedAt: new Date().toISOString() }
+    const saved = id ? await manager.update(id, record) : await manager.create(record)
+    return this._toView(saved)
+  }
+
+  async remove(id: string): Promise<void> {
+    await this._getManager().delete(id)
+  }
+}
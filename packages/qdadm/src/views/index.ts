@@ -0,0 +1,30 @@
+/**
+ * Saved views - Named, shareable presets of list pages
+ *
+ * Provides:
+ * - ViewsProvider: storage contract of the views
+ * - LocalStorageViewsProvider: default provider (this browser)
+ * - EntityViewsProvider: views as records of an entity
+ * - ViewsManager: system entity manager (`views`) for EntityViewsProvider
+ *
+ * @example
+ * const kernel = new Kernel({
+ *   managers: { views: new ViewsManager({ storage: new ApiStorage({ endpoint: '/views' }) }) },
+ *   views: { provider: 'entity' },
+ * })
+ *
+ * // In a list page
+ * list.addViewSwitcher()
+ */
+
+export {
+  LocalStorageViewsProvider,
+  EntityViewsProvider,
+  type ListView,
+  type ListViewInput,
+  type ListViewState,
+  type ViewsProvider,
+  type ViewsManagerLike,
+  type ViewsViewer,
+} from './ViewsProvider'
+export { ViewsManager, type ViewsManagerOptions } from './ViewsManager'
@@ -0,0 +1,62 @@
+/**
+ * Local WebSocket echo server for tests (Node only, `ws` dev dependency).
+ *
+ * Sends every frame back to the client that sent it, and lets the test
+ * push frames to all clients (`broadcast`), standing for a server event.
+ *
+ *   const server = await startEchoServer()       // random free port
+ *   new WebSocketBridge({ signals, url: server.url, autoConnect: true })
+ *   server.broadcast({ event: 'entity-sync', data: { entity: 'books', op: 'delete', id: 1 } })
+ *   await server.close()
+ */
+import { WebSocketServer } from 'ws'
+
+/**
+ * @param {{ port?: number, host?: string }} [options] - port 0 (default) picks a free one
+ */
+export function startEchoServer(options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options
+  const server = new WebSocketServer({ port, host })
+  const sockets = new Set()
+  const waiters = []
+
+  server.on('connection', (socket) => {
+    sockets.add(socket)
+    socket.on('message', (data, isBinary) => socket.send(data, { binary: isBinary }))
+    socket.on('close', () => sockets.delete(socket))
+    for (const waiter of [...waiters]) {
+      if (sockets.size >= waiter.count) {
+        waiters.splice(waiters.indexOf(waiter), 1)
+        waiter.resolve()
+      }
+    }
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.once('listening', () => {
+      const actualPort = server.address().port
+      resolve({
+        url: `ws://${host}:${actualPort}`,
+        port: actualPort,
+        get clients() {
+          return sockets.size
+        },
+        /** Send a frame to every client (objects are JSON-encoded) */
+        broadcast(data) {
+          const frame = typeof data === 'string' ? data : JSON.stringify(data)
+          for (const socket of sockets) socket.send(frame)
+        },
+        /** Resolves once `count` clients are connected */
+        waitForClients(count = 1) {
+          if (sockets.size >= count) return Promise.resolve()
+          return new Promise((done) => waiters.push({ count, resolve: done }))
+        },
+        close() {
+          for (const socket of sockets) socket.terminate()
+          return new Promise((done, fail) => server.close((err) => (err ? fail(err) : done())))
+        },
+      })
+    })
+  })
+}
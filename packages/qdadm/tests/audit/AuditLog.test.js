@@ -0,0 +1,127 @@
+/**
+ * Audit trail — AuditLog recording the changes of `audit: true` managers,
+ * EntityManager.getHistory() and restoreVersion().
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/index'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+import { createHookRegistry } from '../../src/hooks/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+import { AuditLog, AuditManager, diffRecords } from '../../src/audit/index'
+
+function setup({ audit = true, user = { id: 7, username: 'alice' } } = {}) {
+  const signals = createSignalBus()
+  const hooks = createHookRegistry()
+  const books = new EntityManager({
+    name: 'books',
+    audit,
+    storage: new MemoryStorage({ initialData: [{ id: 1, title: 'Dune', year: 1965 }] }),
+  })
+  const auditManager = new AuditManager()
+  const orchestrator = new Orchestrator({ signals, hooks, managers: { books, audit: auditManager } })
+  const log = new AuditLog({
+    manager: auditManager,
+    getUser: () => user,
+    getManager: (name) => orchestrator.get(name),
+  })
+  log.bind(hooks, signals)
+  orchestrator.auditLog = log
+  return { books, auditManager, log }
+}
+
+describe('diffRecords', () => {
+  it('lists changed fields, ignoring internal keys', () => {
+    expect(diffRecords({ a: 1, b: [1], _v: 1 }, { a: 1, b: [2], c: 'x', _v: 2 })).toEqual({
+      b: { from: [1], to: [2] },
+      c: { from: undefined, to: 'x' },
+    })
+  })
+})
+
+describe('AuditLog', () => {
+  let ctx
+
+  beforeEach(() => {
+    ctx = setup()
+  })
+
+  it('records creates and updates with who, when and a field diff', async () => {
+    const { books } = ctx
+    const created = await books.create({ title: 'Emma', year: 1815 })
+    await books.patch(created.id, { year: 1816 })
+
+    const history = await books.getHistory(created.id)
+
+    expect(history.map((e) => [e.version, e.action])).toEqual([[1, 'create'], [2, 'update']])
+    expect(history[0]).toMatchObject({ entity: 'books', entityId: String(created.id), userId: 7, userName: 'alice' })
+    expect(history[0].changes.title).toEqual({ from: undefined, to: 'Emma' })
+    expect(history[1].changes.year).toEqual({ from: 1815, to: 1816 })
+    expect(history[1].changes.title).toBeUndefined()
+    expect(history[1].snapshot).toMatchObject({ title: 'Emma', year: 1816 })
+    expect(Date.parse(history[1].timestamp)).not.toBeNaN()
+  })
+
+  it('diffs the first audited update against the stored record', async () => {
+    const { books } = ctx
+    await books.update(1, { title: 'Dune Messiah', year: 1965 })
+
+    const [entry] = await books.getHistory(1)
+
+    expect(entry.action).toBe('update')
+    expect(entry.changes.title).toEqual({ from: 'Dune', to: 'Dune Messiah' })
+    expect(entry.changes.year).toBeUndefined()
+  })
+
+  it('records deletes without a snapshot', async () => {
+    const { books } = ctx
+    await books.delete(1)
+
+    // Written on the entity:deleted signal, dispatched asynchronously
+    const entry = await vi.waitFor(async () => {
+      const [first] = await books.getHistory(1)
+      expect(first).toBeDefined()
+      return first
+    })
+
+    expect(entry).toMatchObject({ action: 'delete', snapshot: null })
+    expect(entry.changes.title).toEqual({ from: 'Dune', to: undefined })
+  })
+
+  it('restores a version and records it as a restore', async () => {
+    const { books } = ctx
+    await books.patch(1, { title: 'Dune (draft)' })
+    await books.patch(1, { title: 'Dune (final)' })
+
+    const restored = await books.restoreVersion(1, 1)
+    const history = await books.getHistory(1)
+
+    expect(restored.title).toBe('Dune (draft)')
+    expect(history[2]).toMatchObject({ version: 3, action: 'restore', restoredFrom: 1 })
+    expect(history[2].changes.title).toEqual({ from: 'Dune (final)', to: 'Dune (draft)' })
+    await expect(books.restoreVersion(1, 9)).rejects.toThrow('No version 9')
+  })
+
+  it('ignores managers without audit: true', async () => {
+    const { books, auditManager } = setup({ audit: false })
+    await books.patch(1, { title: 'Other' })
+
+    expect((await auditManager.list()).items).toHaveLength(0)
+    expect(books.canViewHistory()).toBe(false)
+    await expect(books.getHistory(1)).rejects.toThrow('audit: true')
+  })
+
+  it('checks the audit permissions', () => {
+    const { books } = ctx
+    const granted = new Set(['audit:history:read'])
+    books.authAdapter = {
+      canPerform: () => true,
+      isGranted: (permission) => granted.has(permission),
+    }
+
+    expect(books.canViewHistory()).toBe(true)
+    expect(books.canRestoreVersion()).toBe(false)
+    granted.add('audit:history:restore')
+    expect(books.canRestoreVersion()).toBe(true)
+  })
+})
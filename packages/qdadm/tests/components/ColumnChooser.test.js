@@ -0,0 +1,103 @@
+/**
+ * ColumnChooser — columns button and panel of the list filter bar.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { computed } from 'vue'
+import { mount, flushPromises } from '@vue/test-utils'
+import PrimeVue from 'primevue/config'
+import ColumnChooser from '../../src/components/lists/ColumnChooser.vue'
+
+beforeEach(() => {
+  vi.stubGlobal('matchMedia', vi.fn(() => ({
+    matches: false,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  })))
+})
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+function createState({ customized = false } = {}) {
+  const items = [
+    { field: 'title', header: 'Title', visible: true, frozen: true, hideable: false },
+    { field: 'author', header: 'Author', visible: true, frozen: false, hideable: true },
+    { field: 'isbn', header: 'ISBN', visible: false, frozen: false, hideable: true },
+  ]
+  return {
+    label: 'Columns',
+    items: computed(() => items),
+    customized: computed(() => customized),
+    onToggle: vi.fn(),
+    onFreeze: vi.fn(),
+    onMove: vi.fn(),
+    onReorder: vi.fn(),
+    onResize: vi.fn(),
+    onReset: vi.fn(),
+  }
+}
+
+async function openPanel(state) {
+  const wrapper = mount(ColumnChooser, {
+    props: { state },
+    attachTo: document.body,
+    global: { plugins: [PrimeVue] },
+  })
+  await wrapper.find('.column-chooser-toggle').trigger('click')
+  await flushPromises()
+  return wrapper
+}
+
+const rows = () => [...document.body.querySelectorAll('.column-chooser-item')]
+const button = (row, label) => row.querySelector(`button[aria-label="${label}"]`)
+
+describe('ColumnChooser', () => {
+  it('lists the columns in order, hidden ones unchecked', async () => {
+    const wrapper = await openPanel(createState())
+
+    expect(rows().map((row) => row.querySelector('label').textContent)).toEqual(['Title', 'Author', 'ISBN'])
+    expect(rows().map((row) => row.querySelector('input').checked)).toEqual([true, true, false])
+    expect(rows()[0].querySelector('input').disabled).toBe(true)
+    expect(rows()[2].classList.contains('column-chooser-item--hidden')).toBe(true)
+    expect(button(rows()[0], 'Unpin Title')).not.toBeNull()
+    wrapper.unmount()
+  })
+
+  it('toggles, pins and moves a column', async () => {
+    const state = createState()
+    const wrapper = await openPanel(state)
+    const [title, author, isbn] = rows()
+
+    isbn.querySelector('input').click()
+    button(author, 'Pin Author').click()
+    button(author, 'Move Author up').click()
+    button(isbn, 'Move ISBN down').click()
+
+    expect(state.onToggle).toHaveBeenCalledWith('isbn')
+    expect(state.onFreeze).toHaveBeenCalledWith('author')
+    expect(state.onMove).toHaveBeenCalledWith('author', 0)
+    expect(button(title, 'Move Title up').disabled).toBe(true)
+    expect(button(isbn, 'Move ISBN down').disabled).toBe(true)
+    expect(state.onMove).toHaveBeenCalledTimes(1)
+    wrapper.unmount()
+  })
+
+  it('resets a customized layout only', async () => {
+    const state = createState({ customized: true })
+    const wrapper = await openPanel(state)
+
+    document.body.querySelector('.column-chooser-actions button').click()
+
+    expect(state.onReset).toHaveBeenCalled()
+    wrapper.unmount()
+
+    const untouched = await openPanel(createState())
+    expect(document.body.querySelector('.column-chooser-actions button').disabled).toBe(true)
+    untouched.unmount()
+  })
+})
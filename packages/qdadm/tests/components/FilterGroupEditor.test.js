@@ -0,0 +1,72 @@
+/**
+ * FilterGroupEditor — nested AND/OR rules, edited without mutating the group.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PrimeVue from 'primevue/config'
+import FilterGroupEditor from '../../src/components/lists/FilterGroupEditor.vue'
+
+beforeEach(() => {
+  vi.stubGlobal('matchMedia', vi.fn(() => ({
+    matches: false,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  })))
+})
+
+const fields = [
+  { name: 'title', label: 'Title', kind: 'text', operators: ['contains', 'eq', 'empty'] },
+  { name: 'price', label: 'Price', kind: 'number', operators: ['eq', 'gt', 'between'] },
+]
+
+function mountEditor(group) {
+  return mount(FilterGroupEditor, {
+    props: { group, fields },
+    global: { plugins: [PrimeVue] },
+  })
+}
+
+const lastUpdate = (wrapper) => wrapper.emitted('update').at(-1)[0]
+const button = (wrapper, label) => wrapper.findAll('button').find((b) => b.text() === label)
+
+describe('FilterGroupEditor', () => {
+  it('adds conditions and subgroups as a new group', async () => {
+    const group = { logic: 'and', rules: [] }
+    const wrapper = mountEditor(group)
+
+    await button(wrapper, 'Condition').trigger('click')
+    expect(lastUpdate(wrapper)).toEqual({ logic: 'and', rules: [{ field: 'title', operator: 'contains' }] })
+
+    await button(wrapper, 'Group').trigger('click')
+    expect(lastUpdate(wrapper).rules[0]).toEqual({ logic: 'or', rules: [{ field: 'title', operator: 'contains' }] })
+    expect(group.rules).toEqual([])
+  })
+
+  it('renders nested groups and edits their rules in place', async () => {
+    const group = {
+      logic: 'and',
+      rules: [
+        { field: 'title', operator: 'contains', value: 'dune' },
+        { logic: 'or', rules: [{ field: 'price', operator: 'between', value: [5, null] }] },
+      ],
+    }
+    const wrapper = mountEditor(group)
+
+    expect(wrapper.findAll('.filter-group--nested')).toHaveLength(1)
+    expect(wrapper.findAll('.filter-rule')).toHaveLength(2)
+
+    await wrapper.find('.filter-rule input').setValue('emma')
+    expect(lastUpdate(wrapper).rules[0]).toEqual({ field: 'title', operator: 'contains', value: 'emma' })
+
+    // Removing a condition of the nested group replaces the subgroup
+    await wrapper.findAll('button[aria-label="Remove condition"]')[1].trigger('click')
+    expect(lastUpdate(wrapper).rules[1]).toEqual({ logic: 'or', rules: [] })
+
+    await wrapper.find('button[aria-label="Remove group"]').trigger('click')
+    expect(lastUpdate(wrapper).rules).toHaveLength(1)
+  })
+})
@@ -0,0 +1,74 @@
+/**
+ * HistoryPanel — versions of an audited record, diff and restore.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import PrimeVue from 'primevue/config'
+import HistoryPanel from '../../src/components/show/HistoryPanel.vue'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/MemoryStorage'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+import { createHookRegistry } from '../../src/hooks/index'
+import { AuditLog, AuditManager } from '../../src/audit/index'
+
+beforeEach(() => {
+  vi.stubGlobal('matchMedia', vi.fn(() => ({
+    matches: false,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  })))
+})
+
+async function mountPanel(props = {}) {
+  const hooks = createHookRegistry()
+  const books = new EntityManager({
+    name: 'books',
+    audit: true,
+    fields: { title: { type: 'text', label: 'Title' } },
+    storage: new MemoryStorage({ initialData: [{ id: 1, title: 'Dune' }] }),
+  })
+  const auditManager = new AuditManager()
+  const orchestrator = new Orchestrator({ hooks, managers: { books, audit: auditManager } })
+  orchestrator.auditLog = new AuditLog({ manager: auditManager })
+  orchestrator.auditLog.bind(hooks)
+  await books.patch(1, { title: 'Dune (draft)' })
+  await books.patch(1, { title: 'Dune (final)' })
+
+  const wrapper = mount(HistoryPanel, {
+    props: { entity: 'books', recordId: 1, ...props },
+    global: { plugins: [PrimeVue], provide: { qdadmOrchestrator: orchestrator } },
+  })
+  await flushPromises()
+  return { wrapper, books }
+}
+
+const versions = (wrapper) => wrapper.findAll('.history-panel__entry-header strong').map((el) => el.text())
+const restoreButtons = (wrapper) => wrapper.findAll('.history-panel__entry-header button')
+
+describe('HistoryPanel', () => {
+  it('lists the versions newest first and diffs the last two', async () => {
+    const { wrapper } = await mountPanel()
+
+    expect(versions(wrapper)).toEqual(['v2', 'v1'])
+    expect(restoreButtons(wrapper)).toHaveLength(0)
+    const diff = wrapper.findAll('.history-panel__compare tbody tr').map((tr) => tr.text())
+    expect(diff.some((row) => row.startsWith('Title') && row.includes('Dune (draft)Dune (final)'))).toBe(true)
+  })
+
+  it('restores an older version', async () => {
+    const { wrapper, books } = await mountPanel({ canRestore: true })
+
+    // Only the older version can be restored
+    expect(restoreButtons(wrapper)).toHaveLength(1)
+    await restoreButtons(wrapper)[0].trigger('click')
+    await flushPromises()
+
+    expect((await books.get(1)).title).toBe('Dune (draft)')
+    expect(wrapper.emitted('restored')).toHaveLength(1)
+    expect(versions(wrapper)).toEqual(['v3', 'v2', 'v1'])
+  })
+})
@@ -0,0 +1,61 @@
+/**
+ * ListPage prev/next paginator (total unknown, cursor APIs).
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PrimeVue from 'primevue/config'
+import DataTable from 'primevue/datatable'
+import ListPage from '../../src/components/lists/ListPage.vue'
+
+beforeEach(() => {
+  vi.stubGlobal('matchMedia', vi.fn(() => ({
+    matches: false,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  })))
+})
+
+const globalConfig = {
+  plugins: [PrimeVue],
+  provide: { qdadmOrchestrator: null },
+  stubs: { RouterLink: true, teleport: true },
+}
+
+function mountList(props) {
+  return mount(ListPage, {
+    props: { items: [{ id: '1' }], rows: 10, ...props },
+    global: globalConfig,
+  })
+}
+
+describe('ListPage cursor paginator', () => {
+  it('keeps the DataTable paginator while the total is known', () => {
+    const wrapper = mountList({ totalRecords: 30 })
+
+    expect(wrapper.findComponent(DataTable).props('paginator')).toBe(true)
+    expect(wrapper.find('.list-cursor-paginator').exists()).toBe(false)
+  })
+
+  it('swaps in prev/next buttons emitting page events', async () => {
+    const wrapper = mountList({ cursorPagination: true, page: 2, hasMore: true })
+
+    expect(wrapper.findComponent(DataTable).props('paginator')).toBe(false)
+    expect(wrapper.find('.list-cursor-page').text()).toBe('Page 2')
+
+    await wrapper.find('[aria-label="Next page"]').trigger('click')
+    await wrapper.find('[aria-label="Previous page"]').trigger('click')
+
+    expect(wrapper.emitted('page')).toEqual([[{ page: 2, rows: 10 }], [{ page: 0, rows: 10 }]])
+  })
+
+  it('disables next on the last page and prev on the first', () => {
+    const wrapper = mountList({ cursorPagination: true, page: 1, hasMore: false })
+
+    expect(wrapper.find('[aria-label="Next page"]').attributes('disabled')).toBeDefined()
+    expect(wrapper.find('[aria-label="Previous page"]').attributes('disabled')).toBeDefined()
+  })
+})
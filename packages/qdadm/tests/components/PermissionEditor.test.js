@@ -0,0 +1,70 @@
+/**
+ * PermissionEditor — field permission masks (read/write grid of guarded fields).
+ *
+ * Run: npm test
+ */
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import PermissionEditor from '../../src/components/editors/PermissionEditor.vue'
+import { PermissionRegistry } from '../../src/security/PermissionRegistry'
+
+// Stub Checkbox: assert the mask state PermissionEditor derives
+const CheckboxStub = {
+  name: 'Checkbox',
+  props: { modelValue: null, binary: Boolean, disabled: Boolean, title: String },
+  emits: ['update:modelValue'],
+  template: '<input type="checkbox" class="checkbox-stub" :checked="modelValue" :disabled="disabled" />',
+}
+
+function mountEditor(modelValue = []) {
+  const registry = new PermissionRegistry()
+  registry.registerEntity('users', { fields: { salary: ['read', 'write'], notes: ['write'] } })
+  return mount(PermissionEditor, {
+    props: { modelValue, permissionRegistry: registry },
+    global: { stubs: { Checkbox: CheckboxStub, AutoComplete: true, Chip: true } },
+  })
+}
+
+function cell(wrapper, field, action) {
+  const row = wrapper.findAll('.field-masks-table tbody tr').find((tr) => tr.text().includes(field))
+  const index = ['read', 'write'].indexOf(action)
+  return row.findAll('.field-mask-cell')[index].findComponent({ name: 'Checkbox' })
+}
+
+describe('PermissionEditor field masks', () => {
+  it('renders one row per guarded field with its actions', () => {
+    const wrapper = mountEditor()
+
+    const rows = wrapper.findAll('.field-masks-table tbody tr')
+    expect(rows.map((r) => r.find('.field-mask-name').text())).toEqual(['users:notes', 'users:salary'])
+    // notes only guards write
+    expect(cell(wrapper, 'notes', 'read').exists()).toBe(false)
+    expect(cell(wrapper, 'notes', 'write').exists()).toBe(true)
+  })
+
+  it('grants and revokes field permissions', async () => {
+    const wrapper = mountEditor(['entity:users:read'])
+
+    await cell(wrapper, 'salary', 'read').vm.$emit('update:modelValue', true)
+    expect(wrapper.emitted('update:modelValue')[0][0]).toEqual([
+      'entity:users:read',
+      'entity:users:field:salary:read',
+    ])
+
+    await wrapper.setProps({ modelValue: ['entity:users:read', 'entity:users:field:salary:read'] })
+    expect(cell(wrapper, 'salary', 'read').props('modelValue')).toBe(true)
+
+    await cell(wrapper, 'salary', 'read').vm.$emit('update:modelValue', false)
+    expect(wrapper.emitted('update:modelValue')[1][0]).toEqual(['entity:users:read'])
+  })
+
+  it('shows permissions granted by a wildcard as checked and locked', () => {
+    const wrapper = mountEditor(['entity:users:field:*:write'])
+
+    const write = cell(wrapper, 'salary', 'write')
+    expect(write.props('modelValue')).toBe(true)
+    expect(write.props('disabled')).toBe(true)
+    expect(write.props('title')).toBe('entity:users:field:*:write')
+    expect(cell(wrapper, 'salary', 'read').props('modelValue')).toBe(false)
+  })
+})
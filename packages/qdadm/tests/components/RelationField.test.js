@@ -0,0 +1,76 @@
+/**
+ * RelationField — multi-lookup v-model over a many-to-many relation.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import RelationField from '../../src/components/edit/RelationField.vue'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/MemoryStorage'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+
+// Stub LookupField: assert what RelationField passes down
+vi.mock('../../src/components/edit/LookupField.vue', () => ({
+  default: {
+    name: 'LookupField',
+    props: { modelValue: null, lookup: null, pickerMode: null, pickerColumns: null, pickerTitle: null, multiple: Boolean },
+    emits: ['update:modelValue'],
+    template: '<div class="lookup-stub" />',
+  },
+}))
+
+function mountField(props = {}) {
+  const books = new EntityManager({
+    name: 'books',
+    storage: new MemoryStorage({ initialData: [{ id: 1, title: 'Good Omens' }] }),
+    relations: { authors: { entity: 'authors', through: 'book_authors' } },
+  })
+  const authors = new EntityManager({
+    name: 'authors',
+    label: 'Author',
+    labelField: 'name',
+    storage: new MemoryStorage({ initialData: [{ id: 'a1', name: 'Pratchett' }, { id: 'a2', name: 'Gaiman' }] }),
+  })
+  const links = new MemoryStorage({
+    initialData: [{ id: 'l1', book_id: 1, author_id: 'a1' }, { id: 'l2', book_id: 1, author_id: 'a2' }],
+  })
+  const orchestrator = new Orchestrator({
+    managers: { books, authors, book_authors: new EntityManager({ name: 'book_authors', storage: links }) },
+  })
+  return mount(RelationField, {
+    props: { entity: 'books', relation: 'authors', ...props },
+    global: { provide: { qdadmOrchestrator: orchestrator } },
+  })
+}
+
+describe('RelationField', () => {
+  it('renders a multiple picker lookup over the related entity', async () => {
+    const wrapper = mountField()
+    await flushPromises()
+    const lookup = wrapper.findComponent({ name: 'LookupField' })
+
+    expect(lookup.props('multiple')).toBe(true)
+    expect(lookup.props('pickerMode')).toBe('picker')
+    expect(lookup.props('modelValue')).toEqual([])
+    expect(lookup.props('lookup').options.value.map((o) => o.label)).toEqual(['Pratchett', 'Gaiman'])
+    // No record yet: nothing to load
+    expect(wrapper.emitted('update:modelValue')).toBeUndefined()
+  })
+
+  it('starts from the linked ids when editing a record', async () => {
+    const wrapper = mountField({ recordId: 1 })
+    await flushPromises()
+
+    expect(wrapper.emitted('update:modelValue')).toEqual([[['a1', 'a2']]])
+  })
+
+  it('keeps a value already set and forwards changes', async () => {
+    const wrapper = mountField({ recordId: 1, modelValue: ['a2'] })
+    await flushPromises()
+    expect(wrapper.emitted('update:modelValue')).toBeUndefined()
+
+    wrapper.findComponent({ name: 'LookupField' }).vm.$emit('update:modelValue', ['a1'])
+    expect(wrapper.emitted('update:modelValue')).toEqual([[['a1']]])
+  })
+})
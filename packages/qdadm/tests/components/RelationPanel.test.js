@@ -0,0 +1,101 @@
+/**
+ * RelationPanel — many-to-many links listed (and edited) on a show page.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import PrimeVue from 'primevue/config'
+import RelationPanel from '../../src/components/show/RelationPanel.vue'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/MemoryStorage'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+
+// Stub the dialog: assert what the panel hands it and drive its events
+vi.mock('../../src/components/edit/LookupPickerDialog.vue', () => ({
+  default: {
+    name: 'LookupPickerDialog',
+    props: ['visible', 'title', 'items', 'columns', 'loading', 'valueField', 'currentValue', 'multiple'],
+    emits: ['update:visible', 'select-multiple'],
+    template: '<div class="picker-stub" :data-visible="String(visible)" />',
+  },
+}))
+
+beforeEach(() => {
+  vi.stubGlobal('matchMedia', vi.fn(() => ({
+    matches: false,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  })))
+})
+
+function setup() {
+  const books = new EntityManager({
+    name: 'books',
+    storage: new MemoryStorage({ initialData: [{ id: 1, title: 'Good Omens' }] }),
+    relations: { authors: { entity: 'authors', through: 'book_authors', label: 'Writers' } },
+  })
+  const authors = new EntityManager({
+    name: 'authors',
+    labelField: 'name',
+    storage: new MemoryStorage({
+      initialData: [{ id: 'a1', name: 'Pratchett' }, { id: 'a2', name: 'Gaiman' }, { id: 'a3', name: 'Herbert' }],
+    }),
+  })
+  const links = new MemoryStorage({ initialData: [{ id: 'l1', book_id: 1, author_id: 'a1' }] })
+  const orchestrator = new Orchestrator({
+    managers: { books, authors, book_authors: new EntityManager({ name: 'book_authors', storage: links }) },
+  })
+  return { books, links, orchestrator }
+}
+
+async function mountPanel(props = {}) {
+  const ctx = setup()
+  const wrapper = mount(RelationPanel, {
+    props: { entity: 'books', relation: 'authors', recordId: 1, ...props },
+    global: { plugins: [PrimeVue], provide: { qdadmOrchestrator: ctx.orchestrator } },
+  })
+  await flushPromises()
+  return { wrapper, ...ctx }
+}
+
+const rows = (wrapper) => wrapper.findAll('tbody tr').map((tr) => tr.text())
+
+describe('RelationPanel', () => {
+  it('lists the linked records under the relation label', async () => {
+    const { wrapper } = await mountPanel()
+
+    expect(wrapper.find('.relation-panel__title').text()).toBe('Writers')
+    expect(rows(wrapper)).toEqual(['Pratchett'])
+    expect(wrapper.find('.picker-stub').exists()).toBe(false)
+  })
+
+  it('syncs the picker selection, preselecting the linked ids', async () => {
+    const { wrapper, books } = await mountPanel({ editable: true })
+    const picker = wrapper.findComponent({ name: 'LookupPickerDialog' })
+
+    await wrapper.find('.relation-panel__header button').trigger('click')
+    await flushPromises()
+    expect(picker.props('visible')).toBe(true)
+    expect(picker.props('items')).toHaveLength(3)
+    expect(picker.props('currentValue')).toEqual(['a1'])
+
+    picker.vm.$emit('select-multiple', [{ id: 'a2', name: 'Gaiman' }, { id: 'a3', name: 'Herbert' }])
+    await flushPromises()
+
+    expect((await books.listRelated(1, 'authors')).items.map((a) => a.name)).toEqual(['Gaiman', 'Herbert'])
+    expect(rows(wrapper)).toEqual(['Gaiman', 'Herbert'])
+  })
+
+  it('detaches a row from its remove button', async () => {
+    const { wrapper, links } = await mountPanel({ editable: true })
+
+    await wrapper.find('tbody button').trigger('click')
+    await flushPromises()
+
+    expect((await links.list({})).items).toEqual([])
+    expect(wrapper.find('.relation-panel__empty').exists()).toBe(true)
+  })
+})
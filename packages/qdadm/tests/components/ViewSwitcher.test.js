@@ -0,0 +1,111 @@
+/**
+ * ViewSwitcher — saved views select and actions menu of the list header.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { ref, computed } from 'vue'
+import { mount, flushPromises } from '@vue/test-utils'
+import PrimeVue from 'primevue/config'
+import ConfirmationService from 'primevue/confirmationservice'
+import ViewSwitcher from '../../src/components/lists/ViewSwitcher.vue'
+
+beforeEach(() => {
+  vi.stubGlobal('matchMedia', vi.fn(() => ({
+    matches: false,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    addListener: vi.fn(),
+    removeListener: vi.fn(),
+  })))
+})
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+function createState({ active = null, modified = false, canPublish = false, roles = [] } = {}) {
+  const views = [
+    { id: 'v1', entity: 'books', name: 'Sci-fi', state: {}, roles: [] },
+    { id: 'v2', entity: 'books', name: 'Shared', state: {}, roles: ['ROLE_USER'] },
+  ]
+  return {
+    label: 'Views',
+    views: computed(() => views),
+    active: computed(() => views.find((view) => view.id === active) ?? null),
+    modified: computed(() => modified),
+    loading: ref(false),
+    canPublish: computed(() => canPublish),
+    roles: computed(() => roles),
+    canEdit: () => true,
+    viewUrl: (view) => `http://localhost/books?view=${view.id}`,
+    load: vi.fn(),
+    onSelect: vi.fn(),
+    onSave: vi.fn().mockResolvedValue({ id: 'v3', name: 'New' }),
+    onUpdate: vi.fn(),
+    onPublish: vi.fn(),
+    onDelete: vi.fn(),
+  }
+}
+
+function mountSwitcher(state) {
+  return mount(ViewSwitcher, {
+    props: { state },
+    attachTo: document.body,
+    global: { plugins: [PrimeVue, ConfirmationService] },
+  })
+}
+
+async function openMenu(wrapper) {
+  await wrapper.find('button[aria-label="View actions"]').trigger('click')
+  await flushPromises()
+  return [...document.body.querySelectorAll('.p-menu-item')]
+}
+
+const menuItem = (items, label) => items.find((item) => item.textContent.trim() === label)
+
+describe('ViewSwitcher', () => {
+  it('shows the active view, marked once the page drifted from it', () => {
+    const wrapper = mountSwitcher(createState({ active: 'v2', modified: true }))
+
+    expect(wrapper.find('.view-switcher-value').text()).toBe('Shared')
+    expect(wrapper.find('.view-switcher-value .pi-users').exists()).toBe(true)
+    expect(wrapper.find('.view-switcher-modified').exists()).toBe(true)
+    wrapper.unmount()
+  })
+
+  it('disables the actions of the active view without one, and hides publish without roles', async () => {
+    const wrapper = mountSwitcher(createState())
+    const items = await openMenu(wrapper)
+
+    expect(items.map((item) => item.textContent.trim())).toEqual([
+      'Save as new view',
+      'Update view',
+      'Copy link',
+      'Delete view',
+    ])
+    expect(menuItem(items, 'Save as new view').classList).not.toContain('p-disabled')
+    expect(menuItem(items, 'Copy link').classList).toContain('p-disabled')
+    wrapper.unmount()
+  })
+
+  it('saves the page as a named view', async () => {
+    const state = createState({ canPublish: true, roles: ['ROLE_USER'] })
+    const wrapper = mountSwitcher(state)
+    const items = await openMenu(wrapper)
+    menuItem(items, 'Save as new view').querySelector('a, .p-menu-item-content').click()
+    await flushPromises()
+
+    const input = document.body.querySelector('#view-switcher-name')
+    input.value = 'Recent'
+    input.dispatchEvent(new Event('input'))
+    await flushPromises()
+    const save = [...document.body.querySelectorAll('.p-dialog button')].find((b) => b.textContent.trim() === 'Save')
+    save.click()
+    await flushPromises()
+
+    expect(state.onSave).toHaveBeenCalledWith('Recent', [])
+    expect(document.body.querySelector('.p-dialog')).toBeNull()
+    wrapper.unmount()
+  })
+})
@@ -7,6 +7,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { ref, nextTick, computed } from 'vue'
 import { mount, flushPromises } from '@vue/test-utils'
 import { useEntityItemFormPage } from '../../src/composables/useEntityItemFormPage'
+import { ConflictError } from '../../src/entity/storage/errors'
 
 // Mock route state that can be changed per test
 let mockRouteState = { name: 'book-create', params: {}, query: {} }
@@ -277,6 +278,26 @@ describe('useEntityItemFormPage', () => {
     })
   })
 
+  describe('computed fields', () => {
+    it('recomputes computed fields as the data changes', async () => {
+      mockManager = createMockManager({
+        getComputedFields: () => ['label'],
+        applyComputed: vi.fn((record) => {
+          record.label = `${record.title} by ${record.author}`
+          return record
+        }),
+      })
+      const { result } = createWrapper(() => useEntityItemFormPage({ entity: 'books' }))
+      await flushPromises()
+
+      result.data.value.title = 'Dune'
+      result.data.value.author = 'Herbert'
+      await nextTick()
+
+      expect(result.data.value.label).toBe('Dune by Herbert')
+    })
+  })
+
   describe('submit', () => {
     it('creates entity in create mode', async () => {
       mockRouteState = { name: 'book-create', params: {} }
@@ -712,6 +733,72 @@ describe('useEntityItemFormPage', () => {
     })
   })
 
+  describe('conflicts', () => {
+    const SERVER = { id: 1, title: 'Test Book', author: 'Someone Else' }
+
+    async function editWithConflict(serverRecord = SERVER) {
+      mockRouteState = { name: 'book-edit', params: { id: '1' } }
+      mockManager.update
+        .mockRejectedValueOnce(new ConflictError('stale', { status: 412, serverRecord }))
+      const { result } = createWrapper(() => useEntityItemFormPage({ entity: 'books' }))
+      await flushPromises()
+      result.data.value.title = 'My Title'
+      await expect(result.submit(false)).rejects.toBeInstanceOf(ConflictError)
+      return result
+    }
+
+    it('opens the conflict dialog with the differing fields', async () => {
+      const result = await editWithConflict()
+      const dialog = result.conflictDialog
+
+      expect(dialog.visible.value).toBe(true)
+      expect(dialog.canMerge.value).toBe(true)
+      expect(dialog.fields.value).toEqual([
+        { field: 'title', label: 'Title', mine: 'My Title', theirs: 'Test Book', changedByMe: true, changedByThem: false },
+        { field: 'author', label: 'Author', mine: 'Test Author', theirs: 'Someone Else', changedByMe: false, changedByThem: true },
+      ])
+      expect(mockToast.add).toHaveBeenCalledWith(expect.objectContaining({ severity: 'warn' }))
+      expect(mockToast.add).not.toHaveBeenCalledWith(expect.objectContaining({ severity: 'error' }))
+    })
+
+    it('merge keeps my edits over the server record, leaving the form dirty', async () => {
+      const result = await editWithConflict()
+
+      result.conflictDialog.onMerge()
+      await flushPromises()
+
+      expect(result.data.value).toEqual({ id: 1, title: 'My Title', author: 'Someone Else' })
+      expect(result.dirty.value).toBe(true)
+      expect(result.conflictDialog.visible.value).toBe(false)
+    })
+
+    it('overwrite saves my values again', async () => {
+      const result = await editWithConflict()
+
+      await result.conflictDialog.onOverwrite()
+
+      expect(mockManager.update).toHaveBeenCalledTimes(2)
+      expect(mockManager.update).toHaveBeenLastCalledWith('1', expect.objectContaining({ title: 'My Title' }))
+    })
+
+    it('reload discards my edits', async () => {
+      const result = await editWithConflict()
+      mockManager.get.mockResolvedValueOnce(SERVER)
+
+      await result.conflictDialog.onReload()
+
+      expect(result.data.value).toEqual(SERVER)
+      expect(result.dirty.value).toBe(false)
+    })
+
+    it('cannot merge without the server record', async () => {
+      const result = await editWithConflict(null)
+
+      expect(result.conflictDialog.canMerge.value).toBe(false)
+      expect(result.conflictDialog.fields.value).toEqual([])
+    })
+  })
+
   describe('field generation', () => {
     beforeEach(() => {
       // Setup manager with fields schema
@@ -995,6 +1082,42 @@ describe('useEntityItemFormPage', () => {
       expect(result.getFieldConfig('age').type).toBe('number')
       expect(result.getFieldConfig('age').schemaType).toBe('integer')
     })
+
+    it('leaves out fields the user may not read (field permissions)', () => {
+      mockManager.canReadField = (name) => name !== 'year'
+
+      const { result } = createWrapper(() => useEntityItemFormPage({ entity: 'books' }))
+      result.generateFields()
+      result.addField('year', { type: 'number' })
+
+      expect(result.fields.value.map((f) => f.name)).not.toContain('year')
+      expect(result.getFieldConfig('year')).toBeUndefined()
+    })
+
+    it('makes fields the user may not write readonly (field permissions)', () => {
+      mockManager.canWriteField = (name) => name !== 'genre'
+
+      const { result } = createWrapper(() => useEntityItemFormPage({ entity: 'books' }))
+      result.generateFields()
+
+      expect(result.getFieldConfig('genre').readonly).toBe(true)
+      expect(result.getFieldConfig('title').readonly).toBe(false)
+
+      // Still readonly after an update
+      result.updateField('genre', { readonly: false, label: 'Kind' })
+      expect(result.getFieldConfig('genre')).toMatchObject({ readonly: true, label: 'Kind' })
+    })
+
+    it('checks write access on the loaded record (owner grants)', async () => {
+      mockRouteState = { name: 'book-edit', params: { id: '1' } }
+      mockManager.canWriteField = (name, record) => name !== 'author' || record?.id === 1
+
+      const { result } = createWrapper(() => useEntityItemFormPage({ entity: 'books' }))
+      result.generateFields()
+      await flushPromises()
+
+      expect(result.fields.value.find((f) => f.name === 'author').readonly).toBe(false)
+    })
   })
 
   describe('validation', () => {
@@ -11,6 +11,10 @@ import { mount, flushPromises } from '@vue/test-utils'
 import { useListPage } from '../../src/composables/useListPage'
 import { I18N_INJECTION_KEY } from '../../src/i18n/useI18n'
 import { createHookRegistry } from '../../src/hooks'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MockApiStorage } from '../../src/entity/storage/MockApiStorage'
+import { LocalStorage } from '../../src/entity/storage/LocalStorage'
 
 // Mock route state that can be changed per test
 let mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
@@ -67,6 +71,9 @@ function createMockManager(options = {}) {
       fromCache: false
     }),
     delete: vi.fn().mockResolvedValue(undefined),
+    deleteMany: vi.fn().mockResolvedValue({ action: 'delete', results: [], succeeded: [], failed: [] }),
+    patchMany: vi.fn().mockResolvedValue({ action: 'patch', results: [], succeeded: [], failed: [] }),
+    request: vi.fn().mockResolvedValue({}),
     invalidateCache: vi.fn(),
     // Part of the implementer's minimum since #1253 (EntityManagerRead)
     getFieldConfig: () => null,
@@ -336,6 +343,69 @@ describe('useListPage - Permission features', () => {
     })
   })
 
+  describe('bulk operations', () => {
+    const batch = (action, okIds, failedIds = []) => ({
+      action,
+      results: [],
+      succeeded: okIds.map((id) => ({ id, ok: true })),
+      failed: failedIds.map((id) => ({ id, ok: false, error: new Error('nope') })),
+    })
+
+    beforeEach(() => {
+      mockOrchestrator.toast = { success: vi.fn(), error: vi.fn(), warn: vi.fn() }
+    })
+
+    afterEach(() => {
+      delete mockOrchestrator.toast
+    })
+
+    it('bulkDelete deletes the selection through deleteMany', async () => {
+      mockManager.deleteMany.mockResolvedValue(batch('delete', [1], [2]))
+      const { result } = createWrapper(() => useListPage({ entity: 'books' }))
+      result.selected.value = [{ id: 1 }, { id: 2 }]
+
+      await result.bulkDelete()
+
+      expect(mockManager.deleteMany).toHaveBeenCalledWith([1, 2])
+      expect(mockManager.delete).not.toHaveBeenCalled()
+      expect(mockOrchestrator.toast.success).toHaveBeenCalledWith('Deleted', '1 Book deleted', { emitter: undefined, undo: true })
+      expect(mockOrchestrator.toast.error).toHaveBeenCalledWith('Error', 'Failed to delete 1 Book', undefined)
+      expect(result.selected.value).toEqual([])
+    })
+
+    it('bulk status patches each selected item without bulkEndpoint', async () => {
+      mockManager.patchMany.mockResolvedValue(batch('patch', [1, 2]))
+      const { result } = createWrapper(() => useListPage({ entity: 'books' }))
+      const bulk = result.addBulkStatusAction({ statusField: 'state', bulkEndpoint: null })
+      result.selected.value = [{ id: 1 }, { id: 2 }]
+      bulk.selectedStatus.value = 'archived'
+
+      await bulk.execute()
+
+      expect(mockManager.patchMany).toHaveBeenCalledWith([
+        { id: 1, data: { state: 'archived' } },
+        { id: 2, data: { state: 'archived' } },
+      ])
+      expect(mockManager.request).not.toHaveBeenCalled()
+      expect(mockOrchestrator.toast.success).toHaveBeenCalledWith('Updated', '2 Books updated', { emitter: undefined, undo: true })
+    })
+
+    it('bulk status sends one PATCH to bulk/status by default', async () => {
+      mockManager.request.mockResolvedValue({ updated: 2 })
+      const { result } = createWrapper(() => useListPage({ entity: 'books' }))
+      const bulk = result.addBulkStatusAction()
+      result.selected.value = [{ id: 1 }, { id: 2 }]
+      bulk.selectedStatus.value = 'archived'
+
+      await bulk.execute()
+
+      expect(mockManager.request).toHaveBeenCalledWith('PATCH', 'bulk/status', {
+        data: { ids: [1, 2], status: 'archived' },
+      })
+      expect(mockManager.patchMany).not.toHaveBeenCalled()
+    })
+  })
+
   describe('getRowActions', () => {
     it('getRowActions returns same actions as getActions', () => {
       const { result } = createWrapper(() => useListPage({ entity: 'books' }))
@@ -428,6 +498,18 @@ describe('useListPage - Permission features', () => {
       expect(result.props.value.columns).toHaveLength(1)
       expect(result.props.value.columns[0].field).toBe('title')
     })
+    it('hides columns of fields the user may not read (field permissions)', () => {
+      mockManager = createMockManager({ canReadField: (field) => field !== 'price' })
+      const { result } = createWrapper(() => useListPage({ entity: 'books' }))
+
+      result.addColumn('title', { header: 'Title' })
+      result.addColumn('price', { header: 'Price' })
+
+      expect(result.columns.value.map((c) => c.field)).toEqual(['title'])
+      expect(result.props.value.columns).toHaveLength(1)
+      expect(result.canReadField('price')).toBe(false)
+      expect(result.canReadField('title')).toBe(true)
+    })
   })
 
   describe('column() binding helper (#1255)', () => {
@@ -1639,3 +1721,987 @@ describe('useListPage - subtitle (entity punchline)', () => {
     expect(result.props.value.subtitle).toBeNull()
   })
 })
+
+describe('useListPage - cursor pagination (total unknown)', () => {
+  const page = (ids, extra = {}) => ({
+    items: ids.map((id) => ({ id, title: `Book ${id}` })),
+    total: null,
+    ...extra,
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager()
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('stays in page mode while the total is known', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    await result.loadItems()
+
+    expect(result.cursorMode.value).toBe(false)
+    expect(result.totalRecords.value).toBe(2)
+    expect(result.props.value.cursorPagination).toBe(false)
+  })
+
+  it('walks the cursors forward and back', async () => {
+    mockManager.query
+      .mockResolvedValueOnce(page([1, 2], { nextCursor: 'c2', hasMore: true }))
+      .mockResolvedValueOnce(page([3, 4], { nextCursor: 'c3', hasMore: true }))
+      .mockResolvedValueOnce(page([5], { nextCursor: null, hasMore: false }))
+      .mockResolvedValue(page([3, 4], { nextCursor: 'c3', hasMore: true }))
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    await result.loadItems()
+    expect(result.cursorMode.value).toBe(true)
+    expect(result.props.value).toMatchObject({ cursorPagination: true, page: 1, hasMore: true })
+
+    result.nextPage()
+    await flushPromises()
+    result.nextPage()
+    await flushPromises()
+    expect(result.page.value).toBe(3)
+    expect(result.hasMore.value).toBe(false)
+
+    // Last page: nowhere to go
+    result.nextPage()
+    await flushPromises()
+    expect(mockManager.query).toHaveBeenCalledTimes(3)
+
+    result.prevPage()
+    await flushPromises()
+
+    const cursors = mockManager.query.mock.calls.map(([params]) => params.cursor)
+    expect(cursors).toEqual([undefined, 'c2', 'c3', 'c2'])
+    expect(result.page.value).toBe(2)
+  })
+
+  it('prefers the prevCursor the storage returns', async () => {
+    mockManager.query
+      .mockResolvedValueOnce(page([1, 2], { nextCursor: 'c2', hasMore: true }))
+      .mockResolvedValueOnce(page([3, 4], { nextCursor: 'c3', hasMore: true }))
+      .mockResolvedValueOnce(page([5, 6], { nextCursor: 'c4', prevCursor: 'p2', hasMore: true }))
+      .mockResolvedValue(page([3, 4], { nextCursor: 'c3', hasMore: true }))
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    await result.loadItems()
+    result.nextPage()
+    await flushPromises()
+    result.nextPage()
+    await flushPromises()
+
+    result.prevPage()
+    await flushPromises()
+
+    expect(mockManager.query.mock.calls[3][0].cursor).toBe('p2')
+  })
+
+  it('restarts from the first page when sorting or resizing pages', async () => {
+    mockManager.query
+      .mockResolvedValueOnce(page([1, 2], { nextCursor: 'c2', hasMore: true }))
+      .mockResolvedValue(page([3, 4], { nextCursor: 'c3', hasMore: true }))
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    await result.loadItems()
+    result.nextPage()
+    await flushPromises()
+
+    result.onSort({ sortField: 'title', sortOrder: -1 })
+    await flushPromises()
+    expect(result.page.value).toBe(1)
+    expect(mockManager.query.mock.calls[2][0].cursor).toBeUndefined()
+
+    result.nextPage()
+    await flushPromises()
+    result.onPage({ page: 1, rows: 50 })
+    await flushPromises()
+    expect(result.page.value).toBe(1)
+    expect(mockManager.query.mock.calls[4][0]).toMatchObject({ page: 1, page_size: 50 })
+    expect(mockManager.query.mock.calls[4][0].cursor).toBeUndefined()
+  })
+
+  it('pages by number when the storage gives neither total nor cursors', async () => {
+    mockManager.query.mockResolvedValue(page(Array.from({ length: 10 }, (_, i) => i + 1)))
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    // The page size is persisted in a cookie: pin it
+    result.pageSize.value = 10
+    await result.loadItems()
+    expect(result.hasMore.value).toBe(true)
+
+    result.nextPage()
+    await flushPromises()
+
+    expect(mockManager.query.mock.calls[1][0]).toMatchObject({ page: 2, page_size: 10 })
+    expect(result.totalRecords.value).toBe(20)
+  })
+})
+
+describe('useListPage - aggregate cards', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager({
+      aggregate: vi.fn(async (params) =>
+        params.groupBy
+          ? { rows: [{ status: 'active', count: 4 }, { status: 'late', count: 1 }] }
+          : { rows: [{ count: 1, fines: 7 }] }
+      ),
+    })
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  it('fills bound cards after the first load only', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    result.addCard('late', {
+      label: 'Late',
+      aggregate: { filters: { status: 'late' }, metrics: { count: 'count', fines: { fn: 'sum', field: 'fine' } }, metric: 'fines' },
+    })
+    result.addCard('byStatus', { label: 'Loans by status', custom: true, aggregate: { groupBy: 'status' } })
+    result.addCard('static', { label: 'Static', value: 3 })
+
+    await result.loadItems()
+    await flushPromises()
+
+    expect(mockManager.aggregate).toHaveBeenCalledWith({
+      filters: { status: 'late' },
+      metrics: { count: 'count', fines: { fn: 'sum', field: 'fine' } },
+    })
+    const cards = Object.fromEntries(result.cards.value.map((card) => [card.name, card]))
+    expect(cards.late.value).toBe(7)
+    expect(cards.byStatus.rows).toEqual([{ status: 'active', count: 4 }, { status: 'late', count: 1 }])
+    expect(cards.static.value).toBe(3)
+
+    await result.loadItems()
+    await flushPromises()
+    expect(mockManager.aggregate).toHaveBeenCalledTimes(2)
+  })
+
+  it('loads a card added after the first load, and refreshes on demand', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    await result.loadItems()
+
+    result.addCard('total', { label: 'Total', aggregate: {} })
+    await flushPromises()
+    expect(result.cards.value[0].value).toBe(1)
+
+    await result.refreshCards()
+    expect(mockManager.aggregate).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('useListPage - include', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager()
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  it('asks the manager to embed the includes on every load', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false, include: ['author'] }))
+    await result.loadItems()
+
+    expect(mockManager.query.mock.calls[0][0]).toMatchObject({ include: ['author'] })
+  })
+
+  it('sends no include by default', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    await result.loadItems()
+
+    expect(mockManager.query.mock.calls[0][0]).not.toHaveProperty('include')
+  })
+})
+
+describe('useListPage - background refresh', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager({ revalidate: vi.fn().mockResolvedValue(true) })
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  afterEach(() => {
+    delete mockOrchestrator.signals
+    vi.useRealTimers()
+  })
+
+  it('exposes the stale flag of the last load', async () => {
+    mockManager.query.mockResolvedValueOnce({ items: [], total: 0, fromCache: true, stale: true })
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+
+    await result.loadItems()
+    expect(result.stale.value).toBe(true)
+
+    await result.loadItems()
+    expect(result.stale.value).toBe(false)
+  })
+
+  it('revalidate() refreshes the manager cache then reloads', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+
+    await result.revalidate()
+
+    expect(mockManager.revalidate).toHaveBeenCalledTimes(1)
+    expect(mockManager.query).toHaveBeenCalledTimes(1)
+  })
+
+  it('reloads when the manager reports a refreshed cache', async () => {
+    mockOrchestrator.signals = createSignalBus()
+    createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+
+    await mockOrchestrator.signals.emit('entity:cache-refreshed', { entity: 'loans', total: 1 })
+    await mockOrchestrator.signals.emit('entity:cache-refreshed', { entity: 'books', total: 3 })
+    await flushPromises()
+
+    expect(mockManager.query).toHaveBeenCalledTimes(1)
+  })
+
+  it('polls every refreshIntervalMs until unmounted', async () => {
+    vi.useFakeTimers()
+    const { wrapper } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false, refreshIntervalMs: 5000 }))
+
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(mockManager.revalidate).toHaveBeenCalledTimes(2)
+
+    wrapper.unmount()
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(mockManager.revalidate).toHaveBeenCalledTimes(2)
+  })
+
+  it('takes focus and reconnect refreshes from the manager', async () => {
+    mockManager = createMockManager({ revalidate: vi.fn().mockResolvedValue(true), refreshOnFocus: true })
+    createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+
+    window.dispatchEvent(new Event('online'))
+    window.dispatchEvent(new Event('focus'))
+    await flushPromises()
+
+    expect(mockManager.revalidate).toHaveBeenCalledTimes(1)
+  })
+
+  it('reloads and highlights rows changed by a real-time push', async () => {
+    vi.useFakeTimers()
+    mockOrchestrator.signals = createSignalBus()
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+
+    await mockOrchestrator.signals.emit('entity:synced', { entity: 'books', op: 'update', id: 7 })
+    await mockOrchestrator.signals.emit('entity:synced', { entity: 'books', op: 'delete', id: 8 })
+    await mockOrchestrator.signals.emit('entity:synced', { entity: 'loans', op: 'update', id: 9 })
+    await flushPromises()
+
+    expect(mockManager.query).toHaveBeenCalledTimes(2)
+    expect(result.highlighted.value).toEqual(['7'])
+    expect(result.props.value.highlighted).toEqual(['7'])
+
+    await vi.advanceTimersByTimeAsync(3000)
+    expect(result.highlighted.value).toEqual([])
+  })
+})
+
+describe('useListPage - export', () => {
+  const books = (from, to) =>
+    Array.from({ length: to - from + 1 }, (_, i) => ({ id: from + i, title: `Book ${from + i}`, price: 10 + i }))
+
+  // jsdom's Blob has no text()
+  const readBlob = (blob) =>
+    new Promise((resolve) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(blob)
+    })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager()
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  it('exports every page of the current query through the columns', async () => {
+    mockManager = createMockManager({ canReadField: (field) => field !== 'price' })
+    mockManager.list
+      .mockResolvedValueOnce({ items: books(1, 2), total: 3 })
+      .mockResolvedValueOnce({ items: books(3, 3), total: 3 })
+    const onFile = vi.fn()
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    result.addColumn('title', { header: 'Title', body: (row) => row.title.toUpperCase() })
+    result.addColumn('price', { header: 'Price' })
+    result.sortField.value = 'title'
+    result.sortOrder.value = 1
+    result.searchQuery.value = 'book'
+    const dialog = result.addExportAction({ pageSize: 2, filename: 'books', onFile })
+
+    await dialog.onExport()
+
+    expect(mockManager.list.mock.calls.map(([params]) => params)).toEqual([
+      { sort_by: 'title', sort_order: 'asc', search: 'book', page: 1, page_size: 2 },
+      { sort_by: 'title', sort_order: 'asc', search: 'book', page: 2, page_size: 2 },
+    ])
+    const [blob, filename] = onFile.mock.calls[0]
+    expect(filename).toBe('books.csv')
+    expect(await readBlob(blob)).toBe('Title\r\nBOOK 1\r\nBOOK 2\r\nBOOK 3\r\n')
+    expect(dialog.progress.value).toEqual({ loaded: 3, total: 3 })
+    expect(result.props.value.exportDialog).toBe(dialog)
+  })
+
+  it('follows the cursors when the total is unknown', async () => {
+    mockManager.list
+      .mockResolvedValueOnce({ items: books(1, 2), total: null, nextCursor: 'c2', hasMore: true })
+      .mockResolvedValueOnce({ items: books(3, 3), total: null, nextCursor: null, hasMore: false })
+    const onFile = vi.fn()
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const dialog = result.addExportAction({ pageSize: 2, onFile })
+    dialog.onFormat('json')
+
+    await dialog.onExport()
+
+    expect(mockManager.list.mock.calls[1][0]).toMatchObject({ page: 2, cursor: 'c2' })
+    // No column registered: the manager's listable fields
+    expect(JSON.parse(await readBlob(onFile.mock.calls[0][0]))).toEqual([
+      { title: 'Book 1', author: null },
+      { title: 'Book 2', author: null },
+      { title: 'Book 3', author: null },
+    ])
+    expect(onFile.mock.calls[0][1]).toMatch(/^books-\d{4}-\d{2}-\d{2}\.json$/)
+  })
+
+  it('stops on a page bringing no new row', async () => {
+    // Storage ignoring paging: page 1 over and over, always announcing more
+    mockManager.list.mockResolvedValue({ items: books(1, 2), total: null, hasMore: true })
+    const onFile = vi.fn()
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    result.addColumn('title', { header: 'Title' })
+    const dialog = result.addExportAction({ pageSize: 2, onFile })
+
+    await dialog.onExport()
+
+    expect(mockManager.list).toHaveBeenCalledTimes(2)
+    expect(await readBlob(onFile.mock.calls[0][0])).toBe('Title\r\nBook 1\r\nBook 2\r\n')
+  })
+
+  it('fails past maxPages', async () => {
+    let page = 0
+    mockManager.list.mockImplementation(async () => {
+      page++
+      return { items: books(page, page), total: null, hasMore: true }
+    })
+    const onFile = vi.fn()
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const dialog = result.addExportAction({ pageSize: 1, maxPages: 3, onFile })
+
+    await dialog.onExport()
+
+    expect(mockManager.list).toHaveBeenCalledTimes(3)
+    expect(onFile).not.toHaveBeenCalled()
+    expect(error).toHaveBeenCalledWith('Export error:', new Error('Export stopped after 3 pages'))
+    expect(dialog.exporting.value).toBe(false)
+    error.mockRestore()
+  })
+
+  it('stops after the current page when cancelled', async () => {
+    let release
+    mockManager.list
+      .mockImplementationOnce(() => new Promise((resolve) => (release = () => resolve({ items: books(1, 2), total: 4 }))))
+    const onFile = vi.fn()
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const dialog = result.addExportAction({ pageSize: 2, onFile })
+    dialog.visible.value = true
+
+    const running = dialog.onExport()
+    expect(dialog.exporting.value).toBe(true)
+    dialog.onCancel()
+    release()
+    await running
+
+    expect(mockManager.list).toHaveBeenCalledTimes(1)
+    expect(onFile).not.toHaveBeenCalled()
+    expect(dialog.visible.value).toBe(false)
+    expect(dialog.exporting.value).toBe(false)
+  })
+})
+
+describe('useListPage - import', () => {
+  const fieldConfigs = {
+    id: { type: 'number' },
+    isbn: { type: 'text', label: 'ISBN' },
+    title: { type: 'text', required: true },
+    price: { type: 'number', validator: (value) => value >= 0 || 'Price must be positive' },
+    available: { type: 'boolean' },
+  }
+  const csv = [
+    'ISBN,Title,Price,Available,Notes',
+    '111,Dune,9.5,yes,first',
+    '222,,4,no,',
+    '333,Emma,-1,maybe,',
+    '444,Ubik,12,,',
+  ].join('\n')
+  const batch = (action, records) => {
+    const results = records.map((record, index) => ({ index, id: record.id ?? 100 + index, ok: true, record }))
+    return { action, results, succeeded: results, failed: [] }
+  }
+
+  function setup(options = {}) {
+    mockManager = createMockManager({
+      getFieldConfig: (name) => fieldConfigs[name] ?? null,
+      getFormFields: () => Object.keys(fieldConfigs).filter((name) => name !== 'id').map((name) => ({ name, ...fieldConfigs[name] })),
+      createMany: vi.fn(async (records) => batch('create', records)),
+      patchMany: vi.fn(async (items) => batch('patch', items.map(({ id, data }) => ({ id, ...data })))),
+    })
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const wizard = result.addImportAction(options)
+    wizard.onLoad('books.csv', csv)
+    return { result, wizard }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+  })
+
+  it('maps the columns and previews the validation errors', () => {
+    const { result, wizard } = setup()
+
+    expect(wizard.mapping.value).toEqual({ ISBN: 'isbn', Title: 'title', Price: 'price', Available: 'available', Notes: null })
+    expect(wizard.preview.value.map((row) => row.errors)).toEqual([
+      {},
+      { title: 'Title is required' },
+      { price: 'Price must be positive', available: 'Available must be true or false' },
+      {},
+    ])
+    expect(wizard.preview.value[0].record).toEqual({ isbn: '111', title: 'Dune', price: 9.5, available: true })
+    expect(wizard.validCount.value).toBe(2)
+    expect(result.props.value.importDialog).toBe(wizard)
+    expect(result.headerActions.value.map((action) => action.name)).toContain('import')
+  })
+
+  it('creates the valid rows and reports the others', async () => {
+    const { wizard } = setup()
+
+    await wizard.onRun()
+
+    expect(mockManager.createMany).toHaveBeenCalledWith([
+      { isbn: '111', title: 'Dune', price: 9.5, available: true },
+      { isbn: '444', title: 'Ubik', price: 12, available: null },
+    ])
+    expect(wizard.report.value).toMatchObject({ created: 2, updated: 0, failed: 2 })
+    expect(wizard.report.value.results.map((r) => [r.row, r.ok])).toEqual([[1, true], [2, false], [3, false], [4, true]])
+    expect(wizard.step.value).toBe(4)
+    // The list reloads
+    expect(mockManager.invalidateCache).toHaveBeenCalled()
+  })
+
+  it('upserts by key: matched rows are patched, the others created', async () => {
+    const { wizard } = setup({ key: 'isbn' })
+    mockManager.list.mockResolvedValueOnce({ items: [{ id: 7, isbn: '444' }], total: 1 })
+    wizard.onMode('upsert')
+
+    // Updated rows need no required field
+    expect(wizard.preview.value[1].errors).toEqual({})
+    await wizard.onRun()
+
+    expect(mockManager.list.mock.calls[0][0]).toEqual({ filters: { isbn: { $in: ['111', '222', '444'] } }, page: 1, page_size: 3 })
+    expect(mockManager.patchMany).toHaveBeenCalledWith([
+      { id: 7, data: { isbn: '444', title: 'Ubik', price: 12, available: null } },
+    ])
+    expect(mockManager.createMany.mock.calls[0][0].map((r) => r.isbn)).toEqual(['111', '222'])
+    expect(wizard.report.value).toMatchObject({ created: 2, updated: 1, failed: 1 })
+  })
+
+  it('fails unmatched rows in update-only mode', async () => {
+    const { wizard } = setup({ key: 'isbn', modes: ['update'] })
+    mockManager.list.mockResolvedValueOnce({ items: [{ id: 7, isbn: '111' }], total: 1 })
+
+    await wizard.onRun()
+
+    expect(mockManager.createMany).not.toHaveBeenCalled()
+    expect(mockManager.patchMany.mock.calls[0][0].map((item) => item.id)).toEqual([7])
+    const failed = wizard.report.value.results.filter((r) => !r.ok)
+    expect(failed.map((r) => r.error)).toContain('No ISBN 444')
+  })
+
+  it.each([
+    ['MockApiStorage', () => new MockApiStorage({ entityName: 'books' })],
+    ['LocalStorage', () => new LocalStorage({ key: 'test_import_books' })],
+  ])('matches typed keys against a real %s', async (_name, createStorage) => {
+    localStorage.clear()
+    const storage = createStorage()
+    await storage.create({ id: 1, isbn: '111', title: 'Dune' })
+    await storage.create({ id: 2, isbn: '222', title: 'Emma' })
+    mockManager = new EntityManager({ name: 'books', storage, fields: { title: { type: 'text' }, isbn: { type: 'text' } } })
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const wizard = result.addImportAction({ modes: ['update'] })
+
+    // id is the key: numbers in the store, text in the file
+    wizard.onLoad('books.csv', ['id,title', '1,Dune Messiah', '2,Emma', '3,Ubik'].join('\n'))
+    await wizard.onRun()
+
+    expect(wizard.report.value).toMatchObject({ updated: 2, failed: 1 })
+    expect((await storage.get(1)).title).toBe('Dune Messiah')
+
+    // A typed key
+    wizard.onMode('upsert')
+    wizard.onKey('isbn')
+    wizard.onLoad('books.csv', ['isbn,title', '222,Emma 2', '444,Neuromancer'].join('\n'))
+    await wizard.onRun()
+
+    expect(wizard.report.value).toMatchObject({ created: 1, updated: 1, failed: 0 })
+    const { items } = await storage.list({ page_size: 10 })
+    expect(items.map((book) => book.title).sort()).toEqual(['Dune Messiah', 'Emma 2', 'Neuromancer'])
+  })
+
+  it('reports files that do not parse', () => {
+    const { wizard } = setup()
+
+    wizard.onLoad('books.json', '{ nope')
+
+    expect(wizard.error.value).toBeTruthy()
+    expect(wizard.rows.value).toEqual([])
+  })
+})
+
+describe('useListPage - advanced filter', () => {
+  const priceGroup = { logic: 'and', rules: [{ field: 'price', operator: 'gte', value: 10 }] }
+  const orGroup = {
+    logic: 'or',
+    rules: [
+      { field: 'status', operator: 'eq', value: 'active' },
+      { field: 'price', operator: 'lt', value: 5 },
+    ],
+  }
+  const fieldConfigs = {
+    title: { type: 'text', label: 'Title' },
+    price: { type: 'number' },
+    status: { type: 'select', options: [{ label: 'Active', value: 'active' }] },
+    secret: { type: 'text', filterable: false },
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionStorage.clear()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager({
+      getListFields: () => Object.entries(fieldConfigs).map(([name, config]) => ({ name, ...config })),
+      getFieldConfig: (name) => fieldConfigs[name] ?? null,
+    })
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  const lastFilters = () => mockManager.query.mock.calls.at(-1)[0].filters
+
+  it('ANDs the group with the filter values, in the URL and the session', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    result.addFilter('status', { options: [] })
+    result.setFilterValue('status', 'active')
+
+    result.setAdvancedFilter(orGroup)
+    await flushPromises()
+
+    expect(lastFilters()).toEqual({
+      status: 'active',
+      $or: [{ status: 'active' }, { price: { $lt: 5 } }],
+    })
+    expect(mockRouter.replace.mock.calls.at(-1)[0].query.where).toBe(JSON.stringify(orGroup))
+    expect(JSON.parse(sessionStorage.getItem('qdadm_filters_books'))._where).toEqual(orGroup)
+    expect(result.hasActiveFilters.value).toBe(true)
+
+    result.setAdvancedFilter(priceGroup)
+    await flushPromises()
+    expect(lastFilters()).toEqual({ status: 'active', price: { $gte: 10 } })
+  })
+
+  it('restores the group from the URL, then the session', async () => {
+    mockRouteState.query = { where: JSON.stringify(priceGroup) }
+    const { result } = createWrapper(() => useListPage({ entity: 'books' }))
+    await flushPromises()
+
+    expect(result.advancedFilter.value).toEqual(priceGroup)
+    expect(lastFilters()).toEqual({ price: { $gte: 10 } })
+
+    sessionStorage.setItem('qdadm_filters_books', JSON.stringify({ _search: 'x', _where: orGroup }))
+    mockRouteState.query = {}
+    const restored = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false })).result
+    expect(restored.advancedFilter.value).toEqual(orGroup)
+    expect(restored.filterValues.value).toEqual({})
+  })
+
+  it('clears the group with the other filters', async () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    result.setAdvancedFilter(priceGroup)
+
+    result.clearFilters()
+    await flushPromises()
+
+    expect(result.advancedFilter.value).toBeNull()
+    expect(mockRouter.replace.mock.calls.at(-1)[0].query).not.toHaveProperty('where')
+    expect(lastFilters()).toBeUndefined()
+  })
+
+  it('offers the filterable fields with the operators of their kind', () => {
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const builder = result.addFilterBuilder()
+
+    expect(builder.fields.value.map((field) => [field.name, field.kind])).toEqual([
+      ['title', 'text'],
+      ['price', 'number'],
+      ['status', 'select'],
+    ])
+    expect(builder.fields.value[1].label).toBe('Price')
+    expect(builder.fields.value[1].operators).toContain('between')
+    expect(builder.fields.value[2].options).toEqual(fieldConfigs.status.options)
+    expect(result.props.value.filterBuilder).toBe(builder)
+  })
+
+  it('refuses a group the storage dialect cannot express', async () => {
+    const { querySerializers } = await import('../../src/query/serializers')
+    mockManager.storage = { querySerializer: querySerializers.bracket }
+    const { result } = createWrapper(() => useListPage({ entity: 'books', loadOnMount: false }))
+    const builder = result.addFilterBuilder()
+    builder.onOpen()
+
+    expect(builder.onApply(orGroup)).toBe(false)
+    expect(builder.error.value).toContain('$or')
+    expect(builder.visible.value).toBe(true)
+    expect(result.advancedFilter.value).toBeNull()
+
+    expect(builder.onApply(priceGroup)).toBe(true)
+    expect(builder.visible.value).toBe(false)
+    expect(builder.count.value).toBe(1)
+
+    builder.onClear()
+    expect(result.advancedFilter.value).toBeNull()
+  })
+})
+
+describe('useListPage - saved views', () => {
+  const sciFi = {
+    search: 'dune',
+    filters: { genre: 'sf' },
+    where: null,
+    sort: { field: 'year', order: 1 },
+    columns: ['title', 'year'],
+    pageSize: 50,
+  }
+
+  function createProvider(views = []) {
+    const stored = [...views]
+    return {
+      list: vi.fn(async (entity) => stored.filter((view) => view.entity === entity)),
+      save: vi.fn(async (view) => ({ ...view, id: view.id ?? `v${stored.length + 1}` })),
+      remove: vi.fn(async () => {}),
+    }
+  }
+
+  function createListPage(options = {}) {
+    const created = createWrapper(() => {
+      const list = useListPage({ entity: 'books', loadOnMount: false, defaultSort: 'title' })
+      list.addFilter('genre', { options: [] })
+      list.addColumn('title')
+      list.addColumn('author')
+      list.addColumn('year')
+      return { list, views: list.addViewSwitcher(options) }
+    })
+    return created.result
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionStorage.clear()
+    localStorage.clear()
+    mockRouteState = { name: 'book', path: '/books', params: {}, query: {}, meta: {} }
+    mockRouter.resolve = vi.fn(({ path, query }) => ({ href: `${path}?view=${query.view}` }))
+    mockManager = createMockManager()
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+    mockOrchestrator.toast = { success: vi.fn(), error: vi.fn(), warn: vi.fn() }
+  })
+
+  afterEach(() => {
+    delete mockRouter.resolve
+    delete mockOrchestrator.toast
+    delete mockOrchestrator.viewsProvider
+    delete mockOrchestrator.entityAuthAdapter
+  })
+
+  it('saves the page state in localStorage by default, then tracks changes', async () => {
+    const { list, views } = createListPage()
+    await flushPromises()
+    list.updateFilters({ genre: 'sf' })
+    list.setVisibleColumns(['year', 'title'])
+
+    const view = await views.onSave(' Sci-fi ')
+
+    expect(view.name).toBe('Sci-fi')
+    expect(view.state).toEqual({
+      search: '',
+      filters: { genre: 'sf' },
+      where: null,
+      sort: { field: 'title', order: -1 },
+      columns: ['year', 'title'],
+      pageSize: 10,
+    })
+    expect(JSON.parse(localStorage.getItem('qdadm_views'))).toHaveLength(1)
+    expect(views.active.value.id).toBe(view.id)
+    expect(views.modified.value).toBe(false)
+    expect(list.props.value.viewSwitcher).toBe(views)
+
+    list.onSort({ sortField: 'year', sortOrder: 1 })
+    expect(views.modified.value).toBe(true)
+
+    await views.onUpdate()
+    expect(views.modified.value).toBe(false)
+    expect(views.active.value.state.sort).toEqual({ field: 'year', order: 1 })
+  })
+
+  it('applies a view, then back to the list defaults', async () => {
+    mockOrchestrator.viewsProvider = createProvider([{ id: 'v1', entity: 'books', name: 'Sci-fi', state: sciFi }])
+    const { list, views } = createListPage()
+    await flushPromises()
+
+    views.onSelect('v1')
+    await flushPromises()
+
+    expect(list.filterValues.value).toEqual({ genre: 'sf' })
+    expect(list.searchQuery.value).toBe('dune')
+    expect([list.sortField.value, list.sortOrder.value]).toEqual(['year', 1])
+    expect(JSON.parse(sessionStorage.getItem('qdadm_sort_books'))).toEqual({ field: 'year', order: 1 })
+    expect(list.columns.value.map((col) => col.field)).toEqual(['title', 'year'])
+    expect(list.pageSize.value).toBe(50)
+    expect(mockManager.query.mock.calls.at(-1)[0]).toMatchObject({ page: 1, page_size: 50, filters: { genre: 'sf' } })
+    expect(views.modified.value).toBe(false)
+
+    views.onSelect(null)
+    expect(views.active.value).toBeNull()
+    expect(list.filterValues.value).toEqual({ genre: null })
+    expect(list.sortField.value).toBe('title')
+    expect(list.columns.value.map((col) => col.field)).toEqual(['title', 'author', 'year'])
+  })
+
+  it('shows own views and those published to a granted role', async () => {
+    mockOrchestrator.viewsProvider = createProvider([
+      { id: 'mine', entity: 'books', name: 'Mine', state: {}, owner: 2, roles: [] },
+      { id: 'private', entity: 'books', name: 'Private', state: {}, owner: 1, roles: [] },
+      { id: 'shared', entity: 'books', name: 'Shared', state: {}, owner: 1, roles: ['ROLE_USER'] },
+      { id: 'admins', entity: 'books', name: 'Admins', state: {}, owner: 1, roles: ['ROLE_ADMIN'] },
+      { id: 'other', entity: 'authors', name: 'Other list', state: {}, owner: 2 },
+      { id: 'orphan', entity: 'books', name: 'Orphan', state: {}, owner: null, roles: [] },
+    ])
+    mockOrchestrator.entityAuthAdapter = {
+      isGranted: (attribute) => attribute === 'ROLE_USER',
+      getCurrentUser: () => ({ id: 2, roles: ['ROLE_USER'] }),
+    }
+    const { views } = createListPage()
+    await flushPromises()
+
+    expect(mockOrchestrator.viewsProvider.list).toHaveBeenCalledWith('books', { owner: 2, roles: ['ROLE_USER'] })
+    expect(views.views.value.map((view) => view.id)).toEqual(['mine', 'shared'])
+    expect(views.canEdit(views.views.value[1])).toBe(false)
+    expect(views.canPublish.value).toBe(false)
+
+    const saved = await views.onSave('Mine too', ['ROLE_USER'])
+    expect(saved).toMatchObject({ owner: 2, roles: [] })
+  })
+
+  it('publishes a view to roles with the views:publish permission', async () => {
+    const provider = createProvider([{ id: 'v1', entity: 'books', name: 'Sci-fi', state: sciFi, owner: 1 }])
+    mockOrchestrator.entityAuthAdapter = {
+      isGranted: (attribute) => ['views:publish', 'ROLE_ADMIN'].includes(attribute),
+      getCurrentUser: () => ({ id: 1 }),
+      getAssignableRoles: () => ['ROLE_ADMIN', 'ROLE_USER'],
+    }
+    const { views } = createListPage({ provider })
+    await flushPromises()
+
+    expect(views.roles.value).toEqual(['ROLE_ADMIN', 'ROLE_USER'])
+    await views.onPublish('v1', ['ROLE_USER'])
+
+    expect(provider.save).toHaveBeenCalledWith(expect.objectContaining({ id: 'v1', roles: ['ROLE_USER'] }))
+    expect(views.views.value[0].roles).toEqual(['ROLE_USER'])
+    expect(mockOrchestrator.toast.success).toHaveBeenCalledWith('View published', 'Sci-fi', undefined)
+
+    await views.onDelete('v1')
+    expect(provider.remove).toHaveBeenCalledWith('v1')
+    expect(views.views.value).toEqual([])
+  })
+
+  it('applies a shared link once, the filters dropping the view param', async () => {
+    mockOrchestrator.viewsProvider = createProvider([{ id: 'v1', entity: 'books', name: 'Sci-fi', state: sciFi }])
+    mockRouteState.query = { view: 'v1' }
+    const { list, views } = createListPage()
+    await flushPromises()
+
+    expect(views.active.value.name).toBe('Sci-fi')
+    expect(list.filterValues.value).toEqual({ genre: 'sf' })
+    expect(mockRouter.replace.mock.calls.at(-1)[0].query).toEqual({ genre: 'sf', search: 'dune' })
+    expect(views.viewUrl(views.active.value)).toBe(`${window.location.origin}/books?view=v1`)
+  })
+
+  it('warns on a shared link to an unknown view', async () => {
+    mockOrchestrator.viewsProvider = createProvider()
+    mockRouteState.query = { view: 'gone', page: '2' }
+    const { views } = createListPage()
+    await flushPromises()
+
+    expect(views.active.value).toBeNull()
+    expect(mockOrchestrator.toast.warn).toHaveBeenCalledWith('View not found', expect.any(String), undefined)
+    expect(mockRouter.replace).toHaveBeenCalledWith({ query: { page: '2' } })
+  })
+})
+
+describe('useListPage - column layout', () => {
+  function createListPage(options = {}, setup = () => {}) {
+    const created = createWrapper(() => {
+      const list = useListPage({ entity: 'books', loadOnMount: false, ...options })
+      list.addColumn('title', { header: 'Title', hideable: false })
+      list.addColumn('author', { header: 'Author' })
+      list.addColumn('year', { header: 'Year' })
+      list.addColumn('isbn', { header: 'ISBN', hidden: true })
+      setup(list)
+      return { list, chooser: list.addColumnChooser() }
+    })
+    return created.result
+  }
+
+  const fields = (columns) => columns.map((col) => col.field)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    sessionStorage.clear()
+    localStorage.clear()
+    mockRouteState = { name: 'book', params: {}, query: {}, meta: {} }
+    mockManager = createMockManager()
+    mockOrchestrator.get.mockImplementation(() => mockManager)
+  })
+
+  afterEach(() => {
+    delete mockOrchestrator.entityAuthAdapter
+  })
+
+  it('shows the registered columns, hidden ones left out of the table only', () => {
+    const { list, chooser } = createListPage()
+
+    expect(fields(list.columns.value)).toEqual(['title', 'author', 'year'])
+    expect(list.visibleColumns.value).toBeNull()
+    expect(chooser.label).toBe('Columns')
+    expect(chooser.customized.value).toBe(false)
+    expect(chooser.items.value.map((item) => [item.field, item.visible, item.hideable])).toEqual([
+      ['title', true, false],
+      ['author', true, true],
+      ['year', true, true],
+      ['isbn', false, true],
+    ])
+    expect(list.props.value.columnChooser).toBe(chooser)
+  })
+
+  it('toggles, moves, pins and resizes columns, pinned ones first', () => {
+    const { list, chooser } = createListPage()
+
+    chooser.onToggle('isbn')
+    chooser.onToggle('author')
+    chooser.onMove('year', 0)
+    chooser.onFreeze('isbn')
+    chooser.onResize('title', 180.4)
+
+    expect(fields(list.columns.value)).toEqual(['isbn', 'year', 'title'])
+    expect(list.columns.value[0].frozen).toBe(true)
+    expect(list.columns.value[2].width).toBe('180px')
+    expect(list.visibleColumns.value).toEqual(['isbn', 'year', 'title'])
+    expect(chooser.customized.value).toBe(true)
+  })
+
+  it('keeps the columns that may not be hidden, and the last shown one', () => {
+    const { list, chooser } = createListPage()
+
+    chooser.onToggle('title')
+    chooser.onToggle('author')
+    chooser.onToggle('year')
+    expect(fields(list.columns.value)).toEqual(['title'])
+
+    chooser.onToggle('title')
+    expect(fields(list.columns.value)).toEqual(['title'])
+  })
+
+  it('reorders the shown columns dragged in the table', () => {
+    const { list, chooser } = createListPage()
+
+    chooser.onReorder(0, 2)
+    expect(fields(list.columns.value)).toEqual(['author', 'year', 'title'])
+
+    // Dropped on the actions column: last
+    chooser.onReorder(0, 5)
+    expect(fields(list.columns.value)).toEqual(['year', 'title', 'author'])
+    expect(list.columnLayout.value.order).toEqual(['year', 'title', 'author', 'isbn'])
+  })
+
+  it('persists the layout per entity and user, restored on the next page', () => {
+    mockOrchestrator.entityAuthAdapter = { getCurrentUser: () => ({ id: 7, username: 'ada' }) }
+    const first = createListPage()
+    first.chooser.onMove('year', 0)
+    first.chooser.onFreeze('author')
+    first.chooser.onResize('year', 120)
+
+    const saved = JSON.parse(localStorage.getItem('qdadm_columns_books:7'))
+    expect(saved).toEqual({
+      order: ['year', 'title', 'author', 'isbn'],
+      frozen: ['author'],
+      widths: { year: 120 },
+    })
+
+    const { list } = createListPage()
+    expect(fields(list.columns.value)).toEqual(['author', 'year', 'title'])
+    expect(list.columns.value[1].width).toBe('120px')
+
+    mockOrchestrator.entityAuthAdapter = { getCurrentUser: () => ({ id: 8, username: 'bob' }) }
+    const other = createListPage()
+    expect(fields(other.list.columns.value)).toEqual(['title', 'author', 'year'])
+  })
+
+  it('does not persist with persistColumns: false', () => {
+    createListPage({ persistColumns: false }).chooser.onToggle('author')
+
+    expect(localStorage.getItem('qdadm_columns_books')).toBeNull()
+  })
+
+  it('resets to the registered layout', () => {
+    const { list, chooser } = createListPage()
+    chooser.onToggle('author')
+    chooser.onResize('title', 200)
+
+    chooser.onReset()
+
+    expect(fields(list.columns.value)).toEqual(['title', 'author', 'year'])
+    expect(list.columns.value[0].width).toBeUndefined()
+    expect(chooser.customized.value).toBe(false)
+    expect(localStorage.getItem('qdadm_columns_books')).toBeNull()
+  })
+
+  it('applies hook changes on top of the saved layout', () => {
+    localStorage.setItem(
+      'qdadm_columns_books',
+      JSON.stringify({ order: ['year', 'author', 'title'], hidden: ['title'], widths: {} })
+    )
+
+    // As a list:alter hook would: remove, update and add columns
+    const { list, chooser } = createListPage({}, (page) => {
+      page.removeColumn('author')
+      page.updateColumn('year', { header: 'Published' })
+      page.addColumn('publisher', { header: 'Publisher' })
+    })
+
+    // title may not be hidden, the new column comes after the ordered ones
+    expect(fields(list.columns.value)).toEqual(['year', 'title', 'isbn', 'publisher'])
+    expect(list.columns.value[0].header).toBe('Published')
+    expect(chooser.items.value.map((item) => item.field)).toEqual(['year', 'title', 'isbn', 'publisher'])
+  })
+
+  it('ignores a corrupted saved layout', () => {
+    localStorage.setItem('qdadm_columns_books', '{"order":"title"}')
+
+    const { list } = createListPage()
+
+    expect(fields(list.columns.value)).toEqual(['title', 'author', 'year'])
+  })
+})
@@ -0,0 +1,48 @@
+/**
+ * AuthCollector — record rules reported by EntityManagers on auth:record-rules.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { AuthCollector } from '../../src/modules/debug/AuthCollector'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+describe('AuthCollector record rules', () => {
+  let collector
+  let signals
+
+  beforeEach(() => {
+    collector = new AuthCollector()
+    signals = createSignalBus()
+    collector.install({ signals, auth: { getUser: () => ({ id: 5, roles: ['ROLE_LIBRARIAN'] }) } })
+  })
+
+  afterEach(() => {
+    collector.uninstall()
+  })
+
+  it('shows the rules last applied to each entity', () => {
+    signals.emit('auth:record-rules', { entity: 'loans', operation: 'list', roles: ['ROLE_LIBRARIAN'], filter: { branch_id: 1 } })
+
+    const entry = collector.getEntries().find((e) => e.type === 'record-rules')
+    expect(entry.label).toBe('Record Rules')
+    expect(entry.data.loans).toMatchObject({ operation: 'list', roles: ['ROLE_LIBRARIAN'], filter: { branch_id: 1 } })
+    expect(collector.snapshot().state.recordRules.loans.filter).toEqual({ branch_id: 1 })
+  })
+
+  it('only notifies when the rules change', () => {
+    const notify = vi.spyOn(collector, 'notifyChange')
+    const applied = { entity: 'loans', operation: 'list', roles: ['ROLE_LIBRARIAN'], filter: { branch_id: 1 } }
+
+    signals.emit('auth:record-rules', applied)
+    signals.emit('auth:record-rules', applied)
+    signals.emit('auth:record-rules', { ...applied, filter: { branch_id: 2 } })
+
+    expect(notify).toHaveBeenCalledTimes(2)
+  })
+
+  it('forgets the rules on logout', () => {
+    signals.emit('auth:record-rules', { entity: 'loans', operation: 'list', roles: ['ROLE_LIBRARIAN'], filter: { branch_id: 1 } })
+    signals.emit('auth:logout')
+
+    expect(collector.getEntries().some((e) => e.type === 'record-rules')).toBe(false)
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * EntityManager.aggregate() — cache first, then the storage's aggregate
+ * endpoint (supportsAggregate), then filling the cache.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+import { MockApiStorage } from '../../src/entity/storage/MockApiStorage'
+import { QueryValidationError } from '../../src/query/index'
+
+const loans = [
+  { id: 1, status: 'active', fine: 0 },
+  { id: 2, status: 'late', fine: 2 },
+  { id: 3, status: 'late', fine: 3 },
+]
+
+/** Paged API over `loans`, with a `stats` endpoint answering `statsRows` */
+function loansClient(statsRows = [{ status: 'server', count: 99 }]) {
+  return {
+    get: vi.fn(async (url, { params }) => {
+      if (url.endsWith('/stats')) return { data: { rows: statsRows } }
+      const start = (params.page - 1) * params.page_size
+      return { data: { items: loans.slice(start, start + params.page_size), total: loans.length } }
+    }),
+  }
+}
+
+function makeManager({ aggregateEndpoint = null, threshold = 100 } = {}) {
+  const client = loansClient()
+  const storage = new ApiStorage({ endpoint: '/loans', client, aggregateEndpoint })
+  const manager = new EntityManager({ name: 'loans', storage, localFilterThreshold: threshold })
+  const statsCalls = () => client.get.mock.calls.filter(([url]) => url.endsWith('/stats')).length
+  return { manager, client, statsCalls }
+}
+
+describe('EntityManager.aggregate()', () => {
+  it('computes locally when the whole dataset is cached', async () => {
+    const { manager, statsCalls } = makeManager({ aggregateEndpoint: 'stats' })
+    await manager.list({ page_size: 20 })
+
+    const result = await manager.aggregate({
+      groupBy: 'status',
+      metrics: { count: 'count', fines: { fn: 'sum', field: 'fine' } },
+    })
+
+    expect(result).toEqual({
+      rows: [{ status: 'active', count: 1, fines: 0 }, { status: 'late', count: 2, fines: 5 }],
+      fromCache: true,
+    })
+    expect(statsCalls()).toBe(0)
+  })
+
+  it('delegates to the storage when nothing is cached yet', async () => {
+    const { manager, client } = makeManager({ aggregateEndpoint: 'stats' })
+
+    const result = await manager.aggregate({ groupBy: 'status', filters: { fine: { $gt: 0 } } })
+
+    expect(result).toEqual({ rows: [{ status: 'server', count: 99 }], fromCache: false })
+    expect(client.get).toHaveBeenCalledTimes(1)
+    expect(client.get.mock.calls[0][1].params).toMatchObject({ group_by: 'status', fine: { $gt: 0 } })
+    expect(manager.getCacheInfo().valid).toBe(false)
+  })
+
+  it('fills the cache when the storage cannot aggregate', async () => {
+    const { manager } = makeManager()
+
+    const result = await manager.aggregate({ filters: { status: 'late' } })
+
+    expect(result).toEqual({ rows: [{ count: 2 }], fromCache: true })
+    expect(manager.getCacheInfo().valid).toBe(true)
+  })
+
+  it('throws when neither the storage nor the cache can answer', async () => {
+    const { manager } = makeManager({ threshold: 2 })
+    await expect(manager.aggregate()).rejects.toThrow('[EntityManager:loans] aggregate() needs a storage')
+  })
+
+  it('rejects invalid metrics before any request', async () => {
+    const { manager, client } = makeManager({ aggregateEndpoint: 'stats' })
+    await expect(manager.aggregate({ metrics: { x: { fn: 'median', field: 'fine' } } })).rejects.toThrow(QueryValidationError)
+    expect(client.get).not.toHaveBeenCalled()
+  })
+
+  it('uses MockApiStorage aggregation (no cache)', async () => {
+    localStorage.clear()
+    const storage = new MockApiStorage({ entityName: 'loans', initialData: loans })
+    const manager = new EntityManager({ name: 'loans', storage })
+
+    const result = await manager.aggregate({ groupBy: 'status', metrics: { top: { fn: 'max', field: 'fine' } } })
+
+    expect(result).toEqual({ rows: [{ status: 'active', top: 0 }, { status: 'late', top: 3 }], fromCache: false })
+  })
+})
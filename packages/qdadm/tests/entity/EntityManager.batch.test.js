@@ -0,0 +1,195 @@
+/**
+ * EntityManager — batch writes (createMany/updateMany/patchMany/deleteMany).
+ *
+ * Covers the per-item fallback with limited concurrency, the storage.batch()
+ * round trip, per-item hooks and signals, and the aggregate entity:batch signal.
+ */
+import { describe, it, expect, vi } from 'vitest'
+
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage, ConflictError } from '../../src/entity/storage/index'
+import { createHookRegistry } from '../../src/hooks/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+function setup(storage = new MemoryStorage({ initialData: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] })) {
+  const manager = new EntityManager({ name: 'books', storage })
+  const hooks = createHookRegistry()
+  const signals = createSignalBus()
+  manager.setHooks(hooks)
+  manager.setSignals(signals)
+  const seen = []
+  signals.on('entity:*', (event) => {
+    if (event.name !== 'entity:data-invalidate') seen.push([event.name, event.data.data])
+  })
+  return { manager, storage, hooks, signals, seen }
+}
+
+/** MemoryStorage with a batch() applying each operation in turn */
+class BatchingStorage extends MemoryStorage {
+  async batch(operations) {
+    this.batchCalls = (this.batchCalls ?? 0) + 1
+    const outcomes = []
+    for (const { action, id, data } of operations) {
+      try {
+        if (action === 'delete') {
+          await this.delete(id)
+          outcomes.push({ ok: true })
+        } else {
+          const record = action === 'create' ? await this.create(data) : await this[action](id, data)
+          outcomes.push({ ok: true, record })
+        }
+      } catch (error) {
+        outcomes.push({ ok: false, error })
+      }
+    }
+    return outcomes
+  }
+}
+
+describe('EntityManager — batch fallback', () => {
+  it('createMany creates each record and reports their ids', async () => {
+    const { manager, storage } = setup()
+
+    const result = await manager.createMany([{ title: 'C' }, { title: 'D' }])
+
+    expect(result.action).toBe('create')
+    expect(result.failed).toEqual([])
+    expect(result.succeeded.map((r) => r.record.title)).toEqual(['C', 'D'])
+    expect(result.succeeded.every((r) => r.id !== null)).toBe(true)
+    expect((await storage.list()).total).toBe(4)
+  })
+
+  it('keeps going past failing items and reports them at their index', async () => {
+    const { manager, hooks, storage } = setup()
+    hooks.register('entity:predelete', ({ data }) => {
+      if (data.id === 1) throw new ConflictError('locked')
+    })
+
+    const result = await manager.deleteMany([1, 2, 99])
+
+    expect(result.succeeded.map((r) => r.id)).toEqual([2])
+    expect(result.failed.map((r) => [r.index, r.id, r.error.message])).toEqual([
+      [0, 1, 'locked'],
+      [2, 99, expect.stringContaining('99')],
+    ])
+    expect(await storage.get(1)).toMatchObject({ title: 'A' })
+  })
+
+  it('patchMany and updateMany go through patch/update', async () => {
+    const { manager, storage } = setup()
+    const patch = vi.spyOn(storage, 'patch')
+    const update = vi.spyOn(storage, 'update')
+
+    await manager.patchMany([{ id: 1, data: { title: 'A2' } }, { id: 2, data: { title: 'B2' } }])
+    await manager.updateMany([{ id: 1, data: { id: 1, title: 'A3' } }])
+
+    expect(patch).toHaveBeenCalledTimes(2)
+    expect(update).toHaveBeenCalledTimes(1)
+    expect((await storage.get(1)).title).toBe('A3')
+    expect((await storage.get(2)).title).toBe('B2')
+  })
+
+  it('limits the calls in flight to the concurrency option', async () => {
+    const { manager, storage } = setup()
+    let inFlight = 0
+    let peak = 0
+    const remove = storage.delete.bind(storage)
+    storage.delete = async (id) => {
+      peak = Math.max(peak, ++inFlight)
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      inFlight--
+      return remove(id)
+    }
+    await manager.createMany([{}, {}, {}, {}, {}])
+    const ids = (await storage.list()).items.map((r) => r.id)
+
+    const result = await manager.deleteMany(ids, { concurrency: 2 })
+
+    expect(result.succeeded).toHaveLength(7)
+    expect(peak).toBe(2)
+  })
+
+  it('emits per-item signals, then one entity:batch signal', async () => {
+    const { manager, seen } = setup()
+
+    await manager.deleteMany([1, 2, 99])
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(seen.map(([name]) => name)).toEqual(['entity:deleted', 'entity:deleted', 'entity:batch'])
+    expect(seen[2][1]).toEqual({ action: 'delete', manager: 'books', succeeded: [1, 2], failed: [99] })
+  })
+})
+
+describe('EntityManager — storage.batch()', () => {
+  function setupBatching() {
+    return setup(new BatchingStorage({ initialData: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }] }))
+  }
+
+  it('sends every item in a single batch call', async () => {
+    const { manager, storage } = setupBatching()
+    const patch = vi.spyOn(manager, 'patch')
+
+    const result = await manager.patchMany([{ id: 1, data: { title: 'A2' } }, { id: 2, data: { title: 'B2' } }])
+
+    expect(storage.batchCalls).toBe(1)
+    expect(patch).not.toHaveBeenCalled()
+    expect(result.succeeded.map((r) => r.record.title)).toEqual(['A2', 'B2'])
+  })
+
+  it('runs presave per item and leaves rejected items out of the batch', async () => {
+    const { manager, hooks, storage } = setupBatching()
+    const batch = vi.spyOn(storage, 'batch')
+    hooks.register('entity:presave', ({ data }) => {
+      if (!data.record.title) throw new ConflictError('title required')
+      data.record.slug = data.record.title.toLowerCase()
+    })
+    const postsave = vi.fn()
+    hooks.register('entity:postsave', postsave)
+
+    const result = await manager.createMany([{ title: 'C' }, {}])
+
+    expect(batch).toHaveBeenCalledWith([{ action: 'create', data: { title: 'C', slug: 'c' } }])
+    expect(result.failed).toEqual([{ index: 1, id: null, ok: false, error: expect.any(ConflictError) }])
+    expect(postsave).toHaveBeenCalledTimes(1)
+  })
+
+  it('maps storage outcomes back to items, with signals for the successes', async () => {
+    const { manager, seen } = setupBatching()
+
+    const result = await manager.deleteMany([1, 99])
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(result.succeeded.map((r) => r.id)).toEqual([1])
+    expect(result.failed.map((r) => r.id)).toEqual([99])
+    expect(seen.map(([name]) => name)).toEqual(['entity:deleted', 'entity:batch'])
+  })
+
+  it('settles every item when one postsave throws, reporting it on the item', async () => {
+    const { manager, seen } = setupBatching()
+    const invoke = manager._invokeHook.bind(manager)
+    const failure = new Error('side effect')
+    vi.spyOn(manager, '_invokeHook').mockImplementation((name, context) => {
+      if (name === 'postsave' && context.id === 1) return Promise.reject(failure)
+      return invoke(name, context)
+    })
+
+    const result = await manager.patchMany([{ id: 1, data: { title: 'A2' } }, { id: 2, data: { title: 'B2' } }])
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(result.succeeded.map((r) => r.id)).toEqual([1, 2])
+    expect(result.succeeded[0].hookError).toBe(failure)
+    expect(result.succeeded[1]).not.toHaveProperty('hookError')
+    expect(seen.map(([name]) => name)).toEqual(['entity:updated', 'entity:updated', 'entity:batch'])
+  })
+
+  it('fails every item when the batch call itself throws', async () => {
+    const { manager, storage } = setupBatching()
+    const failure = new Error('network down')
+    storage.batch = vi.fn().mockRejectedValue(failure)
+
+    const result = await manager.deleteMany([1, 2])
+
+    expect(result.succeeded).toEqual([])
+    expect(result.failed.map((r) => r.error)).toEqual([failure, failure])
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * EntityManager computed fields — FieldConfig.compute / dependsOn.
+ *
+ * Covers materialization on read (list, get, cache), local filtering and
+ * sorting on computed values, read-only form fields, and stripping before
+ * writes (create, update, patch, batches).
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+import { MockApiStorage } from '../../src/entity/storage/MockApiStorage'
+
+const rows = () => [
+  { id: 1, first_name: 'Ada', last_name: 'Lovelace', price: 10, stock: 3 },
+  { id: 2, first_name: 'Alan', last_name: 'Turing', price: 4, stock: 20 },
+  { id: 3, first_name: 'Grace', last_name: null, price: 25, stock: 1 },
+]
+
+const fields = {
+  first_name: { type: 'text' },
+  last_name: { type: 'text' },
+  price: { type: 'number' },
+  stock: { type: 'number' },
+  fullName: { type: 'text', dependsOn: ['first_name', 'last_name'] },
+  stockValue: { type: 'number', compute: (record) => record.price * record.stock },
+}
+
+/** HTTP client over the rows, recording the bodies it is sent */
+function createClient() {
+  const data = rows()
+  return {
+    get: vi.fn(async (url) => {
+      const id = url.split('/')[2]
+      if (id) return { data: { ...data.find((row) => String(row.id) === id) } }
+      return { data: { items: data.map((row) => ({ ...row })), total: data.length } }
+    }),
+    post: vi.fn(async (url, body) => ({ data: { id: 4, ...body } })),
+    put: vi.fn(async (url, body) => ({ data: { id: Number(url.split('/')[2]), ...body } })),
+    patch: vi.fn(async (url, body) => ({ data: { ...data[0], ...body } })),
+  }
+}
+
+function setup() {
+  const client = createClient()
+  const storage = new ApiStorage({ endpoint: '/people', client })
+  const manager = new EntityManager({ name: 'people', storage, fields })
+  return { manager, client }
+}
+
+describe('EntityManager computed fields', () => {
+  it('materializes computed fields on list() and get()', async () => {
+    const { manager } = setup()
+
+    const { items } = await manager.list()
+    expect(items.map((p) => p.fullName)).toEqual(['Ada Lovelace', 'Alan Turing', 'Grace'])
+    expect(items.map((p) => p.stockValue)).toEqual([30, 80, 25])
+
+    manager.invalidateCache()
+    expect(await manager.get(2)).toMatchObject({ fullName: 'Alan Turing', stockValue: 80 })
+  })
+
+  it('never writes computed values into the records a storage returns', async () => {
+    localStorage.clear()
+    const storage = new MockApiStorage({ entityName: 'people', initialData: rows() })
+    const manager = new EntityManager({ name: 'people', storage, fields })
+
+    expect((await manager.list()).items[0].fullName).toBe('Ada Lovelace')
+    expect((await manager.get(2)).fullName).toBe('Alan Turing')
+    expect((await manager.patch(1, { stock: 4 })).stockValue).toBe(40)
+    await manager.patchMany([{ id: 3, data: { stock: 2 } }])
+
+    const stored = storage._getAll()
+    expect(stored.some((row) => 'fullName' in row || 'stockValue' in row)).toBe(false)
+    expect(JSON.stringify(localStorage)).not.toContain('fullName')
+  })
+
+  it('filters and sorts on computed values in cache mode', async () => {
+    const { manager, client } = setup()
+    await manager.list()
+    client.get.mockClear()
+
+    const result = await manager.query({
+      filters: { stockValue: { $gte: 30 } },
+      sort_by: 'stockValue',
+      sort_order: 'desc',
+    })
+
+    expect(result.fromCache).toBe(true)
+    expect(result.items.map((p) => p.id)).toEqual([2, 1])
+    expect(client.get).not.toHaveBeenCalled()
+  })
+
+  it('strips computed fields before writes', async () => {
+    const { manager, client } = setup()
+    const person = await manager.get(1)
+
+    await manager.update(1, { ...person, first_name: 'Augusta' })
+    await manager.patch(1, { fullName: 'X', stock: 4 })
+    const created = await manager.create({ first_name: 'Edsger', last_name: 'Dijkstra', fullName: 'X', price: 1, stock: 2 })
+
+    for (const [, body] of [...client.put.mock.calls, ...client.patch.mock.calls, ...client.post.mock.calls]) {
+      expect(body).not.toHaveProperty('fullName')
+      expect(body).not.toHaveProperty('stockValue')
+    }
+    // Results come back computed
+    expect(created).toMatchObject({ fullName: 'Edsger Dijkstra', stockValue: 2 })
+  })
+
+  it('strips computed fields from batch writes', async () => {
+    const { manager, client } = setup()
+
+    const { succeeded } = await manager.createMany([{ first_name: 'Barbara', last_name: 'Liskov', fullName: 'X' }])
+
+    expect(client.post.mock.calls[0][1]).not.toHaveProperty('fullName')
+    expect(succeeded[0].record.fullName).toBe('Barbara Liskov')
+  })
+
+  it('exposes computed fields read-only in forms and on new records', () => {
+    const { manager } = setup()
+
+    expect(manager.getComputedFields()).toEqual(['fullName', 'stockValue'])
+    expect(manager.isComputedField('price')).toBe(false)
+    const formFields = Object.fromEntries(manager.getFormFields().map((f) => [f.name, f]))
+    expect(formFields.fullName.readonly).toBe(true)
+    expect(formFields.price.readonly).toBeUndefined()
+    expect(manager.getInitialData()).toMatchObject({ first_name: '', fullName: '' })
+  })
+
+  it('denormalize() returns the same object without computed keys', () => {
+    const { manager } = setup()
+    const data = { first_name: 'Ada' }
+
+    expect(manager.denormalize(data)).toBe(data)
+    expect(manager.denormalize({ ...data, fullName: 'Ada' })).toEqual(data)
+  })
+})
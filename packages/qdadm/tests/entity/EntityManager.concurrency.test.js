@@ -0,0 +1,215 @@
+/**
+ * EntityManager — optimistic concurrency (version tokens, ConflictError).
+ *
+ * Covers version tracking on get(), the If-Match / version-field round trip
+ * on update()/patch(), 409/412 mapping to ConflictError, and the
+ * withVersioning bundle enforcing versions on local storages.
+ */
+import { describe, it, expect, vi } from 'vitest'
+
+import { EntityManager } from '../../src/entity/EntityManager'
+import { ApiStorage, MemoryStorage, ConflictError, StorageError } from '../../src/entity/storage/index'
+import { createHookRegistry } from '../../src/hooks/index'
+import { applyBundle, withVersioning } from '../../src/core/bundles'
+
+/** Axios-like client keeping one versioned record, answering with ETag headers */
+function etagClient(record = { id: 1, title: 'Dune' }) {
+  const state = { record, version: 1 }
+  const respond = () => ({ data: { ...state.record }, headers: { etag: `"v${state.version}"` } })
+  return {
+    state,
+    get: vi.fn(async () => respond()),
+    put: vi.fn(async (url, data) => {
+      state.record = data
+      state.version++
+      return respond()
+    }),
+    request: vi.fn(async ({ data, headers }) => {
+      if (headers['If-Match'] !== `"v${state.version}"`) {
+        throw { response: { status: 412, data: {} } }
+      }
+      state.record = data
+      state.version++
+      return respond()
+    }),
+  }
+}
+
+describe('EntityManager — version field', () => {
+  it('tracks the version on get and sends it back on update', async () => {
+    const storage = new MemoryStorage({ initialData: [{ id: 1, title: 'Dune', version: 3 }] })
+    const update = vi.spyOn(storage, 'update')
+    const manager = new EntityManager({ name: 'books', storage, versionField: 'version' })
+
+    await manager.get(1)
+    expect(manager.getVersionToken(1)).toBe(3)
+
+    await manager.update(1, { title: 'Dune Messiah' })
+    expect(update).toHaveBeenCalledWith(1, { title: 'Dune Messiah', version: 3 }, {})
+  })
+
+  it('does not inject anything without versionField or a known token', async () => {
+    const storage = new MemoryStorage({ initialData: [{ id: 1, title: 'Dune', version: 3 }] })
+    const patch = vi.spyOn(storage, 'patch')
+
+    await new EntityManager({ name: 'books', storage }).patch(1, { title: 'X' })
+    await new EntityManager({ name: 'books', storage, versionField: 'version' }).patch(1, { title: 'Y' })
+
+    expect(patch.mock.calls[0][1]).toEqual({ title: 'X' })
+    expect(patch.mock.calls[1][1]).toEqual({ title: 'Y' })
+  })
+
+  it('maps a 409 to ConflictError carrying the server record', async () => {
+    const storage = new MemoryStorage({ initialData: [{ id: 1, title: 'Dune', version: 3 }] })
+    const manager = new EntityManager({ name: 'books', storage, versionField: 'version' })
+    await manager.get(1)
+    await storage.update(1, { id: 1, title: 'Changed', version: 4 })
+    vi.spyOn(storage, 'update').mockRejectedValueOnce(new StorageError('Conflict', 409))
+
+    const error = await manager.update(1, { title: 'Mine' }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ConflictError)
+    expect(error).toMatchObject({
+      status: 409,
+      entity: 'books',
+      id: 1,
+      expectedVersion: 3,
+      actualVersion: 4,
+      serverRecord: { id: 1, title: 'Changed', version: 4 },
+    })
+    expect(manager.getVersionToken(1)).toBe(4)
+  })
+
+  it('lets other storage errors through untouched', async () => {
+    const storage = new MemoryStorage({ initialData: [{ id: 1, title: 'Dune' }] })
+    const failure = new StorageError('Unprocessable', 422)
+    vi.spyOn(storage, 'update').mockRejectedValueOnce(failure)
+    const manager = new EntityManager({ name: 'books', storage })
+
+    await expect(manager.update(1, { title: 'X' })).rejects.toBe(failure)
+  })
+})
+
+describe('EntityManager — ETag', () => {
+  it('sends If-Match with the ETag read on get', async () => {
+    const client = etagClient()
+    const manager = new EntityManager({
+      name: 'books',
+      storage: new ApiStorage({ endpoint: '/books', client, etag: true }),
+    })
+
+    await manager.get(1)
+    expect(manager.getVersionToken(1)).toBe('"v1"')
+
+    await manager.update(1, { id: 1, title: 'Dune Messiah' })
+
+    expect(client.request).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'PUT',
+      url: '/books/1',
+      headers: { 'If-Match': '"v1"' },
+    }))
+    expect(manager.getVersionToken(1)).toBe('"v2"')
+  })
+
+  it('turns a 412 into ConflictError, after which a retry overwrites', async () => {
+    const client = etagClient()
+    const manager = new EntityManager({
+      name: 'books',
+      storage: new ApiStorage({ endpoint: '/books', client, etag: true }),
+    })
+    await manager.get(1)
+    client.state.record = { id: 1, title: 'Theirs' }
+    client.state.version = 2
+
+    const error = await manager.update(1, { id: 1, title: 'Mine' }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ConflictError)
+    expect(error.status).toBe(412)
+    expect(error.expectedVersion).toBe('"v1"')
+    expect(error.serverRecord).toEqual({ id: 1, title: 'Theirs' })
+
+    await manager.update(1, { id: 1, title: 'Mine' })
+    expect(client.state.record.title).toBe('Mine')
+  })
+
+  it('writes without If-Match when no ETag is known', async () => {
+    const client = etagClient()
+    const manager = new EntityManager({
+      name: 'books',
+      storage: new ApiStorage({ endpoint: '/books', client, etag: true }),
+    })
+
+    await manager.update(1, { id: 1, title: 'Blind' })
+
+    expect(client.request).not.toHaveBeenCalled()
+    expect(client.put).toHaveBeenCalledWith('/books/1', { id: 1, title: 'Blind' })
+  })
+})
+
+describe('EntityManager — withVersioning bundle', () => {
+  function setup() {
+    const storage = new MemoryStorage({ initialData: [{ id: 1, title: 'Dune', version: 1 }] })
+    const hooks = createHookRegistry()
+    applyBundle(hooks, withVersioning())
+    const manager = new EntityManager({ name: 'books', storage, versionField: 'version' })
+    manager.setHooks(hooks)
+    return { storage, manager, hooks }
+  }
+
+  it('bumps the version on each save', async () => {
+    const { storage, manager } = setup()
+
+    await manager.get(1)
+    await manager.update(1, { id: 1, title: 'Dune Messiah' })
+
+    expect((await storage.get(1)).version).toBe(2)
+    expect(manager.getVersionToken(1)).toBe(2)
+  })
+
+  it('aborts a save based on a stale version', async () => {
+    const { storage, manager } = setup()
+    await manager.get(1)
+    await storage.update(1, { id: 1, title: 'Theirs', version: 2 })
+
+    const error = await manager.update(1, { id: 1, title: 'Mine' }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ConflictError)
+    expect(error).toMatchObject({ expectedVersion: 1, actualVersion: 2 })
+    expect((await storage.get(1)).title).toBe('Theirs')
+
+    // The manager adopted the server version: overwriting now succeeds
+    await manager.update(1, { id: 1, title: 'Mine' })
+    expect(await storage.get(1)).toMatchObject({ title: 'Mine', version: 3 })
+  })
+
+  it('only lets conflicts abort a save, other handler errors are not thrown', async () => {
+    const { storage, manager, hooks } = setup()
+    hooks.register('entity:presave', () => {
+      throw new Error('audit failed')
+    })
+
+    await manager.get(1)
+    await manager.update(1, { id: 1, title: 'Dune Messiah' })
+
+    expect(await storage.get(1)).toMatchObject({ title: 'Dune Messiah', version: 2 })
+  })
+
+  it('leaves the check to an ETag storage, without reading the record', async () => {
+    const client = etagClient({ id: 1, title: 'Dune', version: 4 })
+    const storage = new ApiStorage({ endpoint: '/books', client, etag: true })
+    const hooks = createHookRegistry()
+    applyBundle(hooks, withVersioning())
+    const manager = new EntityManager({ name: 'books', storage, versionField: 'version' })
+    manager.setHooks(hooks)
+
+    const record = await manager.get(1)
+    await manager.update(1, { ...record, title: 'Dune Messiah' })
+    await manager.patch(1, { title: 'Children of Dune' })
+
+    expect(client.get).toHaveBeenCalledTimes(1)
+    expect(client.request.mock.calls.map(([request]) => [request.data, request.headers])).toEqual([
+      [{ id: 1, title: 'Dune Messiah', version: 5 }, { 'If-Match': '"v1"' }],
+      [{ title: 'Children of Dune' }, { 'If-Match': '"v2"' }],
+    ])
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * EntityManager.list() on storages that page by cursor and may not know
+ * the total (supportsCursor).
+ *
+ * A missing total stays null instead of becoming items.length: only a
+ * first page flagged `hasMore: false` is known to be the whole entity,
+ * and only that one may fill the localFilterThreshold cache.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+
+/** Cursor API over `count` records, `next_cursor` = offset of the next page */
+function cursorClient(count) {
+  const records = Array.from({ length: count }, (_, i) => ({ id: i + 1, title: `Book ${i + 1}` }))
+  return {
+    get: vi.fn(async (_url, { params }) => {
+      const offset = Number(params.cursor ?? 0)
+      const items = records.slice(offset, offset + params.page_size)
+      const next = offset + items.length
+      return { data: { items, next_cursor: next < count ? String(next) : null } }
+    }),
+  }
+}
+
+function makeManager(count, threshold = 100) {
+  const client = cursorClient(count)
+  const storage = new ApiStorage({ endpoint: '/books', client, pagination: 'cursor' })
+  const manager = new EntityManager({ name: 'books', storage, localFilterThreshold: threshold })
+  return { manager, client }
+}
+
+describe('EntityManager.list() with an unknown total', () => {
+  it('keeps the total unknown and passes the cursors through', async () => {
+    const { manager } = makeManager(30)
+
+    const first = await manager.list({ page_size: 10 })
+    expect(first).toMatchObject({ total: null, nextCursor: '10', hasMore: true, fromCache: false })
+
+    const second = await manager.list({ page_size: 10, cursor: first.nextCursor })
+    expect(second.items[0].id).toBe(11)
+    expect(second.total).toBeNull()
+  })
+
+  it('does not cache a page that has more after it', async () => {
+    const { manager } = makeManager(30)
+
+    await manager.list({ page_size: 10 })
+
+    expect(manager._cache.valid).toBe(false)
+    expect(manager.overflow).toBe(false)
+  })
+
+  it('caches a first page that holds the whole entity', async () => {
+    const { manager, client } = makeManager(8)
+
+    const result = await manager.list({ page_size: 10 })
+    expect(result).toMatchObject({ total: 8, hasMore: false })
+    expect(manager._cache).toMatchObject({ valid: true, total: 8 })
+
+    const cached = await manager.list({ page: 1, page_size: 5 })
+    expect(cached).toMatchObject({ total: 8, fromCache: true })
+    expect(cached.items).toHaveLength(5)
+    expect(client.get).toHaveBeenCalledTimes(1)
+  })
+
+  it('never takes the length of a later page for the total', async () => {
+    const { manager } = makeManager(12)
+
+    const last = await manager.list({ page_size: 10, cursor: '10' })
+
+    expect(last).toMatchObject({ total: null, hasMore: false })
+    expect(manager._cache.valid).toBe(false)
+  })
+
+  it('fills the cache through ensureCache() when everything fits one page', async () => {
+    const { manager } = makeManager(8)
+
+    expect(manager.isCacheEnabled).toBe(true)
+    await expect(manager.ensureCache()).resolves.toBe(true)
+    expect(manager._cache.items).toHaveLength(8)
+  })
+})
@@ -0,0 +1,149 @@
+/**
+ * Field-level permissions: FieldConfig.permissions guards a field with
+ * entity:{entity}:field:{field}:read|write, checked through the SecurityChecker.
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/MemoryStorage'
+import { EntityAuthAdapter, SecurityChecker, RoleHierarchy } from '../../src/entity/auth'
+
+const fields = {
+  name: { type: 'text' },
+  email: { type: 'email' },
+  salary: { type: 'number', permissions: true },
+  notes: { type: 'textarea', permissions: ['write'] },
+}
+
+function createManager(user, rolePermissions = {}, options = {}) {
+  const adapter = new EntityAuthAdapter({ getCurrentUser: () => user })
+  adapter.setSecurityChecker(new SecurityChecker({
+    roleHierarchy: new RoleHierarchy({ ROLE_ADMIN: ['ROLE_USER'] }),
+    rolePermissions,
+    getCurrentUser: () => user,
+  }))
+  const storage = new MemoryStorage({
+    initialData: [{ id: 1, name: 'Ada', email: 'ada@example.com', salary: 5000, notes: 'n' }],
+  })
+  return new EntityManager({ name: 'users', storage, fields, authAdapter: adapter, ...options })
+}
+
+describe('EntityManager field permissions', () => {
+  it('lists guarded fields with their guarded actions', () => {
+    const manager = createManager({ role: 'ROLE_USER' })
+    expect(manager.getGuardedFields()).toEqual({
+      salary: ['read', 'write'],
+      notes: ['write'],
+    })
+  })
+
+  it('allows unguarded fields and checks guarded ones', () => {
+    const manager = createManager({ role: 'ROLE_USER' }, {
+      ROLE_USER: ['entity:users:*', 'entity:users:field:salary:read'],
+    })
+
+    expect(manager.canReadField('name')).toBe(true)
+    expect(manager.canWriteField('name')).toBe(true)
+    expect(manager.canReadField('salary')).toBe(true)
+    expect(manager.canWriteField('salary')).toBe(false)
+    // Only write is guarded on notes
+    expect(manager.canReadField('notes')).toBe(true)
+    expect(manager.canWriteField('notes')).toBe(false)
+  })
+
+  it('matches wildcard grants', () => {
+    const admin = createManager({ role: 'ROLE_ADMIN' }, {
+      ROLE_ADMIN: ['entity:users:field:*:*'],
+    })
+    expect(admin.canWriteField('salary')).toBe(true)
+    expect(admin.canWriteField('notes')).toBe(true)
+
+    // entity:users:* covers one segment: field permissions are not granted
+    const user = createManager({ role: 'ROLE_USER' }, { ROLE_USER: ['entity:users:*'] })
+    expect(user.canReadField('salary')).toBe(false)
+  })
+
+  it('grants entity-own field permissions on owned records', () => {
+    const manager = createManager({ id: 1, role: 'ROLE_USER' }, {
+      ROLE_USER: ['entity-own:users:field:salary:read'],
+    }, { isOwn: (record, user) => record.id === user.id })
+
+    expect(manager.canReadField('salary', { id: 1 })).toBe(true)
+    expect(manager.canReadField('salary', { id: 2 })).toBe(false)
+    expect(manager.canReadField('salary')).toBe(false)
+  })
+
+  it('allows every field without a SecurityChecker', () => {
+    const manager = new EntityManager({ name: 'users', fields })
+    expect(manager.canReadField('salary')).toBe(true)
+    expect(manager.canWriteField('notes')).toBe(true)
+  })
+
+  it('strips unwritable keys before update() and patch()', async () => {
+    const manager = createManager({ role: 'ROLE_USER' }, { ROLE_USER: ['entity:users:*'] })
+    const updateSpy = vi.spyOn(manager.storage, 'update')
+    const patchSpy = vi.spyOn(manager.storage, 'patch')
+
+    await manager.update(1, { name: 'Ada L.', email: 'ada@example.com', salary: 9999, notes: 'x' })
+    expect(updateSpy.mock.calls[0][1]).toEqual({ name: 'Ada L.', email: 'ada@example.com' })
+
+    await manager.patch(1, { salary: 1, name: 'Ada' })
+    expect(patchSpy.mock.calls[0][1]).toEqual({ name: 'Ada' })
+  })
+
+  it('leaves guarded values alone on patch()', async () => {
+    const manager = createManager({ role: 'ROLE_USER' }, { ROLE_USER: ['entity:users:*'] })
+
+    await manager.patch(1, { salary: 1, notes: 'x', name: 'Ada L.' })
+
+    const stored = await manager.get(1)
+    expect(stored).toMatchObject({ name: 'Ada L.', salary: 5000, notes: 'n' })
+  })
+
+  it('strips unwritable keys in patchMany()', async () => {
+    const manager = createManager({ role: 'ROLE_USER' }, { ROLE_USER: ['entity:users:*'] })
+
+    const result = await manager.patchMany([{ id: 1, data: { salary: 1, name: 'Bob' } }])
+
+    expect(result.failed).toHaveLength(0)
+    const stored = await manager.get(1)
+    expect(stored).toMatchObject({ name: 'Bob', salary: 5000 })
+  })
+
+  it('strips unwritable keys before create() and createMany()', async () => {
+    const manager = createManager({ role: 'ROLE_USER' }, { ROLE_USER: ['entity:users:*'] })
+    const createSpy = vi.spyOn(manager.storage, 'create')
+
+    await manager.create({ name: 'Bob', salary: 9999, notes: 'x' })
+    expect(createSpy.mock.calls[0][0]).toEqual({ name: 'Bob' })
+
+    const result = await manager.createMany([{ name: 'Eve', salary: 9999 }])
+    expect(result.failed).toHaveLength(0)
+    const created = await manager.get(result.succeeded[0].id)
+    expect(created.name).toBe('Eve')
+    expect(created).not.toHaveProperty('salary')
+  })
+
+  it('honors entity-own write grants on the current record', async () => {
+    const manager = createManager({ id: 1, role: 'ROLE_USER' }, {
+      ROLE_USER: ['entity:users:*', 'entity-own:users:field:notes:write'],
+    }, { isOwn: (record, user) => record.id === user.id })
+    manager.storage.create({ id: 2, name: 'Bob', notes: 'b' })
+
+    await manager.patch(1, { notes: 'mine' })
+    await manager.patch(2, { notes: 'theirs', name: 'Bobby' })
+    await manager.patchMany([{ id: 1, data: { notes: 'again' } }, { id: 2, data: { notes: 'no' } }])
+
+    expect(await manager.get(1)).toMatchObject({ notes: 'again' })
+    expect(await manager.get(2)).toMatchObject({ name: 'Bobby', notes: 'b' })
+  })
+
+  it('keeps the payload untouched when every key is writable', async () => {
+    const manager = createManager({ role: 'ROLE_ADMIN' }, { ROLE_ADMIN: ['**'] })
+    const updateSpy = vi.spyOn(manager.storage, 'update')
+    const data = { name: 'Ada', salary: 6000 }
+
+    await manager.update(1, data)
+
+    expect(updateSpy.mock.calls[0][1]).toEqual(data)
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * EntityManager include / with — references embedded in list rows through
+ * one getMany() per related entity, or by a storage with supportsInclude.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/index'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+
+const books = [
+  { id: 1, title: 'Good Omens', author_id: 'a1', genreId: 'fantasy', shelf_id: 's1' },
+  { id: 2, title: 'Mort', author_id: 'a1', genreId: 'fantasy', shelf_id: 's1' },
+  { id: 3, title: 'Dune', author_id: 'a2', genreId: 'sci-fi', shelf_id: null },
+  { id: 4, title: 'Anonymous', author_id: 'ghost', genreId: null, shelf_id: 's2' },
+]
+
+function setup({ storage = new MemoryStorage({ initialData: books }), threshold } = {}) {
+  const manager = new EntityManager({
+    name: 'books',
+    storage,
+    localFilterThreshold: threshold,
+    fields: {
+      title: { type: 'text' },
+      author_id: { type: 'select', reference: { entity: 'authors' } },
+      genreId: { type: 'select', reference: { entity: 'genres' } },
+    },
+    parents: { shelf: { entity: 'shelves', foreignKey: 'shelf_id' } },
+  })
+  const authors = new EntityManager({
+    name: 'authors',
+    storage: new MemoryStorage({ initialData: [{ id: 'a1', name: 'Pratchett' }, { id: 'a2', name: 'Herbert' }] }),
+  })
+  const genres = new EntityManager({
+    name: 'genres',
+    storage: new MemoryStorage({ initialData: [{ id: 'fantasy', name: 'Fantasy' }, { id: 'sci-fi', name: 'Sci-Fi' }] }),
+  })
+  const shelves = new EntityManager({
+    name: 'shelves',
+    storage: new MemoryStorage({ initialData: [{ id: 's1', name: 'Top' }, { id: 's2', name: 'Bottom' }] }),
+  })
+  new Orchestrator({ managers: { books: manager, authors, genres, shelves } })
+  return { manager, authors, genres }
+}
+
+describe('EntityManager include', () => {
+  it('embeds references with one getMany per related entity', async () => {
+    const { manager, authors } = setup()
+    const getMany = vi.spyOn(authors, 'getMany')
+
+    const { items } = await manager.list({ include: ['author'] })
+
+    expect(items.map((b) => b.author?.name ?? null)).toEqual(['Pratchett', 'Pratchett', 'Herbert', null])
+    expect(getMany).toHaveBeenCalledTimes(1)
+    expect(getMany.mock.calls[0][0]).toEqual(['a1', 'a2', 'ghost'])
+  })
+
+  it('shares one record per id across rows (identity map)', async () => {
+    const { manager } = setup()
+    const { items } = await manager.list({ include: 'author' })
+    expect(items[0].author).toBe(items[1].author)
+  })
+
+  it('resolves parents, camelCase and _id names, and the `with` alias', async () => {
+    const { manager } = setup()
+
+    const { items } = await manager.list({ with: 'genreId, shelf', include: ['author_id'] })
+
+    expect(items[0]).toMatchObject({
+      author: { name: 'Pratchett' },
+      genre: { name: 'Fantasy' },
+      shelf: { name: 'Top' },
+    })
+    expect(items[2].shelf).toBeNull()
+    expect(items[3].genre).toBeNull()
+  })
+
+  it('never writes the includes into the list cache', async () => {
+    const client = { get: vi.fn(async () => ({ data: { items: books.map((b) => ({ ...b })), total: books.length } })) }
+    const { manager } = setup({ storage: new ApiStorage({ endpoint: '/books', client }) })
+    await manager.list({ page_size: 20 })
+    expect(manager.getCacheInfo().valid).toBe(true)
+
+    const { items, fromCache } = await manager.query({ include: ['author'] })
+
+    expect(fromCache).toBe(true)
+    expect(items[0].author.name).toBe('Pratchett')
+    expect((await manager.list({})).items[0].author).toBeUndefined()
+  })
+
+  it('rejects an unknown include before fetching', async () => {
+    const storage = new MemoryStorage({ initialData: books })
+    const list = vi.spyOn(storage, 'list')
+    const { manager } = setup({ storage })
+
+    await expect(manager.list({ include: ['title'] })).rejects.toThrow(
+      '[EntityManager:books] Unknown include "title"'
+    )
+    expect(list).not.toHaveBeenCalled()
+  })
+
+  it('lets a storage with supportsInclude embed them', async () => {
+    const client = {
+      get: vi.fn(async () => ({
+        data: {
+          items: [
+            { id: 1, author_id: 'a1', author: { id: 'a1', name: 'From API' } },
+            { id: 3, author_id: 'a2' },
+          ],
+          total: 2,
+        },
+      })),
+    }
+    const storage = new ApiStorage({ endpoint: '/books', client, includeParam: 'with' })
+    const { manager, authors } = setup({ storage, threshold: 0 })
+    const getMany = vi.spyOn(authors, 'getMany')
+
+    const { items } = await manager.list({ include: ['author'] })
+
+    expect(client.get.mock.calls[0][1].params.with).toBe('author')
+    expect(items.map((b) => b.author.name)).toEqual(['From API', 'Herbert'])
+    // Only the row the API left out is fetched
+    expect(getMany.mock.calls[0][0]).toEqual(['a2'])
+  })
+})
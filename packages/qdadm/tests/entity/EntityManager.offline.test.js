@@ -0,0 +1,182 @@
+/**
+ * EntityManager — offline mode (`offline: true` + Orchestrator.offlineQueue).
+ *
+ * Covers queueing on network errors, optimistic answers served from the
+ * caches, isPending(), and replay through the manager with lock tokens.
+ */
+import { describe, it, expect, vi } from 'vitest'
+
+import { EntityManager } from '../../src/entity/EntityManager'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+import { OfflineQueue } from '../../src/entity/offline/index'
+import { MemoryStorage, ConflictError, isNetworkError } from '../../src/entity/storage/index'
+import { createHookRegistry } from '../../src/hooks/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' })
+
+/** MemoryStorage whose writes fail with a network error while `down` */
+class FlakyStorage extends MemoryStorage {
+  // Stands for a remote API: worth caching
+  static capabilities = { ...MemoryStorage.capabilities, supportsCaching: true }
+
+  down = false
+
+  async create(data) {
+    if (this.down) throw networkError()
+    return super.create(data)
+  }
+
+  async update(id, data, options) {
+    if (this.down) throw networkError()
+    return super.update(id, data, options)
+  }
+
+  async patch(id, data, options) {
+    if (this.down) throw networkError()
+    return super.patch(id, data, options)
+  }
+
+  async delete(id) {
+    if (this.down) throw networkError()
+    return super.delete(id)
+  }
+}
+
+function setup({ offline = true, versionField = null } = {}) {
+  const storage = new FlakyStorage({
+    initialData: [{ id: 1, title: 'Dune', version: 1 }, { id: 2, title: 'Emma', version: 1 }],
+  })
+  const manager = new EntityManager({ name: 'books', storage, offline, versionField })
+  const signals = createSignalBus()
+  const hooks = createHookRegistry()
+  const orchestrator = new Orchestrator({ signals, hooks, managers: { books: manager } })
+  const queue = new OfflineQueue({ signals, autoReplay: false })
+  queue.bind(orchestrator)
+  orchestrator.offlineQueue = queue
+  return { storage, manager, signals, hooks, queue }
+}
+
+describe('isNetworkError', () => {
+  it('recognizes requests that never got an answer', () => {
+    expect(isNetworkError(networkError())).toBe(true)
+    expect(isNetworkError({ isAxiosError: true, request: {}, response: undefined })).toBe(true)
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true)
+    expect(isNetworkError({ isAxiosError: true, request: {}, response: { status: 500 } })).toBe(false)
+    expect(isNetworkError(new Error('Unprocessable'))).toBe(false)
+  })
+
+  it('judges the error alone, whatever navigator.onLine says', () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+
+    expect(isNetworkError(Object.assign(new Error('Not Found'), { status: 404 }))).toBe(false)
+    expect(isNetworkError(new Error('Title is required'))).toBe(false)
+    expect(isNetworkError(networkError())).toBe(true)
+    onLine.mockRestore()
+  })
+})
+
+describe('EntityManager — offline queueing', () => {
+  it('queues a create and answers with a temporary record served by get()', async () => {
+    const { storage, manager, queue } = setup()
+    storage.down = true
+
+    const record = await manager.create({ title: 'Neuromancer' })
+
+    expect(record.id).toMatch(/^offline-/)
+    expect(record.title).toBe('Neuromancer')
+    expect(manager.isPending(record.id)).toBe(true)
+    expect(queue.operations).toEqual([
+      expect.objectContaining({ action: 'create', targetId: record.id, data: { title: 'Neuromancer' } }),
+    ])
+    expect(await manager.get(record.id)).toEqual(record)
+  })
+
+  it('patches the list cache with pending writes', async () => {
+    const { storage, manager } = setup()
+    await manager.list()
+    storage.down = true
+
+    await manager.patch(1, { title: 'Dune Messiah' })
+    await manager.delete(2)
+    const created = await manager.create({ title: 'Neuromancer' })
+
+    const { items, fromCache } = await manager.list()
+    expect(fromCache).toBe(true)
+    expect(items.map((b) => b.title)).toEqual(['Dune Messiah', 'Neuromancer'])
+    expect(manager.getPendingOperations().map((o) => [o.action, o.targetId])).toEqual([
+      ['patch', 1],
+      ['delete', 2],
+      ['create', created.id],
+    ])
+  })
+
+  it('emits the entity signal flagged as pending', async () => {
+    const { storage, manager, signals } = setup()
+    const updated = vi.fn()
+    signals.on('entity:updated', updated)
+    storage.down = true
+
+    await manager.update(1, { title: 'Dune Messiah' })
+
+    expect(updated.mock.calls[0][0].data.data).toMatchObject({ id: 1, pending: true })
+  })
+
+  it('throws network errors as before without the offline option', async () => {
+    const { storage, manager, queue } = setup({ offline: false })
+    storage.down = true
+
+    await expect(manager.patch(1, { title: 'X' })).rejects.toThrow('Network Error')
+    expect(queue.size).toBe(0)
+  })
+
+  it('never queues a write aborted by a presave hook', async () => {
+    const { storage, manager, hooks, queue } = setup()
+    hooks.register('entity:presave', () => {
+      throw new ConflictError('Version conflict')
+    })
+    storage.down = true
+
+    await expect(manager.update(1, { title: 'X' })).rejects.toBeInstanceOf(ConflictError)
+    expect(queue.size).toBe(0)
+  })
+})
+
+describe('EntityManager — offline replay', () => {
+  it('replays queued writes once the storage is reachable', async () => {
+    const { storage, manager, queue } = setup()
+    storage.down = true
+    const created = await manager.create({ title: 'Neuromancer' })
+    await manager.patch(created.id, { year: 1984 })
+    await manager.delete(2)
+
+    storage.down = false
+    const result = await queue.replay()
+
+    expect(result).toMatchObject({ replayed: 2, remaining: 0 })
+    const { items } = await storage.list()
+    expect(items.map((b) => b.title)).toEqual(['Dune', 'Neuromancer'])
+    expect(items[1]).toMatchObject({ year: 1984 })
+    expect(manager.isPending(created.id)).toBe(false)
+  })
+
+  it('replays with the lock token the write was queued with', async () => {
+    const { storage, manager, queue, signals } = setup({ versionField: 'version' })
+    const conflicts = []
+    signals.on('offline:conflict', (event) => conflicts.push(event.data.data))
+    await manager.get(1)
+    storage.down = true
+    await manager.patch(1, { title: 'Mine' })
+
+    storage.down = false
+    await storage.update(1, { id: 1, title: 'Theirs', version: 2 })
+    const patch = vi.spyOn(storage, 'patch').mockRejectedValueOnce(Object.assign(new Error('Conflict'), { status: 409 }))
+    await queue.replay()
+
+    expect(patch).toHaveBeenCalledWith(1, { title: 'Mine', version: 1 }, {})
+    expect(conflicts).toHaveLength(1)
+    expect(conflicts[0].error).toBeInstanceOf(ConflictError)
+    expect(conflicts[0].serverRecord).toMatchObject({ title: 'Theirs' })
+    expect(queue.size).toBe(0)
+  })
+})
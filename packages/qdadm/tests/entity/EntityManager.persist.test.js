@@ -0,0 +1,136 @@
+/**
+ * EntityManager — persistent cache (`persistCache: true` + Orchestrator.persistentCache).
+ *
+ * Each "session" is a fresh manager and orchestrator over the same store,
+ * as after a page reload.
+ */
+import { describe, it, expect, vi } from 'vitest'
+
+import { EntityManager } from '../../src/entity/EntityManager'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+import { PersistentCache, MemoryCacheStore } from '../../src/entity/cache/index'
+import { MemoryStorage } from '../../src/entity/storage/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+/** Stands for a remote API: worth caching */
+class RemoteStorage extends MemoryStorage {
+  static capabilities = { ...MemoryStorage.capabilities, supportsCaching: true }
+}
+
+const books = () => [{ id: 1, title: 'Dune' }, { id: 2, title: 'Emma' }]
+
+function session(store, { data = books(), ...options } = {}) {
+  const storage = new RemoteStorage({ initialData: data })
+  vi.spyOn(storage, 'list')
+  vi.spyOn(storage, 'get')
+  const manager = new EntityManager({ name: 'books', storage, persistCache: true, ...options })
+  const signals = createSignalBus()
+  const orchestrator = new Orchestrator({ signals, managers: { books: manager } })
+  const persistent = new PersistentCache({ store, signals })
+  orchestrator.persistentCache = persistent
+  return { storage, manager, signals, persistent }
+}
+
+describe('EntityManager — persistent cache', () => {
+  it('serves the previous session list, then revalidates it in the background', async () => {
+    const store = new MemoryCacheStore()
+    const first = session(store)
+    await first.manager.list()
+    await first.persistent.flush()
+
+    const { storage, manager, signals } = session(store, {
+      data: [...books(), { id: 3, title: 'Mort' }],
+    })
+    const refreshed = vi.fn()
+    signals.on('entity:cache-refreshed', refreshed)
+
+    const hydrated = await manager.list()
+    expect(hydrated).toMatchObject({ total: 2, fromCache: true })
+    expect(manager.getCacheInfo()).toMatchObject({ persistent: true, fromPersistence: true })
+
+    await manager.revalidate()
+    expect(storage.list).toHaveBeenCalledTimes(1)
+    expect(refreshed).toHaveBeenCalledTimes(1)
+    expect((await manager.list()).total).toBe(3)
+    expect(manager.getCacheInfo().fromPersistence).toBe(false)
+  })
+
+  it('drops the persisted list on writes', async () => {
+    const store = new MemoryCacheStore()
+    const { manager, persistent } = session(store)
+    await manager.list()
+    expect(persistent.read('books').list.total).toBe(2)
+
+    await manager.create({ title: 'Mort' })
+    expect(persistent.read('books')).toBeNull()
+  })
+
+  it('does not hydrate an expired list without staleWhileRevalidate', async () => {
+    const store = new MemoryCacheStore()
+    const seed = new PersistentCache({ store })
+    seed.write('books', { list: { items: [{ id: 9, title: 'Old' }], total: 1, loadedAt: Date.now() - 120000 }, details: [] })
+    await seed.flush()
+
+    const { manager } = session(store, { cacheTtlMs: 60000 })
+    const result = await manager.list()
+
+    expect(result.items.map((b) => b.id)).toEqual([1, 2])
+    expect(manager.getCacheInfo().fromPersistence).toBe(false)
+  })
+
+  it('hydrates an expired list as stale with staleWhileRevalidate', async () => {
+    const store = new MemoryCacheStore()
+    const seed = new PersistentCache({ store })
+    seed.write('books', { list: { items: [{ id: 9, title: 'Old' }], total: 1, loadedAt: Date.now() - 120000 }, details: [] })
+    await seed.flush()
+
+    const { manager } = session(store, { cacheTtlMs: 60000, staleWhileRevalidate: true })
+    const result = await manager.list()
+
+    expect(result).toMatchObject({ total: 1, fromCache: true, stale: true })
+    await manager.revalidate()
+    expect((await manager.list()).total).toBe(2)
+  })
+
+  it('persists the detail cache of asymmetric entities', async () => {
+    const store = new MemoryCacheStore()
+    const options = { asymmetric: true, detailCacheTtlMs: -1 }
+    const first = session(store, options)
+    await first.manager.get(1)
+    await first.persistent.flush()
+
+    const { storage, manager } = session(store, options)
+    expect(await manager.get(1)).toEqual({ id: 1, title: 'Dune' })
+    expect(storage.get).not.toHaveBeenCalled()
+  })
+
+  it('leaves managers without persistCache alone', async () => {
+    const store = new MemoryCacheStore()
+    const { manager, persistent } = session(store, { persistCache: false })
+    await manager.list()
+
+    expect(persistent.read('books')).toBeNull()
+    expect(manager.getCacheInfo().persistent).toBe(false)
+  })
+
+  it('warmup waits for an asynchronous store instead of calling the API', async () => {
+    const memory = new MemoryCacheStore()
+    const first = session(memory)
+    await first.manager.list()
+    await first.persistent.flush()
+
+    // Same entries, load() only (like IndexedDB)
+    const store = {
+      load: () => memory.load(),
+      put: (entry) => memory.put(entry),
+      delete: (key) => memory.delete(key),
+      clear: () => memory.clear(),
+    }
+    const { storage, manager } = session(store)
+
+    expect(await manager.warmup()).toBe(true)
+    expect(manager.getCacheInfo().fromPersistence).toBe(true)
+    await manager.revalidate()
+    expect(storage.list).toHaveBeenCalledTimes(1)
+  })
+})
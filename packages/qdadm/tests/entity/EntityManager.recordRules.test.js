@@ -0,0 +1,191 @@
+/**
+ * Record rules: per-role filters scoping the records list()/query() return,
+ * applied to the storage query, the list cache and canRead(record).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+import { MockApiStorage } from '../../src/entity/storage/MockApiStorage'
+import { MemoryStorage } from '../../src/entity/storage/MemoryStorage'
+import { LocalStorage } from '../../src/entity/storage/LocalStorage'
+import { EntityAuthAdapter, SecurityChecker, RoleHierarchy } from '../../src/entity/auth'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+const loans = [
+  { id: '1', branch_id: 1, status: 'active', borrower_id: 7 },
+  { id: '2', branch_id: 1, status: 'late', borrower_id: 8 },
+  { id: '3', branch_id: 2, status: 'active', borrower_id: 7 },
+  { id: '4', branch_id: 3, status: 'active', borrower_id: 9 },
+]
+
+const recordRules = {
+  ROLE_LIBRARIAN: { branch_id: (user) => user.branch_id },
+  ROLE_MEMBER: (user) => ({ borrower_id: user.id }),
+  ROLE_ADMIN: true,
+}
+
+function createAdapter(user) {
+  const adapter = new EntityAuthAdapter({ getCurrentUser: () => user })
+  adapter.setSecurityChecker(new SecurityChecker({
+    roleHierarchy: new RoleHierarchy({ ROLE_ADMIN: ['ROLE_LIBRARIAN'], ROLE_LIBRARIAN: ['ROLE_USER'] }),
+    rolePermissions: { ROLE_USER: ['entity:loans:*'] },
+    getCurrentUser: () => user,
+  }))
+  return adapter
+}
+
+function createManager(user, options = {}) {
+  const storage = new MockApiStorage({ entityName: 'loans', initialData: loans })
+  return new EntityManager({ name: 'loans', storage, recordRules, authAdapter: createAdapter(user), ...options })
+}
+
+const ids = (result) => result.items.map((item) => item.id)
+
+beforeEach(() => localStorage.clear())
+
+describe('EntityManager record rules', () => {
+  it('scopes list() to the rule of the user role', async () => {
+    const manager = createManager({ id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 })
+
+    const result = await manager.list()
+
+    expect(ids(result)).toEqual(['1', '2'])
+    expect(result.total).toBe(2)
+  })
+
+  it('keeps user filters and cannot be widened by them', async () => {
+    const manager = createManager({ id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 })
+
+    expect(ids(await manager.list({ filters: { status: 'active' } }))).toEqual(['1'])
+    expect(ids(await manager.list({ filters: { branch_id: 2 } }))).toEqual([])
+  })
+
+  it('ORs the rules of several roles', async () => {
+    const manager = createManager({ id: 7, roles: ['ROLE_LIBRARIAN', 'ROLE_MEMBER'], branch_id: 3 })
+
+    expect(manager.getRecordRuleFilter()).toEqual({ $or: [{ branch_id: 3 }, { borrower_id: 7 }] })
+    expect(ids(await manager.list())).toEqual(['1', '3', '4'])
+  })
+
+  it('leaves unrestricted roles, and roles without rules, unscoped', async () => {
+    // ROLE_ADMIN inherits ROLE_LIBRARIAN, its `true` rule wins
+    const admin = createManager({ id: 1, roles: ['ROLE_ADMIN'], branch_id: 1 })
+    expect(admin.getRecordRuleFilter()).toBeNull()
+    expect(ids(await admin.list())).toEqual(['1', '2', '3', '4'])
+
+    const user = createManager({ id: 2, roles: ['ROLE_USER'] })
+    expect(ids(await user.list())).toHaveLength(4)
+  })
+
+  it('checks user roles without a SecurityChecker', () => {
+    const user = { id: 5, role: 'ROLE_LIBRARIAN', branch_id: 2 }
+    const manager = new EntityManager({
+      name: 'loans',
+      recordRules,
+      authAdapter: { getCurrentUser: () => user, canPerform: () => true },
+    })
+
+    expect(manager.getRecordRuleFilter()).toEqual({ branch_id: 2 })
+  })
+
+  it('enforces the rules on the list cache', async () => {
+    const user = { id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 }
+    // A backend ignoring the filter must not leak rows through the cache
+    const client = { get: vi.fn(async () => ({ data: { items: loans, total: loans.length } })) }
+    const storage = new ApiStorage({ endpoint: '/loans', client })
+    const manager = new EntityManager({ name: 'loans', storage, recordRules, authAdapter: createAdapter(user) })
+
+    await manager.list()
+    expect(manager.getCacheInfo().valid).toBe(true)
+
+    const result = await manager.query({ filters: { status: 'active' } })
+    expect(result.fromCache).toBe(true)
+    expect(ids(result)).toEqual(['1'])
+    expect(ids(await manager.list())).toEqual(['1', '2'])
+    expect((await manager.aggregate()).rows).toEqual([{ count: 2 }])
+    expect(client.get).toHaveBeenCalledTimes(1)
+  })
+
+  it('makes the cache auth-sensitive', () => {
+    expect(createManager({ roles: ['ROLE_USER'] })._authSensitive).toBe(true)
+    expect(createManager({ roles: ['ROLE_USER'] }, { authSensitive: false })._authSensitive).toBe(false)
+  })
+
+  it('checks single records in canRead()', () => {
+    const manager = createManager({ id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 })
+
+    expect(manager.canRead(loans[0])).toBe(true)
+    expect(manager.canRead(loans[2])).toBe(false)
+    expect(manager.canUpdate(loans[2])).toBe(false)
+    expect(manager.canRead()).toBe(true)
+  })
+
+  describe.each([
+    ['MemoryStorage', () => new MemoryStorage({ initialData: loans })],
+    ['LocalStorage', () => {
+      localStorage.setItem('loans', JSON.stringify(loans))
+      return new LocalStorage({ key: 'loans' })
+    }],
+  ])('on a storage without query operators (%s)', (_name, createStorage) => {
+    const createPlainManager = (user) => new EntityManager({
+      name: 'loans',
+      storage: createStorage(),
+      recordRules,
+      authAdapter: createAdapter(user),
+    })
+
+    it('applies the rules of several roles after the fetch', async () => {
+      const manager = createPlainManager({ id: 7, roles: ['ROLE_LIBRARIAN', 'ROLE_MEMBER'], branch_id: 3 })
+      const list = vi.spyOn(manager.storage, 'list')
+
+      const result = await manager.list()
+
+      expect(list.mock.calls[0][0].filters).toBeUndefined()
+      expect(ids(result)).toEqual(['1', '3', '4'])
+      expect(result.total).toBe(3)
+    })
+
+    it('keeps a user filter on the ruled field', async () => {
+      const manager = createPlainManager({ id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 })
+
+      const own = await manager.list({ filters: { branch_id: 1 } })
+      expect(ids(own)).toEqual(['1', '2'])
+      expect(own.total).toBe(2)
+      expect(ids(await manager.list({ filters: { branch_id: 2 } }))).toEqual([])
+    })
+
+    it('leaves the total unknown past the first page', async () => {
+      const manager = createPlainManager({ id: 7, roles: ['ROLE_LIBRARIAN', 'ROLE_MEMBER'], branch_id: 3 })
+
+      const result = await manager.list({ page: 2, page_size: 2 })
+
+      expect(ids(result)).toEqual(['3', '4'])
+      expect(result.total).toBeNull()
+    })
+  })
+
+  it('sends compound scopes to storages taking query operators', async () => {
+    const manager = createManager({ id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 })
+    const list = vi.spyOn(manager.storage, 'list')
+
+    expect(ids(await manager.list({ filters: { branch_id: 1 } }))).toEqual(['1', '2'])
+    expect(list.mock.calls[0][0].filters).toEqual({ $and: [{ branch_id: 1 }, { branch_id: 1 }] })
+  })
+
+  it('reports the applied rules on auth:record-rules', async () => {
+    const manager = createManager({ id: 5, roles: ['ROLE_LIBRARIAN'], branch_id: 1 })
+    const signals = createSignalBus()
+    manager.setSignals(signals)
+    const handler = vi.fn()
+    signals.on('auth:record-rules', (event) => handler(event.data))
+
+    await manager.list()
+
+    expect(handler).toHaveBeenCalledWith({
+      entity: 'loans',
+      operation: 'list',
+      roles: ['ROLE_LIBRARIAN'],
+      filter: { branch_id: 1 },
+    })
+  })
+})
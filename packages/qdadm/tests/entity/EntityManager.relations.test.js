@@ -1,5 +1,5 @@
 /**
- * EntityManager — relations methods (children, parent, sub-managers).
+ * EntityManager — relations methods (children, parent, sub-managers, many-to-many).
  *
  * Covers the prototype-patched methods in EntityManager.relations.ts that
  * were previously only exercised indirectly through the demo modules.
@@ -7,6 +7,8 @@
 import { describe, it, expect, vi } from 'vitest'
 
 import { EntityManager } from '../../src/entity/EntityManager'
+import { MemoryStorage } from '../../src/entity/storage/index'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
 
 function makeStorage(handlers = {}) {
   return {
@@ -248,3 +250,118 @@ describe('EntityManager — getParentManager / getChildManager', () => {
     expect(manager.getChildManager('loans')).toBeNull()
   })
 })
+
+/** Join storage serving at most 2 records per page */
+class CappedStorage extends MemoryStorage {
+  list(params = {}) {
+    return super.list({ ...params, page_size: Math.min(params.page_size ?? 20, 2) })
+  }
+}
+
+/** Join storage ignoring paging: the same page, always announcing more */
+class UnpagedStorage extends MemoryStorage {
+  async list(params = {}) {
+    const result = await super.list({ ...params, page: 1 })
+    return { ...result, total: null, hasMore: true }
+  }
+}
+
+describe('EntityManager — many-to-many through a join entity', () => {
+  function setup(relation = { entity: 'authors', through: 'book_authors' }, JoinStorage = MemoryStorage) {
+    const books = new EntityManager({
+      name: 'books',
+      storage: new MemoryStorage({ initialData: [{ id: 1, title: 'Good Omens' }, { id: 10, title: 'Dune' }] }),
+      relations: { authors: relation },
+    })
+    const authors = new EntityManager({
+      name: 'authors',
+      storage: new MemoryStorage({
+        initialData: [{ id: 'a1', name: 'Pratchett' }, { id: 'a2', name: 'Gaiman' }, { id: 'a3', name: 'Herbert' }],
+      }),
+    })
+    const links = new JoinStorage({
+      initialData: [
+        { id: 'l1', book_id: 1, author_id: 'a1' },
+        { id: 'l2', book_id: 10, author_id: 'a3' },
+      ],
+    })
+    const bookAuthors = new EntityManager({ name: 'book_authors', storage: links })
+    new Orchestrator({ managers: { books, authors, book_authors: bookAuthors } })
+    const linked = async (bookId) =>
+      (await links.list({ page_size: 100 })).items.filter((l) => l.book_id === bookId).map((l) => l.author_id).sort()
+    return { books, links, linked }
+  }
+
+  it('getRelationConfig returns the declared relation', () => {
+    const { books } = setup()
+    expect(books.getRelationConfig('authors')).toEqual({ entity: 'authors', through: 'book_authors' })
+    expect(books.getRelationConfig('nope')).toBeUndefined()
+  })
+
+  it('listRelated resolves the join records of one owner only', async () => {
+    const { books } = setup()
+    const { items, total } = await books.listRelated(1, 'authors')
+    expect(items.map((a) => a.name)).toEqual(['Pratchett'])
+    expect(total).toBe(1)
+  })
+
+  it('pages through links past a storage capping the page size', async () => {
+    const { books } = setup(undefined, CappedStorage)
+    await books.attach(1, 'authors', ['a2', 'a3'])
+
+    const { items } = await books.listRelated(1, 'authors')
+    expect(items.map((a) => a.name).sort()).toEqual(['Gaiman', 'Herbert', 'Pratchett'])
+  })
+
+  it('stops paging when a page brings no new link', async () => {
+    const { books } = setup(undefined, UnpagedStorage)
+    const { items } = await books.listRelated(1, 'authors')
+    expect(items.map((a) => a.name)).toEqual(['Pratchett'])
+  })
+
+  it('attach creates missing links with extra data, skipping linked ids', async () => {
+    const { books, links, linked } = setup()
+
+    const result = await books.attach(1, 'authors', ['a1', 'a2', 'a2'], { role: 'co-author' })
+
+    expect(result.succeeded).toHaveLength(1)
+    expect(await linked(1)).toEqual(['a1', 'a2'])
+    const { items } = await links.list({ page_size: 100 })
+    expect(items.find((l) => l.author_id === 'a2')).toMatchObject({ book_id: 1, role: 'co-author' })
+  })
+
+  it('detach removes the given links, or all of them', async () => {
+    const { books, linked } = setup()
+    await books.attach(1, 'authors', 'a2')
+
+    await books.detach(1, 'authors', 'a1')
+    expect(await linked(1)).toEqual(['a2'])
+
+    await books.detach(1, 'authors')
+    expect(await linked(1)).toEqual([])
+    expect(await linked(10)).toEqual(['a3'])
+  })
+
+  it('sync attaches and detaches to reach the wanted set', async () => {
+    const { books, linked } = setup()
+
+    const { attached, detached } = await books.sync(1, 'authors', ['a2', 'a3'])
+
+    expect(attached.succeeded).toHaveLength(2)
+    expect(detached.succeeded).toHaveLength(1)
+    expect(await linked(1)).toEqual(['a2', 'a3'])
+  })
+
+  it('honors custom join keys', async () => {
+    const { books, links } = setup({ entity: 'authors', through: 'book_authors', localKey: 'work', foreignKey: 'writer' })
+    await books.attach(10, 'authors', 'a1')
+    const { items } = await links.list({ page_size: 100 })
+    expect(items.at(-1)).toMatchObject({ work: 10, writer: 'a1' })
+  })
+
+  it('throws for relations without through', async () => {
+    const { books } = setup({ entity: 'authors' })
+    await expect(books.listRelated(1, 'authors')).rejects.toThrow('needs relation "authors" to declare `through`')
+    await expect(books.sync(1, 'nope', [])).rejects.toThrow('Unknown relation "nope"')
+  })
+})
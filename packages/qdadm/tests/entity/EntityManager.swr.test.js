@@ -0,0 +1,142 @@
+/**
+ * EntityManager stale-while-revalidate — an expired list cache is served
+ * (stale: true) while revalidate() refetches it in the background.
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { EntityManager } from '../../src/entity/EntityManager'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+/** API over a mutable `rows` array; hold() parks responses until release() */
+function makeApi(rows) {
+  let release = null
+  const api = {
+    rows,
+    held: false,
+    hold() {
+      api.held = true
+    },
+    release() {
+      api.held = false
+      release?.()
+    },
+    client: {
+      get: vi.fn(async (url, { params }) => {
+        if (api.held) await new Promise((resolve) => (release = resolve))
+        const start = (params.page - 1) * params.page_size
+        return { data: { items: api.rows.slice(start, start + params.page_size), total: api.rows.length } }
+      }),
+    },
+  }
+  return api
+}
+
+function makeManager(options = {}, rows = [{ id: 1, title: 'Dune' }]) {
+  const api = makeApi(rows)
+  const manager = new EntityManager({
+    name: 'books',
+    storage: new ApiStorage({ endpoint: '/books', client: api.client }),
+    cacheTtlMs: 1000,
+    ...options,
+  })
+  const signals = createSignalBus()
+  manager.setSignals(signals)
+  return { manager, api, signals }
+}
+
+describe('EntityManager stale-while-revalidate', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('serves the expired cache flagged stale, then the refreshed one', async () => {
+    const { manager, api, signals } = makeManager({ staleWhileRevalidate: true })
+    const refreshed = vi.fn()
+    signals.on('entity:cache-refreshed', refreshed)
+    await manager.list({ page_size: 20 })
+
+    api.rows = [{ id: 1, title: 'Dune' }, { id: 2, title: 'Mort' }]
+    vi.advanceTimersByTime(1500)
+    api.hold()
+
+    const stale = await manager.list({ page_size: 20 })
+    expect(stale).toMatchObject({ total: 1, fromCache: true, stale: true })
+
+    api.release()
+    await vi.waitFor(() => expect(refreshed).toHaveBeenCalled())
+    expect(refreshed.mock.calls[0][0].data).toEqual({ entity: 'books', total: 2 })
+
+    const fresh = await manager.list({ page_size: 20 })
+    expect(fresh.total).toBe(2)
+    expect(fresh.stale).toBeUndefined()
+  })
+
+  it('shares one refresh between concurrent reads', async () => {
+    const { manager, api } = makeManager({ staleWhileRevalidate: true })
+    await manager.list({ page_size: 20 })
+    vi.advanceTimersByTime(1500)
+    api.client.get.mockClear()
+
+    await Promise.all([manager.list({}), manager.query({}), manager.list({})])
+    await manager.revalidate()
+
+    expect(api.client.get).toHaveBeenCalledTimes(1)
+  })
+
+  it('blocks on the API without staleWhileRevalidate (query included)', async () => {
+    const { manager, api } = makeManager()
+    await manager.list({ page_size: 20 })
+    api.rows = [{ id: 1, title: 'Dune' }, { id: 2, title: 'Mort' }]
+    vi.advanceTimersByTime(1500)
+
+    const result = await manager.query({})
+
+    expect(result.total).toBe(2)
+    expect(result.stale).toBeUndefined()
+  })
+
+  it('drops a refresh that a write invalidated meanwhile', async () => {
+    const { manager, api } = makeManager()
+    await manager.list({ page_size: 20 })
+    api.hold()
+
+    const pending = manager.revalidate()
+    manager.invalidateCache()
+    api.release()
+
+    expect(await pending).toBe(false)
+    expect(manager.getCacheInfo().valid).toBe(false)
+  })
+
+  it('keeps the stale cache when the refresh fails', async () => {
+    const { manager, api } = makeManager({ staleWhileRevalidate: true })
+    await manager.list({ page_size: 20 })
+    vi.advanceTimersByTime(1500)
+    api.client.get.mockRejectedValueOnce(new Error('offline'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    expect(await manager.revalidate()).toBe(false)
+    expect((await manager.list({})).items).toEqual([{ id: 1, title: 'Dune' }])
+  })
+
+  it('stops caching an entity that outgrew the threshold', async () => {
+    const { manager, api } = makeManager({ localFilterThreshold: 2 })
+    await manager.list({ page_size: 20 })
+    api.rows = [1, 2, 3].map((id) => ({ id }))
+
+    expect(await manager.revalidate()).toBe(false)
+    expect(manager.getCacheInfo()).toMatchObject({ valid: false, overflow: true })
+  })
+
+  it('resolves false when nothing is cached', async () => {
+    const { manager, api } = makeManager()
+    expect(await manager.revalidate()).toBe(false)
+    expect(api.client.get).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,195 @@
+/**
+ * EntityManager — real-time sync (EntitySync + applySync).
+ *
+ * Covers record-level patching of the list cache for creates,
+ * updates and deletes, record rules, `realtime: false` managers, message
+ * validation, and the whole path over a WebSocket echo server.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import WebSocket from 'ws'
+import { startEchoServer } from '../__helpers__/echoServer'
+
+import { EntityManager } from '../../src/entity/EntityManager'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+import { EntitySync, isSyncMessage } from '../../src/entity/sync/index'
+import { ApiStorage } from '../../src/entity/storage/ApiStorage'
+import { EntityAuthAdapter, SecurityChecker, RoleHierarchy } from '../../src/entity/auth'
+import { WebSocketBridge, WS_SIGNALS } from '../../src/kernel/WebSocketBridge'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+const books = () => [
+  { id: 1, title: 'Dune', branch_id: 1 },
+  { id: 2, title: 'Emma', branch_id: 1 },
+]
+
+/** Read-only HTTP client over the books */
+function booksClient() {
+  const rows = books()
+  return {
+    get: vi.fn(async (url) => {
+      const id = url.split('/')[2]
+      if (id) return { data: rows.find((row) => String(row.id) === id) }
+      return { data: { items: rows, total: rows.length } }
+    }),
+  }
+}
+
+function setup(options = {}, storageOptions = {}) {
+  const signals = createSignalBus()
+  const storage = new ApiStorage({ endpoint: '/books', client: booksClient(), ...storageOptions })
+  const manager = new EntityManager({ name: 'books', labelField: 'title', storage, ...options })
+  const orchestrator = new Orchestrator({ signals, managers: { books: manager } })
+  const sync = new EntitySync({ signals, sources: ['ws:entity-sync'] })
+  sync.bind(orchestrator)
+  sync.start()
+  return { manager, storage, signals, sync }
+}
+
+/** Fill the list cache, then read the storage calls made afterwards */
+async function warm(manager, storage) {
+  await manager.list()
+  expect(manager.getCacheInfo().valid).toBe(true)
+  return vi.spyOn(storage, 'list')
+}
+
+const titles = (result) => result.items.map((item) => item.title)
+
+describe('EntityManager — real-time sync', () => {
+  it('patches the list cache on create and update, keeping it valid', async () => {
+    const { manager, storage, sync } = setup()
+    const list = await warm(manager, storage)
+
+    await sync.dispatch([
+      { entity: 'books', op: 'update', id: 1, record: { id: 1, title: 'Dune Messiah', branch_id: 1 } },
+      { entity: 'books', op: 'create', id: 3, record: { id: 3, title: 'Persuasion', branch_id: 1 } },
+    ])
+
+    expect(manager.getCacheInfo().valid).toBe(true)
+    const result = await manager.list()
+    expect(titles(result)).toEqual(['Dune Messiah', 'Emma', 'Persuasion'])
+    expect(result.total).toBe(3)
+    expect(list).not.toHaveBeenCalled()
+  })
+
+  it('removes deleted records from the cache', async () => {
+    const { manager, storage, sync } = setup()
+    await warm(manager, storage)
+
+    expect(await sync.dispatch({ entity: 'books', op: 'delete', id: 2 })).toBe(1)
+
+    expect(titles(await manager.list())).toEqual(['Dune'])
+  })
+
+  it('serves the patched record from get()', async () => {
+    const { manager, storage, sync } = setup()
+    await warm(manager, storage)
+    const get = vi.spyOn(storage, 'get')
+
+    await sync.dispatch({ entity: 'books', op: 'update', id: 1, record: { id: 1, title: 'Dune Messiah' } })
+
+    expect((await manager.get(1)).title).toBe('Dune Messiah')
+    expect(get).not.toHaveBeenCalled()
+  })
+
+  it('normalizes pushed records as the storage does its responses', async () => {
+    const normalize = (row) => ({ id: row.id, title: row.title ?? row.name, branch_id: row.branch_id })
+    const { manager, storage, sync } = setup({}, { normalize })
+    await warm(manager, storage)
+
+    await sync.dispatch({ entity: 'books', op: 'update', id: 1, record: { id: 1, name: 'Dune Messiah', branch_id: 1 } })
+
+    expect(titles(await manager.list())).toEqual(['Dune Messiah', 'Emma'])
+    expect(await manager.get(1)).toEqual({ id: 1, title: 'Dune Messiah', branch_id: 1 })
+  })
+
+  it('drops the caches when a message carries no record', async () => {
+    const { manager, storage, sync } = setup()
+    await warm(manager, storage)
+
+    await sync.dispatch({ entity: 'books', op: 'update', id: 1 })
+
+    expect(manager.getCacheInfo().valid).toBe(false)
+  })
+
+  it('emits entity:synced once applied', async () => {
+    const { signals, sync } = setup()
+    const synced = vi.fn()
+    signals.on('entity:synced', synced)
+
+    await sync.dispatch({ entity: 'books', op: 'delete', id: 1 })
+
+    expect(synced.mock.calls[0][0].data).toEqual({ entity: 'books', op: 'delete', id: 1, record: null })
+  })
+
+  it('ignores messages on realtime: false managers', async () => {
+    const { manager, storage, sync } = setup({ realtime: false })
+    await warm(manager, storage)
+
+    expect(await sync.dispatch({ entity: 'books', op: 'delete', id: 1 })).toBe(0)
+    expect(titles(await manager.list())).toEqual(['Dune', 'Emma'])
+  })
+
+  it('removes records moving out of the record rules', async () => {
+    const user = { id: 5, roles: ['ROLE_USER'], branch_id: 1 }
+    const authAdapter = new EntityAuthAdapter({ getCurrentUser: () => user })
+    authAdapter.setSecurityChecker(new SecurityChecker({
+      roleHierarchy: new RoleHierarchy({}),
+      rolePermissions: { ROLE_USER: ['entity:books:*'] },
+      getCurrentUser: () => user,
+    }))
+    const { manager, storage, sync } = setup({
+      authAdapter,
+      recordRules: { ROLE_USER: { branch_id: (u) => u.branch_id } },
+    })
+    await warm(manager, storage)
+
+    await sync.dispatch([
+      { entity: 'books', op: 'update', id: 1, record: { id: 1, title: 'Dune', branch_id: 2 } },
+      { entity: 'books', op: 'create', id: 3, record: { id: 3, title: 'Persuasion', branch_id: 2 } },
+    ])
+
+    expect(titles(await manager.list())).toEqual(['Emma'])
+  })
+
+  it('skips invalid messages and unknown entities', async () => {
+    const { sync } = setup()
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const applied = await sync.dispatch([
+      { entity: 'books', op: 'rename', id: 1 },
+      { entity: 'authors', op: 'delete', id: 1 },
+      null,
+    ])
+
+    expect(applied).toBe(0)
+    expect(warn).toHaveBeenCalledTimes(2)
+    expect(isSyncMessage({ entity: 'books', op: 'create', id: '1' })).toBe(true)
+    warn.mockRestore()
+  })
+
+  describe('over WebSocket', () => {
+    let server
+    let bridge
+
+    afterEach(async () => {
+      bridge?.disconnect()
+      await server?.close()
+    })
+
+    it('patches the cache from a pushed message', async () => {
+      const { manager, storage, signals } = setup()
+      await warm(manager, storage)
+      server = await startEchoServer()
+      const connected = new Promise((resolve) => signals.once(WS_SIGNALS.CONNECTED, resolve))
+      bridge = new WebSocketBridge({ signals, url: server.url, autoConnect: true, WebSocket })
+      await connected
+      const synced = new Promise((resolve) => signals.once('entity:synced', resolve))
+
+      // Echoed back by the server, as a push would arrive
+      bridge.send({ event: 'entity-sync', data: { entity: 'books', op: 'update', id: 2, record: { id: 2, title: 'Emma (2nd ed.)' } } })
+      await synced
+
+      expect(titles(await manager.list())).toEqual(['Dune', 'Emma (2nd ed.)'])
+    })
+  })
+})
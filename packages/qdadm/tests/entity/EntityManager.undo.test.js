@@ -0,0 +1,232 @@
+/**
+ * EntityManager — undo/redo (Orchestrator.undoStack).
+ *
+ * Covers reverting deletes, updates and creates through the manager (hooks
+ * and signals re-run), bulk actions as one operation, redo, the stack limit,
+ * `undoable: false` managers and the keyboard shortcut.
+ */
+import { describe, it, expect, vi } from 'vitest'
+
+import { EntityManager } from '../../src/entity/EntityManager'
+import { Orchestrator } from '../../src/orchestrator/Orchestrator'
+import { UndoStack, installUndoShortcut } from '../../src/entity/undo/index'
+import { MemoryStorage } from '../../src/entity/storage/index'
+import { createHookRegistry } from '../../src/hooks/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+/** MemoryStorage with a batch() applying each operation in turn */
+class BatchingStorage extends MemoryStorage {
+  async batch(operations) {
+    const outcomes = []
+    for (const { action, id, data } of operations) {
+      if (action === 'delete') {
+        await this.delete(id)
+        outcomes.push({ ok: true })
+      } else {
+        const record = action === 'create' ? await this.create(data) : await this[action](id, data)
+        outcomes.push({ ok: true, record })
+      }
+    }
+    return outcomes
+  }
+}
+
+function setup({ storage, limit, undoable = true } = {}) {
+  const signals = createSignalBus()
+  const hooks = createHookRegistry()
+  const manager = new EntityManager({
+    name: 'books',
+    labelField: 'title',
+    undoable,
+    storage: storage ?? new MemoryStorage({
+      initialData: [{ id: 1, title: 'Dune', status: 'draft' }, { id: 2, title: 'Emma', status: 'draft' }],
+    }),
+  })
+  const orchestrator = new Orchestrator({ signals, hooks, managers: { books: manager } })
+  const stack = new UndoStack({ limit, signals })
+  stack.bind(orchestrator)
+  orchestrator.undoStack = stack
+  return { manager, stack, signals, hooks, orchestrator }
+}
+
+describe('EntityManager — undo', () => {
+  it('re-creates a deleted record with its id', async () => {
+    const { manager, stack } = setup()
+    await manager.delete(1)
+
+    expect(stack.peek()).toMatchObject({ label: 'Delete Dune', changes: [{ action: 'delete', id: 1 }] })
+    const [op] = await stack.undo()
+
+    expect(op.label).toBe('Delete Dune')
+    expect(await manager.get(1)).toMatchObject({ id: 1, title: 'Dune' })
+    expect(stack.canUndo).toBe(false)
+    expect(stack.canRedo).toBe(true)
+  })
+
+  it('reverts an update and removes a created record', async () => {
+    const { manager, stack } = setup()
+    await manager.patch(1, { title: 'Dune Messiah' })
+    const created = await manager.create({ title: 'Persuasion' })
+
+    await stack.undo(2)
+
+    expect((await manager.get(1)).title).toBe('Dune')
+    await expect(manager.get(created.id)).rejects.toThrow()
+  })
+
+  it('re-runs hooks and signals when undoing', async () => {
+    const { manager, stack, signals, hooks } = setup()
+    await manager.delete(2)
+    const presave = vi.fn()
+    hooks.register('entity:presave', presave)
+    const created = vi.fn()
+    signals.on('entity:created', created)
+
+    await stack.undo()
+
+    expect(presave.mock.calls[0][0].data).toMatchObject({ entity: 'books', isNew: true, record: { id: 2 } })
+    await vi.waitFor(() => expect(created).toHaveBeenCalled())
+    // Writes made by the undo are not recorded themselves
+    expect(stack.canUndo).toBe(false)
+  })
+
+  it('records a bulk action as one operation', async () => {
+    const { manager, stack } = setup()
+    await manager.patchMany([{ id: 1, data: { status: 'published' } }, { id: 2, data: { status: 'published' } }])
+
+    expect(stack.operations).toHaveLength(1)
+    expect(stack.peek().label).toBe(`Update 2 ${manager.labelPlural}`)
+    await stack.undo()
+
+    expect((await manager.list()).items.map((b) => b.status)).toEqual(['draft', 'draft'])
+  })
+
+  it('groups storage.batch() writes too', async () => {
+    const storage = new BatchingStorage({ initialData: [{ id: 1, title: 'Dune' }, { id: 2, title: 'Emma' }] })
+    const { manager, stack } = setup({ storage })
+    await manager.deleteMany([1, 2])
+
+    expect(stack.peek().changes.map((c) => [c.action, c.id])).toEqual([['delete', 1], ['delete', 2]])
+    await stack.undo()
+
+    expect((await manager.list()).items.map((b) => b.title).sort()).toEqual(['Dune', 'Emma'])
+  })
+
+  it('keeps a write made during a bulk action out of its operation', async () => {
+    const { manager, stack } = setup()
+    await Promise.all([
+      manager.patchMany([{ id: 1, data: { status: 'published' } }]),
+      manager.create({ title: 'Ubik' }),
+    ])
+
+    expect(stack.operations.map((op) => op.label).sort()).toEqual(['Create Ubik', `Update 1 ${manager.labelPlural}`])
+  })
+
+  it('groups the writes given the group context', async () => {
+    const { manager, stack } = setup()
+    await stack.group('Publish all', (context) => {
+      expect(context).toEqual({ parentChain: [] })
+      return Promise.all([1, 2].map((id) => manager.patch(id, { status: 'published' }, context)))
+    }, { parentChain: [] })
+    await manager.delete(1)
+
+    expect(stack.operations.map((op) => [op.label, op.changes.length])).toEqual([['Publish all', 2], ['Delete Dune', 1]])
+  })
+
+  it('joins an outer group from a bulk call given its context', async () => {
+    const { manager, stack } = setup()
+    await stack.group('Tidy up', async (context) => {
+      await manager.patchMany([{ id: 1, data: { status: 'published' } }, { id: 2, data: { status: 'published' } }], { context })
+      await manager.delete(1, context)
+    })
+
+    expect(stack.operations.map((op) => [op.label, op.changes.length])).toEqual([['Tidy up', 3]])
+  })
+
+  it('redoes an undone operation, a new write clearing the redo stack', async () => {
+    const { manager, stack } = setup()
+    await manager.patch(1, { title: 'Dune Messiah' })
+    await stack.undo()
+    await stack.redo()
+
+    expect((await manager.get(1)).title).toBe('Dune Messiah')
+    await stack.undo()
+    await manager.patch(2, { title: 'Emma (2nd ed.)' })
+    expect(stack.canRedo).toBe(false)
+  })
+
+  it('undoTo() reverts an operation and the newer ones', async () => {
+    const { manager, stack } = setup()
+    await manager.patch(1, { title: 'A' })
+    const { id } = stack.peek()
+    await manager.patch(1, { title: 'B' })
+    await manager.patch(2, { title: 'C' })
+
+    const undone = await stack.undoTo(id)
+
+    expect(undone).toHaveLength(3)
+    expect((await manager.get(1)).title).toBe('Dune')
+  })
+
+  it('keeps at most `limit` operations', async () => {
+    const { manager, stack } = setup({ limit: 2 })
+    for (const title of ['A', 'B', 'C']) await manager.patch(1, { title })
+
+    expect(stack.operations).toHaveLength(2)
+    await stack.undo(5)
+    expect((await manager.get(1)).title).toBe('A')
+  })
+
+  it('ignores managers built with undoable: false', async () => {
+    const { manager, stack } = setup({ undoable: false })
+    await manager.delete(1)
+
+    expect(stack.canUndo).toBe(false)
+  })
+})
+
+describe('Orchestrator toast { undo: true }', () => {
+  it('carries the id of the last operation for the "Undo" button', async () => {
+    const { manager, stack, signals, orchestrator } = setup()
+    const toasts = []
+    signals.on('toast:success', (event) => toasts.push(event.data))
+    await manager.delete(1)
+
+    orchestrator.toast.success('Deleted', 'Dune', { undo: true })
+    orchestrator.toast.success('Saved')
+
+    await vi.waitFor(() => expect(toasts).toHaveLength(2))
+    expect(toasts[0].undoId).toBe(stack.peek().id)
+    expect(toasts[1]).not.toHaveProperty('undoId')
+  })
+})
+
+describe('installUndoShortcut', () => {
+  const press = (target, init) => {
+    const event = new KeyboardEvent('keydown', { cancelable: true, ...init })
+    target.dispatchEvent(event)
+    return event
+  }
+
+  it('undoes on Ctrl+Z and redoes on Ctrl+Shift+Z, outside of fields', async () => {
+    const { manager, stack } = setup()
+    await manager.patch(1, { title: 'Dune Messiah' })
+    const onDone = vi.fn()
+    const remove = installUndoShortcut(stack, { onDone })
+
+    const input = document.createElement('input')
+    document.body.appendChild(input)
+    expect(press(input, { key: 'z', ctrlKey: true, bubbles: true }).defaultPrevented).toBe(false)
+
+    expect(press(window, { key: 'z', ctrlKey: true }).defaultPrevented).toBe(true)
+    await vi.waitFor(() => expect(onDone).toHaveBeenCalledWith('undo', [expect.objectContaining({ label: 'Update Dune Messiah' })]))
+    expect((await manager.get(1)).title).toBe('Dune')
+
+    press(window, { key: 'Z', ctrlKey: true, shiftKey: true })
+    await vi.waitFor(() => expect(onDone).toHaveBeenCalledTimes(2))
+    expect((await manager.get(1)).title).toBe('Dune Messiah')
+
+    remove()
+    input.remove()
+  })
+})
@@ -0,0 +1,220 @@
+/**
+ * OfflineQueue — outbox persistence, queue folding and ordered replay.
+ *
+ * IndexedDbOutbox runs against fake-indexeddb (jsdom has no IndexedDB).
+ */
+import 'fake-indexeddb/auto'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+import {
+  OfflineQueue,
+  MemoryOutbox,
+  LocalStorageOutbox,
+  IndexedDbOutbox,
+} from '../../src/entity/offline/index'
+import { ConflictError } from '../../src/entity/storage/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' })
+
+function op(overrides = {}) {
+  return { entity: 'books', action: 'patch', targetId: 1, data: { title: 'X' }, ...overrides }
+}
+
+/** Resolver whose managers replay through a spy */
+function resolverFor(replayOffline) {
+  const manager = { idField: 'id', replayOffline }
+  return { get: () => manager }
+}
+
+function setup(replayOffline = vi.fn(async () => ({}))) {
+  const signals = createSignalBus()
+  const queue = new OfflineQueue({ signals, autoReplay: false })
+  queue.bind(resolverFor(replayOffline))
+  const seen = []
+  signals.on('offline:*', (event) => seen.push([event.name, event.data.data]))
+  return { queue, signals, seen, replayOffline }
+}
+
+describe('OfflineQueue — outboxes', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('LocalStorageOutbox round-trips the queue and clears the key when empty', async () => {
+    const outbox = new LocalStorageOutbox({ key: 'test:outbox' })
+    const first = new OfflineQueue({ outbox })
+    await first.enqueue(op())
+    await first.enqueue(op({ action: 'delete', targetId: 2, data: undefined }))
+
+    const second = new OfflineQueue({ outbox })
+    await second.load()
+    expect(second.operations.map((o) => [o.action, o.targetId])).toEqual([['patch', 1], ['delete', 2]])
+
+    await second.clear()
+    expect(localStorage.getItem('test:outbox')).toBeNull()
+  })
+
+  it('IndexedDbOutbox keeps the replay order', async () => {
+    const outbox = new IndexedDbOutbox({ dbName: 'test_outbox_order' })
+    const first = new OfflineQueue({ outbox })
+    await first.enqueue(op({ targetId: 3 }))
+    await first.enqueue(op({ targetId: 1 }))
+    await first.enqueue(op({ targetId: 2 }))
+
+    const second = new OfflineQueue({ outbox: new IndexedDbOutbox({ dbName: 'test_outbox_order' }) })
+    await second.load()
+    expect(second.operations.map((o) => o.targetId)).toEqual([3, 1, 2])
+  })
+
+  it('keeps operations enqueued before the outbox finished loading after the stored ones', async () => {
+    const outbox = new MemoryOutbox()
+    await outbox.save([{ ...op({ targetId: 1 }), id: 'old', seq: 7, queuedAt: 0, attempts: 0 }])
+    const queue = new OfflineQueue({ outbox })
+
+    await queue.enqueue(op({ targetId: 2 }))
+
+    expect(queue.operations.map((o) => [o.targetId, o.seq])).toEqual([[1, 7], [2, 8]])
+  })
+})
+
+describe('OfflineQueue — enqueue', () => {
+  it('folds writes to a record created offline into its create', async () => {
+    const { queue } = setup()
+    await queue.enqueue(op({ action: 'create', targetId: 'offline-1', tempId: 'offline-1', data: { title: 'A' } }))
+
+    await queue.enqueue(op({ action: 'patch', targetId: 'offline-1', data: { year: 1965 }, record: { id: 'offline-1', title: 'A', year: 1965 } }))
+
+    expect(queue.size).toBe(1)
+    expect(queue.operations[0]).toMatchObject({ action: 'create', data: { title: 'A', year: 1965 } })
+    expect(queue.getPendingRecord('books', 'offline-1')).toEqual({ id: 'offline-1', title: 'A', year: 1965 })
+  })
+
+  it('drops a queued create when the record is deleted before replay', async () => {
+    const { queue } = setup()
+    await queue.enqueue(op({ action: 'create', targetId: 'offline-1', tempId: 'offline-1' }))
+
+    const queued = await queue.enqueue(op({ action: 'delete', targetId: 'offline-1', data: undefined }))
+
+    expect(queued).toBeNull()
+    expect(queue.size).toBe(0)
+  })
+
+  it('tracks pending records per entity and notifies listeners', async () => {
+    const { queue, seen } = setup()
+    const listener = vi.fn()
+    queue.onChange(listener)
+
+    await queue.enqueue(op())
+
+    expect(queue.isPending('books', '1')).toBe(true)
+    expect(queue.isPending('authors', 1)).toBe(false)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(seen.map(([name]) => name)).toEqual(['offline:queued'])
+  })
+})
+
+describe('OfflineQueue — replay', () => {
+  it('replays in order and empties the queue', async () => {
+    const { queue, replayOffline, seen } = setup()
+    await queue.enqueue(op({ targetId: 1 }))
+    await queue.enqueue(op({ targetId: 2 }))
+    seen.length = 0
+
+    const result = await queue.replay()
+
+    expect(replayOffline.mock.calls.map(([o]) => o.targetId)).toEqual([1, 2])
+    expect(result).toEqual({ replayed: 2, conflicts: 0, failed: 0, remaining: 0 })
+    expect(seen.map(([name]) => name)).toEqual(['offline:replayed', 'offline:replayed'])
+  })
+
+  it('stops at a network error and keeps the operation for later', async () => {
+    const replayOffline = vi.fn()
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(networkError())
+    const { queue } = setup(replayOffline)
+    await queue.enqueue(op({ targetId: 1 }))
+    await queue.enqueue(op({ targetId: 2 }))
+    await queue.enqueue(op({ targetId: 3 }))
+
+    const result = await queue.replay()
+
+    expect(result).toMatchObject({ replayed: 1, remaining: 2 })
+    expect(replayOffline).toHaveBeenCalledTimes(2)
+    expect(queue.operations[0]).toMatchObject({ targetId: 2, attempts: 1, lastError: 'Network Error' })
+  })
+
+  it('surfaces conflicts and rejections through signals, then moves on', async () => {
+    const conflict = new ConflictError('changed', { serverRecord: { id: 1, title: 'Theirs' } })
+    const replayOffline = vi.fn()
+      .mockRejectedValueOnce(conflict)
+      .mockRejectedValueOnce(new Error('Unprocessable'))
+      .mockResolvedValueOnce({})
+    const { queue, seen } = setup(replayOffline)
+    await queue.enqueue(op({ targetId: 1 }))
+    await queue.enqueue(op({ targetId: 2 }))
+    await queue.enqueue(op({ targetId: 3 }))
+    seen.length = 0
+
+    const result = await queue.replay()
+
+    expect(result).toEqual({ replayed: 1, conflicts: 1, failed: 1, remaining: 0 })
+    expect(seen.map(([name]) => name)).toEqual(['offline:conflict', 'offline:failed', 'offline:replayed'])
+    expect(seen[0][1]).toMatchObject({ operation: { targetId: 1 }, error: conflict, serverRecord: { title: 'Theirs' } })
+  })
+
+  it('points later operations at the id the server gave a replayed create', async () => {
+    let release
+    const replayOffline = vi.fn(async (o) => {
+      if (o.action === 'create') {
+        await new Promise((resolve) => { release = resolve })
+        return { id: 42 }
+      }
+      return {}
+    })
+    const { queue } = setup(replayOffline)
+    await queue.enqueue(op({ action: 'create', targetId: 'offline-1', tempId: 'offline-1' }))
+
+    const running = queue.replay()
+    await vi.waitFor(() => expect(release).toBeTypeOf('function'))
+    // The create is in flight: this write cannot fold into it
+    await queue.enqueue(op({ targetId: 'offline-1', data: { title: 'B' } }))
+    release()
+    await running
+
+    expect(replayOffline.mock.calls.map(([o]) => [o.action, o.targetId])).toEqual([['create', 'offline-1'], ['patch', 42]])
+  })
+
+  it('keeps operations of an entity without manager yet, without replaying further', async () => {
+    const replayOffline = vi.fn(async () => ({}))
+    const manager = { idField: 'id', replayOffline }
+    let registered = false
+    const queue = new OfflineQueue({ autoReplay: false })
+    queue.bind({
+      get: () => {
+        if (!registered) throw new Error('[Orchestrator] No manager for entity "books"')
+        return manager
+      },
+    })
+    await queue.enqueue(op({ targetId: 1 }))
+    await queue.enqueue(op({ targetId: 2 }))
+
+    expect(await queue.replay()).toEqual({ replayed: 0, conflicts: 0, failed: 0, remaining: 2 })
+    expect(queue.operations[0]).toMatchObject({ attempts: 0, lastError: 'No manager for entity "books"' })
+
+    registered = true
+    expect(await queue.replay()).toMatchObject({ replayed: 2, remaining: 0 })
+  })
+
+  it('replays when the browser comes back online', async () => {
+    const replayOffline = vi.fn(async () => ({}))
+    const queue = new OfflineQueue({ autoReplay: true })
+    queue.bind(resolverFor(replayOffline))
+    await queue.start()
+    await queue.enqueue(op())
+
+    window.dispatchEvent(new Event('online'))
+    await vi.waitFor(() => expect(queue.size).toBe(0))
+
+    expect(replayOffline).toHaveBeenCalledTimes(1)
+    queue.stop()
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * PersistentCache — stores, per-user/version keys and wipes.
+ *
+ * IndexedDbCacheStore runs against fake-indexeddb (jsdom has no IndexedDB).
+ */
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach } from 'vitest'
+
+import {
+  PersistentCache,
+  MemoryCacheStore,
+  LocalStorageCacheStore,
+  IndexedDbCacheStore,
+} from '../../src/entity/cache/index'
+import { createSignalBus } from '../../src/kernel/SignalBus'
+
+const list = (items) => ({ items, total: items.length, loadedAt: 1000 })
+
+describe('PersistentCache — stores', () => {
+  beforeEach(() => localStorage.clear())
+
+  it('LocalStorageCacheStore hydrates synchronously on the next boot', async () => {
+    const first = new PersistentCache({ store: new LocalStorageCacheStore(), version: '1.0' })
+    first.write('books', { list: list([{ id: 1 }]), details: [] })
+    await first.flush()
+    expect(localStorage.getItem('qdadm:cache:1.0:anonymous:books')).not.toBeNull()
+
+    const second = new PersistentCache({ store: new LocalStorageCacheStore(), version: '1.0' })
+    expect(second.loaded).toBe(true)
+    expect(second.read('books').list.items).toEqual([{ id: 1 }])
+  })
+
+  it('LocalStorageCacheStore drops unreadable entries', () => {
+    localStorage.setItem('qdadm:cache:1.0:anonymous:books', '{oops')
+    const cache = new PersistentCache({ store: new LocalStorageCacheStore(), version: '1.0' })
+    expect(cache.read('books')).toBeNull()
+    expect(localStorage.getItem('qdadm:cache:1.0:anonymous:books')).toBeNull()
+  })
+
+  it('IndexedDbCacheStore is read once ready resolves', async () => {
+    const first = new PersistentCache({ store: new IndexedDbCacheStore({ dbName: 'test_cache_ready' }) })
+    first.write('books', { list: null, details: [{ id: '1', item: { id: 1 }, loadedAt: 1000 }] })
+    await first.flush()
+
+    const second = new PersistentCache({ store: new IndexedDbCacheStore({ dbName: 'test_cache_ready' }) })
+    expect(second.loaded).toBe(false)
+    await second.ready
+    expect(second.read('books').details).toEqual([{ id: '1', item: { id: 1 }, loadedAt: 1000 }])
+  })
+
+  it('keeps a clear() issued while an asynchronous store loads', async () => {
+    const first = new PersistentCache({ store: new IndexedDbCacheStore({ dbName: 'test_cache_wipe' }) })
+    first.write('books', { list: list([{ id: 1 }]), details: [] })
+    await first.flush()
+
+    const second = new PersistentCache({ store: new IndexedDbCacheStore({ dbName: 'test_cache_wipe' }) })
+    second.clear()
+    await second.flush()
+    expect(second.read('books')).toBeNull()
+
+    const third = new PersistentCache({ store: new IndexedDbCacheStore({ dbName: 'test_cache_wipe' }) })
+    await third.ready
+    expect(third.read('books')).toBeNull()
+  })
+})
+
+describe('PersistentCache — keys', () => {
+  it('keeps entries per user', () => {
+    let user = 'alice'
+    const cache = new PersistentCache({ user: () => user })
+    cache.write('books', { list: list([{ id: 1 }]), details: [] })
+
+    user = 'bob'
+    expect(cache.read('books')).toBeNull()
+    user = 'alice'
+    expect(cache.read('books').user).toBe('alice')
+  })
+
+  it('drops entries of another app version at boot', async () => {
+    const store = new MemoryCacheStore()
+    const old = new PersistentCache({ store, version: '1.0' })
+    old.write('books', { list: list([{ id: 1 }]), details: [] })
+    await old.flush()
+
+    const upgraded = new PersistentCache({ store, version: '2.0' })
+    expect(upgraded.read('books')).toBeNull()
+    await upgraded.flush()
+    expect(await store.load()).toEqual([])
+  })
+
+  it('removes the entry once both caches are empty', async () => {
+    const store = new MemoryCacheStore()
+    const cache = new PersistentCache({ store })
+    cache.write('books', { list: list([{ id: 1 }]), details: [] })
+    cache.write('books', { list: null, details: [] })
+    await cache.flush()
+
+    expect(cache.read('books')).toBeNull()
+    expect(await store.load()).toEqual([])
+  })
+})
+
+describe('PersistentCache — wipes', () => {
+  function setup() {
+    const signals = createSignalBus()
+    let user = 'alice'
+    const cache = new PersistentCache({ signals, user: () => user })
+    cache.write('books', { list: list([{ id: 1 }]), details: [] })
+    cache.write('loans', { list: list([{ id: 9 }]), details: [] })
+    user = 'bob'
+    cache.write('books', { list: list([{ id: 2 }]), details: [] })
+    return { signals, cache, as: (name) => (user = name) }
+  }
+
+  it('clears everything on auth:logout', async () => {
+    const { signals, cache, as } = setup()
+    await signals.emit('auth:logout', { reason: 'user' })
+
+    expect(cache.read('books')).toBeNull()
+    as('alice')
+    expect(cache.read('loans')).toBeNull()
+  })
+
+  it('drops the targeted entity for every user on entity:datalayer-invalidate', async () => {
+    const { signals, cache, as } = setup()
+    await signals.emit('entity:datalayer-invalidate', { entity: 'books' })
+
+    expect(cache.read('books')).toBeNull()
+    as('alice')
+    expect(cache.read('books')).toBeNull()
+    expect(cache.read('loans')).not.toBeNull()
+  })
+
+  it('clears everything on a global entity:datalayer-invalidate', async () => {
+    const { signals, cache, as } = setup()
+    await signals.emit('entity:datalayer-invalidate', { entity: '*' })
+
+    as('alice')
+    expect(cache.read('loans')).toBeNull()
+  })
+})
@@ -3,7 +3,7 @@
  *
  * Run: npm test
  */
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, vi } from 'vitest'
 import {
   ApiStorage,
   createApiStorage,
@@ -76,3 +76,225 @@ describe('createApiStorage', () => {
     expect(storage.constructor.capabilities.supportsTotal).toBe(true)
   })
 })
+
+describe('ApiStorage etag', () => {
+  function client(etag) {
+    const response = { data: { id: 1, title: 'Dune' }, headers: etag ? { etag } : {} }
+    return {
+      get: vi.fn().mockResolvedValue(response),
+      put: vi.fn().mockResolvedValue(response),
+      patch: vi.fn().mockResolvedValue(response),
+      delete: vi.fn().mockResolvedValue({ data: null }),
+      request: vi.fn().mockResolvedValue({ ...response, headers: { etag: '"v2"' } }),
+    }
+  }
+
+  it('ignores ETags unless enabled', async () => {
+    const storage = new ApiStorage({ endpoint: '/books', client: client('"v1"') })
+    await storage.get(1)
+    expect(storage.getVersionToken(1)).toBeNull()
+  })
+
+  it('remembers the ETag of get() and of writes', async () => {
+    const http = client('"v1"')
+    const storage = new ApiStorage({ endpoint: '/books', client: http, etag: true })
+
+    await storage.get(1)
+    expect(storage.getVersionToken(1)).toBe('"v1"')
+
+    await storage.patch(1, { title: 'X' }, { ifMatch: '"v1"' })
+    expect(http.request).toHaveBeenCalledWith({
+      method: 'PATCH',
+      url: '/books/1',
+      data: { title: 'X' },
+      headers: { 'If-Match': '"v1"' },
+    })
+    expect(storage.getVersionToken(1)).toBe('"v2"')
+
+    await storage.delete(1)
+    expect(storage.getVersionToken(1)).toBeNull()
+  })
+
+  it('writes through put/patch without ifMatch', async () => {
+    const http = client(null)
+    const storage = new ApiStorage({ endpoint: '/books', client: http, etag: true })
+
+    await storage.update(1, { title: 'X' })
+
+    expect(http.put).toHaveBeenCalledWith('/books/1', { title: 'X' })
+    expect(http.request).not.toHaveBeenCalled()
+  })
+})
+
+describe('ApiStorage cursor pagination', () => {
+  function client(data) {
+    return { get: vi.fn().mockResolvedValue({ data }) }
+  }
+
+  it('keeps page pagination by default', async () => {
+    const http = client({ items: [{ id: 1 }], total: 1 })
+    const storage = new ApiStorage({ endpoint: '/books', client: http })
+
+    const result = await storage.list({ page: 2, page_size: 10, cursor: 'ignored' })
+
+    expect(http.get).toHaveBeenCalledWith('/books', {
+      params: { page: 2, page_size: 10, sort_by: undefined, sort_order: undefined },
+    })
+    expect(result).toEqual({ items: [{ id: 1 }], total: 1 })
+    expect(storage.capabilities).toBe(ApiStorage.capabilities)
+  })
+
+  it('sends the cursor and reads cursors from the response', async () => {
+    const http = client({ items: [{ id: 3 }], next_cursor: 'c4', prev_cursor: 'c2', has_more: true })
+    const storage = new ApiStorage({ endpoint: '/books', client: http, pagination: 'cursor' })
+
+    const result = await storage.list({ page: 2, page_size: 10, cursor: 'c3' })
+
+    expect(http.get.mock.calls[0][1].params).toMatchObject({ cursor: 'c3', page_size: 10 })
+    expect(http.get.mock.calls[0][1].params).not.toHaveProperty('page')
+    expect(result).toEqual({ items: [{ id: 3 }], total: null, nextCursor: 'c4', prevCursor: 'c2', hasMore: true })
+  })
+
+  it('reads configurable, nested response keys', async () => {
+    const http = client({ data: [{ id: 1 }], meta: { next: 42, count: 7 } })
+    const storage = new ApiStorage({
+      endpoint: '/books',
+      client: http,
+      pagination: 'cursor',
+      cursorParam: 'after',
+      responseItemsKey: 'data',
+      responseTotalKey: 'meta.count',
+      responseNextCursorKey: 'meta.next',
+    })
+
+    const result = await storage.list({ cursor: '41' })
+
+    expect(http.get.mock.calls[0][1].params).toMatchObject({ after: '41' })
+    // No has-more flag: derived from the next cursor
+    expect(result).toMatchObject({ total: 7, nextCursor: '42', prevCursor: null, hasMore: true })
+  })
+
+  it('declares cursor support and an unknown total in cursor mode', () => {
+    const storage = new ApiStorage({ endpoint: '/books', pagination: 'cursor' })
+
+    expect(getStorageCapabilities(storage)).toMatchObject({ supportsCursor: true, supportsTotal: false })
+  })
+})
+
+describe('ApiStorage querySerializer', () => {
+  function client() {
+    return { get: vi.fn().mockResolvedValue({ data: { items: [], total: 0 } }) }
+  }
+
+  it('sends filters as-is by default', async () => {
+    const http = client()
+    const storage = new ApiStorage({ endpoint: '/books', client: http })
+
+    await storage.list({ filters: { status: 'active' } })
+
+    expect(http.get.mock.calls[0][1].params).toMatchObject({ status: 'active' })
+  })
+
+  it('serializes operator filters in the configured dialect, after param mapping', async () => {
+    const http = client()
+    const storage = new ApiStorage({
+      endpoint: '/books',
+      client: http,
+      querySerializer: 'bracket',
+      paramMapping: { price: 'unit_price' },
+    })
+
+    await storage.list({ filters: { price: { $gte: 10 }, status: ['a', 'b'] } })
+
+    expect(http.get.mock.calls[0][1].params).toMatchObject({ 'unit_price[gte]': '10', 'status[in]': 'a,b' })
+  })
+
+  it('accepts a serializer function', async () => {
+    const http = client()
+    const storage = new ApiStorage({
+      endpoint: '/books',
+      client: http,
+      querySerializer: (query) => ({ q: JSON.stringify(query) }),
+    })
+
+    await storage.list({ filters: { year: { $lt: 2000 } } })
+
+    expect(http.get.mock.calls[0][1].params.q).toBe('{"year":{"$lt":2000}}')
+  })
+})
+
+describe('ApiStorage aggregate', () => {
+  function client(data = { rows: [{ status: 'late', count: 3 }] }) {
+    return { get: vi.fn().mockResolvedValue({ data }) }
+  }
+
+  it('declares supportsAggregate only with an aggregate endpoint', () => {
+    expect(getStorageCapabilities(new ApiStorage({ endpoint: '/loans' })).supportsAggregate).toBeFalsy()
+    expect(getStorageCapabilities(new ApiStorage({ endpoint: '/loans', aggregateEndpoint: 'stats' })).supportsAggregate).toBe(true)
+  })
+
+  it('sends group_by, metrics and serialized filters to the endpoint', async () => {
+    const http = client()
+    const storage = new ApiStorage({ endpoint: '/loans', client: http, aggregateEndpoint: 'stats', querySerializer: 'bracket' })
+
+    const result = await storage.aggregate({
+      groupBy: ['status', 'branch'],
+      metrics: { count: 'count', fines: { fn: 'sum', field: 'fine' } },
+      filters: { fine: { $gt: 0 } },
+    })
+
+    expect(http.get).toHaveBeenCalledWith('/loans/stats', {
+      params: { group_by: 'status,branch', metrics: 'count:count,fines:sum:fine', 'fine[gt]': '0' },
+    })
+    expect(result).toEqual({ rows: [{ status: 'late', count: 3 }] })
+  })
+
+  it('reads rows from the configured key or a bare array, absolute endpoints as-is', async () => {
+    const http = client({ data: { groups: [{ count: 7 }] } })
+    const storage = new ApiStorage({
+      endpoint: '/loans',
+      client: http,
+      aggregateEndpoint: '/reports/loans',
+      responseAggregateKey: 'data.groups',
+    })
+    expect(await storage.aggregate()).toEqual({ rows: [{ count: 7 }] })
+    expect(http.get.mock.calls[0][0]).toBe('/reports/loans')
+
+    const bare = new ApiStorage({ endpoint: '/loans', client: client([{ count: 2 }]), aggregateEndpoint: 'stats' })
+    expect(await bare.aggregate()).toEqual({ rows: [{ count: 2 }] })
+  })
+
+  it('throws without an aggregate endpoint', async () => {
+    const storage = new ApiStorage({ endpoint: '/loans', client: client() })
+    await expect(storage.aggregate()).rejects.toThrow('No aggregateEndpoint configured')
+  })
+})
+
+describe('ApiStorage includes', () => {
+  function client() {
+    return { get: vi.fn().mockResolvedValue({ data: { items: [], total: 0 } }) }
+  }
+
+  it('declares supportsInclude only with an include param', () => {
+    expect(getStorageCapabilities(new ApiStorage({ endpoint: '/books' })).supportsInclude).toBeFalsy()
+    expect(getStorageCapabilities(new ApiStorage({ endpoint: '/books', includeParam: 'include' })).supportsInclude).toBe(true)
+  })
+
+  it('sends includes comma-joined under the include param', async () => {
+    const http = client()
+    const storage = new ApiStorage({ endpoint: '/books', client: http, includeParam: 'expand' })
+
+    await storage.list({ include: ['author', 'genre'] })
+
+    expect(http.get.mock.calls[0][1].params).toMatchObject({ expand: 'author,genre' })
+  })
+
+  it('does not send includes without an include param', async () => {
+    const http = client()
+    const storage = new ApiStorage({ endpoint: '/books', client: http })
+
+    await storage.list({ include: ['author'] })
+
+    expect(Object.keys(http.get.mock.calls[0][1].params)).not.toContain('include')
+  })
+})
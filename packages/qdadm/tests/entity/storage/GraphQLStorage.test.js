@@ -0,0 +1,244 @@
+/**
+ * Unit tests for GraphQLStorage
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  GraphQLStorage,
+  createGraphQLStorage,
+  getStorageCapabilities,
+  storageFactory,
+  StorageError,
+} from '../../../src/entity/storage/index'
+import { EntityManager } from '../../../src/entity/EntityManager'
+
+const LIST = 'query Books($page: Int, $pageSize: Int) { books(page: $page, pageSize: $pageSize) { items { id title } total } }'
+const GET = 'query Book($id: ID!) { book(id: $id) { id title } }'
+const CREATE = 'mutation CreateBook($input: BookInput!) { createBook(input: $input) { id title } }'
+const UPDATE = 'mutation UpdateBook($id: ID!, $input: BookInput!) { updateBook(id: $id, input: $input) { id title } }'
+const DELETE = 'mutation DeleteBook($id: ID!) { deleteBook(id: $id) }'
+
+/** Axios-like client answering with a fixed GraphQL body */
+function mockClient(body) {
+  return {
+    post: vi.fn().mockResolvedValue({ data: body }),
+  }
+}
+
+function makeStorage(client, options = {}) {
+  return new GraphQLStorage({
+    client,
+    operations: {
+      list: { query: LIST },
+      get: { query: GET },
+      create: { query: CREATE },
+      update: { query: UPDATE },
+      delete: { query: DELETE },
+    },
+    ...options,
+  })
+}
+
+describe('GraphQLStorage', () => {
+  it('declares the same capabilities as ApiStorage', () => {
+    const caps = getStorageCapabilities(makeStorage(mockClient({})))
+    expect(caps).toMatchObject({
+      supportsTotal: true,
+      supportsFilters: true,
+      supportsPagination: true,
+      supportsCaching: true,
+    })
+  })
+
+  it('requires operations', () => {
+    expect(() => new GraphQLStorage({})).toThrow('requires operations')
+  })
+
+  it('createGraphQLStorage / storageFactory build instances', () => {
+    expect(createGraphQLStorage({ operations: {} })).toBeInstanceOf(GraphQLStorage)
+    const storage = storageFactory({ type: 'graphql', endpoint: '/gql', operations: {} }, 'books')
+    expect(storage).toBeInstanceOf(GraphQLStorage)
+    expect(storage.endpoint).toBe('/gql')
+  })
+
+  describe('list()', () => {
+    it('translates ListParams into variables and reads items/total', async () => {
+      const client = mockClient({ data: { books: { items: [{ id: 1, title: 'Dune' }], total: 42 } } })
+      const storage = makeStorage(client)
+
+      const result = await storage.list({
+        page: 2,
+        page_size: 10,
+        sort_by: 'title',
+        sort_order: 'desc',
+        filters: { genre: 'scifi' },
+        search: 'du',
+      })
+
+      expect(client.post).toHaveBeenCalledWith('/graphql', {
+        query: LIST,
+        variables: {
+          page: 2,
+          pageSize: 10,
+          sortBy: 'title',
+          sortOrder: 'desc',
+          filter: { genre: 'scifi' },
+          search: 'du',
+        },
+      })
+      expect(result).toEqual({ items: [{ id: 1, title: 'Dune' }], total: 42 })
+    })
+
+    it('supports renamed variables and offset pagination', async () => {
+      const client = mockClient({ data: { books: { items: [], total: 0 } } })
+      const storage = makeStorage(client, {
+        pagination: 'offset',
+        listVariables: { filters: 'where', search: null },
+      })
+
+      await storage.list({ page: 3, page_size: 20, filters: { a: 1 }, search: 'x' })
+
+      expect(client.post.mock.calls[0][1].variables).toEqual({ limit: 20, offset: 40, where: { a: 1 } })
+    })
+
+    it('reads configurable paths, across connection edges', async () => {
+      const client = mockClient({
+        data: {
+          library: {
+            books: { edges: [{ node: { id: 1 } }, { node: { id: 2 } }], pageInfo: { count: 9 } },
+          },
+        },
+      })
+      const storage = makeStorage(client, {
+        operations: {
+          list: {
+            query: LIST,
+            path: 'library.books',
+            itemsPath: 'edges.node',
+            totalPath: 'pageInfo.count',
+          },
+        },
+      })
+
+      expect(await storage.list()).toEqual({ items: [{ id: 1 }, { id: 2 }], total: 9 })
+    })
+
+    it('accepts a bare array result', async () => {
+      const storage = makeStorage(mockClient({ data: { books: [{ id: 1 }, { id: 2 }] } }))
+      expect(await storage.list()).toEqual({ items: [{ id: 1 }, { id: 2 }], total: null, hasMore: false })
+    })
+
+    it('leaves the total unknown without a count, and hasMore on a full page', async () => {
+      const storage = makeStorage(mockClient({ data: { books: { items: [{ id: 1 }, { id: 2 }] } } }))
+
+      expect(await storage.list({ page_size: 2 })).toEqual({ items: [{ id: 1 }, { id: 2 }], total: null })
+      expect(await storage.list({ page_size: 3 })).toMatchObject({ total: null, hasMore: false })
+
+      // A custom variables builder may not send the page size: nothing to infer
+      const custom = makeStorage(mockClient({ data: { books: { items: [{ id: 1 }] } } }), {
+        operations: { list: { query: LIST, variables: () => ({}) } },
+      })
+      expect(await custom.list()).toEqual({ items: [{ id: 1 }], total: null })
+    })
+
+    it('uses a custom variables builder', async () => {
+      const client = mockClient({ data: { books: { items: [], total: 0 } } })
+      const variables = vi.fn(({ params }) => ({ first: params.page_size }))
+      const storage = makeStorage(client, { operations: { list: { query: LIST, variables } } })
+
+      await storage.list({ page_size: 5 })
+
+      expect(client.post.mock.calls[0][1].variables).toEqual({ first: 5 })
+    })
+
+    it('applies normalize with the routing context', async () => {
+      const client = mockClient({ data: { books: { items: [{ id: 1, name: 'Dune' }], total: 1 } } })
+      const normalize = vi.fn((item) => ({ id: item.id, title: item.name }))
+      const storage = makeStorage(client, { normalize })
+
+      const ctx = { path: '/books' }
+      const result = await storage.list({}, ctx)
+
+      expect(result.items).toEqual([{ id: 1, title: 'Dune' }])
+      expect(normalize).toHaveBeenCalledWith({ id: 1, name: 'Dune' }, ctx)
+    })
+  })
+
+  describe('mutations', () => {
+    it('get sends the id and throws 404 on null', async () => {
+      const client = mockClient({ data: { book: null } })
+      const storage = makeStorage(client)
+
+      await expect(storage.get(7)).rejects.toMatchObject({ status: 404 })
+      expect(client.post.mock.calls[0][1]).toEqual({ query: GET, variables: { id: 7 } })
+    })
+
+    it('create sends denormalized input', async () => {
+      const client = mockClient({ data: { createBook: { id: 1, title: 'Dune' } } })
+      const storage = makeStorage(client, { denormalize: (d) => ({ ...d, extra: true }) })
+
+      const created = await storage.create({ title: 'Dune' })
+
+      expect(client.post.mock.calls[0][1].variables).toEqual({ input: { title: 'Dune', extra: true } })
+      expect(created).toEqual({ id: 1, title: 'Dune' })
+    })
+
+    it('patch falls back to the update mutation', async () => {
+      const client = mockClient({ data: { updateBook: { id: 1, title: 'B' } } })
+      const storage = makeStorage(client)
+
+      await storage.patch(1, { title: 'B' })
+
+      expect(client.post.mock.calls[0][1]).toEqual({
+        query: UPDATE,
+        variables: { id: 1, input: { title: 'B' } },
+      })
+    })
+
+    it('honors custom id/input variable names', async () => {
+      const client = mockClient({ data: { deleteBook: true } })
+      const storage = makeStorage(client, { idVariable: 'bookId' })
+
+      await storage.delete(3)
+
+      expect(client.post.mock.calls[0][1].variables).toEqual({ bookId: 3 })
+    })
+
+    it('throws when an operation is not configured', async () => {
+      const storage = new GraphQLStorage({ client: mockClient({}), operations: {} })
+      await expect(storage.get(1)).rejects.toThrow('no "get" operation configured')
+    })
+  })
+
+  describe('errors', () => {
+    it('turns GraphQL errors into a StorageError with a mapped status', async () => {
+      const client = mockClient({
+        data: null,
+        errors: [{ message: 'Not allowed', extensions: { code: 'FORBIDDEN' } }],
+      })
+      const storage = makeStorage(client)
+
+      const error = await storage.list().catch((e) => e)
+      expect(error).toBeInstanceOf(StorageError)
+      expect(error.status).toBe(403)
+      expect(error.message).toBe('Not allowed')
+      expect(error.errors).toHaveLength(1)
+    })
+
+    it('defaults to 500 for unknown codes', async () => {
+      const storage = makeStorage(mockClient({ errors: [{ message: 'boom' }] }))
+      await expect(storage.get(1)).rejects.toMatchObject({ status: 500 })
+    })
+  })
+
+  it('plugs into EntityManager unchanged', async () => {
+    const client = mockClient({ data: { books: { items: [{ id: 1 }], total: 1 } } })
+    const manager = new EntityManager({ name: 'books', storage: makeStorage(client) })
+
+    const result = await manager.list({ page_size: 20 })
+
+    expect(result.items).toEqual([{ id: 1 }])
+    expect(result.total).toBe(1)
+  })
+})
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for IndexedDbStorage
+ *
+ * Runs against fake-indexeddb (jsdom has no IndexedDB).
+ *
+ * Run: npm test
+ */
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  IndexedDbStorage,
+  createIndexedDbStorage,
+  getStorageCapabilities,
+  storageFactory,
+} from '../../../src/entity/storage/index'
+
+let seq = 0
+
+function makeStorage(options = {}) {
+  seq++
+  return new IndexedDbStorage({ key: 'books', dbName: `test_idb_${seq}`, ...options })
+}
+
+async function seed(storage, count) {
+  for (let i = 1; i <= count; i++) {
+    await storage.create({
+      id: i,
+      title: `Book ${String(i).padStart(3, '0')}`,
+      genre: i % 3 === 0 ? 'scifi' : 'novel',
+      year: 1990 + i,
+    })
+  }
+}
+
+describe('IndexedDbStorage', () => {
+  describe('static capabilities', () => {
+    it('declares filters, pagination and total, no caching (already local)', () => {
+      const caps = getStorageCapabilities(makeStorage())
+      expect(caps.supportsTotal).toBe(true)
+      expect(caps.supportsFilters).toBe(true)
+      expect(caps.supportsPagination).toBe(true)
+      expect(caps.supportsCaching).toBe(false)
+    })
+  })
+
+  it('requires a key', () => {
+    expect(() => new IndexedDbStorage({})).toThrow('requires key')
+  })
+
+  it('createIndexedDbStorage returns an instance', () => {
+    expect(createIndexedDbStorage({ key: 'x' })).toBeInstanceOf(IndexedDbStorage)
+  })
+
+  it('resolves from the idb: shorthand', () => {
+    const storage = storageFactory('idb:books', 'books')
+    expect(storage).toBeInstanceOf(IndexedDbStorage)
+    expect(storage.dbName).toBe('qdadm_books')
+  })
+
+  describe('CRUD', () => {
+    let storage
+    beforeEach(() => {
+      storage = makeStorage({ indexes: ['genre'] })
+    })
+    afterEach(() => storage.close())
+
+    it('creates with a generated id and reads it back', async () => {
+      const created = await storage.create({ title: 'Dune' })
+      expect(created.id).toBeTruthy()
+      expect(created.created_at).toBeTruthy()
+      expect(await storage.get(created.id)).toEqual(created)
+    })
+
+    it('rejects duplicate ids with 409', async () => {
+      await storage.create({ id: 1, title: 'A' })
+      await expect(storage.create({ id: 1, title: 'B' })).rejects.toMatchObject({ status: 409 })
+    })
+
+    it('finds numeric ids from string route params', async () => {
+      await storage.create({ id: 7, title: 'Seven' })
+      expect((await storage.get('7')).title).toBe('Seven')
+    })
+
+    it('update replaces, patch merges', async () => {
+      await storage.create({ id: 1, title: 'A', genre: 'novel' })
+      const updated = await storage.update(1, { title: 'B' })
+      expect(updated.genre).toBeUndefined()
+      const patched = await storage.patch(1, { genre: 'scifi' })
+      expect(patched).toMatchObject({ id: 1, title: 'B', genre: 'scifi' })
+    })
+
+    it('throws 404 for missing records', async () => {
+      await expect(storage.get(99)).rejects.toMatchObject({ status: 404 })
+      await expect(storage.update(99, {})).rejects.toMatchObject({ status: 404 })
+      await expect(storage.patch(99, {})).rejects.toMatchObject({ status: 404 })
+      await expect(storage.delete(99)).rejects.toMatchObject({ status: 404 })
+    })
+
+    it('deletes and clears', async () => {
+      await seed(storage, 3)
+      await storage.delete(2)
+      expect((await storage.list()).total).toBe(2)
+      await storage.clear()
+      expect((await storage.list()).total).toBe(0)
+    })
+
+    it('getMany skips unknown ids', async () => {
+      await seed(storage, 3)
+      const items = await storage.getMany([1, 3, 42])
+      expect(items.map((i) => i.id)).toEqual([1, 3])
+    })
+  })
+
+  describe('list()', () => {
+    let storage
+    beforeEach(async () => {
+      storage = makeStorage({ indexes: ['genre', 'year'] })
+      await seed(storage, 30)
+    })
+    afterEach(() => storage.close())
+
+    it('paginates with an accurate total', async () => {
+      const result = await storage.list({ page: 2, page_size: 10 })
+      expect(result.total).toBe(30)
+      expect(result.items.map((i) => i.id)).toEqual([11, 12, 13, 14, 15, 16, 17, 18, 19, 20])
+    })
+
+    it('returns an empty page past the end', async () => {
+      const result = await storage.list({ page: 5, page_size: 10 })
+      expect(result).toEqual({ items: [], total: 30 })
+    })
+
+    it('filters on an indexed field', async () => {
+      const result = await storage.list({ filters: { genre: 'scifi' }, page_size: 5 })
+      expect(result.total).toBe(10)
+      expect(result.items).toHaveLength(5)
+      expect(result.items.every((i) => i.genre === 'scifi')).toBe(true)
+    })
+
+    it('filters on an indexed range, sorted desc', async () => {
+      const result = await storage.list({
+        filters: { year: { $gte: 2015 } },
+        sort_by: 'year',
+        sort_order: 'desc',
+      })
+      expect(result.total).toBe(6)
+      expect(result.items.map((i) => i.year)).toEqual([2020, 2019, 2018, 2017, 2016, 2015])
+    })
+
+    it('supports implicit $in on an indexed field', async () => {
+      const result = await storage.list({ filters: { year: [1991, 1995, 3000] } })
+      expect(result.items.map((i) => i.id).sort((a, b) => a - b)).toEqual([1, 5])
+    })
+
+    it('sorts through an index', async () => {
+      const result = await storage.list({ sort_by: 'year', sort_order: 'desc', page_size: 3 })
+      expect(result.items.map((i) => i.id)).toEqual([30, 29, 28])
+    })
+
+    it('keeps records missing the sort field when sorting by index', async () => {
+      await storage.create({ id: 99, title: 'Undated', genre: 'novel' })
+      const result = await storage.list({ sort_by: 'year', page: 4, page_size: 10 })
+      expect(result.total).toBe(31)
+      expect(result.items.map((i) => i.id)).toEqual([99])
+    })
+
+    it('combines indexed and unindexed filters with search and sort', async () => {
+      const result = await storage.list({
+        filters: { genre: 'scifi', title: { $like: 'book 02' } },
+        search: 'book',
+        sort_by: 'title',
+        sort_order: 'desc',
+      })
+      expect(result.items.map((i) => i.id)).toEqual([27, 24, 21])
+      expect(result.total).toBe(3)
+    })
+
+    it('skips empty filter values', async () => {
+      const result = await storage.list({ filters: { genre: '', year: null } })
+      expect(result.total).toBe(30)
+    })
+
+    it('lists distinct values', async () => {
+      expect(await storage.distinct('genre')).toEqual(['novel', 'scifi'])
+    })
+  })
+
+  it('adds indexes declared after the store was created', async () => {
+    seq++
+    const dbName = `test_idb_upgrade_${seq}`
+    const first = new IndexedDbStorage({ key: 'books', dbName })
+    await seed(first, 6)
+    await first.close()
+
+    const second = new IndexedDbStorage({ key: 'books', dbName, indexes: ['genre'] })
+    const result = await second.list({ filters: { genre: 'scifi' } })
+    expect(result.total).toBe(2)
+    await second.close()
+  })
+})
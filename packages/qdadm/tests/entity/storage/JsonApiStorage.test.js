@@ -0,0 +1,345 @@
+/**
+ * Unit tests for JsonApiStorage
+ *
+ * Run: npm test
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  JsonApiStorage,
+  createJsonApiStorage,
+  getStorageCapabilities,
+  storageFactory,
+  StorageError,
+} from '../../../src/entity/storage/index'
+import { QueryValidationError } from '../../../src/query/QueryExecutor'
+import { EntityManager } from '../../../src/entity/EntityManager'
+import { Orchestrator } from '../../../src/orchestrator/Orchestrator'
+
+const BOOK = {
+  type: 'books',
+  id: '1',
+  attributes: { title: 'Dune', year: 1965 },
+  relationships: {
+    author: { data: { type: 'people', id: '9' } },
+    tags: { data: [{ type: 'tags', id: 't1' }, { type: 'tags', id: 't2' }] },
+  },
+}
+
+const AUTHOR = { type: 'people', id: '9', attributes: { name: 'Frank Herbert' } }
+
+/** Axios-like client answering every request with a fixed JSON:API document */
+function mockClient(body) {
+  return {
+    request: vi.fn().mockResolvedValue({ data: body }),
+  }
+}
+
+describe('JsonApiStorage', () => {
+  it('declares the same capabilities as ApiStorage', () => {
+    const caps = getStorageCapabilities(new JsonApiStorage({ endpoint: '/books' }))
+    expect(caps).toMatchObject({
+      supportsTotal: true,
+      supportsFilters: true,
+      supportsPagination: true,
+      supportsCaching: true,
+    })
+  })
+
+  it('requires an endpoint and derives the resource type from it', () => {
+    expect(() => new JsonApiStorage({})).toThrow('requires endpoint')
+    expect(new JsonApiStorage({ endpoint: '/api/books/' }).type).toBe('books')
+    expect(new JsonApiStorage({ endpoint: '/api/books', type: 'book' }).type).toBe('book')
+  })
+
+  it('createJsonApiStorage / storageFactory build instances', () => {
+    expect(createJsonApiStorage({ endpoint: '/books' })).toBeInstanceOf(JsonApiStorage)
+    const storage = storageFactory('jsonapi:/api/books', 'books')
+    expect(storage).toBeInstanceOf(JsonApiStorage)
+    expect(storage.endpoint).toBe('/api/books')
+  })
+
+  describe('list', () => {
+    it('serializes filters, paging, sort and include', async () => {
+      const client = mockClient({ data: [], meta: { total: 0 } })
+      const storage = new JsonApiStorage({ endpoint: '/books', client, include: ['author'] })
+
+      await storage.list({
+        page: 3,
+        page_size: 10,
+        sort_by: 'year',
+        sort_order: 'desc',
+        search: 'dune',
+        filters: { status: 'published', genre: ['scifi', 'fantasy'], year: { $gte: 1960 }, empty: '' },
+      })
+
+      expect(client.request).toHaveBeenCalledWith({
+        method: 'GET',
+        url: '/books',
+        params: {
+          'page[number]': 3,
+          'page[size]': 10,
+          sort: '-year',
+          'filter[status]': 'published',
+          'filter[genre]': 'scifi,fantasy',
+          'filter[year][gte]': 1960,
+          'filter[search]': 'dune',
+          include: 'author',
+        },
+        headers: {
+          Accept: 'application/vnd.api+json',
+          'Content-Type': 'application/vnd.api+json',
+        },
+      })
+    })
+
+    it('throws on filters the filter params cannot express', async () => {
+      const client = mockClient({ data: [] })
+      const storage = new JsonApiStorage({ endpoint: '/books', client })
+
+      for (const filters of [
+        { title: { $not: { $like: 'Dune%' } } },
+        { $or: [{ status: 'draft' }, { year: 1965 }] },
+        { $and: [{ status: 'draft' }, { status: 'published' }] },
+        { title: /dune/i },
+      ]) {
+        await expect(storage.list({ filters })).rejects.toBeInstanceOf(QueryValidationError)
+      }
+      await expect(storage.list({ filters: { title: { $not: { $like: 'Dune%' } } } })).rejects.toMatchObject({
+        operator: '$not',
+        field: 'title',
+      })
+      expect(client.request).not.toHaveBeenCalled()
+
+      await storage.list({ filters: { published_at: { $gte: new Date('2024-01-01T00:00:00Z') } } })
+      expect(client.request.mock.calls[0][0].params['filter[published_at][gte]']).toBe('2024-01-01T00:00:00.000Z')
+    })
+
+    it('supports offset pagination', async () => {
+      const client = mockClient({ data: [] })
+      const storage = new JsonApiStorage({ endpoint: '/books', client, pagination: 'offset' })
+
+      await storage.list({ page: 2, page_size: 25, sort_by: 'title' })
+
+      const { params } = client.request.mock.calls[0][0]
+      expect(params).toEqual({ 'page[offset]': 25, 'page[limit]': 25, sort: 'title' })
+    })
+
+    it('flattens resources into records with foreign keys', async () => {
+      const client = mockClient({ data: [BOOK], meta: { total: 42 } })
+      const storage = new JsonApiStorage({ endpoint: '/books', client })
+
+      const result = await storage.list()
+
+      expect(result.total).toBe(42)
+      expect(result.items).toEqual([
+        { id: '1', title: 'Dune', year: 1965, author_id: '9', tag_ids: ['t1', 't2'] },
+      ])
+    })
+
+    it('reads the total from a custom path', async () => {
+      const storage = new JsonApiStorage({
+        endpoint: '/books',
+        client: mockClient({ data: [BOOK], meta: { page: { total: 7 } } }),
+        totalPath: 'meta.page.total',
+      })
+      expect((await storage.list()).total).toBe(7)
+    })
+
+    it('leaves the total unknown without a count, hasMore from the next link or a short page', async () => {
+      const storage = new JsonApiStorage({ endpoint: '/books', client: mockClient({ data: [BOOK] }) })
+      expect(await storage.list()).toMatchObject({ total: null, hasMore: false })
+      expect(await storage.list({ page_size: 1 })).not.toHaveProperty('hasMore')
+
+      storage.client = mockClient({ data: [BOOK], links: { next: '/books?page[number]=2' } })
+      expect(await storage.list()).toMatchObject({ total: null, hasMore: true })
+
+      storage.client = mockClient({ data: [BOOK], links: { next: null } })
+      expect(await storage.list({ page_size: 1 })).toMatchObject({ total: null, hasMore: false })
+    })
+
+    it('applies normalize to each record', async () => {
+      const storage = new JsonApiStorage({
+        endpoint: '/books',
+        client: mockClient({ data: [BOOK] }),
+        normalize: (record) => ({ ...record, title: record.title.toUpperCase() }),
+      })
+      expect((await storage.list()).items[0].title).toBe('DUNE')
+    })
+  })
+
+  describe('get', () => {
+    it('fetches one resource', async () => {
+      const client = mockClient({ data: BOOK })
+      const storage = new JsonApiStorage({ endpoint: '/books', client, include: false })
+
+      const book = await storage.get(1)
+
+      expect(client.request.mock.calls[0][0]).toMatchObject({ method: 'GET', url: '/books/1', params: {} })
+      expect(book).toMatchObject({ id: '1', title: 'Dune', author_id: '9' })
+    })
+
+    it('getMany filters by id in one request', async () => {
+      const client = mockClient({ data: [BOOK] })
+      const storage = new JsonApiStorage({ endpoint: '/books', client, include: false })
+
+      expect(await storage.getMany([])).toEqual([])
+      await storage.getMany([1, 2])
+
+      expect(client.request).toHaveBeenCalledTimes(1)
+      expect(client.request.mock.calls[0][0].params).toEqual({
+        'page[number]': 1,
+        'page[size]': 2,
+        'filter[id]': '1,2',
+      })
+    })
+
+    it('throws a 404 StorageError on empty data', async () => {
+      const storage = new JsonApiStorage({ endpoint: '/books', client: mockClient({ data: null }) })
+      await expect(storage.get(1)).rejects.toMatchObject({ status: 404 })
+    })
+
+    it('maps JSON:API error documents to StorageError', async () => {
+      const client = {
+        request: vi.fn().mockRejectedValue({
+          response: { status: 422, data: { errors: [{ status: '422', detail: 'title is blank' }] } },
+        }),
+      }
+      const storage = new JsonApiStorage({ endpoint: '/books', client })
+
+      const error = await storage.get(1).catch((e) => e)
+      expect(error).toBeInstanceOf(StorageError)
+      expect(error.status).toBe(422)
+      expect(error.message).toBe('title is blank')
+      expect(error.errors).toHaveLength(1)
+    })
+  })
+
+  describe('writes', () => {
+    it('create POSTs a resource document with relationships', async () => {
+      const client = mockClient({ data: { ...BOOK, id: '5' } })
+      const storage = new JsonApiStorage({
+        endpoint: '/books',
+        client,
+        relationships: { author: { foreignKey: 'author_id' }, tags: { many: true } },
+      })
+
+      const created = await storage.create({ title: 'Dune', author_id: 9, tag_ids: ['t1'] })
+
+      expect(client.request.mock.calls[0][0]).toMatchObject({
+        method: 'POST',
+        url: '/books',
+        data: {
+          data: {
+            type: 'books',
+            attributes: { title: 'Dune' },
+            relationships: {
+              author: { data: { type: 'author', id: '9' } },
+              tags: { data: [{ type: 'tags', id: 't1' }] },
+            },
+          },
+        },
+      })
+      expect(client.request.mock.calls[0][0].data.data).not.toHaveProperty('id')
+      expect(created.id).toBe('5')
+    })
+
+    it('update and patch both PATCH the given attributes', async () => {
+      const client = mockClient({ data: BOOK })
+      const storage = new JsonApiStorage({ endpoint: '/books', client })
+
+      await storage.update(1, { id: 1, title: 'Dune' })
+      await storage.patch(1, { year: 1966 })
+
+      expect(client.request.mock.calls[0][0]).toMatchObject({
+        method: 'PATCH',
+        url: '/books/1',
+        data: { data: { type: 'books', id: '1', attributes: { title: 'Dune' } } },
+      })
+      expect(client.request.mock.calls[1][0].data.data.attributes).toEqual({ year: 1966 })
+    })
+
+    it('patch answered with 204 returns the sent record', async () => {
+      const storage = new JsonApiStorage({ endpoint: '/books', client: mockClient('') })
+      expect(await storage.patch(1, { year: 1966 })).toEqual({ year: 1966, id: 1 })
+    })
+
+    it('delete sends DELETE', async () => {
+      const client = mockClient('')
+      const storage = new JsonApiStorage({ endpoint: '/books', client })
+      await storage.delete(3)
+      expect(client.request.mock.calls[0][0]).toMatchObject({ method: 'DELETE', url: '/books/3' })
+    })
+  })
+
+  describe('with EntityManager', () => {
+    function setup(document) {
+      const client = mockClient(document)
+      const authorStorage = new JsonApiStorage({ endpoint: '/people', client })
+      const authors = new EntityManager({ name: 'authors', storage: authorStorage })
+      const books = new EntityManager({
+        name: 'books',
+        storage: new JsonApiStorage({ endpoint: '/books', client }),
+        parents: { author: { entity: 'authors', foreignKey: 'author_id' } },
+      })
+      new Orchestrator({ managers: { authors, books } })
+      return { client, authors, authorStorage, books }
+    }
+
+    it('defaults include to the manager parents and relations', async () => {
+      const { client, books } = setup({ data: [] })
+      await books.list()
+      expect(client.request.mock.calls[0][0].params.include).toBe('author')
+    })
+
+    it('primes included resources into the related manager detail cache', async () => {
+      const { client, authors, authorStorage, books } = setup({ data: [BOOK], included: [AUTHOR] })
+      const getSpy = vi.spyOn(authorStorage, 'get')
+
+      await books.list()
+      const author = await authors.get('9')
+
+      expect(author).toEqual({ id: '9', name: 'Frank Herbert' })
+      expect(getSpy).not.toHaveBeenCalled()
+      expect(client.request).toHaveBeenCalledTimes(1)
+      expect(authors.getStats().detailCacheHits).toBe(1)
+    })
+
+    it('primes includes of a single-resource response too', async () => {
+      const { client, authors, books } = setup({ data: BOOK, included: [AUTHOR] })
+
+      const book = await books.get('1')
+      await authors.get(book.author_id)
+
+      expect(client.request).toHaveBeenCalledTimes(1)
+    })
+
+    it('getMany only fetches the ids that were not primed', async () => {
+      const { authors, authorStorage, books } = setup({ data: [BOOK], included: [AUTHOR] })
+      await books.list()
+      const getMany = vi
+        .spyOn(authorStorage, 'getMany')
+        .mockResolvedValue([{ id: '10', name: 'Ursula K. Le Guin' }])
+
+      const found = await authors.getMany(['9', '10'])
+
+      expect(getMany).toHaveBeenCalledWith(['10'], undefined)
+      expect(found.map((a) => a.id)).toEqual(['9', '10'])
+    })
+
+    it('primed records expire after primedCacheTtlMs', async () => {
+      vi.useFakeTimers()
+      try {
+        const { authors, authorStorage, books } = setup({ data: [BOOK], included: [AUTHOR] })
+        authors._primedCacheTtlMs = 1000
+        await books.list()
+        vi.advanceTimersByTime(1001)
+        const getSpy = vi.spyOn(authorStorage, 'get').mockResolvedValue({ id: '9', name: 'F.H.' })
+
+        expect(await authors.get('9')).toEqual({ id: '9', name: 'F.H.' })
+        expect(getSpy).toHaveBeenCalledTimes(1)
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+  })
+})
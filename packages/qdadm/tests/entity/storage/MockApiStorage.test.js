@@ -33,12 +33,14 @@ describe('MockApiStorage', () => {
       expect(storage.constructor.capabilities).toBe(MockApiStorage.capabilities)
     })
 
-    it('exposes all four capability properties', () => {
+    it('exposes the four base capabilities plus aggregation and query operators', () => {
       const caps = MockApiStorage.capabilities
       expect(Object.keys(caps).sort()).toEqual([
+        'supportsAggregate',
         'supportsCaching',
         'supportsFilters',
         'supportsPagination',
+        'supportsQueryOperators',
         'supportsTotal'
       ])
     })
@@ -12,6 +12,7 @@ import { SignalBus } from '../../src/kernel/SignalBus'
 import { EntityManager } from '../../src/entity/EntityManager'
 import { Module } from '../../src/kernel/Module'
 import { ModuleLoader } from '../../src/kernel/ModuleLoader'
+import { OfflineQueue, MemoryOutbox } from '../../src/entity/offline/index'
 
 /**
  * Minimal mock components for Kernel bootstrap
@@ -618,4 +619,45 @@ describe('Kernel', () => {
       expect(newConnectFn).toHaveBeenCalled()
     })
   })
+
+  describe('offline queue start', () => {
+    function createKernel(authAdapter) {
+      kernel = new Kernel({
+        root: MockApp,
+        pages: { login: MockLogin, layout: MockLayout },
+        homeRoute: { name: 'home', component: MockHome },
+        authAdapter,
+        offline: { enabled: true, outbox: new MemoryOutbox() }
+      })
+      kernel._createSignalBus()
+      kernel._createHookRegistry()
+      kernel._createZoneRegistry()
+      kernel._createDeferredRegistry()
+      kernel._createOrchestrator()
+      kernel._createOfflineQueue()
+      return kernel
+    }
+
+    it('does not replay the outbox when the queue is created', () => {
+      const start = vi.spyOn(OfflineQueue.prototype, 'start').mockResolvedValue()
+      createKernel(mockAuthAdapter)
+
+      expect(kernel.getOfflineQueue()).toBeInstanceOf(OfflineQueue)
+      expect(start).not.toHaveBeenCalled()
+
+      kernel._startOfflineQueue()
+      expect(start).toHaveBeenCalledTimes(1)
+    })
+
+    it('waits for a login to replay without a session', async () => {
+      const start = vi.spyOn(OfflineQueue.prototype, 'start').mockResolvedValue()
+      createKernel({ ...mockAuthAdapter, isAuthenticated: () => false })
+
+      kernel._startOfflineQueue()
+      expect(start).not.toHaveBeenCalled()
+
+      await kernel.signals.emit('auth:login', { user: { id: 1 } })
+      expect(start).toHaveBeenCalledTimes(1)
+    })
+  })
 })
@@ -7,7 +7,7 @@
  */
 
 import { describe, it, expect } from 'vitest'
-import { QueryExecutor, getNestedValue } from '../../src/query/index'
+import { QueryExecutor, QueryValidationError, getNestedValue } from '../../src/query/index'
 
 // Sample test data
 const books = [
@@ -442,6 +442,12 @@ describe('set operators (preview)', () => {
       const result = QueryExecutor.execute(books, { status: { $in: ['published', 'draft'] } })
       expect(result.items).toHaveLength(4)
     })
+
+    it('matches an array field holding one of the values', () => {
+      const items = [{ id: 1, roles: ['ROLE_A', 'ROLE_B'] }, { id: 2, roles: ['ROLE_C'] }, { id: 3, roles: [] }]
+      const result = QueryExecutor.execute(items, { roles: { $in: ['ROLE_B', 'ROLE_X'] } })
+      expect(result.items.map((i) => i.id)).toEqual([1])
+    })
   })
 
   describe('$like operator', () => {
@@ -458,6 +464,12 @@ describe('set operators (preview)', () => {
       expect(result.items).toHaveLength(2)
       expect(result.items.every(b => b.year >= 2022 && b.year <= 2023)).toBe(true)
     })
+
+    it('takes numeric strings against numeric bounds, as numbers', () => {
+      const prices = [{ id: 1, price: '9.5' }, { id: 2, price: 15 }, { id: 3, price: '20' }, { id: 4, price: 'n/a' }]
+      expect(QueryExecutor.execute(prices, { price: { $between: [10, 20] } }).items.map(p => p.id)).toEqual([2, 3])
+      expect(QueryExecutor.execute([{ id: 1, price: 15 }], { price: { $between: ['10', '20'] } }).items).toHaveLength(1)
+    })
   })
 
   describe('$or operator', () => {
@@ -479,3 +491,200 @@ describe('set operators (preview)', () => {
     })
   })
 })
+
+describe('string and field operators', () => {
+  describe('$regex operator', () => {
+    it('matches a string pattern with $options', () => {
+      const result = QueryExecutor.execute(books, { title: { $regex: '^(vue|react)', $options: 'i' } })
+      expect(result.items.map(b => b.id)).toEqual([1, 2])
+    })
+
+    it('accepts a RegExp, explicit or implicit', () => {
+      expect(QueryExecutor.execute(books, { title: { $regex: /basics$/i } }).items.map(b => b.id)).toEqual([3])
+      expect(QueryExecutor.execute(books, { title: /^Svelte/ }).items.map(b => b.id)).toEqual([4])
+    })
+
+    it('never matches non-string values', () => {
+      expect(QueryExecutor.execute(books, { year: { $regex: '202' } }).items).toHaveLength(0)
+    })
+
+    it('rewinds global patterns between items', () => {
+      const result = QueryExecutor.execute(books, { status: /published/g })
+      expect(result.items).toHaveLength(3)
+    })
+  })
+
+  describe('$exists operator', () => {
+    const items = [{ id: 1, tag: 'a' }, { id: 2, tag: null }, { id: 3 }]
+
+    it('counts null as present', () => {
+      expect(QueryExecutor.execute(items, { tag: { $exists: true } }).items.map(i => i.id)).toEqual([1, 2])
+    })
+
+    it('matches missing fields with false', () => {
+      expect(QueryExecutor.execute(items, { tag: { $exists: false } }).items.map(i => i.id)).toEqual([3])
+    })
+  })
+
+  describe('$not operator', () => {
+    it('negates an operator object', () => {
+      const result = QueryExecutor.execute(books, { year: { $not: { $gte: 2023 } } })
+      expect(result.items.map(b => b.id)).toEqual([2, 3, 5])
+    })
+
+    it('negates a RegExp or a value', () => {
+      expect(QueryExecutor.execute(books, { title: { $not: /^(Vue|React)/ } }).items.map(b => b.id)).toEqual([3, 4, 5])
+      expect(QueryExecutor.execute(books, { status: { $not: 'published' } }).items.map(b => b.id)).toEqual([2, 4])
+    })
+  })
+
+  describe('$nor operator', () => {
+    it('matches when no condition is true', () => {
+      const result = QueryExecutor.execute(books, {
+        $nor: [{ status: 'draft' }, { 'author.country': 'US' }]
+      })
+      expect(result.items.map(b => b.id)).toEqual([3, 5])
+    })
+  })
+})
+
+describe('array operators', () => {
+  const posts = [
+    { id: 1, tags: ['vue', 'ts'], scores: [90, 72], comments: [{ by: 'ann', votes: 3 }, { by: 'bob', votes: 0 }] },
+    { id: 2, tags: ['react'], scores: [65], comments: [{ by: 'bob', votes: 5 }] },
+    { id: 3, tags: [], scores: [], comments: [] },
+    { id: 4, tags: 'vue' }
+  ]
+
+  it('$size matches the array length', () => {
+    expect(QueryExecutor.execute(posts, { tags: { $size: 0 } }).items.map(p => p.id)).toEqual([3])
+    expect(QueryExecutor.execute(posts, { tags: { $size: 2 } }).items.map(p => p.id)).toEqual([1])
+  })
+
+  it('$contains matches array elements and substrings', () => {
+    expect(QueryExecutor.execute(posts, { tags: { $contains: 'vue' } }).items.map(p => p.id)).toEqual([1, 4])
+    expect(QueryExecutor.execute(posts, { tags: { $contains: 'reac' } }).items.map(p => p.id)).toEqual([])
+  })
+
+  it('$all requires every value', () => {
+    expect(QueryExecutor.execute(posts, { tags: { $all: ['ts', 'vue'] } }).items.map(p => p.id)).toEqual([1])
+    expect(QueryExecutor.execute(posts, { tags: { $all: [] } }).items).toHaveLength(0)
+  })
+
+  it('$elemMatch runs a query on arrays of objects', () => {
+    const result = QueryExecutor.execute(posts, { comments: { $elemMatch: { by: 'bob', votes: { $gt: 1 } } } })
+    expect(result.items.map(p => p.id)).toEqual([2])
+  })
+
+  it('$elemMatch runs operators on arrays of primitives', () => {
+    const result = QueryExecutor.execute(posts, { scores: { $elemMatch: { $gte: 70, $lt: 80 } } })
+    expect(result.items.map(p => p.id)).toEqual([1])
+  })
+})
+
+describe('date-aware comparisons', () => {
+  const events = [
+    { id: 1, at: '2024-01-01' },
+    { id: 2, at: '2024-01-01T10:00:00+02:00' },
+    { id: 3, at: '2024-03-15T00:00:00Z' },
+    { id: 4, at: null },
+    { id: 5, at: 'soon' }
+  ]
+
+  it('compares ISO strings as timestamps', () => {
+    // 10:00+02:00 is 08:00Z, after midnight UTC
+    const result = QueryExecutor.execute(events, { at: { $gt: '2024-01-01T07:00:00Z' } })
+    expect(result.items.map(e => e.id)).toEqual([2, 3])
+  })
+
+  it('compares ISO strings with Date operands', () => {
+    const result = QueryExecutor.execute(events, { at: { $lt: new Date('2024-02-01T00:00:00Z') } })
+    expect(result.items.map(e => e.id)).toEqual([1, 2])
+  })
+
+  it('applies to $between and to Date equality', () => {
+    const range = QueryExecutor.execute(events, { at: { $between: ['2024-01-01T05:00:00Z', new Date('2024-12-31')] } })
+    expect(range.items.map(e => e.id)).toEqual([2, 3])
+    expect(QueryExecutor.execute(events, { at: new Date('2024-03-15T00:00:00Z') }).items.map(e => e.id)).toEqual([3])
+  })
+})
+
+describe('query validation', () => {
+  it('throws on unknown field operators instead of matching everything', () => {
+    expect(() => QueryExecutor.execute(books, { title: { $fuzzy: 'vue' } })).toThrow(QueryValidationError)
+    expect(() => QueryExecutor.match(books[0], { title: { $fuzzy: 'vue' } })).toThrow("Unknown query operator '$fuzzy' on 'title'")
+  })
+
+  it('throws on unknown top-level operators, even with no items', () => {
+    expect(() => QueryExecutor.execute([], { $xor: [{ status: 'draft' }] })).toThrow(QueryValidationError)
+  })
+
+  it('checks nested queries and operands', () => {
+    expect(() => QueryExecutor.validate({ $or: [{ title: { $nope: 1 } }] })).toThrow(QueryValidationError)
+    expect(() => QueryExecutor.validate({ tags: { $elemMatch: { $bad: 1 } } })).toThrow(QueryValidationError)
+    expect(() => QueryExecutor.validate({ title: { $regex: '(' } })).toThrow(/Invalid '\$regex'/)
+    expect(() => QueryExecutor.validate({ tags: { $size: '2' } })).toThrow(QueryValidationError)
+    expect(() => QueryExecutor.validate({ title: { $options: 'i' } })).toThrow(QueryValidationError)
+  })
+
+  it('exposes the offending operator and field', () => {
+    try {
+      QueryExecutor.validate({ year: { $not: { $around: 2020 } } })
+      expect.unreachable()
+    } catch (err) {
+      expect(err).toMatchObject({ name: 'QueryValidationError', operator: '$around', field: 'year' })
+    }
+  })
+})
+
+describe('aggregate', () => {
+  const loans = [
+    { id: 1, status: 'active', fine: 0, due: '2024-03-01', member: { type: 'adult' } },
+    { id: 2, status: 'late', fine: 2.5, due: '2024-01-10', member: { type: 'child' } },
+    { id: 3, status: 'active', fine: null, due: '2024-02-15', member: { type: 'adult' } },
+    { id: 4, status: 'late', fine: 1.5, due: '2024-01-05', member: { type: 'adult' } },
+    { id: 5, fine: 'n/a', due: '2024-04-01' },
+  ]
+
+  it('counts all items in one row by default', () => {
+    expect(QueryExecutor.aggregate(loans)).toEqual({ rows: [{ count: 5 }] })
+    expect(QueryExecutor.aggregate([], {})).toEqual({ rows: [{ count: 0 }] })
+  })
+
+  it('groups in order of first appearance, missing values as null', () => {
+    const { rows } = QueryExecutor.aggregate(loans, { groupBy: 'status' })
+    expect(rows).toEqual([
+      { status: 'active', count: 2 },
+      { status: 'late', count: 2 },
+      { status: null, count: 1 },
+    ])
+  })
+
+  it('reduces fields with sum/avg/min/max, skipping nulls and non-numbers', () => {
+    const { rows } = QueryExecutor.aggregate(loans, {
+      groupBy: 'status',
+      filters: { status: { $exists: true } },
+      metrics: {
+        fines: { fn: 'sum', field: 'fine' },
+        avgFine: { fn: 'avg', field: 'fine' },
+        fined: { fn: 'count', field: 'fine' },
+        firstDue: { fn: 'min', field: 'due' },
+        lastDue: { fn: 'max', field: 'due' },
+      },
+    })
+    expect(rows).toEqual([
+      { status: 'active', fines: 0, avgFine: 0, fined: 1, firstDue: '2024-02-15', lastDue: '2024-03-01' },
+      { status: 'late', fines: 4, avgFine: 2, fined: 2, firstDue: '2024-01-05', lastDue: '2024-01-10' },
+    ])
+  })
+
+  it('groups by several nested fields', () => {
+    const { rows } = QueryExecutor.aggregate(loans, { groupBy: ['status', 'member.type'], filters: { status: 'active' } })
+    expect(rows).toEqual([{ status: 'active', 'member.type': 'adult', count: 2 }])
+  })
+
+  it('rejects unknown functions and reductions without a field', () => {
+    expect(() => QueryExecutor.aggregate(loans, { metrics: { x: { fn: 'median', field: 'fine' } } })).toThrow(QueryValidationError)
+    expect(() => QueryExecutor.aggregate(loans, { metrics: { x: { fn: 'sum' } } })).toThrow("'sum' for 'x' needs a field")
+  })
+})
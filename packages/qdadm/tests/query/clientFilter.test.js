@@ -56,6 +56,16 @@ describe('clientFilter (#1192)', () => {
     expect(filterItems(ITEMS, { rank: 2 })).toHaveLength(1)
   })
 
+  it('filterItems matches $in by strict membership', () => {
+    expect(filterItems(ITEMS, { rank: { $in: [1, 2] } }).map((i) => i.id)).toEqual(['1', '2'])
+    expect(filterItems(ITEMS, { id: { $in: [1, 2] } })).toHaveLength(0)
+  })
+
+  it('filterItems matches $in on an array value by any element', () => {
+    const items = [{ id: 1, roles: ['ROLE_A', 'ROLE_B'] }, { id: 2, roles: ['ROLE_C'] }]
+    expect(filterItems(items, { roles: { $in: ['ROLE_B'] } }).map((i) => i.id)).toEqual([1])
+  })
+
   it('searchItems substring-matches across all string fields', () => {
     expect(searchItems(ITEMS, 'char')).toHaveLength(1)
     expect(searchItems(ITEMS, '  ')).toHaveLength(3) // blank = no-op
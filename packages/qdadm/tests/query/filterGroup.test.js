@@ -0,0 +1,161 @@
+/**
+ * Filter groups: compilation to QueryObject, serialization, field kinds
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  compileFilterGroup,
+  mergeQueries,
+  countFilterRules,
+  encodeFilterGroup,
+  decodeFilterGroup,
+  filterFieldKind,
+  filterOperatorsFor,
+} from '../../src/query/filterGroup'
+import { QueryExecutor } from '../../src/query/QueryExecutor'
+import { querySerializers } from '../../src/query/serializers'
+
+const books = [
+  { id: 1, title: 'Dune', price: 12, status: 'active', notes: null },
+  { id: 2, title: 'Emma', price: 5, status: 'draft', notes: 'reprint' },
+  { id: 3, title: 'Ubik', price: 25, status: 'active', notes: '' },
+  { id: 4, title: 'Dune Messiah', price: 9, status: 'archived', notes: 'sequel' },
+]
+
+const ids = (query) => QueryExecutor.execute(books, query).items.map((book) => book.id)
+
+describe('compileFilterGroup', () => {
+  it('flattens an AND group over distinct fields', () => {
+    const query = compileFilterGroup({
+      logic: 'and',
+      rules: [
+        { field: 'title', operator: 'contains', value: 'dune' },
+        { field: 'price', operator: 'gte', value: 10 },
+      ],
+    })
+
+    expect(query).toEqual({ title: { $like: 'dune' }, price: { $gte: 10 } })
+    expect(ids(query)).toEqual([1])
+  })
+
+  it('nests OR groups and ANDs conditions on the same field', () => {
+    const query = compileFilterGroup({
+      logic: 'and',
+      rules: [
+        { field: 'price', operator: 'gt', value: 6 },
+        { field: 'price', operator: 'lt', value: 20 },
+        {
+          logic: 'or',
+          rules: [
+            { field: 'status', operator: 'eq', value: 'active' },
+            { field: 'notes', operator: 'not_empty' },
+          ],
+        },
+      ],
+    })
+
+    expect(query).toEqual({
+      $and: [
+        { price: { $gt: 6 } },
+        { price: { $lt: 20 } },
+        { $or: [{ status: 'active' }, { notes: { $nin: [null, ''] } }] },
+      ],
+    })
+    expect(ids(query)).toEqual([1, 4])
+  })
+
+  it('compiles the type operators', () => {
+    const rule = (operator, value) => compileFilterGroup({ logic: 'and', rules: [{ field: 'price', operator, value }] })
+
+    expect(ids(rule('between', [5, 12]))).toEqual([1, 2, 4])
+    expect(rule('between', [null, 12])).toEqual({ price: { $lte: 12 } })
+    expect(rule('between', [10, ''])).toEqual({ price: { $gte: 10 } })
+    expect(ids(rule('in', [5, 25]))).toEqual([2, 3])
+    expect(ids(rule('not_in', [5, 25]))).toEqual([1, 4])
+    expect(ids(compileFilterGroup({ logic: 'and', rules: [{ field: 'notes', operator: 'empty' }] }))).toEqual([1, 3])
+    expect(ids(compileFilterGroup({ logic: 'and', rules: [{ field: 'title', operator: 'not_contains', value: 'dune' }] }))).toEqual([2, 3])
+  })
+
+  it('leaves out incomplete rules and empty groups', () => {
+    expect(compileFilterGroup({ logic: 'and', rules: [] })).toBeNull()
+    expect(
+      compileFilterGroup({
+        logic: 'or',
+        rules: [
+          { field: 'title', operator: 'contains', value: '' },
+          { field: '', operator: 'eq', value: 1 },
+          { field: 'price', operator: 'between', value: [null, null] },
+          { field: 'status', operator: 'in', value: [] },
+          { logic: 'and', rules: [] },
+          { field: 'status', operator: 'eq', value: 'draft' },
+        ],
+      })
+    ).toEqual({ status: 'draft' })
+  })
+
+  it('merges queries, with $and on a key collision', () => {
+    expect(mergeQueries({ a: 1 }, { b: 2 })).toEqual({ a: 1, b: 2 })
+    expect(mergeQueries({ a: 1 }, { a: { $ne: 2 } })).toEqual({ $and: [{ a: 1 }, { a: { $ne: 2 } }] })
+  })
+
+  it('compiles to a query the storage dialects serialize', () => {
+    const and = compileFilterGroup({
+      logic: 'and',
+      rules: [
+        { field: 'price', operator: 'between', value: [5, 10] },
+        { field: 'status', operator: 'in', value: ['active', 'draft'] },
+      ],
+    })
+    const or = compileFilterGroup({
+      logic: 'or',
+      rules: [
+        { field: 'status', operator: 'eq', value: 'active' },
+        { field: 'price', operator: 'lt', value: 5 },
+      ],
+    })
+
+    expect(querySerializers.bracket(and)).toEqual({ 'price[between]': '5,10', 'status[in]': 'active,draft' })
+    expect(querySerializers.rsql(or)).toEqual({ filter: '(status==active,price=lt=5)' })
+    expect(() => querySerializers.bracket(or)).toThrow('$or')
+  })
+})
+
+describe('filter group serialization', () => {
+  const group = {
+    logic: 'and',
+    rules: [
+      { field: 'price', operator: 'between', value: [5, 10] },
+      { logic: 'or', rules: [{ field: 'notes', operator: 'empty' }] },
+    ],
+  }
+
+  it('round-trips through the URL form', () => {
+    expect(decodeFilterGroup(encodeFilterGroup(group))).toEqual(group)
+    expect(decodeFilterGroup(group)).toEqual(group)
+    expect(countFilterRules(group)).toBe(2)
+    expect(countFilterRules(null)).toBe(0)
+  })
+
+  it('rejects what is not a group and drops malformed rules', () => {
+    expect(decodeFilterGroup('{ nope')).toBeNull()
+    expect(decodeFilterGroup('[1]')).toBeNull()
+    expect(decodeFilterGroup({ logic: 'xor', rules: [] })).toBeNull()
+    expect(
+      decodeFilterGroup({
+        logic: 'or',
+        rules: [{ field: 'a', operator: '$where', value: 1 }, { operator: 'eq' }, null, { field: 'b', operator: 'eq', value: 2 }],
+      })
+    ).toEqual({ logic: 'or', rules: [{ field: 'b', operator: 'eq', value: 2 }] })
+  })
+})
+
+describe('filter field kinds', () => {
+  it('maps field types to kinds and operators', () => {
+    expect(filterFieldKind('integer')).toBe('number')
+    expect(filterFieldKind('datetime')).toBe('date')
+    expect(filterFieldKind('checkbox')).toBe('boolean')
+    expect(filterFieldKind('text', true)).toBe('select')
+    expect(filterFieldKind(undefined)).toBe('text')
+    expect(filterOperatorsFor('number')).toContain('between')
+    expect(filterOperatorsFor('text')[0]).toBe('contains')
+  })
+})
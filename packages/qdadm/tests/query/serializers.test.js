@@ -0,0 +1,130 @@
+/**
+ * Query serializers - QueryObject → URL query params per API dialect
+ *
+ * Run: npm test
+ */
+import { describe, it, expect } from 'vitest'
+import { querySerializers, resolveQuerySerializer, QueryValidationError } from '../../src/query/index'
+
+const { flat, bracket, colon, odata, rsql } = querySerializers
+
+const query = {
+  status: ['active', 'pending'],
+  price: { $gte: 10, $lt: 100 },
+  title: { $like: 'Vue' },
+  'author.name': 'John'
+}
+
+describe('flat serializer', () => {
+  it('passes filters through', () => {
+    expect(flat({ status: 'active' })).toEqual({ status: 'active' })
+  })
+})
+
+describe('bracket serializer', () => {
+  it('writes one param per field operator', () => {
+    expect(bracket(query)).toEqual({
+      'status[in]': 'active,pending',
+      'price[gte]': '10',
+      'price[lt]': '100',
+      'title[like]': 'Vue',
+      'author.name': 'John'
+    })
+  })
+
+  it('writes dates as ISO 8601 and keeps regex flags', () => {
+    expect(bracket({
+      at: { $between: [new Date('2024-01-01T00:00:00Z'), '2024-12-31'] },
+      name: /^jo/i
+    })).toEqual({
+      'at[between]': '2024-01-01T00:00:00.000Z,2024-12-31',
+      'name[regex]': '^jo',
+      'name[options]': 'i'
+    })
+  })
+
+  it('merges $and of separate fields', () => {
+    expect(bracket({ $and: [{ price: { $gte: 10 } }, { stock: { $gt: 0 } }] }))
+      .toEqual({ 'price[gte]': '10', 'stock[gt]': '0' })
+  })
+
+  it('rejects what the dialect cannot express', () => {
+    expect(() => bracket({ $or: [{ a: 1 }, { b: 2 }] })).toThrow(QueryValidationError)
+    expect(() => bracket({ tags: { $elemMatch: { $gt: 1 } } })).toThrow(QueryValidationError)
+    expect(() => bracket({ $and: [{ price: { $gte: 1 } }, { price: { $gte: 2 } }] })).toThrow(/set twice/)
+  })
+})
+
+describe('colon serializer', () => {
+  it('puts the operator on the left-hand side', () => {
+    expect(colon({ price: { $gte: 10 }, status: 'active', tags: { $nin: ['a', 'b'] } })).toEqual({
+      'price:gte': '10',
+      status: 'active',
+      'tags:nin': 'a,b'
+    })
+  })
+})
+
+describe('odata serializer', () => {
+  it('writes a $filter expression', () => {
+    expect(odata(query)).toEqual({
+      $filter: "status in ('active','pending') and price ge 10 and price lt 100 and contains(tolower(title),'vue') and author/name eq 'John'"
+    })
+  })
+
+  it('expresses logical, negation and array operators', () => {
+    const { $filter } = odata({
+      $or: [{ status: 'draft' }, { stock: { $exists: false } }],
+      title: { $not: { $regex: '^a', $options: 'i' } },
+      tags: { $all: ['vue', 'ts'] },
+      comments: { $elemMatch: { by: "o'hara", votes: { $gt: 1 } } },
+      scores: { $elemMatch: { $gte: 70 } }
+    })
+    expect($filter).toBe(
+      "(status eq 'draft' or stock eq null)" +
+      " and not (matchesPattern(title,'(?i)^a'))" +
+      " and (tags/any(v: v eq 'vue') and tags/any(v: v eq 'ts'))" +
+      " and comments/any(v: v/by eq 'o''hara' and v/votes gt 1)" +
+      ' and scores/any(v: v ge 70)'
+    )
+  })
+
+  it('writes Date operands unquoted', () => {
+    expect(odata({ at: { $lt: new Date('2024-02-01T00:00:00Z') } }))
+      .toEqual({ $filter: 'at lt 2024-02-01T00:00:00.000Z' })
+  })
+
+  it('sends nothing for an empty query', () => {
+    expect(odata({})).toEqual({})
+  })
+})
+
+describe('rsql serializer', () => {
+  it('writes a FIQL filter', () => {
+    expect(rsql(query)).toEqual({
+      filter: 'status=in=(active,pending);price=ge=10;price=lt=100;title==*Vue*;author.name==John'
+    })
+  })
+
+  it('groups $or and quotes reserved characters', () => {
+    expect(rsql({ $or: [{ name: 'Le Guin' }, { year: { $between: [1960, 1970] } }], genre: { $ne: 'sci-fi' } }))
+      .toEqual({ filter: '(name=="Le Guin",year=ge=1960;year=le=1970);genre!=sci-fi' })
+  })
+
+  it('rejects operators FIQL has no comparison for', () => {
+    expect(() => rsql({ title: /vue/ })).toThrow(QueryValidationError)
+    expect(() => rsql({ $nor: [{ a: 1 }] })).toThrow(QueryValidationError)
+  })
+})
+
+describe('resolveQuerySerializer', () => {
+  it('resolves names and passes functions through', () => {
+    const custom = (q) => ({ q: JSON.stringify(q) })
+    expect(resolveQuerySerializer('odata')).toBe(odata)
+    expect(resolveQuerySerializer(custom)).toBe(custom)
+  })
+
+  it('lists the available dialects for unknown names', () => {
+    expect(() => resolveQuerySerializer('sql')).toThrow('Available: flat, bracket, colon, odata, rsql')
+  })
+})
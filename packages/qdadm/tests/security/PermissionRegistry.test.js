@@ -121,6 +121,35 @@ describe('PermissionRegistry', () => {
       expect(registry.exists('entity:books:read')).toBe(true)
       expect(registry.exists('entity-own:books:read')).toBe(false)
     })
+
+    it('registers field permissions of guarded fields', () => {
+      registry.registerEntity('users', {
+        fields: { salary: ['read', 'write'], notes: ['write'] },
+      })
+
+      expect(registry.exists('entity:users:field:salary:read')).toBe(true)
+      expect(registry.exists('entity:users:field:salary:write')).toBe(true)
+      expect(registry.exists('entity:users:field:notes:write')).toBe(true)
+      expect(registry.exists('entity:users:field:notes:read')).toBe(false)
+      expect(registry.get('entity:users:field:salary:read').label).toBe('Read users salary')
+      expect(registry.get('entity:users:field:salary:read').namespace).toBe('entity:users:field:salary')
+    })
+
+    it('registers entity-own field permissions when hasOwnership is true', () => {
+      registry.registerEntity('users', { hasOwnership: true, fields: { salary: ['read'] } })
+
+      expect(registry.exists('entity-own:users:field:salary:read')).toBe(true)
+    })
+
+    it('groups field permissions by entity and field', () => {
+      registry.registerEntity('users', { fields: { salary: ['read', 'write'] } })
+      registry.registerEntity('books', { fields: { price: ['write'] } })
+
+      const masks = registry.getFieldPermissions()
+      expect(Object.keys(masks).sort()).toEqual(['books', 'users'])
+      expect(masks.users.salary.map((p) => p.action)).toEqual(['read', 'write'])
+      expect(masks.books.price.map((p) => p.key)).toEqual(['entity:books:field:price:write'])
+    })
   })
 
   describe('query methods', () => {
@@ -0,0 +1,57 @@
+/**
+ * List export serializers (CSV, JSON, XLSX)
+ */
+import { describe, it, expect } from 'vitest'
+import { toCsv, toJson, toXlsx, exportCell } from '../../src/utils/export'
+
+const columns = [
+  { field: 'title', header: 'Title' },
+  { field: 'author.name', header: 'Author' },
+  { field: 'price', header: 'Price', body: (row) => `${row.price} €` },
+]
+
+const rows = [
+  { title: 'Dune', author: { name: 'Herbert' }, price: 9 },
+  { title: 'Say "hi", then\nleave', author: null, price: 12 },
+]
+
+describe('export serializers', () => {
+  it('reads body formatters, then fields and dotted paths', () => {
+    expect(exportCell(rows[0], columns[1])).toBe('Herbert')
+    expect(exportCell(rows[0], columns[2])).toBe('9 €')
+    expect(exportCell({ 'author.name': 'flat' }, columns[1])).toBe('flat')
+  })
+
+  it('quotes CSV cells and neutralizes formulas', () => {
+    expect(toCsv(rows, columns)).toBe(
+      'Title,Author,Price\r\nDune,Herbert,9 €\r\n"Say ""hi"", then\nleave",,12 €\r\n'
+    )
+    expect(toCsv([{ title: '=SUM(A1)' }], [columns[0]], { delimiter: ';' })).toBe("Title\r\n'=SUM(A1)\r\n")
+    expect(toCsv([{ title: "-2+3+cmd|' /C calc'!A0" }], [columns[0]])).toBe("Title\r\n'-2+3+cmd|' /C calc'!A0\r\n")
+  })
+
+  it('keys JSON objects by field', () => {
+    expect(JSON.parse(toJson(rows.slice(0, 1), columns))).toEqual([
+      { title: 'Dune', 'author.name': 'Herbert', price: '9 €' },
+    ])
+  })
+
+  it('writes an XLSX zip with typed cells', () => {
+    const zip = toXlsx([{ title: 'A & B', count: 3, done: true }], [
+      { field: 'title', header: 'Title' },
+      { field: 'count', header: 'Count' },
+      { field: 'done', header: 'Done' },
+    ], { sheetName: 'Books/2025' })
+
+    // Stored entries: the XML parts are readable as is
+    const text = new TextDecoder().decode(zip)
+    expect([...zip.slice(0, 4)]).toEqual([0x50, 0x4b, 0x03, 0x04])
+    expect(text).toContain('<sheet name="Books 2025" sheetId="1" r:id="rId1"/>')
+    expect(text).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; B</t></is></c>')
+    expect(text).toContain('<c r="B2"><v>3</v></c><c r="C2" t="b"><v>1</v></c>')
+    // End of central directory: 5 entries
+    const end = new DataView(zip.buffer, zip.length - 22)
+    expect(end.getUint32(0, true)).toBe(0x06054b50)
+    expect(end.getUint16(10, true)).toBe(5)
+  })
+})
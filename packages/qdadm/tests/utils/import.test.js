@@ -0,0 +1,57 @@
+/**
+ * List import parsers (CSV, JSON), column mapping and value coercion
+ */
+import { describe, it, expect } from 'vitest'
+import { parseCsv, parseJson, parseImportFile, autoMapColumns, coerceImportValue } from '../../src/utils/import'
+
+describe('import parsers', () => {
+  it('parses quoted CSV cells', () => {
+    const { columns, rows } = parseCsv('\uFEFFtitle,notes\r\nDune,"Say ""hi"", then\nleave"\r\n\r\nEmma,\r\n')
+
+    expect(columns).toEqual(['title', 'notes'])
+    expect(rows).toEqual([
+      { title: 'Dune', notes: 'Say "hi", then\nleave' },
+      { title: 'Emma', notes: '' },
+    ])
+  })
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('a;b\n1;2').rows).toEqual([{ a: '1', b: '2' }])
+    expect(parseCsv('a\tb\n1\t2').rows).toEqual([{ a: '1', b: '2' }])
+    expect(() => parseCsv('a\n"open')).toThrow('Unterminated')
+  })
+
+  it('parses JSON arrays and item envelopes', () => {
+    expect(parseJson('[{"a":1},{"b":true}]')).toEqual({
+      format: 'json',
+      columns: ['a', 'b'],
+      rows: [{ a: 1 }, { b: true }],
+    })
+    expect(parseJson('{"items":[{"a":1}]}').rows).toEqual([{ a: 1 }])
+    expect(() => parseJson('[1]')).toThrow('Item 1 is not an object')
+    expect(parseImportFile('export.txt', ' [{"a":1}]').format).toBe('json')
+    expect(parseImportFile('books.csv', 'a\n1').format).toBe('csv')
+  })
+
+  it('maps columns by field name or label', () => {
+    const fields = [{ name: 'first_name', label: 'Given name' }, { name: 'price' }]
+
+    expect(autoMapColumns(['First Name', 'given-name', 'PRICE', 'other'], fields)).toEqual({
+      'First Name': 'first_name',
+      'given-name': 'first_name',
+      PRICE: 'price',
+      other: null,
+    })
+  })
+
+  it('coerces source strings to the field type', () => {
+    expect(coerceImportValue(' 12.5 ', 'number')).toBe(12.5)
+    expect(coerceImportValue('abc', 'number')).toBe('abc')
+    expect(coerceImportValue('', 'integer')).toBeNull()
+    expect(coerceImportValue('Yes', 'boolean')).toBe(true)
+    expect(coerceImportValue('off', 'boolean')).toBe(false)
+    expect(coerceImportValue('["a"]', 'array')).toEqual(['a'])
+    expect(coerceImportValue('', 'text')).toBe('')
+    expect(coerceImportValue(3, 'text')).toBe(3)
+  })
+})
@@ -0,0 +1,116 @@
+/**
+ * Saved views — LocalStorageViewsProvider and EntityViewsProvider (through
+ * a ViewsManager on MemoryStorage).
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { LocalStorageViewsProvider, EntityViewsProvider, ViewsManager } from '../../src/views/index'
+
+const state = { search: 'dune', filters: { genre: 'sf' }, sort: { field: 'year', order: 1 }, pageSize: 50 }
+
+describe('LocalStorageViewsProvider', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('saves views with an id and lists those of one list', async () => {
+    const provider = new LocalStorageViewsProvider()
+    const view = await provider.save({ entity: 'books', name: 'Sci-fi', state })
+    await provider.save({ entity: 'authors', name: 'French', state: {} })
+
+    expect(view.id).toBeTruthy()
+    expect(view.updatedAt).toBeTruthy()
+    expect(await provider.list('books')).toEqual([view])
+    expect(JSON.parse(localStorage.getItem('qdadm_views'))).toHaveLength(2)
+  })
+
+  it('replaces a view saved with its id, and removes it', async () => {
+    const provider = new LocalStorageViewsProvider({ key: 'my_views' })
+    const view = await provider.save({ entity: 'books', name: 'Sci-fi', state })
+    await provider.save({ ...view, name: 'SF', roles: ['ROLE_USER'] })
+
+    const [saved] = await provider.list('books')
+    expect(saved).toMatchObject({ id: view.id, name: 'SF', roles: ['ROLE_USER'] })
+
+    await provider.remove(view.id)
+    expect(await provider.list('books')).toEqual([])
+    expect(localStorage.getItem('my_views')).toBe('[]')
+  })
+
+  it('lists the views a viewer owns or holds a role of', async () => {
+    const provider = new LocalStorageViewsProvider()
+    await provider.save({ entity: 'books', name: 'Mine', state, owner: 2 })
+    await provider.save({ entity: 'books', name: 'Private', state, owner: 1 })
+    await provider.save({ entity: 'books', name: 'Shared', state, owner: 1, roles: ['ROLE_USER'] })
+    await provider.save({ entity: 'books', name: 'Orphan', state, owner: null })
+
+    const views = await provider.list('books', { owner: 2, roles: ['ROLE_USER'] })
+    expect(views.map((view) => view.name)).toEqual(['Mine', 'Shared'])
+  })
+
+  it('reads a corrupted key as no views', async () => {
+    localStorage.setItem('qdadm_views', '{not json')
+    expect(await new LocalStorageViewsProvider().list('books')).toEqual([])
+  })
+})
+
+describe('EntityViewsProvider', () => {
+  let manager
+  let provider
+
+  beforeEach(() => {
+    manager = new ViewsManager()
+    provider = new EntityViewsProvider(manager)
+  })
+
+  it('creates views as records of the views entity', async () => {
+    const view = await provider.save({ entity: 'books', name: 'Sci-fi', state, owner: 7, roles: [] })
+
+    expect(typeof view.id).toBe('string')
+    const record = await manager.get(view.id)
+    expect(record).toMatchObject({ entity: 'books', name: 'Sci-fi', owner: 7, state })
+  })
+
+  it('lists the views of one list only (exact entity match)', async () => {
+    await provider.save({ entity: 'books', name: 'Sci-fi', state })
+    await provider.save({ entity: 'books_archive', name: 'Old', state })
+
+    const views = await provider.list('books')
+    expect(views.map((view) => view.name)).toEqual(['Sci-fi'])
+  })
+
+  it('queries the views a viewer owns, then those published to their roles', async () => {
+    await provider.save({ entity: 'books', name: 'Mine', state, owner: 2, roles: ['ROLE_USER'] })
+    await provider.save({ entity: 'books', name: 'Private', state, owner: 1 })
+    await provider.save({ entity: 'books', name: 'Shared', state, owner: 1, roles: ['ROLE_USER', 'ROLE_ADMIN'] })
+    await provider.save({ entity: 'books', name: 'Admins', state, owner: 1, roles: ['ROLE_ADMIN'] })
+    const list = vi.spyOn(manager, 'list')
+
+    const views = await provider.list('books', { owner: 2, roles: ['ROLE_USER'] })
+
+    expect(list.mock.calls.map(([params]) => params.filters)).toEqual([
+      { entity: 'books', owner: 2 },
+      { entity: 'books', roles: { $in: ['ROLE_USER'] } },
+    ])
+    expect(views.map((view) => view.name).sort()).toEqual(['Mine', 'Shared'])
+  })
+
+  it('updates a view saved with its id, and deletes it', async () => {
+    const view = await provider.save({ entity: 'books', name: 'Sci-fi', state })
+    const updated = await provider.save({ ...view, roles: ['ROLE_ADMIN'] })
+
+    expect(updated).toMatchObject({ id: view.id, roles: ['ROLE_ADMIN'] })
+    expect(await provider.list('books')).toHaveLength(1)
+
+    await provider.remove(view.id)
+    expect(await provider.list('books')).toEqual([])
+  })
+
+  it('resolves the manager on each call when given a getter', async () => {
+    let current = null
+    const lazy = new EntityViewsProvider(() => current)
+    current = manager
+
+    await lazy.save({ entity: 'books', name: 'Sci-fi', state })
+    expect(await provider.list('books')).toHaveLength(1)
+  })
+})
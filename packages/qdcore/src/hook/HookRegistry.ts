@@ -41,10 +41,15 @@ interface QuarKernel {
   on: (eventName: string, listener: (event: { name: string; data: unknown }) => unknown, options?: ListenerOptions) => () => void
   emitSerial: (eventName: string, data?: unknown) => Promise<unknown>
   clearExecutionErrors: () => void
-  getExecutionErrors: () => Array<{ listenerId: string; error: Error }>
+  getExecutionErrors: () => ExecutionError[]
   debug: (enabled: boolean) => void
 }
 
+interface ExecutionError {
+  listenerId: string
+  error: Error
+}
+
 const DEFAULT_PRIORITY = 50
 
 export const HOOK_PRIORITY = {
@@ -97,6 +102,9 @@ export interface AlterOptions {
 export class HookRegistry {
   private _kernel: QuarKernel
   private _hooks: Map<string, HookEntry[]>
+  // Handler errors per in-flight invoke() context: the kernel keeps a single
+  // execution-error list that concurrent emits reset under each other
+  private _errorSinks: WeakMap<object, ExecutionError[]> = new WeakMap()
 
   constructor(options: HookRegistryOptions = {}) {
     this._kernel = (options.kernel ??
@@ -116,7 +124,18 @@ export class HookRegistry {
     if (id) kernelOptions.id = id
     if (after) kernelOptions.after = after
 
-    const unbind = this._kernel.on(name, handler as never, kernelOptions)
+    const listener = async (event: { data: unknown }, ctx: unknown): Promise<unknown> => {
+      try {
+        return await (handler as (event: unknown, ctx: unknown) => unknown)(event, ctx)
+      } catch (error) {
+        if (event.data !== null && typeof event.data === 'object') {
+          const listenerId = (ctx as { id?: string } | undefined)?.id ?? ''
+          this._errorSinks.get(event.data)?.push({ listenerId, error: error as Error })
+        }
+        throw error
+      }
+    }
+    const unbind = this._kernel.on(name, listener as never, kernelOptions)
 
     if (!this._hooks.has(name)) {
       this._hooks.set(name, [])
@@ -139,17 +158,23 @@ export class HookRegistry {
   async invoke(name: string, context: unknown = {}, options: InvokeOptions = {}): Promise<void> {
     const { throwOnError = false } = options
 
+    const sink: ExecutionError[] = []
+    const tracked = context !== null && typeof context === 'object' && !this._errorSinks.has(context)
+    if (tracked) this._errorSinks.set(context, sink)
+
     this._kernel.clearExecutionErrors()
-    await this._kernel.emitSerial(name, context)
+    try {
+      await this._kernel.emitSerial(name, context)
+    } finally {
+      if (tracked) this._errorSinks.delete(context)
+    }
 
     if (throwOnError) {
-      const errors = this._kernel.getExecutionErrors()
+      const errors = tracked ? sink : this._kernel.getExecutionErrors()
       if (errors.length > 0) {
-        const errorMessages = errors.map(
-          (e: { listenerId: string; error: Error }) => `[${e.listenerId}] ${e.error.message}`
-        )
+        const errorMessages = errors.map((e) => `[${e.listenerId}] ${e.error.message}`)
         throw new AggregateError(
-          errors.map((e: { error: Error }) => e.error),
+          errors.map((e) => e.error),
           `Hook "${name}" handlers failed:\n  ${errorMessages.join('\n  ')}`
         )
       }
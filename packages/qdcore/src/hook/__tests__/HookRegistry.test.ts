@@ -49,6 +49,23 @@ describe('HookRegistry — register / invoke', () => {
     )
   })
 
+  it('throwOnError keeps concurrent invocations apart', async () => {
+    const hooks = new HookRegistry()
+    hooks.register('entity:presave', async (event) => {
+      const { id } = (event as unknown as { data: { id: number } }).data
+      if (id === 1) throw new Error('locked')
+      await new Promise((resolve) => setTimeout(resolve, 5))
+    }, { id: 'lock' })
+
+    const results = await Promise.allSettled([
+      hooks.invoke('entity:presave', { id: 1 }, { throwOnError: true }),
+      hooks.invoke('entity:presave', { id: 2 }, { throwOnError: true }),
+    ])
+
+    expect(results.map((r) => r.status)).toEqual(['rejected', 'fulfilled'])
+    expect((results[0] as PromiseRejectedResult).reason.message).toMatch(/\[lock\] locked/)
+  })
+
   it('throwOnError=false swallows handler errors silently', async () => {
     const hooks = new HookRegistry()
     hooks.register('boom', () => {
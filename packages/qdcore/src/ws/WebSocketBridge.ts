@@ -0,0 +1,310 @@
+/**
+ * WebSocketBridge - WebSocket to SignalBus bridge.
+ *
+ * The WebSocket counterpart of SSEBridge: manages a single connection and
+ * emits the received frames to a SignalBus, with the same options, auth
+ * coupling and reconnect behaviour. Unlike SSE, the connection also sends:
+ * `send(data)`.
+ *
+ * Frames are JSON text. A frame `{ event, data }` is emitted as
+ * `ws:{event}` with `data` as payload, any other frame as `ws:message`.
+ *
+ * Framework-agnostic: only depends on SignalBus and the WebSocket API (pass
+ * `WebSocket` to use another implementation, e.g. `ws` under Node).
+ *
+ * Signal naming:
+ * - `ws:connected` — connection established
+ * - `ws:disconnected` — connection lost
+ * - `ws:error` — connection error
+ * - `ws:{event}` — frame forwarded (`ws:message` without an event name)
+ */
+
+import type { SignalBus } from '../signal/SignalBus'
+
+export const WS_SIGNALS = {
+  CONNECTED: 'ws:connected',
+  DISCONNECTED: 'ws:disconnected',
+  ERROR: 'ws:error',
+  MESSAGE: 'ws:message',
+} as const
+
+/**
+ * Subset of the WebSocket API the bridge relies on
+ */
+export interface WebSocketLike {
+  readonly readyState: number
+  onopen: ((event: unknown) => void) | null
+  onclose: ((event: unknown) => void) | null
+  onerror: ((event: unknown) => void) | null
+  onmessage: ((event: { data: unknown }) => void) | null
+  send(data: string): void
+  close(code?: number, reason?: string): void
+}
+
+export type WebSocketConstructor = new (url: string, protocols?: string | string[]) => WebSocketLike
+
+export interface WebSocketBridgeOptions {
+  /** SignalBus instance */
+  signals: SignalBus
+  /** WebSocket endpoint URL (ws://, wss://, or a path resolved against the page origin) */
+  url: string
+  /** Sub-protocols sent in the handshake */
+  protocols?: string | string[]
+  /** Delay before reconnect (ms), 0 to disable */
+  reconnectDelay?: number
+  /** Prefix for emitted signals (default: 'ws') */
+  signalPrefix?: string
+  /** Connect immediately (default: false, waits for `connectOnSignal`) */
+  autoConnect?: boolean
+  /**
+   * Signal that triggers a connect when received.
+   * Default: `'auth:login'`. Set to `null` to disable.
+   */
+  connectOnSignal?: string | null
+  /**
+   * Signal that triggers a disconnect when received.
+   * Default: `'auth:logout'`. Set to `null` to disable.
+   */
+  disconnectOnSignal?: string | null
+  /** Query param name for auth token */
+  tokenParam?: string
+  /** Function to get auth token */
+  getToken?: (() => string | null) | null
+  /** WebSocket implementation (default: the global WebSocket) */
+  WebSocket?: WebSocketConstructor | null
+  /** Enable debug logging */
+  debug?: boolean
+}
+
+const OPEN = 1
+
+export class WebSocketBridge {
+  private _signals: SignalBus
+  private _url: string
+  private _protocols: string | string[] | undefined
+  private _reconnectDelay: number
+  private _signalPrefix: string
+  private _tokenParam: string
+  private _getToken: (() => string | null) | null
+  private _WebSocket: WebSocketConstructor | null
+  private _debug: boolean
+
+  private _socket: WebSocketLike | null = null
+  private _reconnectTimer: ReturnType<typeof setTimeout> | null = null
+  private _connected = false
+  private _reconnecting = false
+
+  constructor(options: WebSocketBridgeOptions) {
+    const {
+      signals,
+      url,
+      protocols,
+      reconnectDelay = 5000,
+      signalPrefix = 'ws',
+      autoConnect = false,
+      connectOnSignal = 'auth:login',
+      disconnectOnSignal = 'auth:logout',
+      tokenParam = 'token',
+      getToken = null,
+      WebSocket = (globalThis as { WebSocket?: WebSocketConstructor }).WebSocket ?? null,
+      debug = false,
+    } = options
+
+    if (!signals) throw new Error('[WebSocketBridge] signals (SignalBus) is required')
+    if (!url) throw new Error('[WebSocketBridge] url is required')
+
+    this._signals = signals
+    this._url = url
+    this._protocols = protocols
+    this._reconnectDelay = reconnectDelay
+    this._signalPrefix = signalPrefix
+    this._tokenParam = tokenParam
+    this._getToken = getToken
+    this._WebSocket = WebSocket
+    this._debug = debug
+
+    if (autoConnect) {
+      this.connect()
+    } else if (connectOnSignal) {
+      this._signals.once(connectOnSignal, () => {
+        this._log(`Received ${connectOnSignal}, connecting WebSocket`)
+        this.connect()
+      })
+    }
+
+    if (disconnectOnSignal) {
+      this._signals.on(disconnectOnSignal, () => {
+        this._log(`Received ${disconnectOnSignal}, disconnecting WebSocket`)
+        this.disconnect()
+      })
+    }
+  }
+
+  private _buildSignal(eventName: string): string {
+    return `${this._signalPrefix}:${eventName}`
+  }
+
+  private _log(...args: unknown[]): void {
+    if (this._debug) console.debug('[WebSocketBridge]', ...args)
+  }
+
+  private _buildUrl(): string {
+    const token = this._getToken?.()
+    const location = (globalThis as { location?: { origin: string; protocol: string } }).location
+    const wsUrl = new URL(this._url, location?.origin)
+    // Relative URLs resolve to the page origin: switch http(s) to ws(s)
+    if (wsUrl.protocol === 'http:') wsUrl.protocol = 'ws:'
+    else if (wsUrl.protocol === 'https:') wsUrl.protocol = 'wss:'
+    if (token && this._tokenParam) {
+      wsUrl.searchParams.set(this._tokenParam, token)
+    }
+    return wsUrl.toString()
+  }
+
+  connect(): void {
+    this._close()
+
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+    }
+
+    try {
+      if (!this._WebSocket) throw new Error('WebSocket is not available')
+      const url = this._buildUrl()
+      this._log('Connecting to', url)
+
+      const socket = new this._WebSocket(url, this._protocols)
+      this._socket = socket
+
+      socket.onopen = (): void => {
+        this._connected = true
+        this._reconnecting = false
+        this._log('Connected')
+        this._signals.emit(WS_SIGNALS.CONNECTED, { url: this._url, timestamp: new Date() })
+      }
+
+      socket.onerror = (): void => {
+        this._log('Connection error')
+        this._signals.emit(WS_SIGNALS.ERROR, { error: 'Connection error', timestamp: new Date() })
+      }
+
+      // Fired after an error too: the reconnect is handled here
+      socket.onclose = (): void => {
+        if (this._socket !== socket) return
+        this._socket = null
+        if (this._connected) {
+          this._connected = false
+          this._log('Connection closed')
+          this._signals.emit(WS_SIGNALS.DISCONNECTED, { timestamp: new Date() })
+        }
+        this._scheduleReconnect()
+      }
+
+      socket.onmessage = (event: { data: unknown }): void => {
+        this._handleFrame(event.data)
+      }
+    } catch (err) {
+      const error = err as Error
+      this._log('Connect error:', error.message)
+      this._signals.emit(WS_SIGNALS.ERROR, { error: error.message, timestamp: new Date() })
+      this._scheduleReconnect()
+    }
+  }
+
+  /**
+   * Send a frame (objects are JSON-encoded)
+   * @returns false when not connected
+   */
+  send(data: unknown): boolean {
+    if (!this._socket || this._socket.readyState !== OPEN) {
+      this._log('Cannot send: not connected')
+      return false
+    }
+    this._socket.send(typeof data === 'string' ? data : JSON.stringify(data))
+    return true
+  }
+
+  private _handleFrame(raw: unknown): void {
+    let data: unknown
+    try {
+      data = JSON.parse(String(raw))
+    } catch {
+      data = raw
+    }
+
+    let eventName = 'message'
+    const frame = data as { event?: unknown; data?: unknown } | null
+    if (frame && typeof frame === 'object' && typeof frame.event === 'string') {
+      eventName = frame.event
+      data = frame.data
+    }
+
+    const signal = this._buildSignal(eventName)
+    this._log(`Emitting ${signal}:`, data)
+
+    this._signals.emit(signal, {
+      event: eventName,
+      data,
+      timestamp: new Date(),
+    })
+  }
+
+  private _scheduleReconnect(): void {
+    if (this._reconnectDelay <= 0) return
+    if (this._reconnectTimer) return
+
+    this._reconnecting = true
+    this._log(`Reconnecting in ${this._reconnectDelay}ms`)
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null
+      if (!this._connected) this.connect()
+    }, this._reconnectDelay)
+  }
+
+  /**
+   * Close the current socket without triggering a reconnect
+   */
+  private _close(): void {
+    const socket = this._socket
+    if (!socket) return
+    this._socket = null
+    socket.onclose = null
+    socket.close()
+  }
+
+  disconnect(): void {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+    }
+
+    this._close()
+
+    if (this._connected) {
+      this._connected = false
+      this._signals.emit(WS_SIGNALS.DISCONNECTED, { timestamp: new Date() })
+    }
+
+    this._reconnecting = false
+    this._log('Disconnected')
+  }
+
+  reconnect(): void {
+    this.disconnect()
+    this.connect()
+  }
+
+  isConnected(): boolean {
+    return this._connected
+  }
+
+  isReconnecting(): boolean {
+    return this._reconnecting
+  }
+}
+
+export function createWebSocketBridge(options: WebSocketBridgeOptions): WebSocketBridge {
+  return new WebSocketBridge(options)
+}
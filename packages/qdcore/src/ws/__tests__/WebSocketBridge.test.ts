@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import WebSocket from 'ws'
+
+import { WebSocketBridge, WS_SIGNALS, type WebSocketConstructor } from '../WebSocketBridge'
+import { startEchoServer, type EchoServer } from './echoServer'
+import { SignalBus } from '../../signal/SignalBus'
+
+describe('WebSocketBridge', () => {
+  let server: EchoServer
+  let signals: SignalBus
+  let bridge: WebSocketBridge | null
+
+  const connect = async (options = {}): Promise<WebSocketBridge> => {
+    const connected = new Promise((resolve) => signals.once(WS_SIGNALS.CONNECTED, resolve))
+    bridge = new WebSocketBridge({
+      signals,
+      url: server.url,
+      autoConnect: true,
+      WebSocket: WebSocket as unknown as WebSocketConstructor,
+      ...options,
+    })
+    await connected
+    return bridge
+  }
+
+  beforeEach(async () => {
+    server = await startEchoServer()
+    signals = new SignalBus()
+    bridge = null
+  })
+
+  afterEach(async () => {
+    bridge?.disconnect()
+    await server.close()
+  })
+
+  it('emits { event, data } frames as ws:{event}', async () => {
+    await connect()
+    const received = new Promise((resolve) => signals.once('ws:entity-sync', (event) => resolve(event.data)))
+
+    server.broadcast({ event: 'entity-sync', data: { entity: 'books', op: 'delete', id: 1 } })
+
+    expect(await received).toMatchObject({
+      event: 'entity-sync',
+      data: { entity: 'books', op: 'delete', id: 1 },
+    })
+  })
+
+  it('sends frames, other frames arriving as ws:message', async () => {
+    const ws = await connect()
+    const received = new Promise((resolve) => signals.once(WS_SIGNALS.MESSAGE, (event) => resolve(event.data)))
+
+    expect(ws.send({ ping: 1 })).toBe(true)
+
+    // Echoed back by the server
+    expect(await received).toMatchObject({ event: 'message', data: { ping: 1 } })
+  })
+
+  it('connects on the auth signal and adds the token to the URL', async () => {
+    const getToken = vi.fn(() => 'secret')
+    bridge = new WebSocketBridge({
+      signals,
+      url: server.url,
+      getToken,
+      WebSocket: WebSocket as unknown as WebSocketConstructor,
+    })
+    expect(server.clients).toBe(0)
+
+    await signals.emit('auth:login', {})
+    await server.waitForClients(1)
+
+    expect(getToken).toHaveBeenCalled()
+    await vi.waitFor(() => expect(bridge!.isConnected()).toBe(true))
+  })
+
+  it('reconnects after the server drops the connection', async () => {
+    await connect({ reconnectDelay: 20 })
+    const disconnected = new Promise((resolve) => signals.once(WS_SIGNALS.DISCONNECTED, resolve))
+    const reconnected = new Promise((resolve) => {
+      disconnected.then(() => signals.once(WS_SIGNALS.CONNECTED, resolve))
+    })
+
+    await server.close()
+    await disconnected
+    expect(bridge!.isReconnecting()).toBe(true)
+
+    server = await startEchoServer({ port: server.port })
+    await reconnected
+    expect(bridge!.isConnected()).toBe(true)
+  })
+
+  it('does not send while disconnected', () => {
+    bridge = new WebSocketBridge({
+      signals,
+      url: server.url,
+      connectOnSignal: null,
+      WebSocket: WebSocket as unknown as WebSocketConstructor,
+    })
+
+    expect(bridge.send('hello')).toBe(false)
+  })
+})
@@ -0,0 +1,81 @@
+/**
+ * Local WebSocket echo server - Node only, a test utility (not exported:
+ * it needs the `ws` dev dependency).
+ *
+ * Sends every frame back to the client that sent it, and lets the caller
+ * push frames to all clients (`broadcast`), standing for a server event.
+ *
+ *   import { startEchoServer } from './echoServer'
+ *
+ *   const server = await startEchoServer()       // random free port
+ *   new WebSocketBridge({ signals, url: server.url, autoConnect: true })
+ *   server.broadcast({ event: 'entity-sync', data: { entity: 'books', op: 'delete', id: 1 } })
+ *   await server.close()
+ */
+
+import { WebSocketServer, type WebSocket } from 'ws'
+
+export interface EchoServerOptions {
+  /** Port to listen on (default 0: a free one) */
+  port?: number
+  host?: string
+}
+
+export interface EchoServer {
+  /** ws:// URL of the server */
+  readonly url: string
+  readonly port: number
+  /** Connected clients */
+  readonly clients: number
+  /** Send a frame to every client (objects are JSON-encoded) */
+  broadcast(data: unknown): void
+  /** Resolves once `count` clients are connected */
+  waitForClients(count?: number): Promise<void>
+  close(): Promise<void>
+}
+
+export function startEchoServer(options: EchoServerOptions = {}): Promise<EchoServer> {
+  const { port = 0, host = '127.0.0.1' } = options
+  const server = new WebSocketServer({ port, host })
+  const sockets = new Set<WebSocket>()
+  const waiters: Array<{ count: number; resolve: () => void }> = []
+
+  server.on('connection', (socket) => {
+    sockets.add(socket)
+    socket.on('message', (data, isBinary) => socket.send(data, { binary: isBinary }))
+    socket.on('close', () => sockets.delete(socket))
+    for (const waiter of [...waiters]) {
+      if (sockets.size >= waiter.count) {
+        waiters.splice(waiters.indexOf(waiter), 1)
+        waiter.resolve()
+      }
+    }
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.once('listening', () => {
+      const address = server.address()
+      const actualPort = typeof address === 'object' && address ? address.port : port
+      resolve({
+        url: `ws://${host}:${actualPort}`,
+        port: actualPort,
+        get clients() {
+          return sockets.size
+        },
+        broadcast(data: unknown): void {
+          const frame = typeof data === 'string' ? data : JSON.stringify(data)
+          for (const socket of sockets) socket.send(frame)
+        },
+        waitForClients(count = 1): Promise<void> {
+          if (sockets.size >= count) return Promise.resolve()
+          return new Promise((done) => waiters.push({ count, resolve: done }))
+        },
+        close(): Promise<void> {
+          for (const socket of sockets) socket.terminate()
+          return new Promise((done, fail) => server.close((err) => (err ? fail(err) : done())))
+        },
+      })
+    })
+  })
+}
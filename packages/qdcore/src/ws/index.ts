@@ -0,0 +1,6 @@
+export { WebSocketBridge, createWebSocketBridge, WS_SIGNALS } from './WebSocketBridge'
+export type {
+  WebSocketBridgeOptions,
+  WebSocketLike,
+  WebSocketConstructor,
+} from './WebSocketBridge'